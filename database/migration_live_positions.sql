@@ -0,0 +1,16 @@
+-- ====================================
+-- RedFace Trading Bot - Live Positions Migration
+-- Track live fills in the trades table so they get TP/SL/time exits
+-- ====================================
+
+-- Add fill and monitoring columns to trades
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS position_id TEXT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS token_amount DECIMAL(36, 12);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS amount_native DECIMAL(24, 12);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS gas_cost_native DECIMAL(24, 12) DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS gas_cost_usd DECIMAL(18, 8) DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS exit_tx_hash TEXT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS data JSONB DEFAULT '{}'::jsonb;
+
+-- Create index for position lookups
+CREATE INDEX IF NOT EXISTS idx_trades_position_id ON trades(position_id);
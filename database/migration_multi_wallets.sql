@@ -0,0 +1,16 @@
+-- ====================================
+-- RedFace Trading Bot - Multiple Wallets Migration
+-- Several labelled wallets per user and chain; DCA plans and limit orders
+-- can trade from a specific one
+-- ====================================
+
+-- Wallet labels (existing wallets become "main")
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS label TEXT NOT NULL DEFAULT 'main';
+
+-- One wallet per label instead of one wallet per chain
+ALTER TABLE wallets DROP CONSTRAINT IF EXISTS wallets_user_id_chain_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallets_user_chain_label ON wallets(user_id, chain, label);
+
+-- Wallet to trade from (NULL: the user's default wallet for the chain)
+ALTER TABLE dca_plans ADD COLUMN IF NOT EXISTS wallet_id UUID REFERENCES wallets(id) ON DELETE SET NULL;
+ALTER TABLE limit_orders ADD COLUMN IF NOT EXISTS wallet_id UUID REFERENCES wallets(id) ON DELETE SET NULL;
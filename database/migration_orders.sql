@@ -0,0 +1,36 @@
+-- ====================================
+-- RedFace Trading Bot - Orders Migration
+-- Live orders with idempotency keys, resolved from the chain after restarts
+-- ====================================
+
+-- Live orders (created → quoted → submitted → confirmed | failed | expired)
+CREATE TABLE IF NOT EXISTS orders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key TEXT NOT NULL UNIQUE, -- e.g. signal:<user>:<chain>:<pair>:<timestamp>
+    source TEXT NOT NULL, -- 'signal', 'manual', 'limit', 'dca' or 'exit'
+    side TEXT NOT NULL, -- 'BUY' or 'SELL'
+    chain TEXT NOT NULL,
+    token TEXT,
+    token_address TEXT,
+    amount_native DECIMAL(24, 12),
+    token_amount DECIMAL(36, 12),
+    status TEXT NOT NULL DEFAULT 'created',
+    tx_hash TEXT,
+    wallet_address TEXT,
+    position_id TEXT,
+    error TEXT,
+    data JSONB DEFAULT '{}'::jsonb, -- every transaction sent, plan, fill, signal
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for fast lookups
+CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+
+-- Enable RLS
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+
+-- Allow access (adjust policy as needed for your security model)
+CREATE POLICY "Allow anon access" ON orders FOR ALL USING (true);
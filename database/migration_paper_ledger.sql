@@ -0,0 +1,65 @@
+-- ====================================
+-- RedFace Trading Bot - Paper Ledger Migration
+-- Per-user paper accounts, positions and fills
+-- ====================================
+
+-- Paper trading accounts (one ledger per user, survives redeploys)
+CREATE TABLE IF NOT EXISTS paper_accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE UNIQUE,
+    starting_balance DECIMAL(18, 8) NOT NULL DEFAULT 1000, -- per chain, in USD
+    balances JSONB DEFAULT '{}'::jsonb, -- { "bsc": 1000, "base": 1000, "solana": 1000 }
+    realized_pnl DECIMAL(18, 8) DEFAULT 0,
+    reset_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Paper positions (full position kept in data so exits resume after restart)
+CREATE TABLE IF NOT EXISTS paper_positions (
+    id TEXT PRIMARY KEY, -- position ID from the bot state (chain:pair:timestamp)
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    chain TEXT NOT NULL,
+    token TEXT NOT NULL,
+    token_address TEXT,
+    pair_address TEXT,
+    entry_price DECIMAL(24, 12),
+    token_amount DECIMAL(36, 12),
+    position_size_usd DECIMAL(18, 8),
+    data JSONB DEFAULT '{}'::jsonb,
+    status TEXT DEFAULT 'OPEN', -- 'OPEN', 'CLOSED' or 'RESET'
+    opened_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    closed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Paper fills (every simulated buy and sell, partial exits included)
+CREATE TABLE IF NOT EXISTS paper_fills (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    position_id TEXT,
+    chain TEXT NOT NULL,
+    token TEXT NOT NULL,
+    side TEXT NOT NULL, -- 'BUY' or 'SELL'
+    price DECIMAL(24, 12),
+    token_amount DECIMAL(36, 12),
+    amount_usd DECIMAL(18, 8),
+    pnl DECIMAL(18, 8) DEFAULT 0,
+    partial BOOLEAN DEFAULT false,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for fast lookups
+CREATE INDEX IF NOT EXISTS idx_paper_positions_user_id ON paper_positions(user_id);
+CREATE INDEX IF NOT EXISTS idx_paper_positions_status ON paper_positions(status);
+CREATE INDEX IF NOT EXISTS idx_paper_fills_user_id ON paper_fills(user_id);
+
+-- Enable RLS
+ALTER TABLE paper_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE paper_positions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE paper_fills ENABLE ROW LEVEL SECURITY;
+
+-- Allow access (adjust policy as needed for your security model)
+CREATE POLICY "Allow anon access" ON paper_accounts FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON paper_positions FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON paper_fills FOR ALL USING (true);
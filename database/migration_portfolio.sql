@@ -0,0 +1,31 @@
+-- ====================================
+-- RedFace Trading Bot - Portfolio Migration
+-- Tokens found in user wallets' ERC-20 Transfer logs and how far each wallet was scanned
+-- ====================================
+
+-- Tokens an EVM wallet has received (addresses found in Transfer logs)
+CREATE TABLE IF NOT EXISTS wallet_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chain TEXT NOT NULL, -- 'bsc' or 'base'
+    wallet_address TEXT NOT NULL, -- Lowercase
+    token_address TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(chain, wallet_address, token_address)
+);
+
+-- Last block whose Transfer logs were read, per EVM wallet and chain
+CREATE TABLE IF NOT EXISTS wallet_token_scans (
+    chain TEXT NOT NULL,
+    wallet_address TEXT NOT NULL, -- Lowercase
+    last_block BIGINT NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (chain, wallet_address)
+);
+
+-- Enable RLS
+ALTER TABLE wallet_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE wallet_token_scans ENABLE ROW LEVEL SECURITY;
+
+-- Allow access (adjust policy as needed for your security model)
+CREATE POLICY "Allow anon access" ON wallet_tokens FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON wallet_token_scans FOR ALL USING (true);
@@ -0,0 +1,20 @@
+-- ====================================
+-- RedFace Trading Bot - Risk State Migration
+-- Daily risk limit counters per account, so a restart doesn't reset them mid-day
+-- ====================================
+
+-- Current day's trade count, realized PnL and starting balance per account
+CREATE TABLE IF NOT EXISTS risk_daily_states (
+    account_id TEXT PRIMARY KEY, -- users.id, or 'default' for bot-wide stats
+    day TEXT NOT NULL, -- Day the counters belong to (server-local date string)
+    trade_count INTEGER DEFAULT 0,
+    total_pnl DECIMAL(20, 2) DEFAULT 0,
+    start_balance DECIMAL(20, 2) DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE risk_daily_states ENABLE ROW LEVEL SECURITY;
+
+-- Allow access (adjust policy as needed for your security model)
+CREATE POLICY "Allow anon access" ON risk_daily_states FOR ALL USING (true);
@@ -0,0 +1,13 @@
+-- ====================================
+-- RedFace Trading Bot - Token Withdrawals Migration
+-- ERC-20 / SPL token withdrawals, optionally sold to the native token first
+-- ====================================
+
+-- Token sent (NULL: the chain's native token)
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS token_address TEXT;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS token_symbol TEXT;
+
+-- Sell the tokens to the native token, then send the proceeds
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS sell_first BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS sell_tx_hash TEXT;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS sent_native DECIMAL(36, 18); -- Proceeds sent
@@ -0,0 +1,48 @@
+-- ====================================
+-- RedFace Trading Bot - Withdrawals Migration
+-- Audit record of every withdrawal request and per-user address allowlists
+-- ====================================
+
+-- Withdrawal requests (pending → sending → completed | failed | unresolved; or rejected, cancelled, expired)
+-- unresolved: sent, but not known to have landed (counts against the daily limit)
+CREATE TABLE IF NOT EXISTS withdrawals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    telegram_id TEXT,
+    chain TEXT NOT NULL, -- 'bsc', 'base' or 'solana'
+    wallet_address TEXT, -- Sending wallet
+    to_address TEXT NOT NULL,
+    amount DECIMAL(36, 18) NOT NULL,
+    amount_usd DECIMAL(18, 8),
+    fee_native DECIMAL(24, 12), -- Estimated network fee
+    status TEXT NOT NULL DEFAULT 'pending',
+    reason TEXT, -- Why it was rejected or failed
+    tx_hash TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Allowlisted withdrawal addresses (usable from active_at)
+CREATE TABLE IF NOT EXISTS withdrawal_addresses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    chain TEXT NOT NULL, -- 'evm' or 'solana'
+    address TEXT NOT NULL,
+    label TEXT,
+    active_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, chain, address)
+);
+
+-- Create indexes for fast lookups
+CREATE INDEX IF NOT EXISTS idx_withdrawals_user_id ON withdrawals(user_id);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_created_at ON withdrawals(created_at);
+CREATE INDEX IF NOT EXISTS idx_withdrawal_addresses_user_id ON withdrawal_addresses(user_id);
+
+-- Enable RLS
+ALTER TABLE withdrawals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE withdrawal_addresses ENABLE ROW LEVEL SECURITY;
+
+-- Allow access (adjust policy as needed for your security model)
+CREATE POLICY "Allow anon access" ON withdrawals FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON withdrawal_addresses FOR ALL USING (true);
@@ -21,10 +21,11 @@ CREATE TABLE IF NOT EXISTS wallets (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     chain TEXT NOT NULL, -- 'evm' or 'solana'
+    label TEXT NOT NULL DEFAULT 'main', -- e.g. 'sniper', 'long-term'
     address TEXT NOT NULL,
     encrypted_key TEXT, -- Encrypted private key
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    UNIQUE(user_id, chain)
+    UNIQUE(user_id, chain, label)
 );
 
 -- Trades table
@@ -44,6 +45,13 @@ CREATE TABLE IF NOT EXISTS trades (
     pnl_percent DECIMAL(8, 4) DEFAULT 0,
     fee_amount DECIMAL(18, 8) DEFAULT 0,
     tx_hash TEXT,
+    position_id TEXT, -- bot position ID for live positions (chain:pair:timestamp)
+    token_amount DECIMAL(36, 12), -- tokens actually received, decoded from the fill
+    amount_native DECIMAL(24, 12), -- native token spent
+    gas_cost_native DECIMAL(24, 12) DEFAULT 0, -- entry + exit gas
+    gas_cost_usd DECIMAL(18, 8) DEFAULT 0,
+    exit_tx_hash TEXT,
+    data JSONB DEFAULT '{}'::jsonb, -- exit plan, stops and tiers so monitoring resumes after restart
     status TEXT DEFAULT 'OPEN', -- 'OPEN' or 'CLOSED'
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     closed_at TIMESTAMP WITH TIME ZONE
@@ -116,6 +124,7 @@ CREATE TABLE IF NOT EXISTS dca_plans (
     chain TEXT NOT NULL,
     amount_usd DECIMAL(18, 8) NOT NULL,
     interval TEXT NOT NULL, -- 'daily', 'weekly', 'monthly'
+    wallet_id UUID REFERENCES wallets(id) ON DELETE SET NULL, -- NULL: default wallet
     active BOOLEAN DEFAULT true,
     next_buy TIMESTAMP WITH TIME ZONE,
     total_invested DECIMAL(18, 8) DEFAULT 0,
@@ -134,6 +143,7 @@ CREATE TABLE IF NOT EXISTS limit_orders (
     target_price DECIMAL(24, 12) NOT NULL,
     amount DECIMAL(18, 8) NOT NULL,
     amount_usd DECIMAL(18, 8),
+    wallet_id UUID REFERENCES wallets(id) ON DELETE SET NULL, -- NULL: default wallet
     status TEXT DEFAULT 'pending', -- 'pending', 'filled', 'cancelled'
     tx_hash TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -175,12 +185,146 @@ CREATE TABLE IF NOT EXISTS copy_trading (
     UNIQUE(follower_id, trader_id)
 );
 
+-- Paper trading accounts (one ledger per user, survives redeploys)
+CREATE TABLE IF NOT EXISTS paper_accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE UNIQUE,
+    starting_balance DECIMAL(18, 8) NOT NULL DEFAULT 1000, -- per chain, in USD
+    balances JSONB DEFAULT '{}'::jsonb, -- { "bsc": 1000, "base": 1000, "solana": 1000 }
+    realized_pnl DECIMAL(18, 8) DEFAULT 0,
+    reset_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Paper positions (full position kept in data so exits resume after restart)
+CREATE TABLE IF NOT EXISTS paper_positions (
+    id TEXT PRIMARY KEY, -- position ID from the bot state (chain:pair:timestamp)
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    chain TEXT NOT NULL,
+    token TEXT NOT NULL,
+    token_address TEXT,
+    pair_address TEXT,
+    entry_price DECIMAL(24, 12),
+    token_amount DECIMAL(36, 12),
+    position_size_usd DECIMAL(18, 8),
+    data JSONB DEFAULT '{}'::jsonb,
+    status TEXT DEFAULT 'OPEN', -- 'OPEN', 'CLOSED' or 'RESET'
+    opened_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    closed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Paper fills (every simulated buy and sell, partial exits included)
+CREATE TABLE IF NOT EXISTS paper_fills (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    position_id TEXT,
+    chain TEXT NOT NULL,
+    token TEXT NOT NULL,
+    side TEXT NOT NULL, -- 'BUY' or 'SELL'
+    price DECIMAL(24, 12),
+    token_amount DECIMAL(36, 12),
+    amount_usd DECIMAL(18, 8),
+    pnl DECIMAL(18, 8) DEFAULT 0,
+    partial BOOLEAN DEFAULT false,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Live orders (created → quoted → submitted → confirmed | failed | expired)
+CREATE TABLE IF NOT EXISTS orders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key TEXT NOT NULL UNIQUE, -- e.g. signal:<user>:<chain>:<pair>:<timestamp>
+    source TEXT NOT NULL, -- 'signal', 'manual', 'limit', 'dca', 'exit' or 'withdraw'
+    side TEXT NOT NULL, -- 'BUY' or 'SELL'
+    chain TEXT NOT NULL,
+    token TEXT,
+    token_address TEXT,
+    amount_native DECIMAL(24, 12),
+    token_amount DECIMAL(36, 12),
+    status TEXT NOT NULL DEFAULT 'created',
+    tx_hash TEXT,
+    wallet_address TEXT,
+    position_id TEXT,
+    error TEXT,
+    data JSONB DEFAULT '{}'::jsonb, -- every transaction sent, plan, fill, signal
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Withdrawal requests (pending → sending → completed | failed | unresolved; or rejected, cancelled, expired)
+-- unresolved: sent, but not known to have landed (counts against the daily limit)
+CREATE TABLE IF NOT EXISTS withdrawals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    telegram_id TEXT,
+    chain TEXT NOT NULL, -- 'bsc', 'base' or 'solana'
+    wallet_address TEXT, -- Sending wallet
+    to_address TEXT NOT NULL,
+    token_address TEXT, -- NULL: the chain's native token
+    token_symbol TEXT,
+    amount DECIMAL(36, 18) NOT NULL,
+    amount_usd DECIMAL(18, 8),
+    fee_native DECIMAL(24, 12), -- Estimated network fee
+    sell_first BOOLEAN NOT NULL DEFAULT FALSE, -- Tokens sold to native, proceeds sent
+    sell_tx_hash TEXT,
+    sent_native DECIMAL(36, 18), -- Proceeds sent
+    status TEXT NOT NULL DEFAULT 'pending',
+    reason TEXT, -- Why it was rejected or failed
+    tx_hash TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Allowlisted withdrawal addresses (usable from active_at)
+CREATE TABLE IF NOT EXISTS withdrawal_addresses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    chain TEXT NOT NULL, -- 'evm' or 'solana'
+    address TEXT NOT NULL,
+    label TEXT,
+    active_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, chain, address)
+);
+
+-- Tokens an EVM wallet has received (addresses found in Transfer logs)
+CREATE TABLE IF NOT EXISTS wallet_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chain TEXT NOT NULL, -- 'bsc' or 'base'
+    wallet_address TEXT NOT NULL, -- Lowercase
+    token_address TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(chain, wallet_address, token_address)
+);
+
+-- Last block whose Transfer logs were read, per EVM wallet and chain
+CREATE TABLE IF NOT EXISTS wallet_token_scans (
+    chain TEXT NOT NULL,
+    wallet_address TEXT NOT NULL, -- Lowercase
+    last_block BIGINT NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (chain, wallet_address)
+);
+
+-- Daily risk limit counters per account (users.id, or 'default' for bot-wide stats)
+CREATE TABLE IF NOT EXISTS risk_daily_states (
+    account_id TEXT PRIMARY KEY,
+    day TEXT NOT NULL, -- Day the counters belong to (server-local date string)
+    trade_count INTEGER DEFAULT 0,
+    total_pnl DECIMAL(20, 2) DEFAULT 0,
+    start_balance DECIMAL(20, 2) DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_users_telegram_id ON users(telegram_id);
 CREATE INDEX IF NOT EXISTS idx_users_referral_code ON users(referral_code);
 CREATE INDEX IF NOT EXISTS idx_wallets_user_id ON wallets(user_id);
 CREATE INDEX IF NOT EXISTS idx_trades_user_id ON trades(user_id);
 CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status);
+CREATE INDEX IF NOT EXISTS idx_trades_position_id ON trades(position_id);
 CREATE INDEX IF NOT EXISTS idx_signals_created_at ON signals(created_at);
 CREATE INDEX IF NOT EXISTS idx_price_alerts_user_id ON price_alerts(user_id);
 CREATE INDEX IF NOT EXISTS idx_price_alerts_active ON price_alerts(active);
@@ -192,6 +336,14 @@ CREATE INDEX IF NOT EXISTS idx_limit_orders_user_id ON limit_orders(user_id);
 CREATE INDEX IF NOT EXISTS idx_limit_orders_status ON limit_orders(status);
 CREATE INDEX IF NOT EXISTS idx_copy_trading_follower ON copy_trading(follower_id);
 CREATE INDEX IF NOT EXISTS idx_copy_trading_trader ON copy_trading(trader_id);
+CREATE INDEX IF NOT EXISTS idx_paper_positions_user_id ON paper_positions(user_id);
+CREATE INDEX IF NOT EXISTS idx_paper_positions_status ON paper_positions(status);
+CREATE INDEX IF NOT EXISTS idx_paper_fills_user_id ON paper_fills(user_id);
+CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_user_id ON withdrawals(user_id);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_created_at ON withdrawals(created_at);
+CREATE INDEX IF NOT EXISTS idx_withdrawal_addresses_user_id ON withdrawal_addresses(user_id);
 
 -- Enable Row Level Security
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
@@ -203,6 +355,15 @@ ALTER TABLE portfolio ENABLE ROW LEVEL SECURITY;
 ALTER TABLE dca_plans ENABLE ROW LEVEL SECURITY;
 ALTER TABLE limit_orders ENABLE ROW LEVEL SECURITY;
 ALTER TABLE copy_trading ENABLE ROW LEVEL SECURITY;
+ALTER TABLE paper_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE paper_positions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE paper_fills ENABLE ROW LEVEL SECURITY;
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE withdrawals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE withdrawal_addresses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE wallet_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE wallet_token_scans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE risk_daily_states ENABLE ROW LEVEL SECURITY;
 
 -- Policy: Allow anon key to access all data (for bot usage)
 CREATE POLICY "Allow anon access" ON users FOR ALL USING (true);
@@ -217,4 +378,13 @@ CREATE POLICY "Allow anon access" ON limit_orders FOR ALL USING (true);
 CREATE POLICY "Allow anon access" ON referral_earnings FOR ALL USING (true);
 CREATE POLICY "Allow anon access" ON fees FOR ALL USING (true);
 CREATE POLICY "Allow anon access" ON copy_trading FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON paper_accounts FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON paper_positions FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON paper_fills FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON orders FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON withdrawals FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON withdrawal_addresses FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON wallet_tokens FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON wallet_token_scans FOR ALL USING (true);
+CREATE POLICY "Allow anon access" ON risk_daily_states FOR ALL USING (true);
 
@@ -5,6 +5,7 @@
  */
 
 import { logInfo, logError } from '../logging/logger.js';
+import { scanTokenContract, simulateTokenSwap } from '../risk/contractAnalyzer.js';
 
 // Honeypot checker APIs
 const HONEYPOT_API = 'https://api.honeypot.is/v2';
@@ -48,6 +49,7 @@ export async function getTokenInfo(chain, tokenAddress) {
                 liquidity: mainPair.liquidity?.usd || 0,
                 marketCap: mainPair.fdv || 0,
                 pairAddress: mainPair.pairAddress,
+                quoteTokenAddress: mainPair.quoteToken?.address,
                 dexId: mainPair.dexId,
                 txns24h: {
                     buys: mainPair.txns?.h24?.buys || 0,
@@ -63,9 +65,36 @@ export async function getTokenInfo(chain, tokenAddress) {
 }
 
 /**
- * Check if token is a honeypot (BSC/ETH only)
+ * Check if token is a honeypot (EVM chains)
+ * Simulates a buy and sell locally via eth_call; honeypot.is is only
+ * asked when the simulation can't run or its buy reverts
  */
-export async function checkHoneypot(chain, tokenAddress) {
+export async function checkHoneypot(chain, tokenAddress, quoteTokenAddress = null) {
+    const simulation = await simulateTokenSwap({
+        chain,
+        baseToken: { address: tokenAddress },
+        quoteToken: { address: quoteTokenAddress }
+    });
+
+    if (simulation && !simulation.buyReverted) {
+        const result = {
+            isHoneypot: simulation.isHoneypot,
+            reason: simulation.reason,
+            buyTax: simulation.buyTax || 0,
+            sellTax: simulation.sellTax || 0,
+            transferTax: simulation.transferTax || 0,
+            source: 'SIMULATION'
+        };
+        return { ...result, riskLevel: calculateRiskLevel(result) };
+    }
+
+    return checkHoneypotApi(chain, tokenAddress);
+}
+
+/**
+ * Ask honeypot.is (BSC/Base/ETH)
+ */
+async function checkHoneypotApi(chain, tokenAddress) {
     try {
         // Only works for BSC and ETH compatible chains
         if (chain !== 'bsc' && chain !== 'base' && chain !== 'ethereum') {
@@ -86,7 +115,7 @@ export async function checkHoneypot(chain, tokenAddress) {
 
         const data = await response.json();
 
-        return {
+        const result = {
             isHoneypot: data.honeypotResult?.isHoneypot || false,
             reason: data.honeypotResult?.honeypotReason || 'Safe',
             buyTax: data.simulationResult?.buyTax || 0,
@@ -94,8 +123,9 @@ export async function checkHoneypot(chain, tokenAddress) {
             transferTax: data.simulationResult?.transferTax || 0,
             isOpenSource: data.contractCode?.openSource || false,
             holderCount: data.holderAnalysis?.holders || 0,
-            riskLevel: calculateRiskLevel(data)
+            source: 'HONEYPOT_IS'
         };
+        return { ...result, riskLevel: calculateRiskLevel(result) };
     } catch (err) {
         logError('Honeypot check failed', err);
         return { isHoneypot: null, reason: 'Check failed' };
@@ -103,28 +133,48 @@ export async function checkHoneypot(chain, tokenAddress) {
 }
 
 /**
- * Calculate risk level based on honeypot data
+ * Honeypot/tax result for a Solana token, read from its mint scan
+ * Transfer fees are charged on buys, sells and transfers alike
  */
-function calculateRiskLevel(data) {
+function checkSolanaToken(scan) {
+    if (!scan) {
+        return { isHoneypot: null, reason: 'Could not verify' };
+    }
+
+    const fee = scan.transferFee?.percent || 0;
+    const critical = scan.checks.find(c => !c.passed && c.severity === 'critical');
+    const result = {
+        isHoneypot: scan.privileges.includes('NON_TRANSFERABLE'),
+        reason: critical?.reason || 'No mint/freeze authority risks',
+        buyTax: fee,
+        sellTax: fee,
+        transferTax: fee,
+        source: 'SOLANA_SCAN'
+    };
+    return { ...result, riskLevel: calculateRiskLevel(result) };
+}
+
+/**
+ * Calculate risk level from honeypot/tax results
+ * Open source and holder count only count when known (honeypot.is)
+ */
+function calculateRiskLevel({ isHoneypot, buyTax = 0, sellTax = 0, isOpenSource, holderCount }) {
     let risk = 0;
 
     // Check for honeypot
-    if (data.honeypotResult?.isHoneypot) return 'SCAM';
+    if (isHoneypot) return 'SCAM';
 
     // High taxes are red flags
-    const buyTax = data.simulationResult?.buyTax || 0;
-    const sellTax = data.simulationResult?.sellTax || 0;
-
     if (sellTax > 50) return 'EXTREME';
     if (sellTax > 20) risk += 3;
     if (sellTax > 10) risk += 2;
     if (buyTax > 10) risk += 1;
 
     // Not open source is risky
-    if (!data.contractCode?.openSource) risk += 2;
+    if (isOpenSource === false) risk += 2;
 
     // Low holders is risky
-    if ((data.holderAnalysis?.holders || 0) < 50) risk += 1;
+    if (holderCount !== undefined && holderCount < 50) risk += 1;
 
     if (risk >= 5) return 'HIGH';
     if (risk >= 3) return 'MEDIUM';
@@ -133,16 +183,34 @@ function calculateRiskLevel(data) {
 
 /**
  * Full token safety analysis
+ * Adds the on-chain contract scan (EVM) or mint scan (Solana) on top of the
+ * honeypot check; critical scan findings raise the risk level to at least HIGH
  */
 export async function analyzeToken(chain, tokenAddress) {
-    const [tokenInfo, honeypot] = await Promise.all([
-        getTokenInfo(chain, tokenAddress),
-        checkHoneypot(chain, tokenAddress)
-    ]);
+    const tokenInfo = await getTokenInfo(chain, tokenAddress);
+
+    const contract = tokenInfo.success
+        ? await scanTokenContract({
+            chain,
+            baseToken: { address: tokenAddress },
+            pairAddress: tokenInfo.token.pairAddress
+        })
+        : null;
+
+    // Solana taxes come from the mint; EVM simulates through the main pair's quote token
+    const honeypot = chain === 'solana'
+        ? checkSolanaToken(contract)
+        : await checkHoneypot(chain, tokenAddress, tokenInfo.token?.quoteTokenAddress);
+
+    const safety = { ...honeypot };
+    if (contract && !contract.isSafe && !['HIGH', 'EXTREME', 'SCAM'].includes(safety.riskLevel)) {
+        safety.riskLevel = 'HIGH';
+    }
 
     return {
         ...tokenInfo,
-        safety: honeypot
+        safety,
+        contract
     };
 }
 
@@ -198,7 +266,8 @@ ${safetyEmoji} <b>Safety: ${s.riskLevel || 'UNKNOWN'}</b>
 ┌ Honeypot: <code>${s.isHoneypot === null ? 'Unknown' : s.isHoneypot ? '⚠️ YES' : '✅ No'}</code>
 ├ Buy Tax: <code>${s.buyTax || 0}%</code>
 ├ Sell Tax: <code>${s.sellTax || 0}%</code>
-└ Open Source: <code>${s.isOpenSource ? '✅' : '❌'}</code>
+├ Transfer Tax: <code>${s.transferTax || 0}%</code>
+└ Open Source: <code>${s.isOpenSource === undefined ? '❓' : s.isOpenSource ? '✅' : '❌'}</code>
 
 ━━━━━━━━━━━━━━━━━━━━━
     `.trim();
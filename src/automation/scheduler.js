@@ -11,16 +11,24 @@
 
 import { logInfo, logWarn, logError, logStartup } from '../logging/logger.js';
 import config, { getEnabledChains } from '../config/index.js';
-import { getMarketSnapshot, findTradablePairs } from '../data/priceEngine.js';
-import { analyzeForSignal, checkExitConditions, getStrategyDescription } from '../strategy/volumeSpike.js';
-import { canTrade, validateSignal, getDailyStats, initRiskManager } from '../risk/riskManager.js';
-import { loadState, saveState, getBalance, getOpenPositions, getWatchlist, addToWatchlist } from './state.js';
+import { getMarketSnapshot, findTradablePairs, getCandles, getNativePriceUsd } from '../data/priceEngine.js';
+import { loadCandles, saveCandles, queueBackfill } from '../data/candleStore.js';
+import { scanTokenContract, simulateTokenSwap } from '../risk/contractAnalyzer.js';
+import { getEnabledStrategies, getStrategyForPosition, runStrategies } from '../strategy/registry.js';
+import { getExitPlan, updateTrailingState, getPartialSellAmount } from '../strategy/exitRules.js';
+import { canTrade, validateSignal, getDailyStats, loadDailyStates, initRiskManager, getRiskProfile, applyRiskProfile, recordEntry, sizeAutoTrade } from '../risk/riskManager.js';
+import { loadState, saveState, getBalance, getOpenPositions, getWatchlist, addToWatchlist, updatePosition } from './state.js';
 import { executePaperBuy, executePaperSell } from '../execution/paperTrader.js';
-import { executeLiveBuy, executeLiveSell, isLiveEnabled } from '../execution/evmExecutor.js';
+import { executeLiveBuy, isLiveEnabled } from '../execution/evmExecutor.js';
+import { executeSolanaBuy, isSolanaLiveEnabled } from '../execution/solanaExecutor.js';
+import { openLivePosition, saveLivePosition, restoreLivePositions, executeLivePositionSell } from '../execution/livePositions.js';
+import { runOrder, buyOrderSpec } from '../execution/orderStore.js';
+import { reconcileOrders } from '../execution/orderReconciler.js';
 import { recordPnL, displayPnLReport } from '../logging/pnlTracker.js';
-import { isTelegramEnabled, notifySignal, notifyExit, notifyStartup, notifySignalToUser, notifyProfitAlert } from '../notifications/telegram.js';
+import { isTelegramEnabled, notifySignal, notifyTrade, notifyExit, notifyStartup, notifySignalToUser, notifyProfitAlert } from '../notifications/telegram.js';
 import { getSupabase } from '../database/supabase.js';
-import { getAutoTradeSettings } from '../wallet/userWalletManager.js';
+import { getAutoTradeSettings, getWalletSummary, getWalletForTrading, getWalletType } from '../wallet/userWalletManager.js';
+import { getPaperBalance, savePaperPosition, restorePaperPositions } from '../services/paperLedgerService.js';
 
 // Main loop interval (30 seconds)
 const MAIN_LOOP_INTERVAL = 30000;
@@ -28,10 +36,17 @@ const MAIN_LOOP_INTERVAL = 30000;
 // Position check interval (10 seconds)
 const POSITION_CHECK_INTERVAL = 10000;
 
+// Unresolved order check interval (1 minute)
+const ORDER_RECONCILE_INTERVAL = 60000;
+
+// Signals produced per strategy since startup: { strategyName: count }
+const strategySignalCounts = {};
+
 // Running flag
 let isRunning = false;
 let mainLoopId = null;
 let positionLoopId = null;
+let orderLoopId = null;
 
 /**
  * Initialize the bot
@@ -39,10 +54,19 @@ let positionLoopId = null;
 export async function initialize() {
     logInfo('Initializing bot...');
 
-    // Load persisted state
+    // Load persisted state, then users' open paper and live positions from
+    // the database (the local state file does not survive redeploys)
     loadState();
+    await restorePaperPositions();
+    await restoreLivePositions();
+    loadCandles();
+
+    // Resolve live orders the last run left in flight (recovered buys open positions)
+    await reconcileOrders();
 
-    // Initialize risk manager with total balance
+    // Restore today's risk counters, then initialize the risk manager with
+    // total balance (kept if one was restored)
+    await loadDailyStates();
     const totalBalance = getEnabledChains().reduce(
         (sum, chain) => sum + getBalance(chain),
         0
@@ -50,11 +74,18 @@ export async function initialize() {
     initRiskManager(totalBalance);
 
     // Log strategy info
-    const strategy = getStrategyDescription();
-    logInfo(`Strategy: ${strategy.name}`);
-    logInfo(`Entry: ${strategy.entry}`);
-    logInfo(`Take Profit: ${strategy.takeProfit}`);
-    logInfo(`Stop Loss: ${strategy.stopLoss}`);
+    const strategies = getEnabledStrategies();
+    if (strategies.length === 0) {
+        logWarn('No strategies enabled, no signals will be generated');
+    }
+
+    for (const strategy of strategies) {
+        const description = strategy.getStrategyDescription();
+        logInfo(`Strategy [${strategy.name}]: ${description.name}`);
+        logInfo(`Entry: ${description.entry}`);
+        logInfo(`Take Profit: ${description.takeProfit}`);
+        logInfo(`Stop Loss: ${description.stopLoss}`);
+    }
 
     // Discover tradable pairs if watchlist is empty
     const watchlist = getWatchlist();
@@ -63,6 +94,16 @@ export async function initialize() {
         await discoverPairs();
     }
 
+    // Backfill candle history for watched and held pairs in the background
+    for (const pair of getWatchlist()) {
+        queueBackfill(pair.chainId, pair.pairAddress);
+    }
+    for (const position of getOpenPositions()) {
+        if (position.pairAddress) {
+            queueBackfill(position.chain, position.pairAddress);
+        }
+    }
+
     logInfo('Initialization complete');
 }
 
@@ -93,10 +134,30 @@ async function discoverPairs() {
     }
 }
 
+/**
+ * Get a user's tradable balance in USD on a chain
+ * Paper users trade their paper ledger balance, live users the native balance
+ * of the wallet their auto-trades buy from
+ * @returns {Promise<number|null>} Balance in USD, or null if unknown
+ */
+async function getUserBalanceUsd(user, chain, isLive, nativePriceUsd) {
+    if (!isLive) {
+        return getPaperBalance(user.id, chain);
+    }
+
+    if (!nativePriceUsd) return null;
+
+    const summary = await getWalletSummary(user.telegram_id);
+    const wallet = summary.wallets.find(w => w.isAutoTrade && w.chain === getWalletType(chain));
+    const nativeBalance = parseFloat(wallet?.balances[chain]);
+
+    return Number.isFinite(nativeBalance) ? nativeBalance * nativePriceUsd : null;
+}
+
 /**
  * Distribute signal to all users
- * - Notifies each user via Telegram
- * - Auto-executes for users with auto_trade_enabled
+ * - Notifies each user via Telegram (with their own TP/SL levels)
+ * - Auto-executes for users with auto_trade_enabled, within their risk profile
  */
 async function distributeSignalToUsers(signal) {
     const supabase = getSupabase();
@@ -118,32 +179,92 @@ async function distributeSignalToUsers(signal) {
 
         logInfo(`Distributing signal to ${users.length} users...`);
 
+        // Shared by every user's sizing (cached in the price engine)
+        const nativePriceUsd = await getNativePriceUsd(signal.chain);
+
         for (const user of users) {
             try {
                 const userId = user.telegram_id;
                 const settings = user.settings || {};
                 const autoTradeEnabled = settings.auto_trade_enabled || false;
                 const autoTradeAmount = settings.auto_trade_amount || 0.1;
+                const autoTradeSizing = settings.auto_trade_sizing || 'fixed_native';
                 const userMode = settings.mode || 'PAPER';
+                const isLive = userMode === 'LIVE' && isLiveEnabled();
+
+                // Re-level TP/SL/max hold with the user's risk profile
+                const profile = getRiskProfile(settings);
+                const userSignal = applyRiskProfile({ ...signal, userId: user.id }, profile);
 
                 // Notify user of signal
-                await notifySignalToUser(signal, userId);
+                await notifySignalToUser(userSignal, userId);
 
                 // If auto-trade is enabled, execute the trade
                 if (autoTradeEnabled) {
-                    logInfo(`Auto-trading for user ${userId}: ${signal.token} @ ${autoTradeAmount}`);
+                    const balance = await getUserBalanceUsd(user, signal.chain, isLive, nativePriceUsd);
+                    const tradingCheck = canTrade(user.id, profile, balance);
+
+                    // Size through the risk manager with the user's balance and stop distance
+                    const sizing = sizeAutoTrade(userSignal, {
+                        mode: autoTradeSizing,
+                        amount: autoTradeAmount,
+                        balanceUsd: balance,
+                        nativePriceUsd,
+                        profile
+                    });
+
+                    if (!tradingCheck.allowed) {
+                        logWarn(`Auto-trade skipped for user ${userId}: ${tradingCheck.reason}`);
+                    } else if (sizing.positionSizeUsd <= 0 || (isLive && !sizing.nativeAmount)) {
+                        logWarn(`Auto-trade skipped for user ${userId}: ${sizing.rationale}`);
+                    } else {
+                        logInfo(`Auto-trading for user ${userId}: ${signal.token} $${sizing.positionSizeUsd.toFixed(2)} (${sizing.rationale})`);
+
+                        let result = null;
+
+                        if (isLive) {
+                            // Buy from the user's auto-trade wallet, exits sell from it too
+                            const walletId = settings.auto_trade_wallets?.[getWalletType(signal.chain)] || null;
+                            const userWallet = await getWalletForTrading(userId, signal.chain, walletId);
+
+                            if (!userWallet) {
+                                logWarn(`Auto-trade skipped for user ${userId}: no ${signal.chain} wallet`);
+                            } else if (signal.chain !== 'solana' || isSolanaLiveEnabled()) {
+                                // Once per user and signal, even if the signal is processed again
+                                const spec = buyOrderSpec('signal', `signal:${user.id}:${signal.chain}:${signal.pairAddress}:${signal.timestamp}`, userSignal, {
+                                    telegramId: userId,
+                                    amountNative: sizing.nativeAmount
+                                });
+
+                                result = await runOrder(spec, order => signal.chain === 'solana'
+                                    ? executeSolanaBuy(userSignal, sizing, userWallet, order)
+                                    : executeLiveBuy(userSignal, sizing, userWallet, order));
+                            }
 
-                    const positionSize = { positionSizeUsd: autoTradeAmount * signal.entryPrice * 100 };
+                            if (result?.success) {
+                                await openLivePosition(userSignal, result.result, userId);
+                            }
+                        } else {
+                            result = await executePaperBuy(userSignal, sizing);
+                        }
 
-                    if (userMode === 'LIVE' && isLiveEnabled()) {
-                        if (signal.chain === 'bsc' || signal.chain === 'base') {
-                            await executeLiveBuy(signal, positionSize);
+                        if (result?.success) {
+                            recordEntry(user.id);
+                            logInfo(`Auto-trade executed for user ${userId}`);
+
+                            notifyTrade({
+                                action: 'BUY',
+                                token: signal.token,
+                                chain: signal.chain,
+                                price: result.result?.executionPrice || signal.entryPrice,
+                                amount: sizing.positionSizeUsd,
+                                mode: isLive ? 'LIVE' : 'PAPER',
+                                takeProfit: userSignal.takeProfit,
+                                stopLoss: userSignal.stopLoss,
+                                sizing
+                            }, userId).catch(() => { });
                         }
-                    } else {
-                        await executePaperBuy(signal, positionSize);
                     }
-
-                    logInfo(`Auto-trade executed for user ${userId}`);
                 }
 
                 // Small delay to avoid rate limiting
@@ -173,14 +294,7 @@ async function mainLoopIteration() {
         return;
     }
 
-    // Check if we can trade today
-    const tradingCheck = canTrade();
-    if (!tradingCheck.allowed) {
-        logWarn(`Trading paused: ${tradingCheck.reason}`);
-        return;
-    }
-
-    // Iterate through watchlist
+    // Iterate through watchlist (daily limits are enforced per user on distribution)
     for (const item of watchlist) {
         try {
             // Get market snapshot
@@ -190,11 +304,16 @@ async function mainLoopIteration() {
                 continue;
             }
 
-            // Analyze for entry signal
-            const signal = analyzeForSignal(snapshot);
+            // On-chain contract findings and simulated taxes for the strategies' safety check (cached per token)
+            snapshot.contractScan = await scanTokenContract(snapshot);
+            snapshot.swapSimulation = await simulateTokenSwap(snapshot);
+
+            // Run every enabled strategy on the snapshot
+            const signals = runStrategies(snapshot);
 
-            if (signal) {
-                logInfo(`🎯 Signal detected: ${signal.token} on ${signal.chain.toUpperCase()}`);
+            for (const signal of signals) {
+                strategySignalCounts[signal.strategy] = (strategySignalCounts[signal.strategy] || 0) + 1;
+                logInfo(`🎯 Signal detected by ${signal.strategy}: ${signal.token} on ${signal.chain.toUpperCase()}`);
 
                 // Distribute signal to all users (notifies + auto-trades)
                 await distributeSignalToUsers(signal);
@@ -228,6 +347,17 @@ async function executePaperTrade(signal, positionSize) {
     }
 }
 
+/**
+ * Persist stop/tier changes of a user's position (paper ledger or trades table)
+ */
+function persistPosition(position) {
+    if (position?.mode === 'LIVE') {
+        saveLivePosition(position);
+    } else {
+        savePaperPosition(position);
+    }
+}
+
 /**
  * Position monitoring loop
  */
@@ -285,17 +415,39 @@ async function positionLoopIteration() {
                 }
             }
 
-            // Check exit conditions
-            const exitSignal = checkExitConditions(position, snapshot);
+            // Ratchet trailing stop / breakeven before checking exits
+            const exitPlan = position.exitPlan || getExitPlan();
+            const candles = getCandles(position.chain, position.pairAddress, config.strategy.candleInterval, exitPlan.atrPeriods + 1);
+            const trailingUpdates = updateTrailingState(position, currentPrice, candles);
+
+            if (Object.keys(trailingUpdates).length > 0) {
+                persistPosition(updatePosition(position.id, trailingUpdates));
+            }
+
+            // Check exit conditions with the strategy that opened the position
+            const strategy = getStrategyForPosition(position);
+            const exitSignal = strategy.checkExitConditions(position, snapshot);
 
             if (exitSignal) {
                 logInfo(`🚪 Exit signal: ${exitSignal.type} for ${position.token}`);
 
-                // Execute paper sell with auto-retry
-                const result = await executePaperSell(position, exitSignal.exitPrice, exitSignal.reason);
+                // Partial take-profit tiers sell a slice, everything else closes the position
+                const sellAmount = exitSignal.sellPercent
+                    ? getPartialSellAmount(position, exitSignal.sellPercent)
+                    : null;
+
+                // Live positions sell from the owner's wallet, paper ones simulate with auto-retry
+                const sell = position.mode === 'LIVE' ? executeLivePositionSell : executePaperSell;
+                const result = await sell(position, exitSignal.exitPrice, exitSignal.reason, sellAmount);
 
                 if (result.success) {
-                    // Record in PnL tracker
+                    if (exitSignal.tierIndex !== undefined && result.result.partial) {
+                        persistPosition(updatePosition(position.id, {
+                            tiersFilled: [...(position.tiersFilled || []), exitSignal.tierIndex]
+                        }));
+                    }
+
+                    // Record in PnL tracker (one entry per fill)
                     recordPnL({
                         pnl: result.result.pnl,
                         chain: position.chain,
@@ -303,7 +455,10 @@ async function positionLoopIteration() {
                         entryPrice: position.entryPrice,
                         exitPrice: result.result.executionPrice,
                         pnlPercent: result.result.pnlPercent,
-                        reason: exitSignal.reason
+                        reason: exitSignal.reason,
+                        positionId: position.id,
+                        partial: result.result.partial,
+                        tokenAmount: result.result.tokensSold
                     });
 
                     // Send Telegram notification
@@ -314,8 +469,10 @@ async function positionLoopIteration() {
                         entryPrice: position.entryPrice,
                         exitPrice: result.result.executionPrice,
                         pnl: result.result.pnl,
-                        pnlPercent: result.result.pnlPercent
-                    }).catch(() => { });
+                        pnlPercent: result.result.pnlPercent,
+                        partial: result.result.partial,
+                        sellPercent: exitSignal.sellPercent
+                    }, position.telegramId).catch(() => { });
                 }
             }
         } catch (err) {
@@ -346,6 +503,9 @@ export async function start() {
     logInfo('Starting position monitor...');
     positionLoopId = setInterval(positionLoopIteration, POSITION_CHECK_INTERVAL);
 
+    // Keep resolving orders whose transactions could still land
+    orderLoopId = setInterval(reconcileOrders, ORDER_RECONCILE_INTERVAL);
+
     // Run immediately
     await mainLoopIteration();
 
@@ -370,7 +530,13 @@ export function stop() {
         positionLoopId = null;
     }
 
+    if (orderLoopId) {
+        clearInterval(orderLoopId);
+        orderLoopId = null;
+    }
+
     saveState();
+    saveCandles();
 
     // Display PnL report on shutdown
     displayPnLReport();
@@ -394,7 +560,11 @@ export function getStatus() {
         mode: config.mode,
         dailyStats: getDailyStats(),
         openPositions: getOpenPositions().length,
-        watchlistSize: getWatchlist().length
+        watchlistSize: getWatchlist().length,
+        strategies: getEnabledStrategies().map(s => ({
+            name: s.name,
+            signals: strategySignalCounts[s.name] || 0
+        }))
     };
 }
 
@@ -152,8 +152,10 @@ export function closePosition(positionId, exitPrice, exitReason) {
     state.trades.push(trade);
     state.totalPnL += pnl;
 
-    // Update balance
-    updateBalance(position.chain, pnl);
+    // Update balance (user-owned paper positions settle in their own ledger)
+    if (!position.userId) {
+        updateBalance(position.chain, pnl);
+    }
 
     // Remove from open positions
     delete state.positions[positionId];
@@ -164,11 +166,105 @@ export function closePosition(positionId, exitPrice, exitReason) {
     return trade;
 }
 
+/**
+ * Put back a position persisted elsewhere (e.g. a user's paper ledger), keeping its ID
+ * @returns {boolean} True if added, false if it was already open
+ */
+export function restorePosition(position) {
+    if (state.positions[position.id]) {
+        return false;
+    }
+
+    state.positions[position.id] = { ...position, status: 'open' };
+    saveState();
+
+    return true;
+}
+
+/**
+ * Drop an open position without recording a trade (paper account reset)
+ */
+export function removePosition(positionId) {
+    if (!state.positions[positionId]) {
+        return false;
+    }
+
+    delete state.positions[positionId];
+    saveState();
+
+    return true;
+}
+
+/**
+ * Update fields on an open position (trailing stop, tiers filled, ...)
+ */
+export function updatePosition(positionId, updates) {
+    const position = state.positions[positionId];
+
+    if (!position) {
+        return null;
+    }
+
+    Object.assign(position, updates);
+    saveState();
+
+    return position;
+}
+
+/**
+ * Record a partial exit and shrink the position
+ * Balance is credited by the caller (paper trader adds proceeds)
+ * @param {string} positionId - Position ID
+ * @param {number} tokenAmount - Tokens sold
+ * @param {number} costBasis - USD cost of the tokens sold
+ * @param {number} exitPrice - Execution price
+ * @param {string} exitReason - Exit reason
+ * @returns {Object|null} Fill record
+ */
+export function reducePosition(positionId, tokenAmount, costBasis, exitPrice, exitReason) {
+    const position = state.positions[positionId];
+
+    if (!position) {
+        logError(`Position not found: ${positionId}`);
+        return null;
+    }
+
+    const pnl = tokenAmount * exitPrice - costBasis;
+    const pnlPercent = ((exitPrice - position.entryPrice) / position.entryPrice) * 100;
+
+    const fill = {
+        ...position,
+        tokenAmount,
+        positionSizeUsd: costBasis,
+        exitPrice,
+        exitReason,
+        pnl,
+        pnlPercent,
+        partial: true,
+        closedAt: Date.now(),
+        holdTime: Date.now() - position.openedAt
+    };
+
+    state.trades.push(fill);
+    state.totalPnL += pnl;
+
+    position.tokenAmount -= tokenAmount;
+    position.positionSizeUsd -= costBasis;
+    position.realizedPnL = (position.realizedPnL || 0) + pnl;
+
+    saveState();
+    logInfo(`Position reduced: ${positionId}, sold ${tokenAmount.toFixed(4)}, PnL: ${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)}`);
+
+    return fill;
+}
+
 /**
  * Get all open positions
+ * @param {string} userId - Optional owner (users.id) to filter by
  */
-export function getOpenPositions() {
-    return Object.values(state.positions);
+export function getOpenPositions(userId = null) {
+    const positions = Object.values(state.positions);
+    return userId ? positions.filter(p => p.userId === userId) : positions;
 }
 
 /**
@@ -260,6 +356,10 @@ export default {
     updateBalance,
     setBalance,
     addPosition,
+    restorePosition,
+    removePosition,
+    updatePosition,
+    reducePosition,
     closePosition,
     getOpenPositions,
     getPositionsByChain,
@@ -0,0 +1,292 @@
+/**
+ * DEX Trading Bot - Backtester
+ *
+ * Replays recorded snapshots through a registered strategy:
+ *   - Entries from strategy.analyzeForSignal (with indicators stepped per snapshot)
+ *   - Exits from strategy.checkExitConditions (trailing stops and partial tiers included)
+ *   - Fills simulated with the paper trader slippage rules
+ *   - Report in the same shape as getPnLSummary plus drawdown stats
+ */
+
+import { getStrategy, DEFAULT_STRATEGY } from '../strategy/registry.js';
+import { calculatePositionSize, MAX_LIQUIDITY_SHARE } from '../risk/riskManager.js';
+import { calculateSlippage } from '../execution/paperTrader.js';
+import { summarizeTrades } from '../logging/pnlTracker.js';
+import { getExitPlan, updateTrailingState, getPartialSellAmount } from '../strategy/exitRules.js';
+import { createIndicatorTracker } from '../strategy/indicators.js';
+
+/**
+ * Run a backtest over snapshots
+ * @param {Array<Object>} snapshots - Market snapshots sorted by timestamp
+ * @param {Object} options - { strategy, params, startingBalance, positionSizeUsd, seed }
+ * @returns {Object} Backtest report
+ */
+export function runBacktest(snapshots, options = {}) {
+    const strategyName = options.strategy || DEFAULT_STRATEGY;
+    const strategy = getStrategy(strategyName);
+    if (!strategy) {
+        throw new Error(`Unknown strategy: ${strategyName}`);
+    }
+
+    const params = strategy.getStrategyParams(options.params);
+    const startingBalance = options.startingBalance || 1000;
+    const random = options.seed !== undefined ? createSeededRandom(options.seed) : Math.random;
+
+    let balance = startingBalance;
+    let peakBalance = startingBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+
+    const openPositions = new Map();
+    const lastSnapshots = new Map();
+    const candleHistory = new Map();
+    const indicatorTrackers = new Map();
+    const trades = [];
+    let signalCount = 0;
+
+    // Sell all or part of a position; partial fills keep the remainder open
+    const closePosition = (key, position, exit) => {
+        const executionPrice = calculateSlippage(exit.exitPrice, false, random);
+        const tokensSold = exit.sellPercent
+            ? getPartialSellAmount(position, exit.sellPercent)
+            : position.tokenAmount;
+        const partial = tokensSold < position.tokenAmount;
+        const costBasis = position.positionSizeUsd * (tokensSold / position.tokenAmount);
+        const proceeds = tokensSold * executionPrice;
+        const pnl = proceeds - costBasis;
+
+        balance += proceeds;
+
+        if (partial) {
+            position.tokenAmount -= tokensSold;
+            position.positionSizeUsd -= costBasis;
+            if (exit.tierIndex !== undefined) {
+                position.tiersFilled.push(exit.tierIndex);
+            }
+        } else {
+            openPositions.delete(key);
+        }
+
+        trades.push({
+            timestamp: exit.timestamp,
+            date: new Date(exit.timestamp).toISOString().split('T')[0],
+            chain: position.chain,
+            token: position.token,
+            entryPrice: position.entryPrice,
+            exitPrice: executionPrice,
+            pnl,
+            pnlPercent: (pnl / costBasis) * 100,
+            reason: exit.reason,
+            exitType: exit.type,
+            positionSizeUsd: costBasis,
+            partial,
+            openedAt: position.openedAt,
+            holdMinutes: (exit.timestamp - position.openedAt) / 60000
+        });
+
+        // Drawdown on realized equity
+        if (balance > peakBalance) {
+            peakBalance = balance;
+        }
+        const drawdown = peakBalance - balance;
+        if (drawdown > maxDrawdown) {
+            maxDrawdown = drawdown;
+            maxDrawdownPercent = (drawdown / peakBalance) * 100;
+        }
+    };
+
+    for (const snapshot of snapshots) {
+        const key = `${snapshot.chain}:${snapshot.pairAddress}`;
+        lastSnapshots.set(key, snapshot);
+        const candles = recordCandle(candleHistory, key, snapshot);
+        const indicators = updateIndicators(indicatorTrackers, key, snapshot);
+
+        const position = openPositions.get(key);
+
+        if (position) {
+            const exit = checkCandleExit(strategy, position, snapshot, params, candles);
+            if (exit) {
+                closePosition(key, position, exit);
+            }
+            continue;
+        }
+
+        const signal = strategy.analyzeForSignal({ indicators, ...snapshot }, params);
+        if (!signal) continue;
+
+        signalCount++;
+
+        const size = sizePosition(signal, balance, options);
+        if (size <= 0) continue;
+
+        const entryPrice = calculateSlippage(signal.entryPrice, true, random);
+        const tokenAmount = size / entryPrice;
+        balance -= size;
+
+        openPositions.set(key, {
+            chain: signal.chain,
+            token: signal.token,
+            entryPrice,
+            tokenAmount,
+            initialTokenAmount: tokenAmount,
+            positionSizeUsd: size,
+            takeProfit: signal.takeProfit,
+            stopLoss: signal.stopLoss,
+            highWaterMark: entryPrice,
+            exitPlan: signal.exitPlan || getExitPlan(),
+            tiersFilled: [],
+            maxHoldUntil: signal.maxHoldUntil,
+            openedAt: signal.timestamp
+        });
+    }
+
+    // Close anything still open at the last known price
+    for (const [key, position] of openPositions) {
+        const last = lastSnapshots.get(key);
+        closePosition(key, position, {
+            type: 'EXIT_END_OF_DATA',
+            reason: 'End of backtest data',
+            exitPrice: last.price.usd,
+            timestamp: last.timestamp
+        });
+    }
+
+    return {
+        ...summarizeTrades(trades),
+        maxDrawdown,
+        maxDrawdownPercent,
+        startingBalance,
+        endingBalance: balance,
+        returnPercent: ((balance - startingBalance) / startingBalance) * 100,
+        signals: signalCount,
+        strategy: strategy.name,
+        params,
+        period: {
+            start: snapshots[0]?.timestamp || null,
+            end: snapshots[snapshots.length - 1]?.timestamp || null
+        },
+        trades
+    };
+}
+
+/**
+ * Check exits, using candle extremes when the snapshot came from OHLCV data
+ * Low is checked before high so stops win ties (conservative); the trailing
+ * stop ratchets on the high only after the low has been checked
+ */
+function checkCandleExit(strategy, position, snapshot, params, candles) {
+    if (snapshot.candle) {
+        for (const price of [snapshot.candle.low, snapshot.candle.high]) {
+            Object.assign(position, updateTrailingState(position, price, candles));
+
+            const intrabar = { ...snapshot, price: { ...snapshot.price, usd: price } };
+            const exit = strategy.checkExitConditions(position, intrabar, params);
+            if (exit && exit.type !== 'EXIT_TIME_LIMIT') {
+                return exit;
+            }
+        }
+    }
+
+    Object.assign(position, updateTrailingState(position, snapshot.price.usd, candles));
+    return strategy.checkExitConditions(position, snapshot, params);
+}
+
+/**
+ * Keep a rolling candle history per pair for ATR trailing stops
+ */
+function recordCandle(candleHistory, key, snapshot) {
+    if (!candleHistory.has(key)) {
+        candleHistory.set(key, []);
+    }
+
+    const candles = candleHistory.get(key);
+    const price = snapshot.price.usd;
+    candles.push(snapshot.candle || { high: price, low: price, close: price });
+
+    if (candles.length > 100) {
+        candles.shift();
+    }
+
+    return candles;
+}
+
+/**
+ * Step the pair's indicators with the snapshot's candle (one candle per snapshot)
+ */
+function updateIndicators(indicatorTrackers, key, snapshot) {
+    if (!indicatorTrackers.has(key)) {
+        indicatorTrackers.set(key, createIndicatorTracker());
+    }
+
+    const price = snapshot.price.usd;
+    const candle = snapshot.candle || { open: price, high: price, low: price, close: price, volume: snapshot.volume?.m5 };
+
+    return indicatorTrackers.get(key).update({ ...candle, periodStart: snapshot.timestamp });
+}
+
+/**
+ * Size a backtest position
+ * Fixed size if given, otherwise risk-based sizing, capped by balance and liquidity
+ */
+function sizePosition(signal, balance, options) {
+    const requested = options.positionSizeUsd
+        || calculatePositionSize(balance, signal.entryPrice, signal.stopLoss).positionSizeUsd;
+
+    return Math.min(requested, balance, signal.liquidity * MAX_LIQUIDITY_SHARE);
+}
+
+/**
+ * Deterministic PRNG (mulberry32) so parameter runs are comparable
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Display backtest report
+ */
+export function displayBacktestReport(report) {
+    const fmt = (n) => (n >= 0 ? '+' : '-') + '$' + Math.abs(n).toFixed(2);
+
+    console.log('');
+    console.log('╔════════════════════════════════════════════════════════╗');
+    console.log('║                 🧪 BACKTEST REPORT                     ║');
+    console.log('╠════════════════════════════════════════════════════════╣');
+    console.log(`║  Strategy:        ${report.strategy.padEnd(36)}║`);
+    console.log(`║  Period:          ${formatPeriod(report.period).padEnd(36)}║`);
+    console.log(`║  Signals:         ${String(report.signals).padEnd(36)}║`);
+    console.log(`║  Total Trades:    ${String(report.totalTrades).padEnd(36)}║`);
+    console.log(`║  Total PnL:       ${fmt(report.totalPnL).padEnd(36)}║`);
+    console.log(`║  Return:          ${(report.returnPercent.toFixed(2) + '%').padEnd(36)}║`);
+    console.log(`║  Win Rate:        ${(report.winRate.toFixed(1) + '%').padEnd(36)}║`);
+    console.log(`║  Profit Factor:   ${report.profitFactor.toFixed(2).padEnd(36)}║`);
+    console.log(`║  Max Drawdown:    ${('$' + report.maxDrawdown.toFixed(2) + ' (' + report.maxDrawdownPercent.toFixed(2) + '%)').padEnd(36)}║`);
+    console.log('╠════════════════════════════════════════════════════════╣');
+    console.log(`║  Winning Trades:  ${String(report.winningTrades).padEnd(36)}║`);
+    console.log(`║  Losing Trades:   ${String(report.losingTrades).padEnd(36)}║`);
+    console.log(`║  Biggest Win:     ${('+$' + report.biggestWin.toFixed(2)).padEnd(36)}║`);
+    console.log(`║  Biggest Loss:    ${('$' + report.biggestLoss.toFixed(2)).padEnd(36)}║`);
+    console.log('╚════════════════════════════════════════════════════════╝');
+    console.log('');
+}
+
+/**
+ * Format report period for display
+ */
+function formatPeriod(period) {
+    if (!period.start || !period.end) return 'n/a';
+    const day = (ts) => new Date(ts).toISOString().split('T')[0];
+    return `${day(period.start)} → ${day(period.end)}`;
+}
+
+export default {
+    runBacktest,
+    displayBacktestReport
+};
@@ -0,0 +1,207 @@
+/**
+ * DEX Trading Bot - Backtest Data Loader
+ *
+ * Loads recorded market data and converts it into priceEngine-style snapshots:
+ *   - Snapshot files (JSON array or JSON lines of getMarketSnapshot output)
+ *   - Raw DexScreener pair dumps (JSON array or JSON lines, with a timestamp field)
+ *   - OHLCV candles (CSV or JSON: timestamp, open, high, low, close, volume)
+ */
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { parsePairData } from '../data/dexscreener.js';
+import config from '../config/index.js';
+
+// Candles per 24h at 5m resolution
+const CANDLES_PER_DAY = 288;
+
+// Default liquidity assumed for OHLCV files (they carry no liquidity data)
+const DEFAULT_LIQUIDITY_USD = 50000;
+
+/**
+ * Load a recorded data file and return snapshots sorted by time
+ * @param {string} filePath - Path to .json, .jsonl or .csv file
+ * @param {Object} options - { chain, pairAddress, symbol, tokenAddress, liquidityUsd }
+ * @returns {Array<Object>} Market snapshots
+ */
+export function loadReplayFile(filePath, options = {}) {
+    const content = readFileSync(filePath, 'utf-8');
+    const ext = extname(filePath).toLowerCase();
+
+    let records;
+    if (ext === '.csv') {
+        records = parseCsv(content);
+    } else if (ext === '.jsonl') {
+        records = parseJsonLines(content);
+    } else {
+        const trimmed = content.trim();
+        records = trimmed.startsWith('[') ? JSON.parse(trimmed) : parseJsonLines(trimmed);
+    }
+
+    return recordsToSnapshots(records, options);
+}
+
+/**
+ * Convert parsed records into snapshots
+ * Detects the record format from the first entry
+ */
+export function recordsToSnapshots(records, options = {}) {
+    if (!Array.isArray(records) || records.length === 0) {
+        return [];
+    }
+
+    const first = records[0];
+    let snapshots;
+
+    if (first.price && typeof first.price === 'object') {
+        // Already in snapshot shape
+        snapshots = records.map(r => ({ ...r, timestamp: toMillis(r.timestamp) }));
+    } else if (first.priceUsd !== undefined) {
+        snapshots = pairsToSnapshots(records);
+    } else if (first.close !== undefined) {
+        snapshots = candlesToSnapshots(records, options);
+    } else {
+        throw new Error('Unrecognized replay format (expected snapshots, DexScreener pairs or OHLCV candles)');
+    }
+
+    return snapshots
+        .filter(s => s.timestamp)
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Convert raw DexScreener pairs into snapshots
+ * Rebuilds the rolling average volume the same way priceEngine does from polling
+ */
+function pairsToSnapshots(pairs) {
+    const history = new Map();
+    const lookback = config.strategy.lookbackPeriods;
+
+    return pairs.map(pair => {
+        const parsed = parsePairData(pair);
+        const key = `${parsed.chain}:${parsed.pairAddress}`;
+        const volumes = history.get(key) || [];
+
+        const avgVolume = volumes.length > 0
+            ? volumes.reduce((sum, v) => sum + v, 0) / volumes.length
+            : 0;
+
+        volumes.push(parsed.volume.m5);
+        if (volumes.length > lookback) volumes.shift();
+        history.set(key, volumes);
+
+        return {
+            ...parsed,
+            timestamp: toMillis(pair.timestamp),
+            avgVolume1h: avgVolume,
+            volumeRatio: avgVolume > 0 ? parsed.volume.m5 / avgVolume : 0
+        };
+    });
+}
+
+/**
+ * Convert OHLCV candles (assumed 5m) into snapshots
+ */
+function candlesToSnapshots(candles, options) {
+    const lookback = config.strategy.lookbackPeriods;
+    const liquidityUsd = options.liquidityUsd || DEFAULT_LIQUIDITY_USD;
+    const snapshots = [];
+
+    const sorted = candles
+        .map(c => ({
+            timestamp: toMillis(c.timestamp ?? c.time ?? c.t),
+            open: Number(c.open),
+            high: Number(c.high),
+            low: Number(c.low),
+            close: Number(c.close),
+            volume: Number(c.volume) || 0
+        }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    for (let i = 0; i < sorted.length; i++) {
+        const candle = sorted[i];
+        const previous = sorted.slice(Math.max(0, i - lookback), i);
+        const dayWindow = sorted.slice(Math.max(0, i - CANDLES_PER_DAY + 1), i + 1);
+
+        const avgVolume = previous.length > 0
+            ? previous.reduce((sum, c) => sum + c.volume, 0) / previous.length
+            : 0;
+        const prevClose = i > 0 ? sorted[i - 1].close : candle.open;
+        const hourAgo = sorted[Math.max(0, i - lookback)].close;
+
+        snapshots.push({
+            chain: options.chain || 'bsc',
+            pairAddress: options.pairAddress || 'backtest',
+            baseToken: {
+                address: options.tokenAddress || null,
+                symbol: options.symbol || 'TOKEN',
+                name: options.symbol || 'TOKEN'
+            },
+            price: {
+                usd: candle.close,
+                change5m: prevClose > 0 ? ((candle.close - prevClose) / prevClose) * 100 : 0
+            },
+            volume: {
+                m5: candle.volume,
+                h24: dayWindow.reduce((sum, c) => sum + c.volume, 0)
+            },
+            liquidity: { usd: liquidityUsd },
+            txns: { buys24h: 0, sells24h: 0 },
+            candle,
+            timestamp: candle.timestamp,
+            avgVolume1h: avgVolume,
+            volumeRatio: avgVolume > 0 ? candle.volume / avgVolume : 0,
+            priceChange1h: hourAgo > 0 ? ((candle.close - hourAgo) / hourAgo) * 100 : 0
+        });
+    }
+
+    return snapshots;
+}
+
+/**
+ * Parse CSV with a header row
+ */
+function parseCsv(content) {
+    const lines = content.split(/\r?\n/).filter(l => l.trim());
+    if (lines.length < 2) return [];
+
+    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+
+    return lines.slice(1).map(line => {
+        const values = line.split(',');
+        const row = {};
+        headers.forEach((h, i) => { row[h] = values[i]?.trim(); });
+        return row;
+    });
+}
+
+/**
+ * Parse JSON lines
+ */
+function parseJsonLines(content) {
+    return content
+        .split(/\r?\n/)
+        .filter(l => l.trim())
+        .map(l => JSON.parse(l));
+}
+
+/**
+ * Normalize timestamps (ms, seconds or ISO string) to milliseconds
+ */
+function toMillis(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(value)) {
+        const num = Number(value);
+        // Values below 1e12 are unix seconds
+        return num < 1e12 ? num * 1000 : num;
+    }
+
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
+export default {
+    loadReplayFile,
+    recordsToSnapshots
+};
@@ -0,0 +1,70 @@
+/**
+ * DEX Trading Bot - Backtest CLI
+ *
+ * Usage:
+ *   npm run backtest -- <file> [--strategy=VOLUME_SPIKE] [--volumeMultiplier=3] [--minPriceChange=2]
+ *                             [--takeProfitMultiplier=5] [--stopLossPercent=5] [--maxHoldMinutes=30]
+ *                             [--balance=1000] [--size=100] [--seed=42]
+ *                             [--chain=bsc] [--symbol=TOKEN] [--liquidity=50000] [--json]
+ */
+
+import { loadReplayFile } from './dataLoader.js';
+import { runBacktest, displayBacktestReport } from './backtester.js';
+
+// CLI flags that map onto strategy parameters
+const PARAM_FLAGS = ['volumeMultiplier', 'minPriceChange', 'takeProfitMultiplier', 'stopLossPercent', 'maxHoldMinutes', 'maxRsi'];
+
+/**
+ * Parse --key=value flags
+ */
+function parseArgs(argv) {
+    const args = { files: [], flags: {} };
+
+    for (const arg of argv) {
+        if (arg.startsWith('--')) {
+            const [key, value] = arg.slice(2).split('=');
+            args.flags[key] = value === undefined ? true : value;
+        } else {
+            args.files.push(arg);
+        }
+    }
+
+    return args;
+}
+
+function main() {
+    const { files, flags } = parseArgs(process.argv.slice(2));
+
+    if (files.length === 0) {
+        console.error('Usage: npm run backtest -- <file.json|file.jsonl|file.csv> [--param=value ...]');
+        process.exit(1);
+    }
+
+    const params = {};
+    for (const key of PARAM_FLAGS) {
+        if (flags[key] !== undefined) params[key] = parseFloat(flags[key]);
+    }
+
+    const snapshots = files.flatMap(file => loadReplayFile(file, {
+        chain: flags.chain,
+        symbol: flags.symbol,
+        pairAddress: file,
+        liquidityUsd: flags.liquidity ? parseFloat(flags.liquidity) : undefined
+    })).sort((a, b) => a.timestamp - b.timestamp);
+
+    const report = runBacktest(snapshots, {
+        strategy: flags.strategy ? flags.strategy.toUpperCase() : undefined,
+        params,
+        startingBalance: flags.balance ? parseFloat(flags.balance) : undefined,
+        positionSizeUsd: flags.size ? parseFloat(flags.size) : undefined,
+        seed: flags.seed !== undefined ? parseInt(flags.seed, 10) : undefined
+    });
+
+    if (flags.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        displayBacktestReport(report);
+    }
+}
+
+main();
@@ -31,12 +31,52 @@ function validateEnv() {
     if (process.env.ENABLE_LIVE_TRADING !== 'true') {
       throw new Error('LIVE mode requires ENABLE_LIVE_TRADING=true');
     }
+    // Without it wallet keys are encrypted with the fallback key in the source (wallet/keyVault.js)
+    if (!process.env.WALLET_ENCRYPTION_KEY) {
+      throw new Error('LIVE mode requires WALLET_ENCRYPTION_KEY (user wallets would use the built-in fallback key)');
+    }
     // Note: Global private keys not required - bot uses per-user encrypted wallets from Supabase
   }
 
   return mode;
 }
 
+/**
+ * Parse take-profit tiers from "multiplier:sellPercent" pairs
+ * e.g. "2:30,5:30" = sell 30% at 2x, 30% at 5x
+ */
+function parseTakeProfitTiers(value) {
+  if (!value) return [];
+
+  return value
+    .split(',')
+    .map(pair => {
+      const [multiplier, sellPercent] = pair.split(':').map(v => parseFloat(v));
+      return { multiplier, sellPercent };
+    })
+    .filter(t => t.multiplier > 1 && t.sellPercent > 0 && t.sellPercent <= 100)
+    .sort((a, b) => a.multiplier - b.multiplier);
+}
+
+/**
+ * RPC endpoints for a chain, in order of preference: the env list
+ * (PREFIX_RPC_URL or PREFIX_RPC, comma-separated), then the chain's default
+ * and backups from chains.json unless RPC_USE_BACKUPS=false (e.g. a local fork)
+ */
+function parseRpcEndpoints(chainId, envPrefix) {
+  const fromEnv = (process.env[`${envPrefix}_RPC_URL`] || process.env[`${envPrefix}_RPC`] || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  const chain = chains[chainId];
+  if (fromEnv.length > 0 && process.env.RPC_USE_BACKUPS === 'false') {
+    return fromEnv;
+  }
+
+  return [...new Set([...fromEnv, chain.rpcDefault, ...(chain.rpcBackups || [])])];
+}
+
 /**
  * Build configuration object from environment
  */
@@ -57,22 +97,46 @@ function buildConfig() {
     // Chain configurations
     chains,
 
-    // RPC overrides from environment
+    // RPC endpoint pool per chain (see services/rpcManager.js)
     rpc: {
-      bsc: process.env.BSC_RPC || chains.bsc.rpcDefault,
-      base: process.env.BASE_RPC || chains.base.rpcDefault,
-      solana: process.env.SOLANA_RPC || chains.solana.rpcDefault
+      endpoints: {
+        bsc: parseRpcEndpoints('bsc', 'BSC'),
+        base: parseRpcEndpoints('base', 'BASE'),
+        solana: parseRpcEndpoints('solana', 'SOLANA'),
+        ethereum: parseRpcEndpoints('ethereum', 'ETH')
+      },
+      healthCheckSeconds: parseInt(process.env.RPC_HEALTH_CHECK_SECONDS || '30', 10),
+      timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS || '8000', 10),
+      // Endpoints this far behind the best one are skipped (EVM blocks, Solana slots)
+      maxBlockLag: parseInt(process.env.RPC_MAX_BLOCK_LAG || '5', 10),
+      maxSlotLag: parseInt(process.env.RPC_MAX_SLOT_LAG || '50', 10),
+      maxLatencyMs: parseInt(process.env.RPC_MAX_LATENCY_MS || '3000', 10),
+      // Share of recent requests failing before an endpoint is skipped
+      maxErrorRate: parseFloat(process.env.RPC_MAX_ERROR_RATE || '0.5')
     },
 
     // Strategy settings
     strategy: {
-      type: 'VOLUME_SPIKE',
-      volumeMultiplier: 3,        // Signal when volume > 3x average
-      minPriceChange: 2,          // Minimum 2% price increase
+      // Registry names of strategies to run, comma-separated (e.g. VOLUME_SPIKE)
+      enabled: (process.env.STRATEGIES || 'VOLUME_SPIKE')
+        .split(',')
+        .map(s => s.trim().toUpperCase())
+        .filter(Boolean),
       candleInterval: '5m',       // 5-minute candles
       lookbackPeriods: 12         // 1 hour of 5m candles for average
     },
 
+    // Per-strategy parameters, keyed by registry name
+    strategies: {
+      VOLUME_SPIKE: {
+        volumeMultiplier: 3,      // Signal when volume > 3x average
+        minPriceChange: 2,        // Minimum 2% price increase
+        // Indicator confirmations (off by default)
+        maxRsi: parseFloat(process.env.VOLUME_SPIKE_MAX_RSI || '0'),           // Skip when RSI is above this (0 = off)
+        requireAboveVwap: process.env.VOLUME_SPIKE_ABOVE_VWAP === 'true'      // Only enter above VWAP
+      }
+    },
+
     // Take profit settings
     takeProfit: {
       multiplier: process.env.PROFIT_MULTIPLIER
@@ -89,11 +153,93 @@ function buildConfig() {
       maxHoldMinutes: parseInt(process.env.MAX_HOLD_MINUTES || '30', 10)
     },
 
+    // Exit management (defaults keep the plain TP/SL/time exits)
+    exits: {
+      trailingMode: (process.env.TRAILING_STOP_MODE || 'off').toLowerCase(), // off | percent | atr
+      trailingPercent: parseFloat(process.env.TRAILING_STOP_PERCENT || '10'),
+      trailingActivatePercent: parseFloat(process.env.TRAILING_ACTIVATE_PERCENT || '0'),
+      atrMultiplier: parseFloat(process.env.TRAILING_ATR_MULTIPLIER || '2'),
+      atrPeriods: parseInt(process.env.TRAILING_ATR_PERIODS || '14', 10),
+      breakevenTriggerPercent: parseFloat(process.env.BREAKEVEN_TRIGGER_PERCENT || '0'), // 0 = off
+      takeProfitTiers: parseTakeProfitTiers(process.env.TP_TIERS)
+    },
+
+    // Price oracle: DexScreener cross-checked against on-chain reserves / Jupiter
+    oracle: {
+      crossCheck: process.env.PRICE_CROSS_CHECK !== 'false',
+      maxDivergencePercent: parseFloat(process.env.PRICE_MAX_DIVERGENCE || '5'),
+      maxAgeSeconds: parseInt(process.env.PRICE_MAX_AGE_SECONDS || '60', 10)
+    },
+
+    // On-chain contract scanner (EVM token privileges, proxy, LP lock, holders, taxes)
+    scanner: {
+      enabled: process.env.CONTRACT_SCAN !== 'false',
+      holderScanBlocks: parseInt(process.env.CONTRACT_SCAN_BLOCKS || '5000', 10),
+      // Buy/sell simulation via eth_call to measure taxes and catch honeypots
+      simulateSwaps: process.env.SWAP_SIMULATION !== 'false'
+    },
+
+    // Candle history (1m/5m/15m/1h), backfilled from GeckoTerminal OHLCV
+    candles: {
+      backfill: process.env.CANDLE_BACKFILL !== 'false'
+    },
+
+    // Paper trading ledger (per user, per chain)
+    paper: {
+      startingBalance: parseFloat(process.env.PAPER_STARTING_BALANCE || '1000')
+    },
+
+    // Withdrawal safeguards (see services/withdrawalService.js)
+    withdrawals: {
+      // Rolling 24h limit per user, all chains, in USD (0 = no limit)
+      dailyLimitUsd: parseFloat(process.env.WITHDRAWAL_DAILY_LIMIT_USD || '1000'),
+      // New allowlist addresses, and turning the allowlist off, take effect after this long
+      cooldownHours: parseFloat(process.env.WITHDRAWAL_COOLDOWN_HOURS || '24'),
+      // Unconfirmed withdrawals expire after this long
+      confirmSeconds: parseInt(process.env.WITHDRAWAL_CONFIRM_SECONDS || '120', 10)
+    },
+
+    // Wallet portfolio scans (see services/portfolioService.js)
+    portfolio: {
+      // Blocks of Transfer logs read per EVM wallet and chain, at most, on each scan
+      scanBlocks: parseInt(process.env.PORTFOLIO_SCAN_BLOCKS || '50000', 10),
+      // Holdings worth less are hidden unless the bot bought them
+      minValueUsd: parseFloat(process.env.PORTFOLIO_MIN_VALUE_USD || '1'),
+      // A user's portfolio is reused for this long unless refreshed
+      cacheSeconds: parseInt(process.env.PORTFOLIO_CACHE_SECONDS || '60', 10)
+    },
+
     // Execution settings
     execution: {
       maxRetries: parseInt(process.env.MAX_RETRIES || '3', 10),
       retryDelayMs: parseInt(process.env.RETRY_DELAY_MS || '2000', 10),
-      slippageTolerance: parseFloat(process.env.SLIPPAGE_TOLERANCE || '5')
+      // Default max slippage (users can set their own); per-trade slippage starts at minSlippage
+      slippageTolerance: parseFloat(process.env.SLIPPAGE_TOLERANCE || '5'),
+      minSlippage: parseFloat(process.env.MIN_SLIPPAGE || '0.5'),
+      // Orders quoted above this price impact (%) are split into TWAP slices
+      maxPriceImpact: parseFloat(process.env.MAX_PRICE_IMPACT || '3'),
+      twapMaxSlices: parseInt(process.env.TWAP_MAX_SLICES || '5', 10),
+      twapIntervalSeconds: parseInt(process.env.TWAP_INTERVAL_SECONDS || '20', 10),
+      // EVM transactions pending this long are sped up, then cancelled, by replacement
+      txStuckSeconds: parseInt(process.env.TX_STUCK_SECONDS || '45', 10),
+      txMaxSpeedUps: parseInt(process.env.TX_MAX_SPEEDUPS || '2', 10),
+      txFeeBumpPercent: parseInt(process.env.TX_FEE_BUMP_PERCENT || '25', 10)
+    },
+
+    // Private (MEV-protected) submission; unset relays use the public RPC
+    mev: {
+      // Relay per EVM chain and how to talk to it: raw | private | bundle
+      relays: {
+        bsc: process.env.BSC_PRIVATE_RPC || '',
+        base: process.env.BASE_PRIVATE_RPC || '',
+        ethereum: process.env.ETH_PRIVATE_RPC || ''
+      },
+      relayFormat: process.env.PRIVATE_RELAY_FORMAT || 'private',
+      // Resubmit through the public RPC if not included by then
+      relayTimeoutSeconds: parseInt(process.env.PRIVATE_RELAY_TIMEOUT_SECONDS || '60', 10),
+      // Jito block engine for Solana bundles, e.g. https://mainnet.block-engine.jito.wtf
+      jitoUrl: process.env.JITO_BLOCK_ENGINE_URL || '',
+      jitoTipLamports: parseInt(process.env.JITO_TIP_LAMPORTS || '10000', 10)
     },
 
     // Live trading flag (extra safety)
@@ -137,7 +283,9 @@ export function displayConfig() {
     mode: config.mode,
     enabledChains: config.enabledChains,
     strategy: config.strategy,
+    strategies: config.strategies,
     risk: config.risk,
+    exits: config.exits,
     profitMultiplier: config.takeProfit.multiplier,
     liveTrading: config.enableLiveTrading
   };
@@ -0,0 +1,361 @@
+/**
+ * DEX Trading Bot - Candle Store
+ *
+ * OHLCV candle history per pair in several timeframes (1m/5m/15m/1h):
+ *   - Built live from the price engine's polls
+ *   - Backfilled from GeckoTerminal's OHLCV API the first time a pair is
+ *     seen after startup, so averages are meaningful right after a deploy
+ *   - Persisted to data/candles.json and reloaded on startup
+ *
+ * Candles: { periodStart, timestamp, open, high, low, close, volume } (volume in USD)
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { logInfo, logWarn, logError, logDebug } from '../logging/logger.js';
+import config, { getChainConfig } from '../config/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const dataDir = join(__dirname, '../../data');
+const candleFile = join(dataDir, 'candles.json');
+
+// GeckoTerminal OHLCV API (free, ~30 requests/minute)
+const OHLCV_API = 'https://api.geckoterminal.com/api/v2/networks';
+const OHLCV_REQUEST_INTERVAL = 2100;
+
+// Supported timeframes: candle length, history kept and GeckoTerminal query
+export const TIMEFRAMES = {
+    '1m': { ms: 60 * 1000, maxCandles: 180, ohlcv: { period: 'minute', aggregate: 1 } },
+    '5m': { ms: 5 * 60 * 1000, maxCandles: 288, ohlcv: { period: 'minute', aggregate: 5 } },
+    '15m': { ms: 15 * 60 * 1000, maxCandles: 192, ohlcv: { period: 'minute', aggregate: 15 } },
+    '1h': { ms: 60 * 60 * 1000, maxCandles: 168, ohlcv: { period: 'hour', aggregate: 1 } }
+};
+
+// Pairs not updated for this long are dropped when saving
+const STALE_PAIR_MS = 24 * 60 * 60 * 1000;
+
+// Save at most once a minute from the poll path
+const SAVE_INTERVAL = 60 * 1000;
+
+// Candle series: { chainId:pairAddress -> { chainId, pairAddress, updatedAt, revision, candles: { timeframe: [candles] } } }
+// revision changes whenever past candles are rewritten (backfill, load)
+const series = new Map();
+
+// Pairs backfilled (or queued) since startup
+const backfilled = new Set();
+
+// Backfill queue, drained one request at a time for the rate limit
+const backfillQueue = [];
+let drainingQueue = false;
+
+let lastSavedAt = Date.now();
+
+/**
+ * Get (or create) the candle series of a pair
+ */
+function getSeries(chainId, pairAddress) {
+    const key = `${chainId}:${pairAddress}`;
+
+    if (!series.has(key)) {
+        series.set(key, {
+            chainId,
+            pairAddress,
+            updatedAt: Date.now(),
+            revision: 0,
+            candles: Object.fromEntries(Object.keys(TIMEFRAMES).map(tf => [tf, []]))
+        });
+    }
+
+    return series.get(key);
+}
+
+/**
+ * Live volume for a candle of the given timeframe
+ * DexScreener only reports rolling windows, so use the window closest to
+ * the timeframe, scaled to its length; backfilled candles carry real volume
+ */
+function liveVolume(timeframe, volume = {}) {
+    switch (timeframe) {
+        case '1m': return (volume.m5 || 0) / 5;
+        case '5m': return volume.m5 || 0;
+        case '15m': return (volume.h1 || 0) / 4;
+        case '1h': return volume.h1 || 0;
+        default: return 0;
+    }
+}
+
+/**
+ * Record a polled price into every timeframe of a pair
+ * @param {string} chainId - Chain ID
+ * @param {string} pairAddress - Pair address
+ * @param {Object} priceData - Parsed pair data ({ price: { usd }, volume: { m5, h1 } })
+ */
+export function recordTick(chainId, pairAddress, priceData) {
+    const price = priceData.price.usd;
+    const now = Date.now();
+    const pair = getSeries(chainId, pairAddress);
+
+    for (const [timeframe, { ms, maxCandles }] of Object.entries(TIMEFRAMES)) {
+        const candles = pair.candles[timeframe];
+        const periodStart = Math.floor(now / ms) * ms;
+        const lastCandle = candles[candles.length - 1];
+        const volume = liveVolume(timeframe, priceData.volume);
+
+        if (lastCandle && lastCandle.periodStart === periodStart) {
+            lastCandle.high = Math.max(lastCandle.high, price);
+            lastCandle.low = Math.min(lastCandle.low, price);
+            lastCandle.close = price;
+            lastCandle.volume = volume;
+            lastCandle.timestamp = now;
+        } else {
+            candles.push({
+                periodStart,
+                timestamp: now,
+                open: price,
+                high: price,
+                low: price,
+                close: price,
+                volume
+            });
+
+            if (candles.length > maxCandles) {
+                candles.shift();
+            }
+        }
+    }
+
+    pair.updatedAt = now;
+
+    if (!backfilled.has(`${chainId}:${pairAddress}`)) {
+        queueBackfill(chainId, pairAddress);
+    }
+
+    if (now - lastSavedAt > SAVE_INTERVAL) {
+        saveCandles();
+    }
+}
+
+/**
+ * Get the last N candles of a pair, oldest first
+ * @param {string} chainId - Chain ID
+ * @param {string} pairAddress - Pair address
+ * @param {string} timeframe - 1m | 5m | 15m | 1h
+ * @param {number} count - Number of candles
+ * @returns {Array<Object>} Candles
+ */
+export function getCandles(chainId, pairAddress, timeframe = '5m', count = 12) {
+    if (!TIMEFRAMES[timeframe]) {
+        throw new Error(`Unknown candle timeframe: ${timeframe}`);
+    }
+
+    const pair = series.get(`${chainId}:${pairAddress}`);
+    return pair ? pair.candles[timeframe].slice(-count) : [];
+}
+
+/**
+ * Get the history revision of a pair's candles
+ * @returns {number|null} Revision, or null if the pair has no candles
+ */
+export function getCandleRevision(chainId, pairAddress) {
+    return series.get(`${chainId}:${pairAddress}`)?.revision ?? null;
+}
+
+/**
+ * Fetch OHLCV candles for a pair from GeckoTerminal
+ * @returns {Promise<Array<Object>>} Candles, oldest first
+ */
+async function fetchOhlcv(chainId, pairAddress, timeframe) {
+    const network = getChainConfig(chainId)?.geckoTerminalId;
+    if (!network) return [];
+
+    const { period, aggregate } = TIMEFRAMES[timeframe].ohlcv;
+    const url = `${OHLCV_API}/${network}/pools/${pairAddress}/ohlcv/${period}` +
+        `?aggregate=${aggregate}&limit=${TIMEFRAMES[timeframe].maxCandles}&currency=usd`;
+
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+        throw new Error(`OHLCV request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const list = data.data?.attributes?.ohlcv_list || [];
+
+    // [timestamp (s), open, high, low, close, volume], newest first
+    return list
+        .map(([time, open, high, low, close, volume]) => ({
+            periodStart: time * 1000,
+            timestamp: time * 1000,
+            open: parseFloat(open),
+            high: parseFloat(high),
+            low: parseFloat(low),
+            close: parseFloat(close),
+            volume: parseFloat(volume) || 0
+        }))
+        .filter(c => c.close > 0)
+        .sort((a, b) => a.periodStart - b.periodStart);
+}
+
+/**
+ * Merge backfilled candles into a series
+ * Fetched candles replace stored ones, except the candle in progress,
+ * which keeps the live close and widens to the fetched range
+ */
+function mergeCandles(stored, fetched, timeframe) {
+    const { ms, maxCandles } = TIMEFRAMES[timeframe];
+    const currentPeriod = Math.floor(Date.now() / ms) * ms;
+    const byPeriod = new Map(stored.map(c => [c.periodStart, c]));
+
+    for (const candle of fetched) {
+        const existing = byPeriod.get(candle.periodStart);
+
+        if (existing && candle.periodStart === currentPeriod) {
+            existing.open = candle.open;
+            existing.high = Math.max(existing.high, candle.high);
+            existing.low = Math.min(existing.low, candle.low);
+            existing.volume = Math.max(existing.volume, candle.volume);
+        } else {
+            byPeriod.set(candle.periodStart, candle);
+        }
+    }
+
+    return [...byPeriod.values()]
+        .sort((a, b) => a.periodStart - b.periodStart)
+        .slice(-maxCandles);
+}
+
+/**
+ * Backfill every timeframe of a pair
+ * @returns {Promise<number>} Candles fetched
+ */
+export async function backfillCandles(chainId, pairAddress) {
+    const pair = getSeries(chainId, pairAddress);
+    let fetchedTotal = 0;
+
+    for (const timeframe of Object.keys(TIMEFRAMES)) {
+        try {
+            const fetched = await fetchOhlcv(chainId, pairAddress, timeframe);
+            pair.candles[timeframe] = mergeCandles(pair.candles[timeframe], fetched, timeframe);
+            pair.revision++;
+            fetchedTotal += fetched.length;
+        } catch (err) {
+            logDebug(`Candle backfill failed for ${pairAddress} (${timeframe}): ${err.message}`);
+        }
+
+        await sleep(OHLCV_REQUEST_INTERVAL);
+    }
+
+    if (fetchedTotal > 0) {
+        logDebug(`Backfilled ${fetchedTotal} candles for ${chainId}:${pairAddress}`);
+    }
+
+    return fetchedTotal;
+}
+
+/**
+ * Queue a pair for backfill (once per startup)
+ */
+export function queueBackfill(chainId, pairAddress) {
+    const key = `${chainId}:${pairAddress}`;
+    if (!config.candles.backfill || backfilled.has(key)) return;
+
+    backfilled.add(key);
+    backfillQueue.push({ chainId, pairAddress });
+    drainBackfillQueue();
+}
+
+/**
+ * Work through the backfill queue in the background
+ */
+async function drainBackfillQueue() {
+    if (drainingQueue) return;
+    drainingQueue = true;
+
+    try {
+        while (backfillQueue.length > 0) {
+            const { chainId, pairAddress } = backfillQueue.shift();
+            await backfillCandles(chainId, pairAddress);
+        }
+    } catch (err) {
+        logError('Candle backfill queue failed', err);
+    } finally {
+        drainingQueue = false;
+    }
+}
+
+/**
+ * Load persisted candles from disk
+ * @returns {number} Pairs loaded
+ */
+export function loadCandles() {
+    try {
+        if (!existsSync(candleFile)) return 0;
+
+        const saved = JSON.parse(readFileSync(candleFile, 'utf-8'));
+        const cutoff = Date.now() - STALE_PAIR_MS;
+        let loaded = 0;
+
+        for (const pair of saved.pairs || []) {
+            if (pair.updatedAt < cutoff) continue;
+
+            const stored = getSeries(pair.chainId, pair.pairAddress);
+            stored.updatedAt = pair.updatedAt;
+            stored.revision++;
+
+            for (const timeframe of Object.keys(TIMEFRAMES)) {
+                stored.candles[timeframe] = (pair.candles?.[timeframe] || [])
+                    .slice(-TIMEFRAMES[timeframe].maxCandles);
+            }
+            loaded++;
+        }
+
+        logInfo(`Loaded candles for ${loaded} pair(s) from disk`);
+        return loaded;
+    } catch (err) {
+        logError('Failed to load candles', err);
+        return 0;
+    }
+}
+
+/**
+ * Save candles to disk, dropping pairs that are no longer polled
+ */
+export function saveCandles() {
+    lastSavedAt = Date.now();
+    const cutoff = lastSavedAt - STALE_PAIR_MS;
+
+    for (const [key, pair] of series) {
+        if (pair.updatedAt < cutoff) {
+            series.delete(key);
+        }
+    }
+
+    try {
+        mkdirSync(dataDir, { recursive: true });
+        writeFileSync(candleFile, JSON.stringify({
+            savedAt: new Date(lastSavedAt).toISOString(),
+            pairs: [...series.values()]
+        }));
+    } catch (err) {
+        logWarn(`Failed to save candles: ${err.message}`);
+    }
+}
+
+/**
+ * Sleep helper
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+    TIMEFRAMES,
+    recordTick,
+    getCandles,
+    getCandleRevision,
+    backfillCandles,
+    queueBackfill,
+    loadCandles,
+    saveCandles
+};
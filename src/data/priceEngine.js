@@ -2,114 +2,153 @@
  * DEX Trading Bot - Price Engine
  * 
  * Fetches and caches price data from DexScreener
- * Builds candles for strategy analysis
+ * Cross-checks it against on-chain reserves / Jupiter (see priceSources)
+ * and fails over to them when DexScreener is down
+ * Feeds the candle store (see candleStore) for strategy analysis
+ *
+ * Snapshot prices carry oracle fields:
+ *   price.source            DEXSCREENER | ONCHAIN | JUPITER
+ *   price.ageMs             Time since the price was observed
+ *   price.stale             Older than config.oracle.maxAgeSeconds
+ *   price.divergencePercent Largest gap between sources
+ *   price.disputed          Divergence above config.oracle.maxDivergencePercent
  */
 
-import { getPairByAddress, parsePairData, searchTokens, getTopPairsByChain, getNewPairs, getBoostedTokens, getTopGainers } from './dexscreener.js';
-import { logInfo, logError, logDebug } from '../logging/logger.js';
-import config from '../config/index.js';
+import { getPairByAddress, getTokenPairs, parsePairData, searchTokens, getTopPairsByChain, getNewPairs, getBoostedTokens, getTopGainers } from './dexscreener.js';
+import { fetchSecondaryPrices } from './priceSources.js';
+import { recordTick, getCandles as getStoredCandles } from './candleStore.js';
+import { getIndicators } from '../strategy/indicators.js';
+import { logInfo, logWarn, logError, logDebug } from '../logging/logger.js';
+import config, { getChainConfig } from '../config/index.js';
 
-// Price cache: { chainId: { pairAddress: { data, timestamp } } }
+// Price cache: { chainId:pairAddress -> { data, timestamp, oracle } }
 const priceCache = new Map();
 const CACHE_TTL = 10000; // 10 seconds
 
-// Candle storage: { chainId: { pairAddress: [candles] } }
-const candleStorage = new Map();
-const MAX_CANDLES = 100; // Keep last 100 candles per pair
+// Native token USD price cache: { chainId: { price, timestamp } }
+const nativePriceCache = new Map();
+const NATIVE_PRICE_TTL = 60000; // 1 minute
 
 /**
  * Get cached price or fetch new
+ * DexScreener supplies pair data; secondary sources cross-check its price,
+ * or replace it (on top of the last known pair data) when it fails
  */
 export async function getPrice(chainId, pairAddress) {
     const cacheKey = `${chainId}:${pairAddress}`;
     const cached = priceCache.get(cacheKey);
 
     if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-        return cached.data;
+        return withOracleFields(cached);
     }
 
+    let primary = null;
     try {
-        const pair = await getPairByAddress(chainId, pairAddress);
-        const parsed = parsePairData(pair);
+        primary = parsePairData(await getPairByAddress(chainId, pairAddress));
+    } catch (err) {
+        logError(`Failed to fetch price for ${pairAddress}`, err);
+    }
 
-        if (parsed) {
-            priceCache.set(cacheKey, {
-                data: parsed,
-                timestamp: Date.now()
-            });
+    // Secondary sources need token addresses, from fresh or last known pair data
+    const pairData = primary || cached?.data;
+    if (!pairData) return null;
 
-            // Update candles
-            updateCandle(chainId, pairAddress, parsed);
-        }
+    const secondary = config.oracle.crossCheck
+        ? await fetchSecondaryPrices(chainId, pairAddress, {
+            baseToken: pairData.baseToken,
+            quoteToken: pairData.quoteToken,
+            nativePriceUsd: await getNativePriceUsd(chainId)
+        })
+        : [];
 
-        return parsed;
-    } catch (err) {
-        logError(`Failed to fetch price for ${pairAddress}`, err);
-        return cached?.data || null; // Return stale data if available
+    const entry = resolvePrice(pairData, primary, secondary);
+
+    if (!entry) {
+        // Every source failed: serve the last price, its age marks it stale
+        logWarn(`All price sources failed for ${pairAddress}, serving cached price`);
+        return withOracleFields(cached);
     }
+
+    if (entry.oracle.disputed) {
+        logWarn(`Price sources disagree on ${pairData.baseToken?.symbol}: ${entry.oracle.divergencePercent.toFixed(2)}% apart`);
+    }
+
+    priceCache.set(cacheKey, entry);
+    recordTick(chainId, pairAddress, entry.data);
+
+    return withOracleFields(entry);
 }
 
 /**
- * Update candle with new price data
+ * Pick the price to use and cross-check it
+ * DexScreener wins when available, otherwise the first secondary source (failover)
+ * @returns {Object|null} Cache entry, or null if no source returned a price
  */
-function updateCandle(chainId, pairAddress, priceData) {
-    const key = `${chainId}:${pairAddress}`;
+function resolvePrice(pairData, primary, secondary) {
+    const quotes = [
+        ...(primary ? [{ source: 'DEXSCREENER', usd: primary.price.usd, timestamp: Date.now() }] : []),
+        ...secondary
+    ].filter(q => q.usd > 0);
 
-    if (!candleStorage.has(key)) {
-        candleStorage.set(key, []);
-    }
+    if (quotes.length === 0) return null;
 
-    const candles = candleStorage.get(key);
-    const now = Date.now();
-    const candleInterval = 5 * 60 * 1000; // 5 minutes
-
-    // Find current candle period
-    const periodStart = Math.floor(now / candleInterval) * candleInterval;
-
-    const lastCandle = candles[candles.length - 1];
-
-    if (lastCandle && lastCandle.periodStart === periodStart) {
-        // Update existing candle
-        lastCandle.high = Math.max(lastCandle.high, priceData.price.usd);
-        lastCandle.low = Math.min(lastCandle.low, priceData.price.usd);
-        lastCandle.close = priceData.price.usd;
-        lastCandle.volume = priceData.volume.m5;
-        lastCandle.timestamp = now;
-    } else {
-        // Create new candle
-        const newCandle = {
-            periodStart,
-            timestamp: now,
-            open: priceData.price.usd,
-            high: priceData.price.usd,
-            low: priceData.price.usd,
-            close: priceData.price.usd,
-            volume: priceData.volume.m5
-        };
+    const chosen = quotes[0];
+    const prices = quotes.map(q => q.usd);
+    const divergencePercent = quotes.length > 1
+        ? ((Math.max(...prices) - Math.min(...prices)) / Math.min(...prices)) * 100
+        : 0;
 
-        candles.push(newCandle);
+    return {
+        data: {
+            ...pairData,
+            price: { ...pairData.price, usd: chosen.usd }
+        },
+        timestamp: Date.now(),
+        oracle: {
+            source: chosen.source,
+            observedAt: chosen.timestamp,
+            sources: quotes.map(q => ({ source: q.source, usd: q.usd })),
+            divergencePercent,
+            disputed: divergencePercent > config.oracle.maxDivergencePercent
+        }
+    };
+}
+
+/**
+ * Attach source, age and staleness to a cached price
+ */
+function withOracleFields(entry) {
+    if (!entry) return null;
+
+    const ageMs = Date.now() - entry.oracle.observedAt;
 
-        // Trim old candles
-        if (candles.length > MAX_CANDLES) {
-            candles.shift();
+    return {
+        ...entry.data,
+        price: {
+            ...entry.data.price,
+            source: entry.oracle.source,
+            sources: entry.oracle.sources,
+            ageMs,
+            stale: ageMs > config.oracle.maxAgeSeconds * 1000,
+            divergencePercent: entry.oracle.divergencePercent,
+            disputed: entry.oracle.disputed
         }
-    }
+    };
 }
 
 /**
  * Get candles for a pair
+ * @param {string} timeframe - 1m | 5m | 15m | 1h (default: strategy candle interval)
  */
-export function getCandles(chainId, pairAddress, count = 12) {
-    const key = `${chainId}:${pairAddress}`;
-    const candles = candleStorage.get(key) || [];
-    return candles.slice(-count);
+export function getCandles(chainId, pairAddress, timeframe = config.strategy.candleInterval, count = 12) {
+    return getStoredCandles(chainId, pairAddress, timeframe, count);
 }
 
 /**
  * Calculate average volume over N candles
  */
-export function getAverageVolume(chainId, pairAddress, periods = 12) {
-    const candles = getCandles(chainId, pairAddress, periods);
+export function getAverageVolume(chainId, pairAddress, periods = 12, timeframe = config.strategy.candleInterval) {
+    const candles = getCandles(chainId, pairAddress, timeframe, periods);
 
     if (candles.length === 0) return 0;
 
@@ -120,8 +159,8 @@ export function getAverageVolume(chainId, pairAddress, periods = 12) {
 /**
  * Get price change percentage
  */
-export function getPriceChange(chainId, pairAddress, periods = 1) {
-    const candles = getCandles(chainId, pairAddress, periods + 1);
+export function getPriceChange(chainId, pairAddress, periods = 1, timeframe = config.strategy.candleInterval) {
+    const candles = getCandles(chainId, pairAddress, timeframe, periods + 1);
 
     if (candles.length < 2) return 0;
 
@@ -202,6 +241,70 @@ export async function findTradablePairs(chainId, query = '') {
     }
 }
 
+/**
+ * Deepest DexScreener pair trading a token (as the base token)
+ */
+async function getDeepestPair(chainId, tokenAddress) {
+    const pairs = await getTokenPairs(chainId, tokenAddress);
+    return pairs
+        .filter(p => p.baseToken?.address?.toLowerCase() === tokenAddress.toLowerCase())
+        .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0] || null;
+}
+
+/**
+ * Get a token's market from its deepest DexScreener pair
+ * @param {string} chainId - bsc | base | solana
+ * @param {string} tokenAddress - Token contract / mint
+ * @returns {Promise<Object|null>} { priceUsd, pairAddress, symbol, liquidityUsd }, null if it has no pair
+ */
+export async function getTokenMarket(chainId, tokenAddress) {
+    try {
+        const deepest = await getDeepestPair(chainId, tokenAddress);
+        const priceUsd = parseFloat(deepest?.priceUsd) || 0;
+        if (priceUsd <= 0) return null;
+
+        return {
+            priceUsd,
+            pairAddress: deepest.pairAddress,
+            symbol: deepest.baseToken.symbol,
+            liquidityUsd: deepest.liquidity?.usd || 0
+        };
+    } catch (err) {
+        logError(`Failed to fetch market for ${tokenAddress} on ${chainId}`, err);
+        return null;
+    }
+}
+
+/**
+ * Get the USD price of a chain's native token (BNB/ETH/SOL)
+ * Uses the deepest DexScreener pair for the wrapped native token
+ * @returns {Promise<number|null>} Price in USD, or null if unavailable
+ */
+export async function getNativePriceUsd(chainId) {
+    const cached = nativePriceCache.get(chainId);
+
+    if (cached && Date.now() - cached.timestamp < NATIVE_PRICE_TTL) {
+        return cached.price;
+    }
+
+    const wrapped = getChainConfig(chainId)?.nativeToken?.wrapped;
+    if (!wrapped) return null;
+
+    try {
+        const deepest = await getDeepestPair(chainId, wrapped);
+        const price = parseFloat(deepest?.priceUsd) || 0;
+        if (price <= 0) {
+            return cached?.price || null;
+        }
+
+        nativePriceCache.set(chainId, { price, timestamp: Date.now() });
+        return price;
+    } catch (err) {
+        logError(`Failed to fetch native price for ${chainId}`, err);
+        return cached?.price || null; // Return stale price if available
+    }
+}
+
 /**
  * Get market snapshot for a pair
  */
@@ -210,7 +313,7 @@ export async function getMarketSnapshot(chainId, pairAddress) {
 
     if (!price) return null;
 
-    const candles = getCandles(chainId, pairAddress, 12);
+    const candles = getCandles(chainId, pairAddress, config.strategy.candleInterval, 12);
     const avgVolume = getAverageVolume(chainId, pairAddress, 12);
 
     return {
@@ -218,7 +321,8 @@ export async function getMarketSnapshot(chainId, pairAddress) {
         candles,
         avgVolume1h: avgVolume,
         volumeRatio: avgVolume > 0 ? price.volume.m5 / avgVolume : 0,
-        priceChange1h: getPriceChange(chainId, pairAddress, 12)
+        priceChange1h: getPriceChange(chainId, pairAddress, 12),
+        indicators: getIndicators(chainId, pairAddress, config.strategy.candleInterval)
     };
 }
 
@@ -228,5 +332,7 @@ export default {
     getAverageVolume,
     getPriceChange,
     findTradablePairs,
+    getNativePriceUsd,
+    getTokenMarket,
     getMarketSnapshot
 };
@@ -0,0 +1,200 @@
+/**
+ * DEX Trading Bot - Price Sources
+ *
+ * Independent price sources used by the price engine to cross-check
+ * DexScreener and to fail over when it is down:
+ *   - ONCHAIN: UniswapV2-style getReserves() on pairs from the factory in chains.json
+ *   - JUPITER: Jupiter price API for Solana mints
+ *
+ * Each source implements:
+ *   - supports(chainId) -> boolean
+ *   - fetchPrice(chainId, pairAddress, context) -> { usd, timestamp } | null
+ * where context = { baseToken, quoteToken, nativePriceUsd } from the last known pair data.
+ */
+
+import { ethers } from 'ethers';
+import { logDebug } from '../logging/logger.js';
+import { getChainConfig } from '../config/index.js';
+import { getProvider } from '../services/rpcManager.js';
+
+// Jupiter price API (SOL-denominated tokens priced in USD)
+const JUPITER_PRICE_API = 'https://api.jup.ag/price/v2';
+
+// Quote tokens treated as $1 when pricing from reserves
+const USD_STABLES = ['USDT', 'USDC', 'BUSD', 'DAI', 'FDUSD', 'USDBC', 'USD1'];
+
+const PAIR_ABI = [
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function factory() view returns (address)',
+    'function stable() view returns (bool)'
+];
+
+const ERC20_ABI = ['function decimals() view returns (uint8)'];
+
+// Pair metadata never changes, cache it: { chainId:pair -> { token0, token1, decimals0, decimals1, supported } }
+const pairMetaCache = new Map();
+
+/**
+ * Load (once) what a pair is made of and whether reserves price it
+ * Pairs from other DEXes or stable-curve pools are unsupported
+ */
+async function getPairMeta(chainId, pairAddress) {
+    const key = `${chainId}:${pairAddress.toLowerCase()}`;
+    if (pairMetaCache.has(key)) {
+        return pairMetaCache.get(key);
+    }
+
+    const provider = getProvider(chainId);
+    const pair = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+    const factory = getChainConfig(chainId).dex.factory;
+
+    let meta = { supported: false };
+
+    try {
+        const [token0, token1, pairFactory] = await Promise.all([
+            pair.token0(),
+            pair.token1(),
+            pair.factory()
+        ]);
+
+        // Aerodrome stable pools use a curve, reserves don't give the price
+        const stable = await pair.stable().catch(() => false);
+
+        if (pairFactory.toLowerCase() === factory.toLowerCase() && !stable) {
+            const [decimals0, decimals1] = await Promise.all([
+                new ethers.Contract(token0, ERC20_ABI, provider).decimals(),
+                new ethers.Contract(token1, ERC20_ABI, provider).decimals()
+            ]);
+
+            meta = { supported: true, token0, token1, decimals0, decimals1 };
+        }
+    } catch (err) {
+        logDebug(`No reserve pricing for ${pairAddress}: ${err.message}`);
+
+        // Reverts mean it's not a V2-style pair; anything else (RPC down) is retried next time
+        if (err.code !== 'CALL_EXCEPTION') {
+            return meta;
+        }
+    }
+
+    pairMetaCache.set(key, meta);
+    return meta;
+}
+
+/**
+ * USD value of the quote token, if it is the wrapped native token or a stable
+ */
+function getQuoteUsd(chainId, quoteToken, nativePriceUsd) {
+    const wrapped = getChainConfig(chainId)?.nativeToken?.wrapped;
+
+    if (wrapped && quoteToken.address?.toLowerCase() === wrapped.toLowerCase()) {
+        return nativePriceUsd || null;
+    }
+
+    if (USD_STABLES.includes(quoteToken.symbol?.toUpperCase())) {
+        return 1;
+    }
+
+    return null;
+}
+
+/**
+ * On-chain reserves of UniswapV2-style pairs (EVM chains with a factory)
+ */
+export const onChainReserveSource = {
+    name: 'ONCHAIN',
+
+    supports(chainId) {
+        return Boolean(getChainConfig(chainId)?.dex?.factory);
+    },
+
+    async fetchPrice(chainId, pairAddress, { baseToken, quoteToken, nativePriceUsd }) {
+        if (!baseToken?.address || !quoteToken?.address) return null;
+
+        const quoteUsd = getQuoteUsd(chainId, quoteToken, nativePriceUsd);
+        if (!quoteUsd) return null;
+
+        const meta = await getPairMeta(chainId, pairAddress);
+        if (!meta.supported) return null;
+
+        const pair = new ethers.Contract(pairAddress, PAIR_ABI, getProvider(chainId));
+        const [reserve0, reserve1] = await pair.getReserves();
+
+        const amount0 = parseFloat(ethers.formatUnits(reserve0, meta.decimals0));
+        const amount1 = parseFloat(ethers.formatUnits(reserve1, meta.decimals1));
+        if (amount0 <= 0 || amount1 <= 0) return null;
+
+        const baseIsToken0 = meta.token0.toLowerCase() === baseToken.address.toLowerCase();
+        const priceInQuote = baseIsToken0 ? amount1 / amount0 : amount0 / amount1;
+
+        return { usd: priceInQuote * quoteUsd, timestamp: Date.now() };
+    }
+};
+
+/**
+ * Jupiter price API (Solana)
+ */
+export const jupiterPriceSource = {
+    name: 'JUPITER',
+
+    supports(chainId) {
+        return chainId === 'solana';
+    },
+
+    async fetchPrice(chainId, pairAddress, { baseToken }) {
+        if (!baseToken?.address) return null;
+
+        const response = await fetch(`${JUPITER_PRICE_API}?ids=${baseToken.address}`);
+        if (!response.ok) {
+            throw new Error(`Jupiter price failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const usd = parseFloat(data.data?.[baseToken.address]?.price);
+
+        return usd > 0 ? { usd, timestamp: Date.now() } : null;
+    }
+};
+
+// Secondary sources, in failover order
+const SECONDARY_SOURCES = [onChainReserveSource, jupiterPriceSource];
+
+/**
+ * Get secondary sources that can price a chain
+ */
+export function getSecondarySources(chainId) {
+    return SECONDARY_SOURCES.filter(source => source.supports(chainId));
+}
+
+/**
+ * Fetch every secondary price for a pair; failing sources are skipped
+ * @returns {Promise<Array<Object>>} [{ source, usd, timestamp }]
+ */
+export async function fetchSecondaryPrices(chainId, pairAddress, context) {
+    const sources = getSecondarySources(chainId);
+    const results = await Promise.allSettled(
+        sources.map(async source => {
+            const price = await source.fetchPrice(chainId, pairAddress, context);
+            return price ? { source: source.name, ...price } : null;
+        })
+    );
+
+    return results
+        .map((result, i) => {
+            if (result.status === 'rejected') {
+                logDebug(`Price source ${sources[i].name} failed: ${result.reason?.message}`);
+                return null;
+            }
+            return result.value;
+        })
+        .filter(Boolean);
+}
+
+export default {
+    onChainReserveSource,
+    jupiterPriceSource,
+    getSecondarySources,
+    fetchSecondaryPrices
+};
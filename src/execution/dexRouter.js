@@ -0,0 +1,290 @@
+/**
+ * DEX Trading Bot - DEX Router
+ *
+ * Builds quotes and swap transactions for the pool a token trades in:
+ *   - V2 (PancakeSwap, Uniswap V2): getAmountsOut + swapExact*ForTokens paths
+ *   - V3 (PancakeSwap, Uniswap V3): QuoterV2 + exactInputSingle with the pool's fee tier
+ *   - Aerodrome/Velodrome: getAmountsOut + swaps over routes with the stable flag
+ *   - Fee-on-transfer tokens: the SupportingFeeOnTransferTokens variants (V2/Aerodrome)
+ *
+ * The pool type comes from the pair itself: its factory() is matched against
+ * the chain's configured DEXes (chains.json "dexes"), so a DexScreener pair
+ * of any configured DEX routes through the right router. Pairs on other DEXes,
+ * or V3 pools not paired with the wrapped native token, fall back to the
+ * chain's default DEX.
+ */
+
+import { ethers } from 'ethers';
+import { logDebug, logWarn } from '../logging/logger.js';
+import { getChainConfig } from '../config/index.js';
+import { getTokenPairs } from '../data/dexscreener.js';
+
+// Pool reads used to detect the pool type
+const POOL_ABI = [
+    'function factory() view returns (address)',
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function fee() view returns (uint24)',
+    'function stable() view returns (bool)'
+];
+
+// UniswapV2-style routers (PancakeSwap, Uniswap V2)
+const V2_ROUTER = new ethers.Interface([
+    'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+    'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable returns (uint256[] amounts)',
+    'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+    'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+    'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+]);
+
+// Aerodrome/Velodrome router (routes instead of paths)
+const AERODROME_ROUTER = new ethers.Interface([
+    'function getAmountsOut(uint256 amountIn, (address from, address to, bool stable, address factory)[] routes) view returns (uint256[] amounts)',
+    'function swapExactETHForTokens(uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) payable returns (uint256[] amounts)',
+    'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) returns (uint256[] amounts)',
+    'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) payable',
+    'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline)'
+]);
+
+// Uniswap SwapRouter02 / PancakeSwap SmartRouter (no deadline in the params, set on multicall)
+const V3_ROUTER = new ethers.Interface([
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)',
+    'function unwrapWETH9(uint256 amountMinimum, address recipient) payable',
+    'function multicall(uint256 deadline, bytes[] data) payable returns (bytes[] results)'
+]);
+
+const V3_QUOTER_ABI = [
+    'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)'
+];
+
+// Resolved routes: { chainId:pairAddress -> route } (a pool's DEX and type never change)
+const routeCache = new Map();
+
+/**
+ * Find the configured DEX that deployed a pool
+ */
+function findDex(chainConfig, factory) {
+    return (chainConfig.dexes || []).find(d => d.factory.toLowerCase() === factory.toLowerCase()) || null;
+}
+
+/**
+ * Route through the chain's default DEX with a direct wrapped-native path
+ */
+function defaultRoute(chainId, chainConfig, token) {
+    const { dex, nativeToken } = chainConfig;
+
+    return {
+        chain: chainId,
+        dexId: dex.name,
+        type: dex.type || 'v2',
+        router: dex.router,
+        factory: dex.factory,
+        quoter: null,
+        pairAddress: null,
+        fee: null,
+        stable: false,
+        weth: nativeToken.wrapped,
+        token,
+        hops: [nativeToken.wrapped, token]
+    };
+}
+
+/**
+ * Deepest DexScreener pair of a token on one of the chain's configured DEXes
+ */
+async function findPairAddress(chainId, chainConfig, token) {
+    const dexIds = new Set((chainConfig.dexes || []).map(d => d.id));
+
+    try {
+        const pairs = await getTokenPairs(chainId, token);
+        const deepest = pairs
+            .filter(p => dexIds.has(p.dexId) && p.baseToken?.address?.toLowerCase() === token.toLowerCase())
+            .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
+
+        return deepest?.pairAddress || null;
+    } catch (err) {
+        logWarn(`Could not look up pairs for ${token} on ${chainId}: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Read a pool and build its route
+ */
+async function detectRoute(chainId, chainConfig, token, pairAddress, runner) {
+    const pool = new ethers.Contract(pairAddress, POOL_ABI, runner);
+    const [factory, token0, token1] = await Promise.all([pool.factory(), pool.token0(), pool.token1()]);
+
+    const dex = findDex(chainConfig, factory);
+    if (!dex) {
+        logWarn(`Pair ${pairAddress} is not on a configured ${chainId} DEX, using ${chainConfig.dex.name}`);
+        return defaultRoute(chainId, chainConfig, token);
+    }
+
+    const weth = chainConfig.nativeToken.wrapped;
+    const quote = token0.toLowerCase() === token.toLowerCase() ? token1 : token0;
+    const pairedWithNative = quote.toLowerCase() === weth.toLowerCase();
+
+    // Single-hop V3 swaps only (the WETH leg of a second hop has its own fee tier)
+    if (dex.type === 'v3' && !pairedWithNative) {
+        logWarn(`V3 pair ${pairAddress} is not paired with ${chainConfig.nativeToken.symbol}, using ${chainConfig.dex.name}`);
+        return defaultRoute(chainId, chainConfig, token);
+    }
+
+    return {
+        chain: chainId,
+        dexId: dex.id,
+        type: dex.type,
+        router: dex.router,
+        factory: dex.factory,
+        quoter: dex.quoter || null,
+        pairAddress,
+        fee: dex.type === 'v3' ? Number(await pool.fee()) : null,
+        stable: dex.type === 'aerodrome' ? await pool.stable() : false,
+        weth,
+        token,
+        hops: pairedWithNative ? [weth, token] : [weth, ethers.getAddress(quote), token]
+    };
+}
+
+/**
+ * Resolve how to swap a token on a chain
+ * @param {string} chainId - Chain ID (bsc, base, ethereum)
+ * @param {string} tokenAddress - Token to trade
+ * @param {string} pairAddress - Pair to trade through (optional, looked up on DexScreener)
+ * @param {Object} runner - ethers provider or wallet for pool reads
+ * @returns {Promise<Object>} Route: { dexId, type, router, quoter, pairAddress, fee, stable, hops }
+ */
+export async function resolveRoute(chainId, tokenAddress, pairAddress, runner) {
+    const chainConfig = getChainConfig(chainId);
+    const token = ethers.getAddress(tokenAddress);
+
+    const pair = pairAddress || await findPairAddress(chainId, chainConfig, token);
+    if (!pair) {
+        return defaultRoute(chainId, chainConfig, token);
+    }
+
+    const cacheKey = `${chainId}:${pair.toLowerCase()}`;
+    if (routeCache.has(cacheKey)) {
+        return routeCache.get(cacheKey);
+    }
+
+    try {
+        const route = await detectRoute(chainId, chainConfig, token, pair, runner);
+        routeCache.set(cacheKey, route);
+        logDebug(`Route for ${token} on ${chainId}: ${route.dexId} ${route.type}${route.fee ? ` (fee ${route.fee})` : ''}`);
+        return route;
+    } catch (err) {
+        // Not cached: the pair may be readable on the next attempt
+        logWarn(`Could not read pair ${pair} on ${chainId}, using ${chainConfig.dex.name}: ${err.message}`);
+        return defaultRoute(chainId, chainConfig, token);
+    }
+}
+
+/**
+ * Token path of a swap direction
+ */
+function pathFor(route, side) {
+    return side === 'BUY' ? route.hops : [...route.hops].reverse();
+}
+
+/**
+ * Aerodrome routes for a path (the traded pool keeps its stable flag)
+ */
+function aerodromeRoutes(route, path) {
+    return path.slice(1).map((to, i) => {
+        const from = path[i];
+        const isPool = [from, to].some(a => a.toLowerCase() === route.token.toLowerCase());
+        return { from, to, stable: isPool ? route.stable : false, factory: route.factory };
+    });
+}
+
+/**
+ * Quote a swap
+ * @param {Object} route - Route from resolveRoute
+ * @param {string} side - BUY (native -> token) or SELL (token -> native)
+ * @param {bigint} amountIn - Input amount in base units
+ * @param {Object} runner - ethers provider or wallet
+ * @returns {Promise<bigint>} Expected output in base units
+ */
+export async function quoteSwap(route, side, amountIn, runner) {
+    const path = pathFor(route, side);
+
+    if (route.type === 'v3') {
+        const quoter = new ethers.Contract(route.quoter, V3_QUOTER_ABI, runner);
+        const [amountOut] = await quoter.quoteExactInputSingle.staticCall({
+            tokenIn: path[0],
+            tokenOut: path[1],
+            amountIn,
+            fee: route.fee,
+            sqrtPriceLimitX96: 0
+        });
+        return amountOut;
+    }
+
+    const isAerodrome = route.type === 'aerodrome';
+    const router = new ethers.Contract(route.router, isAerodrome ? AERODROME_ROUTER : V2_ROUTER, runner);
+    const amounts = await router.getAmountsOut(amountIn, isAerodrome ? aerodromeRoutes(route, path) : path);
+    return amounts[amounts.length - 1];
+}
+
+/**
+ * Whether a route's swaps check amountOutMin against what the recipient
+ * actually receives (fee-on-transfer variants), rather than the pool output
+ * @param {Object} route - Route from resolveRoute
+ * @param {boolean} feeOnTransfer - Token charges a transfer tax
+ */
+export function checksReceivedAmount(route, feeOnTransfer) {
+    return feeOnTransfer && route.type !== 'v3';
+}
+
+/**
+ * Build the swap transaction for a route
+ * Sells pay out native: V3 swaps to the router and unwraps in the same multicall.
+ * Fee-on-transfer tokens use the Supporting variants on V2/Aerodrome; V3 has none
+ * @param {Object} route - Route from resolveRoute
+ * @param {string} side - BUY (native -> token) or SELL (token -> native)
+ * @param {Object} params - { amountIn, amountOutMin, recipient, deadline, feeOnTransfer } (amounts in base units)
+ * @returns {Object} Transaction request { to, data, value }
+ */
+export function buildSwapTransaction(route, side, { amountIn, amountOutMin, recipient, deadline, feeOnTransfer = false }) {
+    const path = pathFor(route, side);
+    const value = side === 'BUY' ? amountIn : 0n;
+
+    if (route.type === 'v3') {
+        const swap = V3_ROUTER.encodeFunctionData('exactInputSingle', [{
+            tokenIn: path[0],
+            tokenOut: path[1],
+            fee: route.fee,
+            recipient: side === 'BUY' ? recipient : route.router,
+            amountIn,
+            amountOutMinimum: amountOutMin,
+            sqrtPriceLimitX96: 0
+        }]);
+
+        const calls = side === 'BUY'
+            ? [swap]
+            : [swap, V3_ROUTER.encodeFunctionData('unwrapWETH9', [amountOutMin, recipient])];
+
+        return { to: route.router, data: V3_ROUTER.encodeFunctionData('multicall', [deadline, calls]), value };
+    }
+
+    const isAerodrome = route.type === 'aerodrome';
+    const iface = isAerodrome ? AERODROME_ROUTER : V2_ROUTER;
+    const hops = isAerodrome ? aerodromeRoutes(route, path) : path;
+
+    const suffix = feeOnTransfer ? 'SupportingFeeOnTransferTokens' : '';
+
+    const data = side === 'BUY'
+        ? iface.encodeFunctionData(`swapExactETHForTokens${suffix}`, [amountOutMin, hops, recipient, deadline])
+        : iface.encodeFunctionData(`swapExactTokensForETH${suffix}`, [amountIn, amountOutMin, hops, recipient, deadline]);
+
+    return { to: route.router, data, value };
+}
+
+export default {
+    resolveRoute,
+    quoteSwap,
+    checksReceivedAmount,
+    buildSwapTransaction
+};
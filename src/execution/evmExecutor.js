@@ -2,7 +2,13 @@
  * DEX Trading Bot - EVM Executor
  * 
  * Handles live trade execution on EVM chains (BSC, Base)
- * Uses ethers.js for blockchain interaction
+ * Uses ethers.js for blockchain interaction; swaps are quoted and built by
+ * dexRouter for the pair's pool type (V2, V3 or Aerodrome). Token taxes are
+ * measured with swapSimulator first: fee-on-transfer tokens trade through
+ * the Supporting router variants with amountOutMin net of the tax.
+ * Slippage and TWAP slicing come from orderPlanner, using the quoted impact;
+ * transactions are sent through txManager (nonces, EIP-1559 fees, private
+ * relay, speed-up/cancel of stuck transactions).
  * 
  * ⚠️ DISABLED BY DEFAULT - Only enabled when ENABLE_LIVE_TRADING=true
  */
@@ -11,8 +17,14 @@ import { ethers } from 'ethers';
 import { logInfo, logTrade, logError, logWarn } from '../logging/logger.js';
 import config, { getChainConfig } from '../config/index.js';
 import { executeWithRetry } from './paperTrader.js';
+import { resolveRoute, quoteSwap, checksReceivedAmount, buildSwapTransaction } from './dexRouter.js';
+import { planOrder, estimatePriceImpact, splitAmount, executeSlices, mergeFills } from './orderPlanner.js';
+import { sendAndConfirm } from './txManager.js';
+import { markQuoted, markSubmitted } from './orderStore.js';
+import { simulateSwap } from '../risk/swapSimulator.js';
 import { processTradeFee, transferFeeToDevWallet, calculateTradingFee } from '../services/feeService.js';
 import { isWalletBlacklisted } from '../services/blacklistService.js';
+import { getProvider } from '../services/rpcManager.js';
 
 // Standard ERC20 ABI (minimal)
 const ERC20_ABI = [
@@ -22,16 +34,16 @@ const ERC20_ABI = [
     'function decimals() view returns (uint8)'
 ];
 
-// Uniswap V2 Router ABI (minimal)
-const ROUTER_ABI = [
-    'function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) payable returns (uint[] memory amounts)',
-    'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) returns (uint[] memory amounts)',
-    'function getAmountsOut(uint amountIn, address[] calldata path) view returns (uint[] memory amounts)',
-    'function WETH() view returns (address)'
-];
+// Events decoded from swap receipts to find the actual fill
+const FILL_EVENTS = new ethers.Interface([
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Withdrawal(address indexed src, uint256 wad)'
+]);
+
+// Price impact is measured against a quote for 1/1000th of the order
+const IMPACT_REFERENCE_DIVISOR = 1000n;
 
-// Provider cache
-const providers = new Map();
+// Wallet cache
 const wallets = new Map();
 
 /**
@@ -41,25 +53,6 @@ export function isLiveEnabled() {
     return config.mode === 'LIVE' && config.enableLiveTrading;
 }
 
-/**
- * Initialize provider for a chain
- */
-export function getProvider(chainId) {
-    if (!providers.has(chainId)) {
-        const chainConfig = getChainConfig(chainId);
-        if (!chainConfig) {
-            throw new Error(`Unknown chain: ${chainId}`);
-        }
-
-        const rpc = config.rpc[chainId] || chainConfig.rpcDefault;
-        const provider = new ethers.JsonRpcProvider(rpc);
-        providers.set(chainId, provider);
-        logInfo(`Provider initialized for ${chainId}: ${rpc}`);
-    }
-
-    return providers.get(chainId);
-}
-
 /**
  * Get wallet for a chain
  */
@@ -105,10 +98,9 @@ export async function getTokenBalance(chainId, tokenAddress) {
 }
 
 /**
- * Approve token spending
+ * Approve token spending from the wallet that will sell
  */
-async function approveToken(chainId, tokenAddress, spenderAddress, amount) {
-    const wallet = getWallet(chainId);
+async function approveToken(wallet, chainId, tokenAddress, spenderAddress, amount) {
     const token = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
 
     const currentAllowance = await token.allowance(wallet.address, spenderAddress);
@@ -120,21 +112,113 @@ async function approveToken(chainId, tokenAddress, spenderAddress, amount) {
 
     logInfo(`Approving token ${tokenAddress} for ${spenderAddress}...`);
 
-    const tx = await token.approve(spenderAddress, ethers.MaxUint256);
-    await tx.wait();
+    const tx = await sendAndConfirm(wallet, chainId, await token.approve.populateTransaction(spenderAddress, ethers.MaxUint256));
 
     logInfo(`Token approved: ${tx.hash}`);
     return true;
 }
 
+/**
+ * Measure a token's taxes by simulating a buy and sell (cached by the simulator)
+ * Tokens that can't be simulated trade through the Supporting variants too,
+ * which work for any token, but with no tax taken off amountOutMin
+ * @returns {Promise<Object>} { feeOnTransfer, buyTax, sellTax, isHoneypot, reason, measured }
+ */
+async function measureTaxes(route) {
+    const quoteToken = route.hops.length > 2 ? route.hops[1] : null;
+    const simulation = await simulateSwap(route.chain, route.token, quoteToken);
+
+    if (!simulation || simulation.buyReverted) {
+        return { feeOnTransfer: true, buyTax: 0, sellTax: 0, isHoneypot: false, reason: simulation?.reason || null, measured: false };
+    }
+
+    const { buyTax, sellTax, transferTax, isHoneypot, reason } = simulation;
+    return {
+        feeOnTransfer: buyTax > 0 || sellTax > 0 || transferTax > 0,
+        buyTax,
+        sellTax: sellTax ?? 0,
+        isHoneypot,
+        reason,
+        measured: true
+    };
+}
+
+/**
+ * Minimum output of a swap: the quote less the tax taken on the way, then
+ * the slippage tolerance. The tax only counts when the router checks what
+ * the recipient receives; otherwise it checks the pool output
+ */
+function minimumOut(route, taxes, taxPercent, expectedOut, slippage) {
+    const tax = checksReceivedAmount(route, taxes.feeOnTransfer) ? taxPercent : 0;
+    const keep = (1 - tax / 100) * (1 - slippage / 100);
+    return expectedOut * BigInt(Math.floor(Math.max(keep, 0) * 10000)) / 10000n;
+}
+
+/**
+ * Price impact of a swap: its quoted rate against the rate of a small
+ * reference amount through the same pool
+ * @returns {Promise<number|null>} Percent, null if it can't be measured
+ */
+async function quotePriceImpact(route, side, amountIn, runner) {
+    const referenceIn = amountIn / IMPACT_REFERENCE_DIVISOR;
+    if (referenceIn === 0n) return null;
+
+    const [expectedOut, referenceOut] = await Promise.all([
+        quoteSwap(route, side, amountIn, runner),
+        quoteSwap(route, side, referenceIn, runner)
+    ]);
+    if (expectedOut === 0n || referenceOut === 0n) return null;
+
+    const rate = (expectedOut * referenceIn * 10000n) / (referenceOut * amountIn);
+    return Math.max(Number(10000n - rate) / 100, 0);
+}
+
+/**
+ * Plan a swap's slices and slippage from its quoted price impact, or from
+ * pool liquidity when the pool can't be quoted
+ * @param {Object} market - { pairAddress, liquidityUsd, tradeUsd, maxSlippage }
+ */
+async function planSwap(route, side, amountIn, market) {
+    let priceImpact = null;
+    try {
+        priceImpact = await quotePriceImpact(route, side, amountIn, getProvider(route.chain));
+    } catch (err) {
+        logWarn(`Could not quote price impact on ${route.dexId}: ${err.message}`);
+    }
+
+    return planOrder({
+        chainId: route.chain,
+        pairAddress: market.pairAddress || route.pairAddress,
+        liquidityUsd: market.liquidityUsd,
+        priceImpact: priceImpact ?? estimatePriceImpact(market.tradeUsd, market.liquidityUsd),
+        maxSlippage: market.maxSlippage
+    });
+}
+
+/**
+ * Use the user's wallet if provided, otherwise the global wallet
+ */
+function connectWallet(chainId, userWallet) {
+    if (!userWallet) {
+        return getWallet(chainId);
+    }
+
+    const wallet = userWallet.connect(getProvider(chainId));
+    logInfo(`Using per-user wallet: ${wallet.address.slice(0, 10)}...`);
+    return wallet;
+}
+
 /**
  * Execute a live buy on EVM chain
- * @param {Object} signal - Trading signal
+ * Orders with a high price impact are bought in TWAP slices and reported as
+ * one fill, with each slice in fill.children
+ * @param {Object} signal - Trading signal (maxSlippage: user's cap, optional)
  * @param {Object} positionSize - Position sizing
  * @param {Object} userWallet - Optional user wallet (from getWalletForTrading)
+ * @param {Object} order - Optional order from runOrder, records the plan and each transaction
  * @returns {Promise<Object>} Transaction result
  */
-export async function executeLiveBuy(signal, positionSize, userWallet = null) {
+export async function executeLiveBuy(signal, positionSize, userWallet = null, order = null) {
     if (!isLiveEnabled()) {
         logError('Live trading is not enabled!');
         return { success: false, error: 'Live trading disabled' };
@@ -148,88 +232,146 @@ export async function executeLiveBuy(signal, positionSize, userWallet = null) {
         return { success: false, error: 'Transaction blocked: Address is blacklisted for regulatory compliance' };
     }
 
-    const result = await executeWithRetry(async () => {
-        const chainConfig = getChainConfig(signal.chain);
-
-        // Use user wallet if provided, otherwise fall back to global wallet
-        let wallet;
-        if (userWallet) {
-            const provider = getProvider(signal.chain);
-            wallet = userWallet.connect(provider);
-            logInfo(`Using per-user wallet: ${wallet.address.slice(0, 10)}...`);
-        } else {
-            wallet = getWallet(signal.chain);
-        }
-        const router = new ethers.Contract(chainConfig.dex.router, ROUTER_ABI, wallet);
+    // Pool type and router of the signal's pair, and the token's measured taxes
+    const route = await resolveRoute(signal.chain, signal.tokenAddress, signal.pairAddress, getProvider(signal.chain));
+    const taxes = await measureTaxes(route);
+
+    if (taxes.isHoneypot) {
+        logError(`🚫 Buy blocked: ${signal.token} cannot be sold (${taxes.reason})`);
+        return { success: false, error: `Token cannot be sold: ${taxes.reason}` };
+    }
+
+    if (taxes.feeOnTransfer && taxes.measured) {
+        logInfo(`Fee-on-transfer token: ${taxes.buyTax}% buy / ${taxes.sellTax}% sell tax`);
+    }
+
+    // Calculate amounts (sized native amount when the risk manager provides one)
+    const nativeAmount = positionSize.nativeAmount ?? (positionSize.positionSizeUsd / signal.entryPrice);
+    const amountIn = ethers.parseEther(nativeAmount.toFixed(18));
+
+    const plan = await planSwap(route, 'BUY', amountIn, {
+        pairAddress: signal.pairAddress,
+        liquidityUsd: signal.liquidity,
+        tradeUsd: positionSize.positionSizeUsd,
+        maxSlippage: signal.maxSlippage
+    });
+    await markQuoted(order, plan);
+
+    const slices = await executeSlices(plan, `BUY ${signal.token}`, (index, count) =>
+        executeWithRetry(() => buySlice(signal, route, taxes, plan.slippage, splitAmount(amountIn, index, count), userWallet, order))
+    );
 
-        // Get WETH address
-        const weth = await router.WETH();
+    if (slices.children.length === 0) {
+        return { success: false, error: slices.error, attempts: slices.attempts };
+    }
 
-        // Build path: WETH -> Token
-        const path = [weth, signal.tokenAddress];
+    return {
+        success: true,
+        attempts: slices.attempts,
+        result: {
+            ...mergeFills(slices.children, ['tokensReceived', 'nativeSpent', 'gasCostNative']),
+            priceImpact: plan.priceImpact,
+            complete: slices.complete
+        }
+    };
+}
 
-        // Calculate amounts
-        const amountIn = ethers.parseEther((positionSize.positionSizeUsd / signal.entryPrice).toString());
+/**
+ * Buy one slice of an order
+ * @returns {Promise<Object>} Child fill
+ */
+async function buySlice(signal, route, taxes, slippage, amountIn, userWallet, order) {
+    const chainConfig = getChainConfig(signal.chain);
+    const wallet = connectWallet(signal.chain, userWallet);
 
-        // Get expected output
-        const amounts = await router.getAmountsOut(amountIn, path);
-        const expectedOut = amounts[amounts.length - 1];
+    // Balance before the swap, fallback for receipts without a Transfer to us
+    const token = new ethers.Contract(signal.tokenAddress, ERC20_ABI, wallet);
+    const [balanceBefore, decimals] = await Promise.all([
+        token.balanceOf(wallet.address),
+        token.decimals()
+    ]);
 
-        // Apply slippage tolerance
-        const slippageMultiplier = 1 - (config.execution.slippageTolerance / 100);
-        const amountOutMin = expectedOut * BigInt(Math.floor(slippageMultiplier * 1000)) / 1000n;
+    // Get expected output, less the buy tax and slippage tolerance
+    const expectedOut = await quoteSwap(route, 'BUY', amountIn, wallet);
+    const amountOutMin = minimumOut(route, taxes, taxes.buyTax, expectedOut, slippage);
 
-        // Deadline: 5 minutes
-        const deadline = Math.floor(Date.now() / 1000) + 300;
+    // Deadline: 5 minutes
+    const deadline = Math.floor(Date.now() / 1000) + 300;
 
-        logInfo(`Executing swap: ${ethers.formatEther(amountIn)} ${chainConfig.nativeToken.symbol} -> ${signal.token}`);
-        logInfo(`Min output: ${ethers.formatUnits(amountOutMin, 18)} tokens`);
+    logInfo(`Executing swap on ${route.dexId} ${route.type}: ${ethers.formatEther(amountIn)} ${chainConfig.nativeToken.symbol} -> ${signal.token}`);
+    logInfo(`Min output: ${ethers.formatUnits(amountOutMin, decimals)} tokens (${slippage}% slippage)`);
 
-        // Execute swap
-        const tx = await router.swapExactETHForTokens(
-            amountOutMin,
-            path,
-            wallet.address,
-            deadline,
-            { value: amountIn }
-        );
+    // Execute swap and wait for it to be mined (nonce, fees, relay and stuck replacement by txManager)
+    const tx = await sendAndConfirm(wallet, signal.chain, buildSwapTransaction(route, 'BUY', {
+        amountIn,
+        amountOutMin,
+        recipient: wallet.address,
+        deadline,
+        feeOnTransfer: taxes.feeOnTransfer
+    }), sent => markSubmitted(order, { ...sent, walletAddress: wallet.address, amountIn: ethers.formatEther(amountIn) }));
 
-        logInfo(`Transaction sent: ${tx.hash}`);
+    const { receipt } = tx;
 
-        // Wait for confirmation
-        const receipt = await tx.wait();
+    logInfo(`Transaction confirmed in block ${receipt.blockNumber}`);
 
-        logInfo(`Transaction confirmed in block ${receipt.blockNumber}`);
+    // Actual fill: tokens delivered to the wallet (taxed tokens deliver less than quoted)
+    // Never throw past this point, a retry would buy twice
+    let tokensReceived = null;
+    try {
+        let receivedRaw = sumTransfersTo(receipt, signal.tokenAddress, wallet.address);
+        if (receivedRaw === 0n) {
+            receivedRaw = (await token.balanceOf(wallet.address)) - balanceBefore;
+        }
+        tokensReceived = parseFloat(ethers.formatUnits(receivedRaw, decimals));
 
-        // Log the trade
-        logTrade({
-            action: 'LIVE_BUY',
-            chain: signal.chain,
-            token: signal.token,
-            txHash: tx.hash,
-            block: receipt.blockNumber,
-            gasUsed: receipt.gasUsed.toString()
-        });
+        if (receivedRaw < expectedOut) {
+            const shortfall = Number((expectedOut - receivedRaw) * 10000n / expectedOut) / 100;
+            logInfo(`Received ${tokensReceived} ${signal.token}, ${shortfall}% below the quote`);
+        }
+    } catch (err) {
+        logWarn(`Could not read fill for ${tx.hash}: ${err.message}`);
+    }
 
-        return {
-            txHash: tx.hash,
-            blockNumber: receipt.blockNumber,
-            gasUsed: receipt.gasUsed.toString()
-        };
+    const gasCostNative = parseFloat(ethers.formatEther(receipt.fee));
+
+    // Log the trade
+    logTrade({
+        action: 'LIVE_BUY',
+        chain: signal.chain,
+        token: signal.token,
+        txHash: tx.hash,
+        block: receipt.blockNumber,
+        amount: tokensReceived,
+        gasUsed: receipt.gasUsed.toString()
     });
 
-    return result;
+    return {
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        tokensReceived,
+        nativeSpent: parseFloat(ethers.formatEther(amountIn)),
+        gasCostNative,
+        walletAddress: wallet.address,
+        buyTax: taxes.measured ? taxes.buyTax : null,
+        slippage,
+        via: tx.via
+    };
 }
 
 /**
  * Execute a live sell on EVM chain
- * @param {Object} position - Open position
+ * Orders with a high price impact are sold in TWAP slices and reported as
+ * one fill, with each slice in fill.children
+ * @param {Object} position - Open position (maxSlippage: user's cap, optional)
  * @param {number} currentPrice - Current market price
  * @param {string} reason - Exit reason
  * @param {Object} userWallet - Optional user wallet (from getWalletForTrading)
+ * @param {number} tokenAmount - Optional token amount for a partial exit (default: full balance)
+ * @param {Object} order - Optional order from runOrder, records the plan and each transaction
  * @returns {Promise<Object>} Transaction result
  */
-export async function executeLiveSell(position, currentPrice, reason, userWallet = null) {
+export async function executeLiveSell(position, currentPrice, reason, userWallet = null, tokenAmount = null, order = null) {
     if (!isLiveEnabled()) {
         logError('Live trading is not enabled!');
         return { success: false, error: 'Live trading disabled' };
@@ -238,102 +380,266 @@ export async function executeLiveSell(position, currentPrice, reason, userWallet
     logWarn(`🔴 [LIVE] Executing SELL: ${position.token} on ${position.chain.toUpperCase()}`);
     logInfo(`Reason: ${reason}`);
 
-    const result = await executeWithRetry(async () => {
-        const chainConfig = getChainConfig(position.chain);
-
-        // Use user wallet if provided, otherwise fall back to global wallet
-        let wallet;
-        if (userWallet) {
-            const provider = getProvider(position.chain);
-            wallet = userWallet.connect(provider);
-            logInfo(`Using per-user wallet: ${wallet.address.slice(0, 10)}...`);
-        } else {
-            wallet = getWallet(position.chain);
-        }
-        const router = new ethers.Contract(chainConfig.dex.router, ROUTER_ABI, wallet);
+    // Route, taxes, amount and approval for the whole order; nothing is swapped yet
+    const setup = await executeWithRetry(async () => {
+        const wallet = connectWallet(position.chain, userWallet);
 
-        // Get WETH address
-        const weth = await router.WETH();
+        // Pool type and router of the position's pair, and the token's measured taxes
+        const route = await resolveRoute(position.chain, position.tokenAddress, position.pairAddress, wallet);
+        const taxes = await measureTaxes(route);
 
         // Get token balance
         const token = new ethers.Contract(position.tokenAddress, ERC20_ABI, wallet);
-        const tokenBalance = await token.balanceOf(wallet.address);
+        const walletBalance = await token.balanceOf(wallet.address);
         const decimals = await token.decimals();
 
+        // Partial exits sell the requested amount, never more than held
+        let tokenBalance = walletBalance;
+        if (tokenAmount) {
+            const requested = toTokenUnits(tokenAmount, decimals);
+            tokenBalance = requested < walletBalance ? requested : walletBalance;
+        }
+
         // Approve router if needed
-        await approveToken(position.chain, position.tokenAddress, chainConfig.dex.router, tokenBalance);
-
-        // Build path: Token -> WETH
-        const path = [position.tokenAddress, weth];
-
-        // Get expected output
-        const amounts = await router.getAmountsOut(tokenBalance, path);
-        const expectedOut = amounts[amounts.length - 1];
-
-        // Apply slippage tolerance
-        const slippageMultiplier = 1 - (config.execution.slippageTolerance / 100);
-        const amountOutMin = expectedOut * BigInt(Math.floor(slippageMultiplier * 1000)) / 1000n;
-
-        // Deadline: 5 minutes
-        const deadline = Math.floor(Date.now() / 1000) + 300;
-
-        logInfo(`Executing swap: ${ethers.formatUnits(tokenBalance, decimals)} ${position.token} -> ${chainConfig.nativeToken.symbol}`);
-        logInfo(`Min output: ${ethers.formatEther(amountOutMin)} ${chainConfig.nativeToken.symbol}`);
-
-        // Execute swap
-        const tx = await router.swapExactTokensForETH(
-            tokenBalance,
-            amountOutMin,
-            path,
-            wallet.address,
-            deadline
-        );
-
-        logInfo(`Transaction sent: ${tx.hash}`);
-
-        // Wait for confirmation
-        const receipt = await tx.wait();
-
-        logInfo(`Transaction confirmed in block ${receipt.blockNumber}`);
-
-        // Log the trade
-        logTrade({
-            action: 'LIVE_SELL',
-            chain: position.chain,
-            token: position.token,
-            reason: reason,
-            txHash: tx.hash,
-            block: receipt.blockNumber,
-            gasUsed: receipt.gasUsed.toString()
+        await approveToken(wallet, position.chain, position.tokenAddress, route.router, tokenBalance);
+
+        const plan = await planSwap(route, 'SELL', tokenBalance, {
+            pairAddress: position.pairAddress,
+            liquidityUsd: position.signal?.liquidity,
+            tradeUsd: parseFloat(ethers.formatUnits(tokenBalance, decimals)) * currentPrice,
+            maxSlippage: position.maxSlippage
         });
 
-        // Collect fee and transfer to dev wallet
-        const proceedsFloat = parseFloat(ethers.formatEther(expectedOut));
-        const feeUsd = calculateTradingFee(proceedsFloat);
-
-        if (feeUsd > 0.0001) { // Only transfer if fee is meaningful
-            try {
-                await processTradeFee(position.userId, proceedsFloat, position.referrerId, tx.hash);
-
-                // Transfer net fee (70%) to dev wallet
-                const netFeeNative = feeUsd * 0.7; // 70% after referral
-                await transferFeeToDevWallet(position.chain, netFeeNative, wallet);
-                logInfo(`💰 Fee collected: ${feeUsd.toFixed(6)} ${chainConfig.nativeToken.symbol}`);
-            } catch (feeErr) {
-                logError('Fee transfer failed (trade still succeeded)', feeErr);
-            }
+        return { route, taxes, walletBalance, tokenBalance, decimals, plan };
+    });
+
+    if (!setup.success) {
+        return setup;
+    }
+
+    const { route, taxes, walletBalance, tokenBalance, decimals, plan } = setup.result;
+    await markQuoted(order, plan);
+
+    const slices = await executeSlices(plan, `SELL ${position.token}`, (index, count) =>
+        executeWithRetry(() => sellSlice(position, reason, route, taxes, plan.slippage, splitAmount(tokenBalance, index, count), decimals, userWallet, order))
+    );
+    const attempts = setup.attempts + slices.attempts;
+
+    if (slices.children.length === 0) {
+        return { success: false, error: slices.error, attempts };
+    }
+
+    const fill = mergeFills(slices.children, ['proceeds', 'tokensSold', 'gasCostNative', 'feeCollected']);
+    const soldRaw = slices.complete ? tokenBalance : toTokenUnits(fill.tokensSold, decimals);
+
+    return {
+        success: true,
+        attempts,
+        result: {
+            ...fill,
+            proceeds: String(fill.proceeds),
+            tokensSold: String(fill.tokensSold),
+            partial: soldRaw < walletBalance,
+            priceImpact: plan.priceImpact,
+            complete: slices.complete
         }
+    };
+}
 
-        return {
-            txHash: tx.hash,
-            blockNumber: receipt.blockNumber,
-            gasUsed: receipt.gasUsed.toString(),
-            proceeds: ethers.formatEther(expectedOut),
-            feeCollected: feeUsd
-        };
+/**
+ * Sell one slice of an order
+ * @returns {Promise<Object>} Child fill
+ */
+async function sellSlice(position, reason, route, taxes, slippage, amountIn, decimals, userWallet, order) {
+    const chainConfig = getChainConfig(position.chain);
+    const wallet = connectWallet(position.chain, userWallet);
+
+    // Get expected output, less the sell tax and slippage tolerance
+    const expectedOut = await quoteSwap(route, 'SELL', amountIn, wallet);
+    const amountOutMin = minimumOut(route, taxes, taxes.sellTax, expectedOut, slippage);
+
+    // Deadline: 5 minutes
+    const deadline = Math.floor(Date.now() / 1000) + 300;
+
+    logInfo(`Executing swap on ${route.dexId} ${route.type}: ${ethers.formatUnits(amountIn, decimals)} ${position.token} -> ${chainConfig.nativeToken.symbol}`);
+    logInfo(`Min output: ${ethers.formatEther(amountOutMin)} ${chainConfig.nativeToken.symbol} (${slippage}% slippage)`);
+
+    // Execute swap and wait for it to be mined (nonce, fees, relay and stuck replacement by txManager)
+    const tx = await sendAndConfirm(wallet, position.chain, buildSwapTransaction(route, 'SELL', {
+        amountIn,
+        amountOutMin,
+        recipient: wallet.address,
+        deadline,
+        feeOnTransfer: taxes.feeOnTransfer
+    }), sent => markSubmitted(order, { ...sent, walletAddress: wallet.address, amountIn: ethers.formatUnits(amountIn, decimals) }));
+
+    const { receipt } = tx;
+
+    logInfo(`Transaction confirmed in block ${receipt.blockNumber}`);
+
+    // Actual proceeds: WETH the router unwrapped for us, quote less the measured tax if not found
+    let proceedsRaw = expectedOut * BigInt(Math.round((100 - taxes.sellTax) * 100)) / 10000n;
+    try {
+        const unwrapped = sumWithdrawals(receipt, route.weth, route.router);
+        if (unwrapped > 0n) proceedsRaw = unwrapped;
+    } catch (err) {
+        logWarn(`Could not read proceeds for ${tx.hash}: ${err.message}`);
+    }
+
+    // Log the trade
+    logTrade({
+        action: 'LIVE_SELL',
+        chain: position.chain,
+        token: position.token,
+        reason: reason,
+        txHash: tx.hash,
+        block: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+    });
+
+    // Collect fee and transfer to dev wallet
+    const proceedsFloat = parseFloat(ethers.formatEther(proceedsRaw));
+    const feeUsd = calculateTradingFee(proceedsFloat);
+
+    if (feeUsd > 0.0001) { // Only transfer if fee is meaningful
+        try {
+            await processTradeFee(position.userId, proceedsFloat, position.referrerId, tx.hash);
+
+            // Transfer net fee (70%) to dev wallet
+            const netFeeNative = feeUsd * 0.7; // 70% after referral
+            await transferFeeToDevWallet(position.chain, netFeeNative, wallet);
+            logInfo(`💰 Fee collected: ${feeUsd.toFixed(6)} ${chainConfig.nativeToken.symbol}`);
+        } catch (feeErr) {
+            logError('Fee transfer failed (trade still succeeded)', feeErr);
+        }
+    }
+
+    return {
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        proceeds: ethers.formatEther(proceedsRaw),
+        tokensSold: ethers.formatUnits(amountIn, decimals),
+        gasCostNative: parseFloat(ethers.formatEther(receipt.fee)),
+        feeCollected: feeUsd,
+        sellTax: taxes.measured ? taxes.sellTax : null,
+        slippage,
+        via: tx.via
+    };
+}
+
+/**
+ * Sum ERC20 transfers of a token to an address in a receipt
+ */
+function sumTransfersTo(receipt, tokenAddress, to) {
+    let total = 0n;
+
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== tokenAddress.toLowerCase()) continue;
+
+        const parsed = FILL_EVENTS.parseLog(log);
+        if (parsed?.name === 'Transfer' && parsed.args.to.toLowerCase() === to.toLowerCase()) {
+            total += parsed.args.value;
+        }
+    }
+
+    return total;
+}
+
+/**
+ * Sum WETH withdrawals (unwraps) made by an address in a receipt
+ */
+function sumWithdrawals(receipt, wethAddress, src) {
+    let total = 0n;
+
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== wethAddress.toLowerCase()) continue;
+
+        const parsed = FILL_EVENTS.parseLog(log);
+        if (parsed?.name === 'Withdrawal' && parsed.args.src.toLowerCase() === src.toLowerCase()) {
+            total += parsed.args.wad;
+        }
+    }
+
+    return total;
+}
+
+/**
+ * Convert a human token amount to base units without float exponent issues
+ */
+function toTokenUnits(amount, decimals) {
+    const places = Math.min(Number(decimals), 18);
+    const fixed = Number(amount).toLocaleString('en-US', {
+        useGrouping: false,
+        maximumFractionDigits: places
     });
+    return ethers.parseUnits(fixed, decimals);
+}
+
+/**
+ * Read how an order's swap transactions ended, for orders a restart left in flight
+ * A transaction can still land while its nonce is unspent and the node knows it
+ * (or it was sent too recently to tell: relayed transactions are private)
+ * @param {Object} order - Submitted order (data.txs from markSubmitted)
+ * @param {number} droppedAfterMs - Age after which a transaction the node doesn't know is dropped
+ * @returns {Promise<Object>} { status: 'pending' | 'confirmed' | 'failed' | 'expired', fill }
+ *   fill for confirmed orders: { txHash, gasCostNative, walletAddress, tokensReceived, nativeSpent (buys),
+ *   tokensSold, proceeds (sells; proceeds null if no unwrap was found) }
+ */
+export async function checkOrderTransactions(order, droppedAfterMs) {
+    const provider = getProvider(order.chain);
+    const txs = order.data.txs || [];
+
+    const [receipts, spentNonces] = await Promise.all([
+        Promise.all(txs.map(tx => provider.getTransactionReceipt(tx.hash))),
+        provider.getTransactionCount(order.walletAddress, 'latest')
+    ]);
+
+    let pending = false;
+    for (const [i, tx] of txs.entries()) {
+        if (receipts[i] || tx.nonce < spentNonces) continue;
+
+        const known = await provider.getTransaction(tx.hash);
+        if (known || Date.now() - new Date(tx.sentAt).getTime() < droppedAfterMs) {
+            pending = true;
+            break;
+        }
+    }
+
+    if (pending) {
+        return { status: 'pending' };
+    }
+
+    const filled = txs.map((tx, i) => ({ tx, receipt: receipts[i] }))
+        .filter(({ tx, receipt }) => receipt?.status === 1 && !tx.cancel);
+
+    if (filled.length === 0) {
+        const landed = receipts.some(Boolean) || txs.some(tx => tx.nonce < spentNonces);
+        return { status: landed ? 'failed' : 'expired' };
+    }
+
+    const fill = {
+        txHash: filled[0].receipt.hash,
+        gasCostNative: receipts.filter(Boolean).reduce((sum, r) => sum + parseFloat(ethers.formatEther(r.fee)), 0),
+        walletAddress: order.walletAddress
+    };
+
+    if (order.side === 'BUY') {
+        const decimals = await new ethers.Contract(order.tokenAddress, ERC20_ABI, provider).decimals();
+        const receivedRaw = filled.reduce((sum, { receipt }) => sum + sumTransfersTo(receipt, order.tokenAddress, order.walletAddress), 0n);
+
+        fill.tokensReceived = parseFloat(ethers.formatUnits(receivedRaw, decimals));
+        fill.nativeSpent = filled.reduce((sum, { tx }) => sum + parseFloat(tx.amountIn), 0);
+    } else {
+        // Proceeds: WETH the routers unwrapped in the swaps
+        const wrapped = getChainConfig(order.chain).nativeToken.wrapped;
+        const unwrappedRaw = filled.reduce((sum, { receipt }) => sum + sumWithdrawals(receipt, wrapped, receipt.to), 0n);
+
+        fill.tokensSold = String(filled.reduce((sum, { tx }) => sum + parseFloat(tx.amountIn), 0));
+        fill.proceeds = unwrappedRaw > 0n ? ethers.formatEther(unwrappedRaw) : null;
+    }
 
-    return result;
+    return { status: 'confirmed', fill };
 }
 
 /**
@@ -361,11 +667,11 @@ export async function checkWalletStatus(chainId) {
 
 export default {
     isLiveEnabled,
-    getProvider,
     getWallet,
     getNativeBalance,
     getTokenBalance,
     executeLiveBuy,
     executeLiveSell,
+    checkOrderTransactions,
     checkWalletStatus
 };
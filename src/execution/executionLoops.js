@@ -6,6 +6,9 @@
  * - Limit orders when price hits target
  * - Price alerts
  * - Fee collection
+ *
+ * Live DCA buys and limit orders trade from the row's wallet_id, else the
+ * user's default wallet for the chain
  */
 
 import { logInfo, logError, logWarn } from '../logging/logger.js';
@@ -14,9 +17,14 @@ import { getSupabase } from '../database/supabase.js';
 import { executeLiveBuy, executeLiveSell, isLiveEnabled } from '../execution/evmExecutor.js';
 import { executeSolanaBuy, executeSolanaSell, isSolanaLiveEnabled } from '../execution/solanaExecutor.js';
 import { executePaperBuy, executePaperSell } from '../execution/paperTrader.js';
+import { openLivePosition } from '../execution/livePositions.js';
+import { runOrder, buyOrderSpec, sellOrderSpec } from '../execution/orderStore.js';
 import { getTokenInfo } from '../analysis/tokenAnalyzer.js';
+import { getNativePriceUsd } from '../data/priceEngine.js';
 import { getFeeWallet, TRADING_FEE_PERCENT } from '../services/feeService.js';
-import { getWalletForTrading } from '../wallet/userWalletManager.js';
+import { getWalletForTrading, getWalletBalanceUsd } from '../wallet/userWalletManager.js';
+import { canTrade, getRiskProfile, applyRiskProfile, recordEntry } from '../risk/riskManager.js';
+import { getPaperBalance } from '../services/paperLedgerService.js';
 import { ethers } from 'ethers';
 
 // Execution intervals
@@ -115,33 +123,40 @@ async function executeDCAPlan(plan) {
         };
 
         let result;
-        if (userMode === 'LIVE') {
-            // Get user's decrypted wallet for live trading
+        if (userMode === 'LIVE' && ((plan.chain === 'solana' && isSolanaLiveEnabled()) || isLiveEnabled())) {
+            // The plan's wallet, or the user's default wallet for the chain
             const telegramId = plan.users?.telegram_id;
-            const userWallet = telegramId ? await getWalletForTrading(telegramId, plan.chain) : null;
+            const userWallet = telegramId ? await getWalletForTrading(telegramId, plan.chain, plan.wallet_id) : null;
 
-            if (plan.chain === 'solana' && isSolanaLiveEnabled()) {
-                result = await executeSolanaBuy(signal, positionSize, userWallet);
-            } else if (isLiveEnabled()) {
-                result = await executeLiveBuy(signal, positionSize, userWallet);
-            } else {
-                result = await executePaperBuy(signal, positionSize);
+            if (plan.wallet_id && !userWallet) {
+                logWarn(`DCA plan ${plan.id} skipped: its wallet is not available`);
+                return;
             }
+
+            // Each scheduled buy once, even if the plan isn't advanced before a restart
+            const spec = buyOrderSpec('dca', `dca:${plan.id}:${plan.next_buy}`, { ...signal, userId: plan.user_id }, { telegramId });
+
+            result = await runOrder(spec, order => plan.chain === 'solana' && isSolanaLiveEnabled()
+                ? executeSolanaBuy(signal, positionSize, userWallet, order)
+                : executeLiveBuy(signal, positionSize, userWallet, order));
         } else {
             result = await executePaperBuy(signal, positionSize);
         }
 
-        // Update DCA plan
+        // Update DCA plan (a buy already placed is not counted again)
         const supabase = getSupabase();
         const nextBuy = calculateNextBuy(plan.interval);
-
-        await supabase
-            .from('dca_plans')
-            .update({
+        const update = result?.duplicate
+            ? { next_buy: nextBuy.toISOString() }
+            : {
                 next_buy: nextBuy.toISOString(),
                 total_invested: plan.total_invested + plan.amount_usd,
                 total_buys: plan.total_buys + 1
-            })
+            };
+
+        await supabase
+            .from('dca_plans')
+            .update(update)
             .eq('id', plan.id);
 
         logInfo(`DCA executed: ${plan.token_name}, next: ${nextBuy.toISOString()}`);
@@ -254,27 +269,56 @@ async function checkLimitOrder(order) {
         let result;
 
         if (order.order_type === 'buy') {
-            const signal = {
+            // Buys respect the owner's daily risk limits; the order stays pending until allowed
+            const profile = getRiskProfile(order.users?.settings);
+            // Live orders are checked against the balance of the wallet they buy from
+            const balance = userMode === 'PAPER'
+                ? await getPaperBalance(order.user_id, order.chain)
+                : telegramId
+                    ? await getWalletBalanceUsd(telegramId, order.chain, await getNativePriceUsd(order.chain), order.wallet_id)
+                    : null;
+            const tradingCheck = canTrade(order.user_id, profile, balance);
+
+            if (!tradingCheck.allowed) {
+                logWarn(`Limit order ${order.id} held: ${tradingCheck.reason}`);
+                return;
+            }
+
+            const signal = applyRiskProfile({
                 token: order.token_name,
                 tokenAddress: order.token_address,
                 chain: order.chain,
-                entryPrice: currentPrice
-            };
+                entryPrice: currentPrice,
+                userId: order.user_id
+            }, profile);
             const positionSize = { positionSizeUsd: order.amount_usd || order.amount };
+            let liveFill = false;
 
-            if (userMode === 'LIVE') {
-                const userWallet = telegramId ? await getWalletForTrading(telegramId, order.chain) : null;
-
-                if (order.chain === 'solana' && isSolanaLiveEnabled()) {
-                    result = await executeSolanaBuy(signal, positionSize, userWallet);
-                } else if (isLiveEnabled()) {
-                    result = await executeLiveBuy(signal, positionSize, userWallet);
-                } else {
-                    result = await executePaperBuy(signal, positionSize);
+            if (userMode === 'LIVE' && ((order.chain === 'solana' && isSolanaLiveEnabled()) || isLiveEnabled())) {
+                const userWallet = telegramId ? await getWalletForTrading(telegramId, order.chain, order.wallet_id) : null;
+                if (order.wallet_id && !userWallet) {
+                    logWarn(`Limit order ${order.id} held: its wallet is not available`);
+                    return;
                 }
+
+                const spec = buyOrderSpec('limit', `limit:${order.id}`, signal, { telegramId });
+
+                result = await runOrder(spec, liveOrder => order.chain === 'solana' && isSolanaLiveEnabled()
+                    ? executeSolanaBuy(signal, positionSize, userWallet, liveOrder)
+                    : executeLiveBuy(signal, positionSize, userWallet, liveOrder));
+                liveFill = true;
             } else {
                 result = await executePaperBuy(signal, positionSize);
             }
+
+            if (result?.success) {
+                recordEntry(order.user_id);
+
+                // Live fills become monitored positions with TP/SL/time exits
+                if (liveFill) {
+                    await openLivePosition(signal, result.result, telegramId);
+                }
+            }
         } else {
             // Sell logic
             const position = {
@@ -285,21 +329,26 @@ async function checkLimitOrder(order) {
                 referrerId: order.users?.referrer_id
             };
 
-            if (userMode === 'LIVE') {
-                const userWallet = telegramId ? await getWalletForTrading(telegramId, order.chain) : null;
-
-                if (order.chain === 'solana' && isSolanaLiveEnabled()) {
-                    result = await executeSolanaSell(position, currentPrice, 'LIMIT_ORDER', userWallet);
-                } else if (isLiveEnabled()) {
-                    result = await executeLiveSell(position, currentPrice, 'LIMIT_ORDER', userWallet);
-                } else {
-                    result = await executePaperSell(position, currentPrice, 'LIMIT_ORDER');
+            if (userMode === 'LIVE' && ((order.chain === 'solana' && isSolanaLiveEnabled()) || isLiveEnabled())) {
+                const userWallet = telegramId ? await getWalletForTrading(telegramId, order.chain, order.wallet_id) : null;
+                if (order.wallet_id && !userWallet) {
+                    logWarn(`Limit order ${order.id} held: its wallet is not available`);
+                    return;
                 }
+
+                const spec = sellOrderSpec('limit', `limit:${order.id}`, { ...position, telegramId });
+
+                result = await runOrder(spec, liveOrder => order.chain === 'solana' && isSolanaLiveEnabled()
+                    ? executeSolanaSell(position, currentPrice, 'LIMIT_ORDER', userWallet, null, liveOrder)
+                    : executeLiveSell(position, currentPrice, 'LIMIT_ORDER', userWallet, null, liveOrder));
             } else {
                 result = await executePaperSell(position, currentPrice, 'LIMIT_ORDER');
             }
         }
 
+        // Already placed by an earlier check, which updates the limit order itself
+        if (result?.duplicate) return;
+
         // Update order status
         const supabase = getSupabase();
         await supabase
@@ -307,7 +356,7 @@ async function checkLimitOrder(order) {
             .update({
                 status: 'filled',
                 filled_at: new Date().toISOString(),
-                tx_hash: result?.txHash || null
+                tx_hash: result?.result?.txHash || null
             })
             .eq('id', order.id);
 
@@ -0,0 +1,381 @@
+/**
+ * DEX Trading Bot - Live Positions
+ *
+ * Turns confirmed live buys into monitored positions:
+ *   - Actual tokens received, effective entry price and gas from the fill
+ *   - Persisted in the trades table so monitoring survives restarts
+ *   - Exits sold from the owner's wallet via the chain's executor
+ *
+ * Live positions sit in the same state as paper positions (mode: 'LIVE'),
+ * so the position loop applies the same TP/SL/time and trailing exits.
+ */
+
+import { logInfo, logWarn, logError } from '../logging/logger.js';
+import { getSupabase } from '../database/supabase.js';
+import { getNativePriceUsd } from '../data/priceEngine.js';
+import { getTokenPairs } from '../data/dexscreener.js';
+import { addPosition, reducePosition, closePosition, restorePosition, getOpenPositions } from '../automation/state.js';
+import { recordTrade } from '../risk/riskManager.js';
+import { getWalletForTrading } from '../wallet/userWalletManager.js';
+import { executeLiveSell } from './evmExecutor.js';
+import { executeSolanaSell } from './solanaExecutor.js';
+import { ORDER_STATUS, runOrder, sellOrderSpec } from './orderStore.js';
+
+// Exit reason of exits that landed while nothing was watching
+const RECOVERED_EXIT_REASON = 'Recovered exit';
+
+/**
+ * Find the deepest pair for a token when the buy didn't come from a pair signal
+ */
+async function resolvePairAddress(chainId, tokenAddress) {
+    try {
+        const pairs = await getTokenPairs(chainId, tokenAddress);
+        const deepest = pairs
+            .filter(p => p.baseToken?.address?.toLowerCase() === tokenAddress.toLowerCase())
+            .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
+
+        return deepest?.pairAddress || null;
+    } catch (err) {
+        logError(`Failed to resolve pair for ${tokenAddress}`, err);
+        return null;
+    }
+}
+
+/**
+ * Fields stored in trades.data (the signal carries the whole market snapshot)
+ */
+function toPositionData(position) {
+    const { signal, ...data } = position;
+    return data;
+}
+
+/**
+ * Open a position for a confirmed live buy
+ * @param {Object} signal - Signal the buy was made for (userId = users.id)
+ * @param {Object} fill - Executor result: { txHash, tokensReceived, nativeSpent, gasCostNative, walletAddress, children }
+ * @param {string} telegramId - Owner's Telegram ID, used to load their wallet on exit
+ * @returns {Promise<Object|null>} Position, or null if the fill could not be valued
+ */
+export async function openLivePosition(signal, fill, telegramId) {
+    const nativePriceUsd = await getNativePriceUsd(signal.chain);
+    const gasCostNative = fill.gasCostNative || 0;
+
+    // Effective entry: native spent plus entry gas over the tokens that actually arrived
+    let tokenAmount = fill.tokensReceived;
+    let positionSizeUsd = nativePriceUsd ? (fill.nativeSpent + gasCostNative) * nativePriceUsd : null;
+
+    if (!(tokenAmount > 0)) {
+        if (!positionSizeUsd || !signal.entryPrice) {
+            logError(`Live buy ${fill.txHash} could not be valued, position not tracked`);
+            return null;
+        }
+        logWarn(`Fill amount unknown for ${fill.txHash}, estimating from the signal price`);
+        tokenAmount = positionSizeUsd / signal.entryPrice;
+    }
+
+    if (!positionSizeUsd) {
+        logWarn(`No ${signal.chain} native price, using the signal price as entry for ${fill.txHash}`);
+        positionSizeUsd = tokenAmount * signal.entryPrice;
+    }
+
+    const entryPrice = positionSizeUsd / tokenAmount;
+    const pairAddress = signal.pairAddress || await resolvePairAddress(signal.chain, signal.tokenAddress);
+
+    const position = {
+        chain: signal.chain,
+        pairAddress,
+        token: signal.token,
+        tokenAddress: signal.tokenAddress,
+        entryPrice,
+        tokenAmount,
+        initialTokenAmount: tokenAmount,
+        positionSizeUsd,
+        initialPositionSizeUsd: positionSizeUsd,
+        nativeSpent: fill.nativeSpent,
+        gasCostNative,
+        takeProfit: signal.takeProfit,
+        stopLoss: signal.stopLoss,
+        maxHoldUntil: signal.maxHoldUntil,
+        maxSlippage: signal.maxSlippage,
+        highWaterMark: entryPrice,
+        exitPlan: signal.exitPlan,
+        tiersFilled: [],
+        strategy: signal.strategy,
+        userId: signal.userId,
+        telegramId,
+        referrerId: signal.referrerId,
+        walletAddress: fill.walletAddress,
+        txHash: fill.txHash,
+        // TWAP child swaps of the entry (one for unsplit orders)
+        fills: fill.children || [],
+        exitFills: [],
+        mode: 'LIVE',
+        signal
+    };
+
+    const positionId = addPosition(position);
+    const opened = getOpenPositions().find(p => p.id === positionId);
+
+    logInfo(`🔴 Live position opened: ${tokenAmount.toFixed(4)} ${signal.token} @ $${entryPrice.toFixed(8)} (gas ${gasCostNative.toFixed(6)})`);
+
+    const supabase = getSupabase();
+    if (supabase && signal.userId) {
+        try {
+            const { error } = await supabase
+                .from('trades')
+                .insert({
+                    user_id: signal.userId,
+                    chain: signal.chain,
+                    token: signal.token,
+                    token_address: signal.tokenAddress,
+                    pair_address: pairAddress,
+                    action: 'BUY',
+                    entry_price: entryPrice,
+                    amount_usd: positionSizeUsd,
+                    amount_native: fill.nativeSpent,
+                    token_amount: tokenAmount,
+                    gas_cost_native: gasCostNative,
+                    gas_cost_usd: nativePriceUsd ? gasCostNative * nativePriceUsd : 0,
+                    tx_hash: fill.txHash,
+                    position_id: positionId,
+                    data: toPositionData(opened),
+                    status: 'OPEN'
+                });
+
+            if (error) throw error;
+        } catch (err) {
+            logError(`Failed to record live position ${positionId}`, err);
+        }
+    }
+
+    return opened;
+}
+
+/**
+ * Save stop/tier changes of a live position (no-op for other positions)
+ */
+export async function saveLivePosition(position) {
+    if (!position?.userId || position.mode !== 'LIVE') return;
+
+    const supabase = getSupabase();
+    if (!supabase) return;
+
+    try {
+        const { error } = await supabase
+            .from('trades')
+            .update({ data: toPositionData(position) })
+            .eq('position_id', position.id);
+
+        if (error) throw error;
+    } catch (err) {
+        logError(`Failed to persist live position ${position.id}`, err);
+    }
+}
+
+/**
+ * Restore open live positions from the trades table into the bot state
+ * @returns {Promise<number>} Positions restored
+ */
+export async function restoreLivePositions() {
+    const supabase = getSupabase();
+    if (!supabase) return 0;
+
+    try {
+        const { data, error } = await supabase
+            .from('trades')
+            .select('user_id, position_id, data')
+            .eq('status', 'OPEN')
+            .not('position_id', 'is', null);
+
+        if (error) throw error;
+
+        let restored = 0;
+        for (const row of data || []) {
+            if (restorePosition({ ...row.data, id: row.position_id, userId: row.user_id, mode: 'LIVE' })) {
+                restored++;
+            }
+        }
+
+        if (restored > 0) {
+            logInfo(`Restored ${restored} live position(s) from trades`);
+        }
+
+        return restored;
+    } catch (err) {
+        logError('Failed to restore live positions', err);
+        return 0;
+    }
+}
+
+/**
+ * Idempotency key of a position's exit: keyed by what's left of the position,
+ * so while an exit may still land no other exit is sent for the same tokens
+ * (whatever its reason)
+ */
+function exitOrderKey(position) {
+    return `exit:${position.id}:${position.tokenAmount}`;
+}
+
+/**
+ * Sell all or part of a live position from the owner's wallet
+ * Mirrors executePaperSell's result shape so the position loop handles both
+ * @param {Object} position - Open live position
+ * @param {number} currentPrice - Current market price
+ * @param {string} reason - Exit reason
+ * @param {number} sellAmount - Optional token amount for a partial exit (default: whole position)
+ * @returns {Promise<Object>} { success, result: { executionPrice, proceeds, proceedsNative (net of gas, null if unknown), pnl, pnlPercent, tokensSold, partial, txHash } }
+ */
+export async function executeLivePositionSell(position, currentPrice, reason, sellAmount = null) {
+    // The wallet that bought (positions opened before it was recorded: the default one)
+    const wallet = position.telegramId
+        ? await getWalletForTrading(position.telegramId, position.chain, position.walletAddress || null)
+        : null;
+
+    // The bot's own wallet doesn't hold these tokens, never fall back to it
+    if (!wallet) {
+        logError(`No wallet for live position ${position.id}, cannot exit`);
+        return { success: false, error: 'Owner wallet not available' };
+    }
+
+    // Only sell the position's tokens, not whatever else the wallet holds
+    const requested = sellAmount || position.tokenAmount;
+
+    const sell = position.chain === 'solana' ? executeSolanaSell : executeLiveSell;
+    const spec = sellOrderSpec('exit', exitOrderKey(position), position, requested);
+    const result = await runOrder(spec, order => sell(position, currentPrice, reason, wallet, requested, order));
+
+    if (result.success) {
+        return applyLiveExit(position, result.result, currentPrice, reason, requested, result.attempts);
+    }
+
+    // An earlier exit under this key landed (before a restart, or resolved by
+    // the reconciler) without reaching the position: apply its fill now
+    if (result.duplicate && result.order.status === ORDER_STATUS.CONFIRMED && result.order.data.fill) {
+        logWarn(`Exit ${spec.key} already confirmed, applying its fill to the position`);
+        return applyLiveExit(position, result.order.data.fill, currentPrice, reason, result.order.tokenAmount || requested, 1);
+    }
+
+    return result;
+}
+
+/**
+ * Apply an exit the reconciler found confirmed on chain to its position
+ * No-op when the position is gone or already moved past that exit
+ * @param {Object} order - Confirmed exit order (fill in data.fill)
+ * @returns {Promise<Object|null>} Exit result as from executeLivePositionSell, null if not applied
+ */
+export async function applyRecoveredExit(order) {
+    const position = getOpenPositions().find(p => p.id === order.positionId && p.mode === 'LIVE');
+
+    if (!position || exitOrderKey(position) !== order.key || !order.data.fill) {
+        return null;
+    }
+
+    logInfo(`Applying recovered exit ${order.key} to live position ${position.id}`);
+
+    // Without a market price at hand, valued at entry when the native price is missing too
+    return applyLiveExit(position, order.data.fill, position.entryPrice, RECOVERED_EXIT_REASON, order.tokenAmount || position.tokenAmount, 1);
+}
+
+/**
+ * Close or reduce a live position for a confirmed exit fill, record its
+ * trade row and the PnL against the owner's daily limits
+ * @param {Object} fill - Executor fill: { tokensSold, proceeds, gasCostNative, complete, children, txHash }
+ * @param {number} requested - Tokens the exit was placed for
+ */
+async function applyLiveExit(position, fill, currentPrice, reason, requested, attempts) {
+    const nativePriceUsd = await getNativePriceUsd(position.chain);
+    const tokensSold = Math.min(parseFloat(fill.tokensSold ?? requested) || requested, position.tokenAmount);
+    const gasCostNative = fill.gasCostNative || 0;
+    const proceedsNative = fill.proceeds == null ? null : parseFloat(fill.proceeds);
+
+    // A TWAP exit that stopped early sold only part of the position
+    const isPartial = requested < position.tokenAmount * 0.999999;
+    const isPartialFill = isPartial || (fill.complete === false && tokensSold < position.tokenAmount * 0.999999);
+    position.exitFills = [...(position.exitFills || []), ...(fill.children || [])];
+
+    // Net proceeds after exit gas; fall back to the quoted price without a native price
+    const proceeds = nativePriceUsd && proceedsNative !== null
+        ? (proceedsNative - gasCostNative) * nativePriceUsd
+        : tokensSold * currentPrice;
+    const costBasis = isPartialFill
+        ? position.positionSizeUsd * (tokensSold / position.tokenAmount)
+        : position.positionSizeUsd;
+    const pnl = proceeds - costBasis;
+    const pnlPercent = (pnl / costBasis) * 100;
+    const executionPrice = proceeds / tokensSold;
+
+    position.gasCostNative = (position.gasCostNative || 0) + gasCostNative;
+
+    if (isPartialFill) {
+        reducePosition(position.id, tokensSold, costBasis, executionPrice, reason);
+        await saveLivePosition(position);
+    } else {
+        const realizedPnL = (position.realizedPnL || 0) + pnl;
+        const initialSize = position.initialPositionSizeUsd || position.positionSizeUsd;
+
+        closePosition(position.id, executionPrice, reason);
+        await closeLiveTrade(position, {
+            exitPrice: executionPrice,
+            pnl: realizedPnL,
+            pnlPercent: (realizedPnL / initialSize) * 100,
+            gasCostUsd: nativePriceUsd ? position.gasCostNative * nativePriceUsd : 0,
+            exitTxHash: fill.txHash
+        });
+    }
+
+    // Record PnL against the position owner's daily risk limits
+    recordTrade(pnl, position.userId);
+
+    return {
+        success: true,
+        attempts,
+        result: {
+            executionPrice,
+            proceeds,
+            proceedsNative: proceedsNative === null ? null : proceedsNative - gasCostNative,
+            pnl,
+            pnlPercent,
+            tokensSold,
+            partial: isPartialFill,
+            txHash: fill.txHash
+        }
+    };
+}
+
+/**
+ * Mark a live position's trade row closed
+ */
+async function closeLiveTrade(position, exit) {
+    const supabase = getSupabase();
+    if (!supabase) return;
+
+    try {
+        const { error } = await supabase
+            .from('trades')
+            .update({
+                exit_price: exit.exitPrice,
+                pnl: exit.pnl,
+                pnl_percent: exit.pnlPercent,
+                gas_cost_native: position.gasCostNative,
+                gas_cost_usd: exit.gasCostUsd,
+                exit_tx_hash: exit.exitTxHash,
+                data: toPositionData(position),
+                status: 'CLOSED',
+                closed_at: new Date().toISOString()
+            })
+            .eq('position_id', position.id);
+
+        if (error) throw error;
+    } catch (err) {
+        logError(`Failed to close live trade ${position.id}`, err);
+    }
+}
+
+export default {
+    openLivePosition,
+    saveLivePosition,
+    restoreLivePositions,
+    executeLivePositionSell,
+    applyRecoveredExit
+};
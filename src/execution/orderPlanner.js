@@ -0,0 +1,184 @@
+/**
+ * DEX Trading Bot - Order Planner
+ *
+ * Sizes slippage per trade and splits high-impact orders over time (TWAP):
+ *   - Slippage: MIN_SLIPPAGE plus recent volatility (1m ATR as % of price),
+ *     half the expected price impact and a buffer for thin pools, capped at
+ *     the user's max slippage (SLIPPAGE_TOLERANCE by default)
+ *   - TWAP: orders whose quoted impact exceeds MAX_PRICE_IMPACT are split
+ *     into up to TWAP_MAX_SLICES child swaps, TWAP_INTERVAL_SECONDS apart
+ *
+ * Executors report the child swaps as one parent fill (fill.children).
+ */
+
+import { logInfo, logWarn } from '../logging/logger.js';
+import config from '../config/index.js';
+import { getIndicators } from '../strategy/indicators.js';
+import { getCandles } from '../data/candleStore.js';
+
+// Volatility assumed for pairs without warmed-up 1m candles (% per candle)
+const DEFAULT_VOLATILITY = 1;
+
+// Thin-pool buffer: 1% at $10k liquidity, shrinking as pools deepen
+const THIN_POOL_LIQUIDITY = 10000;
+const MAX_LIQUIDITY_BUFFER = 2;
+
+/**
+ * Estimate price impact from pool liquidity (constant product, half the
+ * liquidity on each side) when no quote is available
+ * @param {number} tradeUsd - Trade size in USD
+ * @param {number} liquidityUsd - Pool liquidity in USD
+ * @returns {number} Price impact in percent (0 if unknown)
+ */
+export function estimatePriceImpact(tradeUsd, liquidityUsd) {
+    if (!(tradeUsd > 0) || !(liquidityUsd > 0)) return 0;
+
+    const reserveUsd = liquidityUsd / 2;
+    return (tradeUsd / (reserveUsd + tradeUsd)) * 100;
+}
+
+/**
+ * Recent volatility of a pair: 1m ATR as a percent of the last close
+ * @returns {number|null} Percent, or null until the pair's 1m candles warm up
+ */
+export function getVolatilityPercent(chainId, pairAddress) {
+    if (!pairAddress) return null;
+
+    const { atr14 } = getIndicators(chainId, pairAddress, '1m');
+    const [last] = getCandles(chainId, pairAddress, '1m', 1);
+
+    if (!(atr14 > 0) || !(last?.close > 0)) return null;
+    return (atr14 / last.close) * 100;
+}
+
+/**
+ * Slippage tolerance for one swap
+ * @param {Object} params - { chainId, pairAddress, liquidityUsd, priceImpact (%), maxSlippage (%) }
+ * @returns {number} Slippage in percent
+ */
+export function getDynamicSlippage({ chainId, pairAddress, liquidityUsd, priceImpact = 0, maxSlippage }) {
+    const { minSlippage, slippageTolerance } = config.execution;
+    const cap = maxSlippage > 0 ? maxSlippage : slippageTolerance;
+
+    const volatility = getVolatilityPercent(chainId, pairAddress) ?? DEFAULT_VOLATILITY;
+    const liquidityBuffer = liquidityUsd > 0
+        ? Math.min(THIN_POOL_LIQUIDITY / liquidityUsd, MAX_LIQUIDITY_BUFFER)
+        : MAX_LIQUIDITY_BUFFER;
+
+    const slippage = minSlippage + volatility + priceImpact / 2 + liquidityBuffer;
+    return Math.round(Math.min(Math.max(slippage, minSlippage), cap) * 100) / 100;
+}
+
+/**
+ * Number of child swaps for an order with the given price impact
+ */
+export function getSliceCount(priceImpact) {
+    const { maxPriceImpact, twapMaxSlices } = config.execution;
+
+    if (!(priceImpact > maxPriceImpact) || twapMaxSlices <= 1) return 1;
+    return Math.min(Math.ceil(priceImpact / maxPriceImpact), twapMaxSlices);
+}
+
+/**
+ * Plan an order: slices, and slippage for each slice
+ * Each slice moves the price by about its share of the whole order's impact
+ * @param {Object} params - { chainId, pairAddress, liquidityUsd, priceImpact (%), maxSlippage (%) }
+ * @returns {Object} { priceImpact, slices, slippage, intervalMs }
+ */
+export function planOrder(params) {
+    const priceImpact = Math.max(params.priceImpact || 0, 0);
+    const slices = getSliceCount(priceImpact);
+    const slippage = getDynamicSlippage({ ...params, priceImpact: priceImpact / slices });
+
+    logInfo(`Order plan: ${priceImpact.toFixed(2)}% impact, ${slices} slice(s), ${slippage}% slippage`);
+
+    return {
+        priceImpact,
+        slices,
+        slippage,
+        intervalMs: config.execution.twapIntervalSeconds * 1000
+    };
+}
+
+/**
+ * Amount of one slice, the last slice taking the remainder
+ * @param {bigint} total - Whole order in base units
+ * @returns {bigint} Slice amount
+ */
+export function splitAmount(total, index, count) {
+    const slice = total / BigInt(count);
+    return index === count - 1 ? total - slice * BigInt(count - 1) : slice;
+}
+
+/**
+ * Run an order's slices in sequence, waiting between them
+ * Stops at the first slice that fails (after its retries); earlier fills stand
+ * @param {Object} plan - From planOrder
+ * @param {string} label - Order description for logs
+ * @param {Function} runSlice - (index, count) => executeWithRetry result
+ * @returns {Promise<Object>} { children, attempts, complete, error }
+ */
+export async function executeSlices(plan, label, runSlice) {
+    const children = [];
+    let attempts = 0;
+    let error = null;
+
+    for (let i = 0; i < plan.slices; i++) {
+        if (i > 0) {
+            await sleep(plan.intervalMs);
+        }
+
+        if (plan.slices > 1) {
+            logInfo(`TWAP ${label}: slice ${i + 1}/${plan.slices}`);
+        }
+
+        const result = await runSlice(i, plan.slices);
+        attempts += result.attempts || 0;
+
+        if (!result.success) {
+            error = result.error;
+            if (children.length > 0) {
+                logWarn(`TWAP ${label} stopped after ${children.length}/${plan.slices} slices: ${error}`);
+            }
+            break;
+        }
+
+        children.push(result.result);
+    }
+
+    return { children, attempts, complete: children.length === plan.slices, error };
+}
+
+/**
+ * Combine child fills into one parent fill: the first child's tx hash and
+ * wallet, amounts summed, every child kept in children
+ * @param {Array<Object>} children - Child fills, in order
+ * @param {Array<string>} amountFields - Fields to sum (null if any child's is unknown)
+ * @returns {Object} Parent fill
+ */
+export function mergeFills(children, amountFields) {
+    const parent = { ...children[0] };
+
+    for (const field of amountFields) {
+        const unknown = children.some(c => c[field] === null || c[field] === undefined);
+        parent[field] = unknown ? null : children.reduce((sum, c) => sum + Number(c[field]), 0);
+    }
+
+    parent.children = children;
+    return parent;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+    estimatePriceImpact,
+    getVolatilityPercent,
+    getDynamicSlippage,
+    getSliceCount,
+    planOrder,
+    splitAmount,
+    executeSlices,
+    mergeFills
+};
@@ -0,0 +1,131 @@
+/**
+ * DEX Trading Bot - Order Reconciler
+ *
+ * Resolves orders left in flight by a restart (or by an execution that gave
+ * up while its transaction could still land):
+ *   - created / quoted: nothing was broadcast, the order expired
+ *   - submitted: every transaction recorded for the order is looked up on
+ *     chain (receipts on EVM, signature statuses on Solana); the order stays
+ *     submitted while any of them could still land
+ *
+ * A buy confirmed this way opens its live position from the on-chain fill,
+ * and a confirmed exit closes or reduces its position, as the finished
+ * execution would have.
+ */
+
+import { logInfo, logError } from '../logging/logger.js';
+import { ORDER_STATUS, getUnresolvedOrders, resolveOrder } from './orderStore.js';
+import { checkOrderTransactions } from './evmExecutor.js';
+import { checkOrderSignatures } from './solanaExecutor.js';
+import { openLivePosition, applyRecoveredExit } from './livePositions.js';
+import { recordEntry } from '../risk/riskManager.js';
+import { notifyOrderResolved } from '../notifications/telegram.js';
+
+// EVM transactions the node doesn't know are dropped after this long (covers
+// the relay timeout and txManager's speed-ups and cancel)
+const DROPPED_AFTER_MS = 10 * 60 * 1000;
+
+let reconciling = false;
+
+/**
+ * Resolve every unresolved order no running execution owns
+ * @returns {Promise<Object>} { resolved, pending }
+ */
+export async function reconcileOrders() {
+    if (reconciling) return { resolved: 0, pending: 0 };
+    reconciling = true;
+
+    let resolved = 0;
+    let pending = 0;
+
+    try {
+        for (const order of await getUnresolvedOrders()) {
+            try {
+                if (await reconcileOrder(order)) {
+                    resolved++;
+                } else {
+                    pending++;
+                }
+            } catch (err) {
+                pending++;
+                logError(`Failed to reconcile order ${order.id}`, err);
+            }
+        }
+
+        if (resolved > 0) {
+            logInfo(`Reconciled ${resolved} order(s), ${pending} still in flight`);
+        }
+    } finally {
+        reconciling = false;
+    }
+
+    return { resolved, pending };
+}
+
+/**
+ * Resolve one order from the chain
+ * @returns {Promise<boolean>} False while its transactions could still land
+ */
+async function reconcileOrder(order) {
+    if (order.status !== ORDER_STATUS.SUBMITTED) {
+        await resolveOrder(order, ORDER_STATUS.EXPIRED, { error: 'Interrupted before a transaction was sent' });
+        await notifyOrderResolved(order, order.data.telegramId).catch(() => { });
+        return true;
+    }
+
+    const check = order.chain === 'solana'
+        ? await checkOrderSignatures(order)
+        : await checkOrderTransactions(order, DROPPED_AFTER_MS);
+
+    if (check.status === 'pending') {
+        return false;
+    }
+
+    if (check.status !== ORDER_STATUS.CONFIRMED) {
+        const error = check.status === ORDER_STATUS.EXPIRED ? 'Transaction dropped without landing' : 'Transaction failed on chain';
+        await resolveOrder(order, check.status, { error: order.error || error });
+        await notifyOrderResolved(order, order.data.telegramId).catch(() => { });
+        return true;
+    }
+
+    // Buys become monitored positions, as if the execution had finished
+    // (DCA buys accumulate without exits)
+    let positionId = order.positionId;
+    if (order.side === 'BUY' && order.source !== 'dca' && order.data.signal) {
+        try {
+            const position = await openLivePosition(order.data.signal, check.fill, order.data.telegramId);
+            positionId = position?.id || null;
+
+            if (position && order.userId) {
+                recordEntry(order.userId);
+            }
+        } catch (err) {
+            logError(`Failed to open position for recovered order ${order.id}`, err);
+        }
+    }
+
+    // Exits are applied before the order resolves: the position loop finding
+    // the key confirmed would apply the same fill again
+    let exit = null;
+    if (order.side === 'SELL' && order.source === 'exit') {
+        try {
+            exit = await applyRecoveredExit({ ...order, data: { ...order.data, fill: check.fill } });
+        } catch (err) {
+            logError(`Failed to apply recovered exit ${order.id}`, err);
+        }
+    }
+
+    await resolveOrder(order, ORDER_STATUS.CONFIRMED, {
+        txHash: check.fill.txHash,
+        positionId,
+        error: null,
+        data: { ...order.data, fill: check.fill }
+    });
+    await notifyOrderResolved(order, order.data.telegramId, exit?.result).catch(() => { });
+
+    return true;
+}
+
+export default {
+    reconcileOrders
+};
@@ -0,0 +1,503 @@
+/**
+ * DEX Trading Bot - Order Store
+ *
+ * Every live order (signal auto-trade, manual buy, limit, DCA, exit) is
+ * persisted in the orders table as it moves through:
+ *   created → quoted → submitted → confirmed | failed | expired
+ *
+ * Orders carry an idempotency key: a key that was already placed is not
+ * executed again unless its order failed or expired. Each swap transaction is
+ * recorded before it is broadcast, so an order a restart left in flight can
+ * be resolved from the chain (orderReconciler). An order whose row can't be
+ * written is not placed.
+ *
+ * Without Supabase orders are kept in memory only.
+ */
+
+import { randomUUID } from 'crypto';
+import { logInfo, logWarn, logError } from '../logging/logger.js';
+import { getSupabase } from '../database/supabase.js';
+
+export const ORDER_STATUS = {
+    CREATED: 'created',
+    QUOTED: 'quoted',
+    SUBMITTED: 'submitted',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',
+    EXPIRED: 'expired'
+};
+
+// Statuses an order moves through before it resolves, in order
+const OPEN_STATUSES = [ORDER_STATUS.CREATED, ORDER_STATUS.QUOTED, ORDER_STATUS.SUBMITTED];
+
+// Signal fields kept on buy orders, enough to open the position on recovery
+const SIGNAL_FIELDS = [
+    'chain', 'token', 'tokenAddress', 'pairAddress', 'entryPrice', 'liquidity',
+    'takeProfit', 'stopLoss', 'maxHoldUntil', 'maxSlippage', 'exitPlan',
+    'strategy', 'userId', 'referrerId'
+];
+
+// Orders by idempotency key: this process's unresolved orders (all orders memory-only)
+const orders = new Map();
+
+// IDs of orders being executed by this process
+const inFlight = new Set();
+
+// Pending row writes per order, so an older status never lands after a newer one
+const saving = new Map();
+
+// Postgres unique_violation: another process claimed the key first
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Order fields for a buy
+ * @param {string} source - 'signal' | 'manual' | 'limit' | 'dca'
+ * @param {string} key - Idempotency key
+ * @param {Object} signal - Signal being bought (userId = users.id)
+ * @param {Object} details - { telegramId, amountNative }
+ */
+export function buyOrderSpec(source, key, signal, { telegramId = null, amountNative = null } = {}) {
+    const kept = Object.fromEntries(SIGNAL_FIELDS.filter(f => signal[f] !== undefined).map(f => [f, signal[f]]));
+
+    return {
+        key,
+        source,
+        side: 'BUY',
+        userId: signal.userId || null,
+        chain: signal.chain,
+        token: signal.token,
+        tokenAddress: signal.tokenAddress,
+        amountNative,
+        data: { signal: kept, telegramId }
+    };
+}
+
+/**
+ * Order fields for a sell
+ * @param {string} source - 'exit' | 'limit' | 'withdraw'
+ * @param {string} key - Idempotency key
+ * @param {Object} position - Position (or limit order) being sold
+ * @param {number} tokenAmount - Tokens to sell, null for the whole balance
+ */
+export function sellOrderSpec(source, key, position, tokenAmount = null) {
+    return {
+        key,
+        source,
+        side: 'SELL',
+        userId: position.userId || null,
+        chain: position.chain,
+        token: position.token,
+        tokenAddress: position.tokenAddress,
+        tokenAmount,
+        positionId: position.id || null,
+        data: { telegramId: position.telegramId || null }
+    };
+}
+
+function toRow(order) {
+    return {
+        id: order.id,
+        user_id: order.userId,
+        idempotency_key: order.key,
+        source: order.source,
+        side: order.side,
+        chain: order.chain,
+        token: order.token,
+        token_address: order.tokenAddress,
+        amount_native: order.amountNative,
+        token_amount: order.tokenAmount,
+        status: order.status,
+        tx_hash: order.txHash,
+        wallet_address: order.walletAddress,
+        position_id: order.positionId,
+        error: order.error,
+        data: order.data,
+        updated_at: new Date().toISOString()
+    };
+}
+
+function fromRow(row) {
+    return {
+        id: row.id,
+        key: row.idempotency_key,
+        userId: row.user_id,
+        source: row.source,
+        side: row.side,
+        chain: row.chain,
+        token: row.token,
+        tokenAddress: row.token_address,
+        amountNative: row.amount_native,
+        tokenAmount: row.token_amount,
+        status: row.status,
+        txHash: row.tx_hash,
+        walletAddress: row.wallet_address,
+        positionId: row.position_id,
+        error: row.error,
+        data: { txs: [], ...row.data },
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Whether an order with this status may be placed again under its key
+ */
+function isReplaceable(order) {
+    return order.status === ORDER_STATUS.FAILED || order.status === ORDER_STATUS.EXPIRED;
+}
+
+/**
+ * Claim an idempotency key
+ * The order only runs once its row is written: without one it could neither
+ * hold the key nor be recovered after a crash
+ * @returns {Promise<Object>} { order } when claimed, { existing } if the key was already placed,
+ *   { error } if the claim could not be recorded
+ */
+async function claimOrder(spec) {
+    const cached = orders.get(spec.key);
+    if (cached && !isReplaceable(cached)) {
+        return { existing: cached };
+    }
+
+    // Claimed locally first: a double tap arrives before the insert returns
+    const order = {
+        id: randomUUID(),
+        key: spec.key,
+        userId: spec.userId || null,
+        source: spec.source,
+        side: spec.side,
+        chain: spec.chain,
+        token: spec.token,
+        tokenAddress: spec.tokenAddress,
+        amountNative: spec.amountNative ?? null,
+        tokenAmount: spec.tokenAmount ?? null,
+        status: ORDER_STATUS.CREATED,
+        txHash: null,
+        walletAddress: null,
+        positionId: spec.positionId || null,
+        error: null,
+        data: { txs: [], ...spec.data },
+        createdAt: new Date().toISOString()
+    };
+    orders.set(spec.key, order);
+
+    const supabase = getSupabase();
+    if (!supabase) return { order };
+
+    try {
+        const existing = await fetchOrderRow(supabase, spec.key);
+
+        if (existing && !isReplaceable(existing)) {
+            releaseClaim(order);
+            return { existing: fromRow(existing) };
+        }
+
+        let claimed;
+        if (existing) {
+            // A failed or expired order is placed again under the same row,
+            // only while it still is failed or expired
+            order.id = existing.id;
+
+            const { data, error } = await supabase
+                .from('orders')
+                .update({ ...toRow(order), created_at: order.createdAt })
+                .eq('id', existing.id)
+                .in('status', [ORDER_STATUS.FAILED, ORDER_STATUS.EXPIRED])
+                .select('id');
+
+            if (error) throw error;
+            claimed = data?.length > 0;
+        } else {
+            const { error } = await supabase
+                .from('orders')
+                .insert({ ...toRow(order), created_at: order.createdAt });
+
+            if (error && error.code !== UNIQUE_VIOLATION) throw error;
+            claimed = !error;
+        }
+
+        // Another claim won the race between the read and the write
+        if (!claimed) {
+            releaseClaim(order);
+            const winner = await fetchOrderRow(supabase, spec.key);
+            if (!winner) throw new Error('Order row changed while claiming it');
+            return { existing: fromRow(winner) };
+        }
+    } catch (err) {
+        logError(`Failed to persist order ${spec.key}`, err);
+        releaseClaim(order);
+        return { error: 'Order could not be recorded, not placing it' };
+    }
+
+    return { order };
+}
+
+/**
+ * Read an idempotency key's row
+ * @returns {Promise<Object|null>} Row, null if the key was never placed
+ */
+async function fetchOrderRow(supabase, key) {
+    const { data, error } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('idempotency_key', key)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Drop a local claim that did not become the key's order
+ */
+function releaseClaim(order) {
+    if (orders.get(order.key) === order) {
+        orders.delete(order.key);
+    }
+}
+
+/**
+ * Apply changes to an order and write its row (queued behind earlier writes)
+ * Persistence errors are logged, never thrown: a trade is not stopped by them
+ */
+async function updateOrder(order, changes) {
+    Object.assign(order, changes);
+
+    const supabase = getSupabase();
+    if (!supabase) return;
+
+    const row = toRow(order);
+    const previous = saving.get(order.id) || Promise.resolve();
+    const current = previous.then(async () => {
+        try {
+            const { error } = await supabase
+                .from('orders')
+                .update(row)
+                .eq('id', order.id);
+
+            if (error) throw error;
+        } catch (err) {
+            logError(`Failed to update order ${order.id}`, err);
+        }
+    });
+
+    saving.set(order.id, current);
+    await current;
+
+    if (saving.get(order.id) === current) {
+        saving.delete(order.id);
+    }
+}
+
+/**
+ * Record the plan of a quoted order (no-op without an order)
+ * @param {Object} order - Order from runOrder
+ * @param {Object} plan - From orderPlanner.planOrder
+ */
+export async function markQuoted(order, plan) {
+    if (!order || order.status !== ORDER_STATUS.CREATED) return;
+
+    await updateOrder(order, {
+        status: ORDER_STATUS.QUOTED,
+        data: {
+            ...order.data,
+            plan: { priceImpact: plan.priceImpact, slices: plan.slices, slippage: plan.slippage }
+        }
+    });
+}
+
+/**
+ * Record a swap transaction before it is broadcast (no-op without an order)
+ * Every version is kept: TWAP slices, retries, speed-ups and cancels
+ * @param {Object} order - Order from runOrder
+ * @param {Object} tx - { hash, walletAddress, nonce, cancel (EVM), lastValidBlockHeight (Solana), amountIn }
+ */
+export async function markSubmitted(order, tx) {
+    if (!order) return;
+
+    const { walletAddress, ...record } = tx;
+    record.sentAt = new Date().toISOString();
+
+    await updateOrder(order, {
+        status: ORDER_STATUS.SUBMITTED,
+        txHash: tx.cancel ? order.txHash : tx.hash,
+        walletAddress: walletAddress || order.walletAddress,
+        data: { ...order.data, txs: [...order.data.txs, record] }
+    });
+}
+
+/**
+ * Move an order to a final status
+ * @param {Object} order - Open order
+ * @param {string} status - confirmed | failed | expired
+ * @param {Object} changes - Other fields to set (error, txHash, positionId, data)
+ */
+export async function resolveOrder(order, status, changes = {}) {
+    await updateOrder(order, { ...changes, status });
+    logInfo(`Order ${order.side} ${order.token} (${order.source}) ${status}${order.txHash ? `: ${order.txHash}` : ''}`);
+
+    // The row keeps the key from here on; memory-only mode has nothing else
+    if (getSupabase() && orders.get(order.key) === order) {
+        orders.delete(order.key);
+    }
+}
+
+/**
+ * Place an order once per idempotency key and follow it to a result
+ * The execute callback receives the order, to pass on to the executor
+ * @param {Object} spec - From buyOrderSpec / sellOrderSpec
+ * @param {Function} execute - order => executor result
+ * @returns {Promise<Object>} Executor result with the order, { success: false, duplicate: true, order (the earlier one) },
+ *   or { success: false, error } when the order could not be recorded (nothing was executed)
+ */
+export async function runOrder(spec, execute) {
+    const { order, existing, error } = await claimOrder(spec);
+
+    if (error) {
+        return { success: false, error };
+    }
+
+    if (existing) {
+        logWarn(`Order ${spec.key} already ${existing.status}, not placing it again`);
+        return { success: false, duplicate: true, order: existing, error: `Order already ${existing.status}` };
+    }
+
+    inFlight.add(order.id);
+    try {
+        const result = await execute(order);
+
+        if (result?.success) {
+            await resolveOrder(order, ORDER_STATUS.CONFIRMED, {
+                txHash: result.result?.txHash || order.txHash,
+                walletAddress: result.result?.walletAddress || order.walletAddress,
+                error: null,
+                data: { ...order.data, fill: result.result }
+            });
+        } else if (order.status === ORDER_STATUS.SUBMITTED) {
+            // A swap was sent: the reconciler reads how it ended from the chain
+            await updateOrder(order, { error: result?.error || null });
+        } else {
+            await resolveOrder(order, ORDER_STATUS.FAILED, { error: result?.error || null });
+        }
+
+        return { ...result, order };
+    } catch (err) {
+        if (order.status !== ORDER_STATUS.SUBMITTED) {
+            await resolveOrder(order, ORDER_STATUS.FAILED, { error: err.message });
+        }
+        throw err;
+    } finally {
+        inFlight.delete(order.id);
+    }
+}
+
+/**
+ * Orders not yet resolved that no running execution owns
+ * @returns {Promise<Array<Object>>} Orders in created, quoted or submitted
+ */
+export async function getUnresolvedOrders() {
+    const supabase = getSupabase();
+    let open = [...orders.values()].filter(o => OPEN_STATUSES.includes(o.status));
+
+    if (supabase) {
+        try {
+            const { data, error } = await supabase
+                .from('orders')
+                .select('*')
+                .in('status', OPEN_STATUSES);
+
+            if (error) throw error;
+
+            // Cached orders are the live objects runOrder is updating
+            open = (data || []).map(row => orders.get(row.idempotency_key)?.id === row.id
+                ? orders.get(row.idempotency_key)
+                : fromRow(row));
+        } catch (err) {
+            logError('Failed to load unresolved orders', err);
+        }
+    }
+
+    return open.filter(o => !inFlight.has(o.id));
+}
+
+/**
+ * A user's most recent orders
+ * @param {string} userId - users.id
+ * @param {number} limit - Most orders to return
+ * @returns {Promise<Array<Object>>} Newest first
+ */
+export async function getUserOrders(userId, limit = 10) {
+    const supabase = getSupabase();
+
+    if (supabase) {
+        try {
+            const { data, error } = await supabase
+                .from('orders')
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+            return (data || []).map(fromRow);
+        } catch (err) {
+            logError(`Failed to load orders for ${userId}`, err);
+        }
+    }
+
+    return [...orders.values()]
+        .filter(o => o.userId === userId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+}
+
+// Rows read per page of a user's order history
+const HISTORY_PAGE_SIZE = 1000;
+
+/**
+ * A user's confirmed orders, oldest first (with their fills in data.fill)
+ * @param {string} userId - users.id
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getConfirmedOrders(userId) {
+    const supabase = getSupabase();
+
+    if (supabase) {
+        try {
+            const confirmed = [];
+            for (let from = 0; ; from += HISTORY_PAGE_SIZE) {
+                const { data, error } = await supabase
+                    .from('orders')
+                    .select('*')
+                    .eq('user_id', userId)
+                    .eq('status', ORDER_STATUS.CONFIRMED)
+                    .order('created_at', { ascending: true })
+                    .range(from, from + HISTORY_PAGE_SIZE - 1);
+
+                if (error) throw error;
+                confirmed.push(...(data || []).map(fromRow));
+
+                if (!data || data.length < HISTORY_PAGE_SIZE) return confirmed;
+            }
+        } catch (err) {
+            logError(`Failed to load order history for ${userId}`, err);
+            return [];
+        }
+    }
+
+    return [...orders.values()]
+        .filter(o => o.userId === userId && o.status === ORDER_STATUS.CONFIRMED)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export default {
+    ORDER_STATUS,
+    buyOrderSpec,
+    sellOrderSpec,
+    markQuoted,
+    markSubmitted,
+    resolveOrder,
+    runOrder,
+    getUnresolvedOrders,
+    getUserOrders,
+    getConfirmedOrders
+};
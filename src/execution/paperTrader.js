@@ -10,9 +10,10 @@
 
 import { logInfo, logTrade, logError } from '../logging/logger.js';
 import config from '../config/index.js';
-import { getBalance, updateBalance, addPosition, closePosition, getOpenPositions } from '../automation/state.js';
+import { getBalance, updateBalance, addPosition, reducePosition, closePosition, getOpenPositions } from '../automation/state.js';
 import { recordTrade, getDailyStats } from '../risk/riskManager.js';
 import { processTradeFee } from '../services/feeService.js';
+import { getPaperBalance, adjustPaperBalance, savePaperPosition, closePaperPosition, recordPaperFill } from '../services/paperLedgerService.js';
 
 // Simulated slippage range (0.1% to 0.5%)
 const MIN_SLIPPAGE = 0.001;
@@ -31,9 +32,12 @@ function simulateLatency() {
 
 /**
  * Calculate simulated slippage
+ * @param {number} price - Quoted price
+ * @param {boolean} isBuy - Buy or sell side
+ * @param {Function} random - Random source (backtests pass a seeded one)
  */
-function calculateSlippage(price, isBuy) {
-    const slippage = MIN_SLIPPAGE + Math.random() * (MAX_SLIPPAGE - MIN_SLIPPAGE);
+export function calculateSlippage(price, isBuy, random = Math.random) {
+    const slippage = MIN_SLIPPAGE + random() * (MAX_SLIPPAGE - MIN_SLIPPAGE);
     // Buy = price goes up, Sell = price goes down
     return isBuy ? price * (1 + slippage) : price * (1 - slippage);
 }
@@ -63,6 +67,11 @@ export async function executeWithRetry(executeFn, maxRetries = null, delayMs = n
         } catch (error) {
             logError(`Attempt ${attempt}/${maxRetries} failed: ${error.message}`);
 
+            // Some failures can't be retried safely (e.g. a swap that may still be mined)
+            if (error.retryable === false) {
+                return { success: false, error: error.message, attempts: attempt };
+            }
+
             if (attempt < maxRetries) {
                 // Exponential backoff
                 const backoffDelay = delayMs * Math.pow(1.5, attempt - 1);
@@ -96,14 +105,20 @@ export async function executePaperBuy(signal, positionSize) {
         // Calculate execution price with slippage
         const executionPrice = calculateSlippage(signal.entryPrice, true);
 
-        // Check if we have sufficient balance
-        const balance = getBalance(signal.chain);
+        // Check if we have sufficient balance (users trade their own paper account)
+        const balance = signal.userId
+            ? await getPaperBalance(signal.userId, signal.chain)
+            : getBalance(signal.chain);
         if (balance < positionSize.positionSizeUsd) {
             throw new Error(`Insufficient balance: $${balance.toFixed(2)} < $${positionSize.positionSizeUsd.toFixed(2)}`);
         }
 
         // Deduct from balance
-        updateBalance(signal.chain, -positionSize.positionSizeUsd);
+        if (signal.userId) {
+            await adjustPaperBalance(signal.userId, signal.chain, -positionSize.positionSizeUsd);
+        } else {
+            updateBalance(signal.chain, -positionSize.positionSizeUsd);
+        }
 
         // Calculate actual tokens received (after slippage)
         const tokensReceived = positionSize.positionSizeUsd / executionPrice;
@@ -116,15 +131,35 @@ export async function executePaperBuy(signal, positionSize) {
             tokenAddress: signal.tokenAddress,
             entryPrice: executionPrice,
             tokenAmount: tokensReceived,
+            initialTokenAmount: tokensReceived,
             positionSizeUsd: positionSize.positionSizeUsd,
             takeProfit: signal.takeProfit,
             stopLoss: signal.stopLoss,
             maxHoldUntil: signal.maxHoldUntil,
+            highWaterMark: executionPrice,
+            exitPlan: signal.exitPlan,
+            tiersFilled: [],
+            strategy: signal.strategy,
+            userId: signal.userId,
+            mode: 'PAPER',
             signal: signal
         };
 
         const positionId = addPosition(position);
 
+        if (signal.userId) {
+            await savePaperPosition(getOpenPositions().find(p => p.id === positionId));
+            await recordPaperFill(signal.userId, {
+                positionId,
+                chain: signal.chain,
+                token: signal.token,
+                side: 'BUY',
+                price: executionPrice,
+                tokenAmount: tokensReceived,
+                amountUsd: positionSize.positionSizeUsd
+            });
+        }
+
         // Log the trade
         logTrade({
             action: 'BUY',
@@ -162,9 +197,10 @@ export async function executePaperBuy(signal, positionSize) {
  * @param {Object} position - Open position to close
  * @param {number} currentPrice - Current market price
  * @param {string} reason - Exit reason
+ * @param {number} sellAmount - Optional token amount for a partial exit (default: whole position)
  * @returns {Promise<Object>} Trade result
  */
-export async function executePaperSell(position, currentPrice, reason) {
+export async function executePaperSell(position, currentPrice, reason, sellAmount = null) {
     logInfo(`📝 [PAPER] Executing SELL: ${position.token} on ${position.chain.toUpperCase()}`);
     logInfo(`   Reason: ${reason}`);
 
@@ -180,21 +216,54 @@ export async function executePaperSell(position, currentPrice, reason) {
         // Calculate execution price with slippage
         const executionPrice = calculateSlippage(currentPrice, false);
 
+        // Partial exit sells a slice of the position at its share of the cost basis
+        const tokensSold = sellAmount ? Math.min(sellAmount, position.tokenAmount) : position.tokenAmount;
+        const isPartial = tokensSold < position.tokenAmount * 0.999999;
+        const costBasis = position.positionSizeUsd * (tokensSold / position.tokenAmount);
+
         // Calculate proceeds
-        const proceeds = position.tokenAmount * executionPrice;
+        const proceeds = tokensSold * executionPrice;
 
         // Calculate PnL
-        const pnl = proceeds - position.positionSizeUsd;
-        const pnlPercent = (pnl / position.positionSizeUsd) * 100;
+        const pnl = proceeds - costBasis;
+        const pnlPercent = (pnl / costBasis) * 100;
 
         // Add proceeds back to balance
-        updateBalance(position.chain, proceeds);
+        if (position.userId) {
+            await adjustPaperBalance(position.userId, position.chain, proceeds);
+        } else {
+            updateBalance(position.chain, proceeds);
+        }
 
-        // Close position
-        const trade = closePosition(position.id, executionPrice, reason);
+        // Close or reduce position
+        const trade = isPartial
+            ? reducePosition(position.id, tokensSold, costBasis, executionPrice, reason)
+            : closePosition(position.id, executionPrice, reason);
+
+        // Mirror the fill into the owner's ledger
+        if (position.userId) {
+            if (isPartial) {
+                await savePaperPosition(position);
+            } else {
+                await closePaperPosition(position.id);
+            }
+
+            await recordPaperFill(position.userId, {
+                positionId: position.id,
+                chain: position.chain,
+                token: position.token,
+                side: 'SELL',
+                price: executionPrice,
+                tokenAmount: tokensSold,
+                amountUsd: proceeds,
+                pnl,
+                partial: isPartial,
+                reason
+            });
+        }
 
-        // Record trade with risk manager
-        recordTrade(pnl);
+        // Record PnL against the position owner's daily risk limits
+        recordTrade(pnl, position.userId);
 
         // Process trading fee (for referral commissions)
         // Note: In paper mode we still track fees for analytics
@@ -204,11 +273,11 @@ export async function executePaperSell(position, currentPrice, reason) {
 
         // Log the trade
         logTrade({
-            action: 'SELL',
+            action: isPartial ? 'PARTIAL_SELL' : 'SELL',
             chain: position.chain,
             token: position.token,
             price: executionPrice,
-            amount: position.tokenAmount,
+            amount: tokensSold,
             value: proceeds,
             pnl: pnl,
             pnlPercent: pnlPercent,
@@ -221,6 +290,8 @@ export async function executePaperSell(position, currentPrice, reason) {
             proceeds,
             pnl,
             pnlPercent,
+            tokensSold,
+            partial: isPartial,
             trade
         };
     });
@@ -259,6 +330,7 @@ export function getPaperTradingSummary() {
 }
 
 export default {
+    calculateSlippage,
     executeWithRetry,
     executePaperBuy,
     executePaperSell,
@@ -3,16 +3,23 @@
  * 
  * Handles live trade execution on Solana via Jupiter API
  * Uses @solana/web3.js for blockchain interaction
+ * Slippage and TWAP slicing come from orderPlanner, using Jupiter's quoted impact;
+ * swaps are sent through txSubmitter (Jito bundle when configured)
  * 
  * ⚠️ DISABLED BY DEFAULT - Only enabled when ENABLE_LIVE_TRADING=true
  */
 
-import { Connection, Keypair, PublicKey, VersionedTransaction } from '@solana/web3.js';
+import { Keypair, PublicKey, VersionedTransaction } from '@solana/web3.js';
+import bs58 from 'bs58';
 import { logInfo, logTrade, logError, logWarn } from '../logging/logger.js';
-import config, { getChainConfig } from '../config/index.js';
+import config from '../config/index.js';
 import { executeWithRetry } from './paperTrader.js';
+import { planOrder, estimatePriceImpact, splitAmount, executeSlices, mergeFills } from './orderPlanner.js';
+import { submitSolanaTransaction } from './txSubmitter.js';
+import { markQuoted, markSubmitted } from './orderStore.js';
 import { processTradeFee, transferFeeToDevWallet, calculateTradingFee } from '../services/feeService.js';
 import { isWalletBlacklisted } from '../services/blacklistService.js';
+import { getSolanaConnection } from '../services/rpcManager.js';
 
 // Jupiter API endpoint
 const JUPITER_API = 'https://quote-api.jup.ag/v6';
@@ -20,8 +27,7 @@ const JUPITER_API = 'https://quote-api.jup.ag/v6';
 // SOL mint address
 const SOL_MINT = 'So11111111111111111111111111111111111111112';
 
-// Connection cache
-let connection = null;
+// Wallet cache
 let wallet = null;
 
 /**
@@ -33,20 +39,6 @@ export function isSolanaLiveEnabled() {
         config.enabledChains.solana;
 }
 
-/**
- * Initialize Solana connection
- */
-export function getConnection() {
-    if (!connection) {
-        const chainConfig = getChainConfig('solana');
-        const rpc = process.env.SOLANA_RPC_URL || config.rpc?.solana || chainConfig?.rpcDefault || 'https://api.mainnet-beta.solana.com';
-        connection = new Connection(rpc, 'confirmed');
-        logInfo(`Solana connection initialized: ${rpc}`);
-    }
-
-    return connection;
-}
-
 /**
  * Get Solana wallet
  */
@@ -65,8 +57,7 @@ export async function getSolanaWallet() {
                 wallet = Keypair.fromSecretKey(Uint8Array.from(keyArray));
             } else {
                 // Base58 encoded
-                const bs58 = await import('bs58');
-                wallet = Keypair.fromSecretKey(bs58.default.decode(privateKey));
+                wallet = Keypair.fromSecretKey(bs58.decode(privateKey));
             }
 
             logInfo(`Solana wallet initialized: ${wallet.publicKey.toString().slice(0, 10)}...`);
@@ -82,7 +73,7 @@ export async function getSolanaWallet() {
  * Get SOL balance
  */
 export async function getSolBalance() {
-    const conn = getConnection();
+    const conn = getSolanaConnection();
     const walletObj = await getSolanaWallet();
 
     const balance = await conn.getBalance(walletObj.publicKey);
@@ -126,14 +117,73 @@ async function getJupiterSwapTx(quoteResponse, userPublicKey) {
     return await response.json();
 }
 
+/**
+ * Plan a Jupiter swap's slices and slippage from the quoted price impact,
+ * or from pool liquidity when the quote fails
+ * @param {Object} market - { chainId, pairAddress, liquidityUsd, tradeUsd, maxSlippage }
+ */
+async function planJupiterSwap(inputMint, outputMint, amount, market) {
+    let priceImpact = null;
+    try {
+        // priceImpactPct is a fraction (0.01 = 1%)
+        const quote = await getJupiterQuote(inputMint, outputMint, amount);
+        priceImpact = parseFloat(quote.priceImpactPct) * 100;
+    } catch (err) {
+        logWarn(`Could not quote price impact: ${err.message}`);
+    }
+
+    return planOrder({
+        chainId: 'solana',
+        pairAddress: market.pairAddress,
+        liquidityUsd: market.liquidityUsd,
+        priceImpact: Number.isFinite(priceImpact) ? priceImpact : estimatePriceImpact(market.tradeUsd, market.liquidityUsd),
+        maxSlippage: market.maxSlippage
+    });
+}
+
+/**
+ * Sign and send a Jupiter swap, then wait for confirmation
+ * @param {Function} onSend - ({ hash, lastValidBlockHeight }) => Promise, awaited before sending
+ * @returns {Promise<Object>} { txHash, via, tip (SOL) }
+ */
+async function sendJupiterSwap(conn, quoteResponse, walletObj, onSend) {
+    // Get swap transaction
+    const { swapTransaction, lastValidBlockHeight } = await getJupiterSwapTx(quoteResponse, walletObj.publicKey);
+
+    // Deserialize and sign
+    const swapTxBuf = Buffer.from(swapTransaction, 'base64');
+    const transaction = VersionedTransaction.deserialize(swapTxBuf);
+    transaction.sign([walletObj]);
+
+    await onSend({ hash: bs58.encode(transaction.signatures[0]), lastValidBlockHeight });
+
+    // Send transaction (Jito bundle when configured)
+    const { signature: txHash, via, tip } = await submitSolanaTransaction(conn, transaction, walletObj);
+
+    logInfo(`Transaction sent (${via}): ${txHash}`);
+
+    // Wait for confirmation
+    const confirmation = await conn.confirmTransaction(txHash, 'confirmed');
+
+    if (confirmation.value.err) {
+        throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+
+    logInfo(`Transaction confirmed: ${txHash}`);
+    return { txHash, via, tip };
+}
+
 /**
  * Execute a live buy on Solana via Jupiter
- * @param {Object} signal - Trading signal
+ * Orders with a high price impact are bought in TWAP slices and reported as
+ * one fill, with each slice in fill.children
+ * @param {Object} signal - Trading signal (maxSlippage: user's cap, optional)
  * @param {Object} positionSize - Position sizing
  * @param {Object} userWallet - Optional user wallet (Keypair from getWalletForTrading)
+ * @param {Object} order - Optional order from runOrder, records the plan and each transaction
  * @returns {Promise<Object>} Transaction result
  */
-export async function executeSolanaBuy(signal, positionSize, userWallet = null) {
+export async function executeSolanaBuy(signal, positionSize, userWallet = null, order = null) {
     if (!isSolanaLiveEnabled()) {
         logError('Solana live trading is not enabled!');
         return { success: false, error: 'Solana live trading disabled' };
@@ -147,87 +197,117 @@ export async function executeSolanaBuy(signal, positionSize, userWallet = null)
         return { success: false, error: 'Transaction blocked: Address is blacklisted for regulatory compliance' };
     }
 
-    const result = await executeWithRetry(async () => {
-        const conn = getConnection();
-
-        // Use user wallet if provided, otherwise fall back to global wallet
-        const walletObj = userWallet || await getSolanaWallet();
-        if (userWallet) {
-            logInfo(`Using per-user wallet: ${walletObj.publicKey.toString().slice(0, 10)}...`);
-        }
+    // Calculate amount in lamports (SOL * 1e9), preferring the sized native amount
+    const solAmount = positionSize.nativeAmount ?? (positionSize.positionSizeUsd / (signal.entryPrice || 1));
+    const amountInLamports = BigInt(Math.floor(solAmount * 1e9));
 
-        // Calculate amount in lamports (SOL * 1e9)
-        const solAmount = positionSize.positionSizeUsd / (signal.entryPrice || 1);
-        const amountInLamports = Math.floor(solAmount * 1e9);
-
-        logInfo(`Getting Jupiter quote: ${solAmount.toFixed(4)} SOL -> ${signal.token}`);
-
-        // Get quote (SOL -> Token)
-        const quoteResponse = await getJupiterQuote(
-            SOL_MINT,
-            signal.tokenAddress,
-            amountInLamports,
-            100 // 1% slippage
-        );
-
-        logInfo(`Quote received: ${quoteResponse.outAmount} tokens expected`);
-
-        // Get swap transaction
-        const { swapTransaction } = await getJupiterSwapTx(quoteResponse, walletObj.publicKey);
-
-        // Deserialize and sign
-        const swapTxBuf = Buffer.from(swapTransaction, 'base64');
-        const transaction = VersionedTransaction.deserialize(swapTxBuf);
-        transaction.sign([walletObj]);
-
-        // Send transaction
-        const txHash = await conn.sendRawTransaction(transaction.serialize(), {
-            skipPreflight: true,
-            maxRetries: 3
-        });
+    const plan = await planJupiterSwap(SOL_MINT, signal.tokenAddress, amountInLamports, {
+        pairAddress: signal.pairAddress,
+        liquidityUsd: signal.liquidity,
+        tradeUsd: positionSize.positionSizeUsd,
+        maxSlippage: signal.maxSlippage
+    });
+    await markQuoted(order, plan);
 
-        logInfo(`Transaction sent: ${txHash}`);
+    const slices = await executeSlices(plan, `BUY ${signal.token}`, (index, count) =>
+        executeWithRetry(() => buySlice(signal, plan.slippage, splitAmount(amountInLamports, index, count), userWallet, order))
+    );
 
-        // Wait for confirmation
-        const confirmation = await conn.confirmTransaction(txHash, 'confirmed');
+    if (slices.children.length === 0) {
+        return { success: false, error: slices.error, attempts: slices.attempts };
+    }
 
-        if (confirmation.value.err) {
-            throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+    return {
+        success: true,
+        attempts: slices.attempts,
+        result: {
+            ...mergeFills(slices.children, ['tokensReceived', 'amountSpent', 'nativeSpent', 'gasCostNative']),
+            priceImpact: plan.priceImpact,
+            complete: slices.complete
         }
+    };
+}
 
-        logInfo(`Transaction confirmed: ${txHash}`);
-
-        // Log the trade
-        logTrade({
-            action: 'SOLANA_LIVE_BUY',
-            chain: 'solana',
-            token: signal.token,
-            tokenAddress: signal.tokenAddress,
-            txHash,
-            amount: solAmount,
-            tokensReceived: quoteResponse.outAmount
-        });
+/**
+ * Buy one slice of an order
+ * @returns {Promise<Object>} Child fill
+ */
+async function buySlice(signal, slippage, amountInLamports, userWallet, order) {
+    const conn = getSolanaConnection();
+    const solAmount = Number(amountInLamports) / 1e9;
+
+    // Use user wallet if provided, otherwise fall back to global wallet
+    const walletObj = userWallet || await getSolanaWallet();
+    if (userWallet) {
+        logInfo(`Using per-user wallet: ${walletObj.publicKey.toString().slice(0, 10)}...`);
+    }
 
-        return {
-            success: true,
-            txHash,
-            tokensReceived: quoteResponse.outAmount,
-            amountSpent: solAmount
-        };
+    // Held before the swap, fallback for reading the fill
+    const heldBefore = await getHeldTokenAmount(conn, walletObj.publicKey, signal.tokenAddress);
+
+    logInfo(`Getting Jupiter quote: ${solAmount.toFixed(4)} SOL -> ${signal.token} (${slippage}% slippage)`);
+
+    // Get quote (SOL -> Token)
+    const quoteResponse = await getJupiterQuote(
+        SOL_MINT,
+        signal.tokenAddress,
+        amountInLamports,
+        toBps(slippage)
+    );
+
+    logInfo(`Quote received: ${quoteResponse.outAmount} tokens expected`);
+
+    const { txHash, via, tip } = await sendJupiterSwap(conn, quoteResponse, walletObj, sent =>
+        markSubmitted(order, { ...sent, walletAddress: walletObj.publicKey.toString(), amountIn: String(solAmount) })
+    );
+
+    // Actual fill from the confirmed transaction's balance changes,
+    // else the token balance delta (never throw here, a retry would buy twice)
+    const fill = await getSwapBalanceChanges(conn, txHash, walletObj.publicKey, signal.tokenAddress) || {
+        tokenChange: await getHeldTokenAmount(conn, walletObj.publicKey, signal.tokenAddress)
+            .then(held => held - heldBefore)
+            .catch(() => null),
+        solChange: -solAmount,
+        networkFee: null
+    };
+
+    // Log the trade
+    logTrade({
+        action: 'SOLANA_LIVE_BUY',
+        chain: 'solana',
+        token: signal.token,
+        tokenAddress: signal.tokenAddress,
+        txHash,
+        amount: solAmount,
+        tokensReceived: fill.tokenChange
     });
 
-    return result;
+    return {
+        success: true,
+        txHash,
+        tokensReceived: fill.tokenChange,
+        amountSpent: solAmount,
+        nativeSpent: fill.solChange < 0 ? -fill.solChange : solAmount,
+        gasCostNative: fill.networkFee === null ? null : fill.networkFee + tip,
+        walletAddress: walletObj.publicKey.toString(),
+        slippage,
+        via
+    };
 }
 
 /**
  * Execute a live sell on Solana via Jupiter
- * @param {Object} position - Open position
+ * Orders with a high price impact are sold in TWAP slices and reported as
+ * one fill, with each slice in fill.children
+ * @param {Object} position - Open position (maxSlippage: user's cap, optional)
  * @param {number} currentPrice - Current market price
  * @param {string} reason - Exit reason
  * @param {Object} userWallet - Optional user wallet (Keypair from getWalletForTrading)
+ * @param {number} tokenAmount - Optional token amount for a partial exit (default: full balance)
+ * @param {Object} order - Optional order from runOrder, records the plan and each transaction
  * @returns {Promise<Object>} Transaction result
  */
-export async function executeSolanaSell(position, currentPrice, reason, userWallet = null) {
+export async function executeSolanaSell(position, currentPrice, reason, userWallet = null, tokenAmount = null, order = null) {
     if (!isSolanaLiveEnabled()) {
         logError('Solana live trading is not enabled!');
         return { success: false, error: 'Solana live trading disabled' };
@@ -236,14 +316,10 @@ export async function executeSolanaSell(position, currentPrice, reason, userWall
     logWarn(`🔴 [SOLANA LIVE] Executing SELL: ${position.token}`);
     logInfo(`Reason: ${reason}`);
 
-    const result = await executeWithRetry(async () => {
-        const conn = getConnection();
-
-        // Use user wallet if provided, otherwise fall back to global wallet
+    // Wallet, amount and plan for the whole order; nothing is swapped yet
+    const setup = await executeWithRetry(async () => {
+        const conn = getSolanaConnection();
         const walletObj = userWallet || await getSolanaWallet();
-        if (userWallet) {
-            logInfo(`Using per-user wallet: ${walletObj.publicKey.toString().slice(0, 10)}...`);
-        }
 
         // Get token balance
         const tokenAccounts = await conn.getParsedTokenAccountsByOwner(
@@ -255,82 +331,240 @@ export async function executeSolanaSell(position, currentPrice, reason, userWall
             throw new Error('No token balance found');
         }
 
-        const tokenBalance = tokenAccounts.value[0].account.data.parsed.info.tokenAmount.amount;
+        const heldAmount = tokenAccounts.value[0].account.data.parsed.info.tokenAmount;
+        const held = BigInt(heldAmount.amount);
+
+        // Partial exits sell the requested amount, never more than held
+        let tokenBalance = held;
+        if (tokenAmount) {
+            const requested = BigInt(Math.floor(tokenAmount * Math.pow(10, heldAmount.decimals)));
+            tokenBalance = requested < held ? requested : held;
+        }
+
+        const plan = await planJupiterSwap(position.tokenAddress, SOL_MINT, tokenBalance, {
+            pairAddress: position.pairAddress,
+            liquidityUsd: position.signal?.liquidity,
+            tradeUsd: Number(tokenBalance) / Math.pow(10, heldAmount.decimals) * currentPrice,
+            maxSlippage: position.maxSlippage
+        });
 
-        logInfo(`Getting Jupiter quote: ${tokenBalance} tokens -> SOL`);
+        return { held, tokenBalance, decimals: heldAmount.decimals, plan };
+    });
 
-        // Get quote (Token -> SOL)
-        const quoteResponse = await getJupiterQuote(
-            position.tokenAddress,
-            SOL_MINT,
-            tokenBalance,
-            100 // 1% slippage
-        );
+    if (!setup.success) {
+        return setup;
+    }
 
-        const expectedSol = parseInt(quoteResponse.outAmount) / 1e9;
-        logInfo(`Quote received: ${expectedSol.toFixed(6)} SOL expected`);
+    const { held, tokenBalance, decimals, plan } = setup.result;
+    await markQuoted(order, plan);
 
-        // Get swap transaction
-        const { swapTransaction } = await getJupiterSwapTx(quoteResponse, walletObj.publicKey);
+    const slices = await executeSlices(plan, `SELL ${position.token}`, (index, count) =>
+        executeWithRetry(() => sellSlice(position, reason, plan.slippage, splitAmount(tokenBalance, index, count), decimals, userWallet, order))
+    );
+    const attempts = setup.attempts + slices.attempts;
 
-        // Deserialize and sign
-        const swapTxBuf = Buffer.from(swapTransaction, 'base64');
-        const transaction = VersionedTransaction.deserialize(swapTxBuf);
-        transaction.sign([walletObj]);
+    if (slices.children.length === 0) {
+        return { success: false, error: slices.error, attempts };
+    }
 
-        // Send transaction
-        const txHash = await conn.sendRawTransaction(transaction.serialize(), {
-            skipPreflight: true,
-            maxRetries: 3
-        });
+    const fill = mergeFills(slices.children, ['proceeds', 'tokensSold', 'gasCostNative', 'feeCollected']);
+    const soldRaw = slices.complete ? tokenBalance : BigInt(Math.floor(fill.tokensSold * Math.pow(10, decimals)));
+
+    return {
+        success: true,
+        attempts,
+        result: {
+            ...fill,
+            partial: soldRaw < held,
+            priceImpact: plan.priceImpact,
+            complete: slices.complete
+        }
+    };
+}
+
+/**
+ * Sell one slice of an order
+ * @returns {Promise<Object>} Child fill
+ */
+async function sellSlice(position, reason, slippage, tokenBalance, decimals, userWallet, order) {
+    const conn = getSolanaConnection();
 
-        logInfo(`Transaction sent: ${txHash}`);
+    // Use user wallet if provided, otherwise fall back to global wallet
+    const walletObj = userWallet || await getSolanaWallet();
+    if (userWallet) {
+        logInfo(`Using per-user wallet: ${walletObj.publicKey.toString().slice(0, 10)}...`);
+    }
+
+    logInfo(`Getting Jupiter quote: ${tokenBalance} tokens -> SOL (${slippage}% slippage)`);
+
+    // Get quote (Token -> SOL)
+    const quoteResponse = await getJupiterQuote(
+        position.tokenAddress,
+        SOL_MINT,
+        tokenBalance,
+        toBps(slippage)
+    );
+
+    const expectedSol = parseInt(quoteResponse.outAmount) / 1e9;
+    logInfo(`Quote received: ${expectedSol.toFixed(6)} SOL expected`);
+
+    const { txHash, via, tip } = await sendJupiterSwap(conn, quoteResponse, walletObj, sent =>
+        markSubmitted(order, {
+            ...sent,
+            walletAddress: walletObj.publicKey.toString(),
+            amountIn: String(Number(tokenBalance) / Math.pow(10, decimals))
+        })
+    );
+
+    // Actual SOL received, quote if the transaction can't be read back
+    const fill = await getSwapBalanceChanges(conn, txHash, walletObj.publicKey, position.tokenAddress);
+    const proceedsSol = fill?.solChange > 0 ? fill.solChange : expectedSol;
+
+    // Log the trade
+    logTrade({
+        action: 'SOLANA_LIVE_SELL',
+        chain: 'solana',
+        token: position.token,
+        tokenAddress: position.tokenAddress,
+        reason,
+        txHash,
+        proceeds: proceedsSol
+    });
 
-        // Wait for confirmation
-        const confirmation = await conn.confirmTransaction(txHash, 'confirmed');
+    // Collect fee and transfer to dev wallet
+    const feeUsd = calculateTradingFee(proceedsSol);
 
-        if (confirmation.value.err) {
-            throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+    if (feeUsd > 0.0001) {
+        try {
+            await processTradeFee(position.userId, proceedsSol, position.referrerId, txHash);
+
+            // Transfer net fee (70%) to dev wallet
+            const netFeeSol = feeUsd * 0.7;
+            await transferFeeToDevWallet('solana', netFeeSol, walletObj);
+            logInfo(`💰 Fee collected: ${feeUsd.toFixed(6)} SOL`);
+        } catch (feeErr) {
+            logError('Fee transfer failed (trade still succeeded)', feeErr);
         }
+    }
 
-        logInfo(`Transaction confirmed: ${txHash}`);
+    return {
+        success: true,
+        txHash,
+        proceeds: proceedsSol,
+        tokensSold: Number(tokenBalance) / Math.pow(10, decimals),
+        gasCostNative: fill ? fill.networkFee + tip : null,
+        feeCollected: feeUsd,
+        slippage,
+        via
+    };
+}
 
-        // Log the trade
-        logTrade({
-            action: 'SOLANA_LIVE_SELL',
-            chain: 'solana',
-            token: position.token,
-            tokenAddress: position.tokenAddress,
-            reason,
-            txHash,
-            proceeds: expectedSol
+/**
+ * Slippage percent to Jupiter basis points
+ */
+function toBps(slippage) {
+    return Math.max(Math.round(slippage * 100), 1);
+}
+
+/**
+ * Total balance of a mint held by a wallet (whole units)
+ */
+async function getHeldTokenAmount(conn, owner, mint) {
+    const accounts = await conn.getParsedTokenAccountsByOwner(owner, { mint: new PublicKey(mint) });
+    return accounts.value.reduce((sum, a) => sum + (a.account.data.parsed.info.tokenAmount.uiAmount || 0), 0);
+}
+
+/**
+ * Read a confirmed swap's balance changes for a wallet
+ * @returns {Promise<Object|null>} { tokenChange, solChange (excluding network fee), networkFee } in whole units,
+ *   null if the transaction could not be read
+ */
+async function getSwapBalanceChanges(conn, txHash, owner, mint) {
+    let tx;
+    try {
+        tx = await conn.getTransaction(txHash, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
         });
+    } catch (err) {
+        logWarn(`Could not read transaction ${txHash}: ${err.message}`);
+        return null;
+    }
 
-        // Collect fee and transfer to dev wallet
-        const feeUsd = calculateTradingFee(expectedSol);
+    if (!tx?.meta) {
+        return null;
+    }
 
-        if (feeUsd > 0.0001) {
-            try {
-                await processTradeFee(position.userId, expectedSol, position.referrerId, txHash);
+    const ownerKey = owner.toString();
+    const sumFor = (balances) => (balances || [])
+        .filter(b => b.owner === ownerKey && b.mint === mint)
+        .reduce((sum, b) => sum + (b.uiTokenAmount.uiAmount || 0), 0);
 
-                // Transfer net fee (70%) to dev wallet
-                const netFeeSol = feeUsd * 0.7;
-                await transferFeeToDevWallet('solana', netFeeSol, walletObj);
-                logInfo(`💰 Fee collected: ${feeUsd.toFixed(6)} SOL`);
-            } catch (feeErr) {
-                logError('Fee transfer failed (trade still succeeded)', feeErr);
-            }
-        }
+    // The fee payer (our wallet) is always account 0
+    const networkFee = tx.meta.fee / 1e9;
+    const solChange = (tx.meta.postBalances[0] - tx.meta.preBalances[0]) / 1e9 + networkFee;
 
-        return {
-            success: true,
-            txHash,
-            proceeds: expectedSol,
-            feeCollected: feeUsd
-        };
-    });
+    return {
+        tokenChange: sumFor(tx.meta.postTokenBalances) - sumFor(tx.meta.preTokenBalances),
+        solChange,
+        networkFee
+    };
+}
+
+/**
+ * Read how an order's swap transactions ended, for orders a restart left in flight
+ * A transaction can still land until its blockhash expires
+ * @param {Object} order - Submitted order (data.txs from markSubmitted)
+ * @returns {Promise<Object>} { status: 'pending' | 'confirmed' | 'failed' | 'expired', fill }
+ *   fill for confirmed orders: { txHash, gasCostNative (network fees), walletAddress, tokensReceived, nativeSpent (buys),
+ *   tokensSold, proceeds (sells; proceeds null if a transaction could not be read) }
+ */
+export async function checkOrderSignatures(order) {
+    const conn = getSolanaConnection();
+    const txs = order.data.txs || [];
+
+    const [{ value: statuses }, blockHeight] = await Promise.all([
+        conn.getSignatureStatuses(txs.map(tx => tx.hash), { searchTransactionHistory: true }),
+        conn.getBlockHeight('confirmed')
+    ]);
+
+    // The two reads may come from different endpoints of the RPC pool: the
+    // statuses only count once their endpoint is also past the last valid height
+    const landed = statuses.map(s => s?.confirmationStatus === 'confirmed' || s?.confirmationStatus === 'finalized');
+    const pending = txs.some((tx, i) => !landed[i] && !statuses[i]?.err &&
+        blockHeight <= tx.lastValidBlockHeight + config.rpc.maxSlotLag);
+
+    if (pending) {
+        return { status: 'pending' };
+    }
+
+    const filled = txs.filter((tx, i) => landed[i] && !statuses[i].err);
+    if (filled.length === 0) {
+        return { status: statuses.some(s => s?.err) ? 'failed' : 'expired' };
+    }
+
+    const owner = new PublicKey(order.walletAddress);
+    const changes = await Promise.all(filled.map(tx => getSwapBalanceChanges(conn, tx.hash, owner, order.tokenAddress)));
+    const read = changes.filter(Boolean);
+
+    const fill = {
+        txHash: filled[0].hash,
+        gasCostNative: read.reduce((sum, c) => sum + c.networkFee, 0),
+        walletAddress: order.walletAddress
+    };
+
+    if (order.side === 'BUY') {
+        fill.tokensReceived = read.length === filled.length ? read.reduce((sum, c) => sum + c.tokenChange, 0) : null;
+        fill.nativeSpent = filled.reduce((sum, tx) => sum + parseFloat(tx.amountIn), 0);
+    } else {
+        const complete = read.length === filled.length;
+        fill.tokensSold = String(complete
+            ? -read.reduce((sum, c) => sum + c.tokenChange, 0)
+            : filled.reduce((sum, tx) => sum + parseFloat(tx.amountIn), 0));
+        fill.proceeds = complete ? read.reduce((sum, c) => sum + c.solChange, 0) : null;
+    }
 
-    return result;
+    return { status: 'confirmed', fill };
 }
 
 /**
@@ -357,10 +591,10 @@ export async function checkSolanaWalletStatus() {
 
 export default {
     isSolanaLiveEnabled,
-    getConnection,
     getSolanaWallet,
     getSolBalance,
     executeSolanaBuy,
     executeSolanaSell,
+    checkOrderSignatures,
     checkSolanaWalletStatus
 };
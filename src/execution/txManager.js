@@ -0,0 +1,308 @@
+/**
+ * DEX Trading Bot - EVM Transaction Manager
+ *
+ * Sends EVM transactions one at a time per wallet and follows each one until
+ * its nonce is spent:
+ *   - Nonces tracked per wallet (relayed transactions aren't in the public pending count)
+ *   - EIP-1559 fees from gasService, gas limit from estimateGas plus headroom
+ *   - Relayed transactions not landed within PRIVATE_RELAY_TIMEOUT_SECONDS are
+ *     rebroadcast publicly
+ *   - Transactions stuck for TX_STUCK_SECONDS are sped up by replacement (same
+ *     nonce, fees bumped TX_FEE_BUMP_PERCENT) up to TX_MAX_SPEEDUPS times, then
+ *     cancelled with a 0-value transfer to self
+ *
+ * sendAndConfirm only throws once the nonce is known to be spent by something
+ * other than the transaction (a revert counts as spent), or the transaction was
+ * refused by the node, so retrying can't execute a swap twice. When that can't
+ * be established the error has retryable = false and executeWithRetry stops.
+ */
+
+import { ethers } from 'ethers';
+import { logInfo, logWarn } from '../logging/logger.js';
+import config from '../config/index.js';
+import { getEvmFees } from '../services/gasService.js';
+import { sendSignedTransaction } from './txSubmitter.js';
+
+// How often receipts and the wallet nonce are checked while waiting
+const POLL_INTERVAL_MS = 3000;
+
+// Gas limit headroom over estimateGas (percent)
+const GAS_LIMIT_HEADROOM = 120n;
+
+// After cancelling, how many stuck periods to wait for the nonce to be spent
+const CANCEL_WAIT_PERIODS = 4;
+
+// Nodes reject replacements whose fees aren't at least 10% higher
+const MIN_FEE_BUMP_PERCENT = 10;
+
+// Next nonce per wallet: { chainId:address -> nonce }
+const nonces = new Map();
+
+// In-flight transaction per wallet: { chainId:address -> Promise }
+const locks = new Map();
+
+function walletKey(chainId, address) {
+    return `${chainId}:${address.toLowerCase()}`;
+}
+
+/**
+ * Run fn once the wallet's previous transaction has been resolved
+ */
+async function withWalletLock(key, fn) {
+    const previous = locks.get(key) || Promise.resolve();
+
+    let release;
+    const current = previous.then(() => new Promise(resolve => { release = resolve; }));
+    locks.set(key, current);
+
+    await previous;
+    try {
+        return await fn();
+    } finally {
+        release();
+        if (locks.get(key) === current) {
+            locks.delete(key);
+        }
+    }
+}
+
+/**
+ * Reserve the wallet's next nonce: the higher of the node's pending count and
+ * our own count (which includes relayed transactions)
+ */
+async function reserveNonce(wallet, key) {
+    const pending = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+    const nonce = Math.max(pending, nonces.get(key) ?? 0);
+    nonces.set(key, nonce + 1);
+    return nonce;
+}
+
+/**
+ * Whether the node refused a broadcast outright (the transaction is not pending)
+ * Network failures are not refusals: the transaction may have arrived
+ */
+function isRefused(err) {
+    const rpcError = err.error || err.info?.error;
+    return Boolean(rpcError) && !/already known|already imported/i.test(rpcError.message || '');
+}
+
+/**
+ * Fees raised by the bump percentage, and at least the current estimate
+ */
+function bumpFees(fees, current) {
+    const percent = Math.max(config.execution.txFeeBumpPercent, MIN_FEE_BUMP_PERCENT);
+    const bump = value => value * BigInt(100 + percent) / 100n;
+    const max = (a, b) => (a > b ? a : b);
+
+    if (fees.gasPrice !== undefined) {
+        return { gasPrice: max(bump(fees.gasPrice), current.gasPrice ?? 0n) };
+    }
+
+    return {
+        maxFeePerGas: max(bump(fees.maxFeePerGas), current.maxFeePerGas ?? 0n),
+        maxPriorityFeePerGas: max(bump(fees.maxPriorityFeePerGas), current.maxPriorityFeePerGas ?? 0n)
+    };
+}
+
+/**
+ * Sign and send one version of the transaction for a nonce
+ * onSend sees every version before it is broadcast
+ * @returns {Promise<Object|null>} { hash, signedTx, tx, via, cancel }, null if the node refused it
+ */
+async function broadcast(wallet, chainId, tx, onSend, cancel = false) {
+    const signedTx = await wallet.signTransaction(tx);
+    const hash = ethers.keccak256(signedTx);
+
+    if (onSend) {
+        await onSend({ hash, nonce: tx.nonce, cancel });
+    }
+
+    let via;
+    try {
+        via = await sendSignedTransaction(wallet.provider, chainId, signedTx);
+    } catch (err) {
+        if (isRefused(err)) {
+            logWarn(`Transaction ${hash} refused: ${err.message}`);
+            return null;
+        }
+
+        // May have reached the node: follow it like any pending transaction
+        logWarn(`Broadcast of ${hash} failed, treating it as pending: ${err.message}`);
+        via = 'public';
+    }
+
+    logInfo(`Transaction sent (${via}): ${hash}`);
+    return { hash, signedTx, tx, via, cancel };
+}
+
+/**
+ * First mined transaction among the versions sent for a nonce
+ * @returns {Promise<Object|null>} { sent, receipt }
+ */
+async function findMined(provider, versions) {
+    const receipts = await Promise.all(versions.map(v => provider.getTransactionReceipt(v.hash)));
+    const index = receipts.findIndex(Boolean);
+    return index === -1 ? null : { sent: versions[index], receipt: receipts[index] };
+}
+
+/**
+ * Send a transaction and wait until its nonce is spent, speeding it up or
+ * cancelling it when stuck
+ * @param {Object} wallet - ethers Wallet connected to the chain's provider
+ * @param {string} chainId - Chain ID
+ * @param {Object} request - Transaction request { to, data, value }
+ * @param {Function} onSend - Optional ({ hash, nonce, cancel }) => Promise, awaited before each version is broadcast
+ * @returns {Promise<Object>} { hash, receipt, via, replacements } of the mined version
+ * @throws {Error} Retryable unless error.retryable === false
+ */
+export async function sendAndConfirm(wallet, chainId, request, onSend = null) {
+    const key = walletKey(chainId, wallet.address);
+    return withWalletLock(key, () => runTransaction(wallet, chainId, key, request, onSend));
+}
+
+async function runTransaction(wallet, chainId, key, request, onSend) {
+    const provider = wallet.provider;
+    const { txStuckSeconds, txMaxSpeedUps } = config.execution;
+    const stuckMs = txStuckSeconds * 1000;
+
+    // Nothing before the first broadcast can spend the nonce: hand it back on failure
+    let nonce;
+    let first;
+    try {
+        nonce = await reserveNonce(wallet, key);
+
+        const [fees, gasEstimate, network] = await Promise.all([
+            getEvmFees(provider),
+            provider.estimateGas({ ...request, from: wallet.address }),
+            provider.getNetwork()
+        ]);
+
+        first = await broadcast(wallet, chainId, {
+            ...request,
+            nonce,
+            chainId: network.chainId,
+            gasLimit: gasEstimate * GAS_LIMIT_HEADROOM / 100n,
+            ...fees
+        }, onSend);
+    } catch (err) {
+        if (nonce !== undefined) nonces.set(key, nonce);
+        throw err;
+    }
+
+    if (!first) {
+        nonces.set(key, nonce);
+        throw new Error('Transaction refused by the node');
+    }
+
+    const versions = [first];
+    let speedUps = 0;
+    let cancelled = false;
+    let waitingSince = Date.now();
+
+    while (true) {
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+
+        let mined = null;
+        let nonceSpent = false;
+        try {
+            // Read together: one batch, so one RPC endpoint's view of the chain
+            const [found, latestNonce] = await Promise.all([
+                findMined(provider, versions),
+                provider.getTransactionCount(wallet.address, 'latest')
+            ]);
+            mined = found;
+            nonceSpent = !mined && latestNonce > nonce;
+
+            // A version may have been mined between the two reads
+            if (nonceSpent) mined = await findMined(provider, versions);
+        } catch (err) {
+            logWarn(`Could not check transaction ${first.hash}: ${err.message}`);
+        }
+
+        if (mined) {
+            if (mined.sent.cancel) {
+                throw new Error(`Transaction ${first.hash} was stuck and has been cancelled`);
+            }
+            if (mined.receipt.status === 0) {
+                throw new Error(`Transaction reverted: ${mined.receipt.hash}`);
+            }
+
+            return {
+                hash: mined.receipt.hash,
+                receipt: mined.receipt,
+                via: mined.sent.via,
+                replacements: versions.length - 1
+            };
+        }
+
+        if (nonceSpent) {
+            throw new Error(`Nonce ${nonce} was spent by another transaction, ${first.hash} can no longer be mined`);
+        }
+
+        const latest = versions[versions.length - 1];
+        const waited = Date.now() - waitingSince;
+
+        // Relay didn't land it: same bytes through the public RPC
+        if (latest.via === 'relay' && waited >= config.mev.relayTimeoutSeconds * 1000) {
+            logWarn(`Relay did not land ${latest.hash} within ${config.mev.relayTimeoutSeconds}s, sending publicly`);
+            latest.via = 'public';
+            try {
+                await provider.broadcastTransaction(latest.signedTx);
+            } catch (err) {
+                logWarn(`Public rebroadcast of ${latest.hash}: ${err.message}`);
+            }
+            waitingSince = Date.now();
+            continue;
+        }
+
+        if (latest.via === 'relay' || waited < stuckMs) {
+            continue;
+        }
+
+        if (cancelled) {
+            if (waited >= stuckMs * CANCEL_WAIT_PERIODS) {
+                const err = new Error(`Transaction ${first.hash} still unresolved after cancelling, not retrying to avoid a double swap`);
+                err.retryable = false;
+                throw err;
+            }
+            continue;
+        }
+
+        // Speed up with higher fees, then give up on the swap and cancel
+        let current = {};
+        try {
+            current = await getEvmFees(provider);
+        } catch (err) {
+            logWarn(`Fee estimate failed, bumping previous fees: ${err.message}`);
+        }
+
+        const fees = bumpFees(latest.tx, current);
+        const cancel = speedUps >= txMaxSpeedUps;
+        const replacement = cancel
+            ? { to: wallet.address, value: 0n, data: '0x', nonce, chainId: latest.tx.chainId, gasLimit: 21000n, ...fees }
+            : { ...latest.tx, ...fees };
+
+        if (cancel) {
+            logWarn(`Transaction ${first.hash} stuck after ${speedUps} speed-ups, cancelling nonce ${nonce}`);
+            cancelled = true;
+        } else {
+            speedUps++;
+            logWarn(`Transaction ${latest.hash} stuck for ${txStuckSeconds}s, speeding up (${speedUps}/${txMaxSpeedUps})`);
+        }
+
+        try {
+            const sent = await broadcast(wallet, chainId, replacement, onSend, cancel);
+            if (sent) {
+                versions.push(sent);
+            }
+        } catch (err) {
+            logWarn(`Replacement for nonce ${nonce} failed: ${err.message}`);
+        }
+
+        waitingSince = Date.now();
+    }
+}
+
+export default {
+    sendAndConfirm
+};
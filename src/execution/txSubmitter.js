@@ -0,0 +1,232 @@
+/**
+ * DEX Trading Bot - Transaction Submitter
+ *
+ * Keeps swaps out of the public mempool so they can't be sandwiched:
+ *   - EVM: signed locally and sent to the chain's private relay
+ *     (BSC_PRIVATE_RPC, BASE_PRIVATE_RPC, ETH_PRIVATE_RPC) as
+ *     eth_sendRawTransaction (raw), eth_sendPrivateTransaction (private)
+ *     or eth_sendBundle (bundle), per PRIVATE_RELAY_FORMAT
+ *   - Solana: sent as a Jito bundle with a tip transfer (JITO_BLOCK_ENGINE_URL)
+ *
+ * Relay errors fall back to the public RPC at once, and transactions the relay
+ * hasn't landed within PRIVATE_RELAY_TIMEOUT_SECONDS are rebroadcast publicly
+ * (by txManager on EVM). The fallback sends the same signed bytes, so a swap
+ * can never execute twice.
+ */
+
+import { ethers } from 'ethers';
+import { PublicKey, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { logInfo, logWarn } from '../logging/logger.js';
+import config from '../config/index.js';
+
+// Relay HTTP requests give up after this long
+const RELAY_REQUEST_TIMEOUT_MS = 10000;
+
+// Private transactions stay valid for this many blocks (Flashbots default)
+const PRIVATE_TX_MAX_BLOCKS = 25;
+
+// A bundle only lands in its target block, so each of the next N is targeted
+const BUNDLE_TARGET_BLOCKS = 3;
+
+// Poll interval while waiting for a Jito bundle to land
+const BUNDLE_POLL_MS = 2000;
+
+// Jito tip accounts (fetched once from the block engine)
+let tipAccounts = null;
+
+/**
+ * JSON-RPC request to a relay or block engine
+ */
+async function relayRequest(url, method, params) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+        signal: AbortSignal.timeout(RELAY_REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        throw new Error(`${method} failed: ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.error) {
+        throw new Error(`${method} failed: ${body.error.message || JSON.stringify(body.error)}`);
+    }
+
+    return body.result;
+}
+
+/**
+ * Private relay URL for an EVM chain
+ * @returns {string|null} Relay URL, or null to use the public RPC
+ */
+export function getPrivateRelay(chainId) {
+    return config.mev.relays[chainId] || null;
+}
+
+/**
+ * Send a signed transaction to a relay in the configured format
+ */
+async function sendToRelay(url, provider, signedTx) {
+    const format = config.mev.relayFormat;
+
+    if (format === 'raw') {
+        return relayRequest(url, 'eth_sendRawTransaction', [signedTx]);
+    }
+
+    if (format !== 'private' && format !== 'bundle') {
+        throw new Error(`Unknown PRIVATE_RELAY_FORMAT: ${format}`);
+    }
+
+    const blockNumber = await provider.getBlockNumber();
+
+    if (format === 'private') {
+        return relayRequest(url, 'eth_sendPrivateTransaction', [{
+            tx: signedTx,
+            maxBlockNumber: ethers.toQuantity(blockNumber + PRIVATE_TX_MAX_BLOCKS),
+            preferences: { fast: true }
+        }]);
+    }
+
+    const targets = Array.from({ length: BUNDLE_TARGET_BLOCKS }, (_, i) => blockNumber + 1 + i);
+    const results = await Promise.allSettled(targets.map(target =>
+        relayRequest(url, 'eth_sendBundle', [{ txs: [signedTx], blockNumber: ethers.toQuantity(target) }])
+    ));
+
+    const accepted = results.find(r => r.status === 'fulfilled');
+    if (!accepted) {
+        throw results[0].reason;
+    }
+
+    return accepted.value;
+}
+
+/**
+ * Send a signed EVM transaction, privately when the chain has a relay
+ * Relay errors fall back to the public RPC; public broadcast errors are thrown
+ * @param {Object} provider - ethers provider for the chain
+ * @param {string} chainId - Chain ID
+ * @param {string} signedTx - Serialized signed transaction
+ * @returns {Promise<string>} How it was sent: 'relay' | 'public'
+ */
+export async function sendSignedTransaction(provider, chainId, signedTx) {
+    const hash = ethers.keccak256(signedTx);
+    const relay = getPrivateRelay(chainId);
+
+    if (relay) {
+        try {
+            await sendToRelay(relay, provider, signedTx);
+            logInfo(`Transaction sent to private relay: ${hash}`);
+            return 'relay';
+        } catch (err) {
+            logWarn(`Private relay failed, sending publicly: ${err.message}`);
+        }
+    }
+
+    await provider.broadcastTransaction(signedTx);
+    return 'public';
+}
+
+/**
+ * Block engine bundles endpoint
+ */
+function jitoBundlesUrl() {
+    return `${config.mev.jitoUrl.replace(/\/+$/, '')}/api/v1/bundles`;
+}
+
+/**
+ * A random Jito tip account (spreads tips across the engine's accounts)
+ */
+async function getTipAccount() {
+    if (!tipAccounts) {
+        tipAccounts = await relayRequest(jitoBundlesUrl(), 'getTipAccounts', []);
+    }
+
+    return new PublicKey(tipAccounts[Math.floor(Math.random() * tipAccounts.length)]);
+}
+
+/**
+ * Tip transfer bundled after the swap, on the swap's blockhash
+ */
+async function buildTipTransaction(recentBlockhash, payer) {
+    const message = new TransactionMessage({
+        payerKey: payer.publicKey,
+        recentBlockhash,
+        instructions: [
+            SystemProgram.transfer({
+                fromPubkey: payer.publicKey,
+                toPubkey: await getTipAccount(),
+                lamports: config.mev.jitoTipLamports
+            })
+        ]
+    }).compileToV0Message();
+
+    const transaction = new VersionedTransaction(message);
+    transaction.sign([payer]);
+    return transaction;
+}
+
+/**
+ * Wait until a signature is seen on chain (landed, successful or not)
+ * @returns {Promise<boolean>} False if it didn't land before the timeout
+ */
+async function waitForSignature(conn, signature, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+        const { value: [status] } = await conn.getSignatureStatuses([signature]);
+        if (status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized') {
+            return true;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, BUNDLE_POLL_MS));
+    }
+
+    return false;
+}
+
+/**
+ * Send a signed Solana transaction, as a Jito bundle with a tip when
+ * JITO_BLOCK_ENGINE_URL is set
+ * @param {Connection} conn - Solana connection
+ * @param {VersionedTransaction} transaction - Signed transaction
+ * @param {Keypair} payer - Signer, also pays the tip
+ * @returns {Promise<Object>} { signature, via ('jito' | 'public'), tip (SOL paid to Jito) }
+ */
+export async function submitSolanaTransaction(conn, transaction, payer) {
+    const signature = bs58.encode(transaction.signatures[0]);
+    const serialized = transaction.serialize();
+
+    if (config.mev.jitoUrl) {
+        try {
+            const tipTransaction = await buildTipTransaction(transaction.message.recentBlockhash, payer);
+            const bundle = [serialized, tipTransaction.serialize()].map(tx => Buffer.from(tx).toString('base64'));
+            const bundleId = await relayRequest(jitoBundlesUrl(), 'sendBundle', [bundle, { encoding: 'base64' }]);
+
+            logInfo(`Bundle sent to Jito: ${bundleId}`);
+
+            if (await waitForSignature(conn, signature, config.mev.relayTimeoutSeconds * 1000)) {
+                return { signature, via: 'jito', tip: config.mev.jitoTipLamports / 1e9 };
+            }
+
+            logWarn(`Jito bundle ${bundleId} did not land within ${config.mev.relayTimeoutSeconds}s, sending publicly`);
+        } catch (err) {
+            logWarn(`Jito bundle failed, sending publicly: ${err.message}`);
+        }
+    }
+
+    await conn.sendRawTransaction(serialized, {
+        skipPreflight: true,
+        maxRetries: 3
+    });
+
+    return { signature, via: 'public', tip: 0 };
+}
+
+export default {
+    getPrivateRelay,
+    sendSignedTransaction,
+    submitSolanaTransaction
+};
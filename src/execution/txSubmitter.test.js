@@ -0,0 +1,193 @@
+/**
+ * Transaction submitter against a local mock relay / block engine
+ * Run with: npm test
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ethers } from 'ethers';
+import { Keypair, PublicKey, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import config from '../config/index.js';
+import { sendSignedTransaction, submitSolanaTransaction } from './txSubmitter.js';
+
+const TIP_ACCOUNT = Keypair.generate().publicKey.toBase58();
+
+// JSON-RPC requests the mock received, and how it answers the next ones
+let requests = [];
+let failing = false;
+let relayUrl;
+let server;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { id, method, params } = JSON.parse(body);
+            requests.push({ path: req.url, method, params });
+
+            res.setHeader('Content-Type', 'application/json');
+            if (failing) {
+                return res.end(JSON.stringify({ jsonrpc: '2.0', id, error: { code: -32000, message: 'relay down' } }));
+            }
+
+            const result = method === 'getTipAccounts' ? [TIP_ACCOUNT]
+                : method === 'sendBundle' ? 'bundle-1'
+                    : ethers.id(method);
+            res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    relayUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    requests = [];
+    failing = false;
+    config.mev.relays.bsc = relayUrl;
+    config.mev.relayFormat = 'private';
+    config.mev.jitoUrl = relayUrl;
+    config.mev.jitoTipLamports = 10000;
+});
+
+/**
+ * Provider stand-in: the submitter only reads the block number and
+ * broadcasts publicly
+ */
+function mockProvider() {
+    const provider = {
+        broadcasts: [],
+        getBlockNumber: async () => 100,
+        broadcastTransaction: async signedTx => {
+            provider.broadcasts.push(signedTx);
+        }
+    };
+    return provider;
+}
+
+function signEvmTransaction() {
+    return ethers.Wallet.createRandom().signTransaction({
+        to: ethers.Wallet.createRandom().address,
+        value: 1n,
+        nonce: 0,
+        gasLimit: 21000n,
+        gasPrice: 1n,
+        chainId: 56
+    });
+}
+
+/**
+ * Connection stand-in: signatures land once sent (or never)
+ */
+function mockConnection({ lands = true } = {}) {
+    const conn = {
+        raw: [],
+        getSignatureStatuses: async () => ({ value: [lands ? { confirmationStatus: 'confirmed' } : null] }),
+        sendRawTransaction: async serialized => {
+            conn.raw.push(serialized);
+        }
+    };
+    return conn;
+}
+
+function signSolanaTransaction(payer) {
+    const message = new TransactionMessage({
+        payerKey: payer.publicKey,
+        recentBlockhash: bs58.encode(Buffer.alloc(32, 1)),
+        instructions: [SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 })]
+    }).compileToV0Message();
+
+    const transaction = new VersionedTransaction(message);
+    transaction.sign([payer]);
+    return transaction;
+}
+
+test('sends to the private relay as eth_sendPrivateTransaction', async () => {
+    const provider = mockProvider();
+    const signedTx = await signEvmTransaction();
+
+    assert.equal(await sendSignedTransaction(provider, 'bsc', signedTx), 'relay');
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].method, 'eth_sendPrivateTransaction');
+    assert.equal(requests[0].params[0].tx, signedTx);
+    assert.equal(requests[0].params[0].maxBlockNumber, ethers.toQuantity(125));
+    assert.equal(provider.broadcasts.length, 0);
+});
+
+test('sends a bundle for each of the next blocks in bundle format', async () => {
+    config.mev.relayFormat = 'bundle';
+    const provider = mockProvider();
+    const signedTx = await signEvmTransaction();
+
+    assert.equal(await sendSignedTransaction(provider, 'bsc', signedTx), 'relay');
+
+    assert.deepEqual(requests.map(r => r.method), ['eth_sendBundle', 'eth_sendBundle', 'eth_sendBundle']);
+    assert.deepEqual(requests.map(r => r.params[0].blockNumber).sort(), [101, 102, 103].map(n => ethers.toQuantity(n)));
+    assert.ok(requests.every(r => r.params[0].txs[0] === signedTx));
+    assert.equal(provider.broadcasts.length, 0);
+});
+
+test('falls back to the public RPC when the relay fails', async () => {
+    failing = true;
+    const provider = mockProvider();
+    const signedTx = await signEvmTransaction();
+
+    assert.equal(await sendSignedTransaction(provider, 'bsc', signedTx), 'public');
+
+    assert.equal(requests.length, 1);
+    assert.deepEqual(provider.broadcasts, [signedTx]);
+});
+
+test('sends publicly on chains without a relay', async () => {
+    config.mev.relays.bsc = '';
+    const provider = mockProvider();
+    const signedTx = await signEvmTransaction();
+
+    assert.equal(await sendSignedTransaction(provider, 'bsc', signedTx), 'public');
+
+    assert.equal(requests.length, 0);
+    assert.deepEqual(provider.broadcasts, [signedTx]);
+});
+
+test('submits a Jito bundle of the swap and a tip transfer', async () => {
+    const payer = Keypair.generate();
+    const transaction = signSolanaTransaction(payer);
+    const conn = mockConnection();
+
+    const result = await submitSolanaTransaction(conn, transaction, payer);
+
+    assert.deepEqual(result, { signature: bs58.encode(transaction.signatures[0]), via: 'jito', tip: 10000 / 1e9 });
+    assert.equal(conn.raw.length, 0);
+
+    const bundle = requests.find(r => r.method === 'sendBundle');
+    assert.equal(bundle.path, '/api/v1/bundles');
+    assert.equal(bundle.params[1].encoding, 'base64');
+
+    const [swap, tip] = bundle.params[0].map(tx => VersionedTransaction.deserialize(Buffer.from(tx, 'base64')));
+    assert.deepEqual(swap.serialize(), transaction.serialize());
+
+    // The tip pays the tip account from the swap's signer, on the swap's blockhash
+    const keys = tip.message.staticAccountKeys;
+    assert.equal(tip.message.recentBlockhash, transaction.message.recentBlockhash);
+    assert.ok(keys[0].equals(payer.publicKey));
+    assert.ok(keys.some(key => key.equals(new PublicKey(TIP_ACCOUNT))));
+    assert.equal(Buffer.from(tip.message.compiledInstructions[0].data).readBigUInt64LE(4), 10000n);
+});
+
+test('sends a Solana transaction publicly when the bundle fails', async () => {
+    const payer = Keypair.generate();
+    const transaction = signSolanaTransaction(payer);
+    const conn = mockConnection();
+    failing = true;
+
+    const result = await submitSolanaTransaction(conn, transaction, payer);
+
+    assert.deepEqual(result, { signature: bs58.encode(transaction.signatures[0]), via: 'public', tip: 0 });
+    assert.deepEqual(conn.raw, [transaction.serialize()]);
+});
@@ -17,6 +17,7 @@ import { logInfo, logError } from './logging/logger.js';
 import { startTelegramBot, stopTelegramBot, handleUpdate } from './notifications/botHandler.js';
 import { startAllLoops, stopAllLoops } from './execution/executionLoops.js';
 import { initializeBlacklist } from './services/blacklistService.js';
+import { getRpcMetrics } from './services/rpcManager.js';
 import http from 'http';
 
 /**
@@ -84,6 +85,7 @@ const healthServer = http.createServer(async (req, res) => {
         mode: config.mode,
         positions: status.openPositions,
         watchlist: status.watchlistSize,
+        rpc: getRpcMetrics(),
         uptime: process.uptime()
     }));
 });
@@ -163,7 +163,7 @@ export function logStartup(config) {
     logger.info('🤖 ====================================');
     logger.info(`📌 Mode: ${config.mode}`);
     logger.info(`📌 Chains: ${Object.entries(config.enabledChains).filter(([, v]) => v).map(([k]) => k.toUpperCase()).join(', ')}`);
-    logger.info(`📌 Strategy: ${config.strategy.type}`);
+    logger.info(`📌 Strategies: ${config.strategy.enabled.join(', ')}`);
     logger.info(`📌 Take Profit: ${config.takeProfit.multiplier}x`);
     logger.info(`📌 Stop Loss: ${config.risk.stopLossPercent}%`);
     logger.info(`📌 Max Trades/Day: ${config.risk.maxTradesPerDay}`);
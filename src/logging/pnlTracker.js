@@ -71,11 +71,11 @@ export function savePnLData() {
  * @param {Object} trade - Completed trade data
  */
 export function recordPnL(trade) {
-    const { pnl, chain, token, entryPrice, exitPrice, pnlPercent, reason } = trade;
+    const { pnl, chain, token, entryPrice, exitPrice, pnlPercent, reason, positionId, partial, tokenAmount } = trade;
 
     const today = new Date().toISOString().split('T')[0];
 
-    // Add to trades array
+    // Add to trades array (partial exits are recorded as separate fills)
     pnlData.trades.push({
         timestamp: Date.now(),
         date: today,
@@ -85,7 +85,10 @@ export function recordPnL(trade) {
         exitPrice,
         pnl,
         pnlPercent,
-        reason
+        reason,
+        positionId: positionId || null,
+        partial: partial || false,
+        tokenAmount: tokenAmount || null
     });
 
     // Update daily PnL
@@ -171,6 +174,46 @@ export function getPnLSummary() {
     };
 }
 
+/**
+ * Summarize an arbitrary list of trades
+ * Same shape as getPnLSummary, used for trade sets that are not the live ledger (e.g. backtests)
+ * @param {Array} trades - Trades with at least { pnl, date }
+ */
+export function summarizeTrades(trades) {
+    const wins = trades.filter(t => t.pnl >= 0);
+    const losses = trades.filter(t => t.pnl < 0);
+
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+
+    let profitFactor = 0;
+    if (grossLoss === 0) {
+        profitFactor = grossProfit > 0 ? Infinity : 0;
+    } else {
+        profitFactor = grossProfit / grossLoss;
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const todayTrades = trades.filter(t => t.date === today);
+
+    return {
+        totalPnL: grossProfit - grossLoss,
+        totalTrades: trades.length,
+        wins: wins.length,
+        losses: losses.length,
+        winningTrades: wins.length,
+        losingTrades: losses.length,
+        winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+        profitFactor,
+        biggestWin: wins.length > 0 ? Math.max(...wins.map(t => t.pnl)) : 0,
+        biggestLoss: losses.length > 0 ? Math.abs(Math.min(...losses.map(t => t.pnl))) : 0,
+        avgWin: wins.length > 0 ? grossProfit / wins.length : 0,
+        avgLoss: losses.length > 0 ? -grossLoss / losses.length : 0,
+        todayPnl: todayTrades.reduce((sum, t) => sum + t.pnl, 0),
+        todayTrades: todayTrades.length
+    };
+}
+
 /**
  * Get daily PnL for last N days
  */
@@ -249,6 +292,7 @@ export default {
     getWinRate,
     getProfitFactor,
     getPnLSummary,
+    summarizeTrades,
     getDailyPnLHistory,
     getRecentTrades,
     displayPnLReport,
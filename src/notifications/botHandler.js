@@ -17,18 +17,27 @@ import {
     handleCreateEvmWallet,
     handleCreateSolanaWallet,
     handleImportPrompt,
+    handleImportWallet,
     handleExportKey,
+    handleSetDefaultWallet,
+    handleSetAutoTradeWallet,
+    handleRenameWallet,
+    handleWalletCommandUsage,
     handleToggleMode,
     handleBuy,
     executeConfirmedBuy,
     setCurrentUser,
     handleToken,
     handleSell,
+    handlePaperReset,
+    executePaperReset,
     handleSettings,
     handleTPSettings,
     handleSLSettings,
     applyTPSetting,
     applySLSetting,
+    handleRiskSettings,
+    applyRiskSetting,
     handleReferral,
     handleLeaderboard,
     handleCopyTrading,
@@ -51,18 +60,30 @@ import {
     handleAutoTradeSettings,
     handleAutoTradeToggle,
     handleSetAutoTradeAmount,
+    handleSetAutoTradeSizing,
     // Withdraw functions
     handleWithdraw,
     handleWithdrawPrompt,
+    handleSendRequest,
+    handleTokenSendRequest,
+    handleSendCommandUsage,
+    handleWithdrawalConfirm,
+    handleWithdrawalCancel,
+    handleAllowlist,
+    handleAllowlistAdd,
+    handleAllowlistRemove,
+    handleAllowlistToggle,
+    handleAllowlistCommandUsage,
     // Trade history
     handleTradeHistory,
+    // Orders
+    handleOrders,
     // Referral with code
     handleStartWithReferral,
     // Legal compliance
     markTermsAccepted
 } from './telegram.js';
 
-import { executeWithdrawal } from '../wallet/userWalletManager.js';
 import { updateCopySettings } from '../services/copyTradingService.js';
 import { registerErrorAlertCallback } from '../logging/logger.js';
 
@@ -115,7 +136,10 @@ async function registerBotCommands() {
         { command: 'start', description: '🏠 Main Dashboard' },
         { command: 'wallet', description: '💼 Wallet & Balance' },
         { command: 'positions', description: '📊 Open Positions' },
+        { command: 'orders', description: '📋 Live Orders' },
+        { command: 'portfolio', description: '💎 Portfolio & PnL' },
         { command: 'pnl', description: '💰 Profit & Loss' },
+        { command: 'paper_reset', description: '🧪 Reset Paper Account' },
         { command: 'token', description: '🔍 Analyze Token' },
         { command: 'referral', description: '🔗 Affiliate Rewards' },
         { command: 'settings', description: '⚙️ Settings' },
@@ -199,8 +223,10 @@ export async function handleUpdate(update) {
 
         // Handle commands
         if (text.startsWith('/')) {
-            logInfo(`Command from ${username} (${chatId}): ${text}`);
-            await handleCommand(text.toLowerCase(), chatId, username);
+            // Never log the private key of an import
+            const logged = text.toLowerCase().startsWith('/import_') ? `${text.split(/\s+/)[0]} [key redacted]` : text;
+            logInfo(`Command from ${username} (${chatId}): ${logged}`);
+            await handleCommand(text.toLowerCase(), chatId, username, text);
         }
     }
 
@@ -215,10 +241,63 @@ export async function handleUpdate(update) {
     }
 }
 
+/**
+ * Wallet type from a command argument: evm | sol | solana
+ */
+function parseWalletChain(arg) {
+    if (arg === 'evm') return 'evm';
+    if (arg === 'sol' || arg === 'solana') return 'solana';
+    return null;
+}
+
+/**
+ * Trading chain from a command argument: bsc | base | sol | solana
+ */
+function parseTradeChain(arg) {
+    if (arg === 'bsc' || arg === 'base') return arg;
+    if (arg === 'sol' || arg === 'solana') return 'solana';
+    return null;
+}
+
+/**
+ * Handle wallet management commands (/wallet_new, /wallet_default, ...)
+ * @returns {Promise<boolean>} Whether the command was one of them
+ */
+async function handleWalletCommand(command) {
+    const [name, chainArg, ...args] = command.split(/\s+/);
+    const chain = parseWalletChain(chainArg);
+
+    if (!['/wallet_new', '/wallet_default', '/wallet_autotrade', '/wallet_rename'].includes(name)) return false;
+
+    switch (name) {
+        case '/wallet_new':
+            if (!chain) break;
+            await (chain === 'evm' ? handleCreateEvmWallet(args[0] || null) : handleCreateSolanaWallet(args[0] || null));
+            return true;
+        case '/wallet_default':
+            if (!chain || !args[0]) break;
+            await handleSetDefaultWallet(chain, args[0]);
+            return true;
+        case '/wallet_autotrade':
+            if (!chain || !args[0]) break;
+            await handleSetAutoTradeWallet(chain, args[0]);
+            return true;
+        case '/wallet_rename':
+            if (!chain || args.length < 2) break;
+            await handleRenameWallet(chain, args[0], args[1]);
+            return true;
+    }
+
+    await handleWalletCommandUsage(name);
+    return true;
+}
+
 /**
  * Handle text commands (multi-user)
+ * @param {string} command - Lowercased command text
+ * @param {string} rawText - Text as sent (private keys are case-sensitive)
  */
-async function handleCommand(command, chatId, username) {
+async function handleCommand(command, chatId, username, rawText = command) {
     // Set current user for response routing
     setCurrentUser(chatId);
 
@@ -251,12 +330,33 @@ async function handleCommand(command, chatId, username) {
         case '/positions':
             await handlePositions();
             break;
+        case '/orders':
+            await handleOrders(chatId);
+            break;
+        case '/portfolio':
+            await handlePortfolio(chatId);
+            break;
         case '/pnl':
             await handlePnL();
             break;
+        case '/paper_reset':
+            await handlePaperReset();
+            break;
         case '/wallet':
             await handleWallet();
             break;
+        case '/withdraw':
+            await handleWithdraw();
+            break;
+        case '/allowlist':
+            await handleAllowlist();
+            break;
+        case '/allowlist_on':
+            await handleAllowlistToggle(true);
+            break;
+        case '/allowlist_off':
+            await handleAllowlistToggle(false);
+            break;
         case '/settings':
             await handleSettings();
             break;
@@ -280,35 +380,67 @@ async function handleCommand(command, chatId, username) {
             await handleAdminUsers();
             break;
         default:
+            // Check for /wallet_new, /wallet_default, /wallet_autotrade, /wallet_rename
+            if (command.startsWith('/wallet_') && await handleWalletCommand(command)) {
+                return;
+            }
+            // Check for /import_evm <key> [label] (key read from the raw text)
+            if (command.startsWith('/import_evm') || command.startsWith('/import_sol')) {
+                const [name, privateKey, label] = rawText.trim().split(/\s+/);
+                if (!privateKey) {
+                    await handleImportPrompt();
+                    return;
+                }
+                await handleImportWallet(name.toLowerCase() === '/import_evm' ? 'evm' : 'solana', privateKey, label || null);
+                return;
+            }
             // Check for /broadcast <message>
             if (command.startsWith('/broadcast ')) {
                 const msg = command.replace('/broadcast ', '').trim();
                 await handleBroadcast(msg);
                 return;
             }
-            // Check for /send_bnb <address> <amount>
-            if (command.startsWith('/send_bnb ') || command.startsWith('/send_eth ') || command.startsWith('/send_sol ')) {
-                const parts = command.split(' ');
-                if (parts.length >= 3) {
-                    const chain = parts[0].includes('bnb') ? 'bsc' : parts[0].includes('eth') ? 'base' : 'solana';
-                    const toAddress = parts[1];
-                    const amount = parseFloat(parts[2]);
-
-                    if (isNaN(amount) || amount <= 0) {
-                        await sendMessage('❌ Invalid amount. Usage: /send_bnb <address> <amount>');
-                        return;
-                    }
-
-                    await sendMessage('⏳ Processing withdrawal...');
-                    const result = await executeWithdrawal(chatId, chain, toAddress, amount);
-
-                    if (result.success) {
-                        await sendMessage(`✅ <b>Withdrawal Successful!</b>\n\n💰 Sent: ${amount} ${chain.toUpperCase()}\n📍 To: <code>${toAddress}</code>\n🔗 TX: <code>${result.txHash}</code>`, [], 'HTML');
-                    } else {
-                        await sendMessage(`❌ Withdrawal failed: ${result.error}`);
-                    }
+            // Check for /send_bnb <address> <amount> [wallet] (address read from the raw text)
+            if (/^\/send_(bnb|eth|sol)(\s|$)/.test(command)) {
+                const [name, toAddress, amountArg, walletLabel] = rawText.trim().split(/\s+/);
+                const symbol = name.toLowerCase().replace('/send_', '');
+                const amount = parseFloat(amountArg);
+
+                if (!toAddress || isNaN(amount) || amount <= 0) {
+                    await handleWithdrawPrompt(symbol);
+                    return;
+                }
+
+                const chain = symbol === 'bnb' ? 'bsc' : symbol === 'eth' ? 'base' : 'solana';
+                await handleSendRequest(chain, toAddress, amount, walletLabel?.toLowerCase() || null);
+                return;
+            }
+            // Check for /send, /sell_send <chain> <token> <address> <amount|all> [wallet] (addresses read from the raw text)
+            if (/^\/(sell_)?send(\s|$)/.test(command)) {
+                const [name, chainArg, tokenAddress, toAddress, amountArg, walletLabel] = rawText.trim().split(/\s+/);
+                const chain = parseTradeChain(chainArg?.toLowerCase());
+                const amount = amountArg?.toLowerCase() === 'all' ? 'all' : parseFloat(amountArg);
+
+                if (!chain || !tokenAddress || !toAddress || (amount !== 'all' && !(amount > 0))) {
+                    await handleSendCommandUsage(name.toLowerCase());
+                    return;
+                }
+
+                const sellFirst = name.toLowerCase() === '/sell_send';
+                await handleTokenSendRequest(chain, tokenAddress, toAddress, amount, walletLabel?.toLowerCase() || null, sellFirst);
+                return;
+            }
+            // Check for /allowlist_add, /allowlist_remove (address read from the raw text)
+            if (command.startsWith('/allowlist_add') || command.startsWith('/allowlist_remove')) {
+                const [name, chainArg, address, label] = rawText.trim().split(/\s+/);
+                const chain = parseWalletChain(chainArg?.toLowerCase());
+
+                if (!chain || !address) {
+                    await handleAllowlistCommandUsage(name.toLowerCase());
+                } else if (name.toLowerCase() === '/allowlist_add') {
+                    await handleAllowlistAdd(chain, address, label || null);
                 } else {
-                    await sendMessage('Usage: /send_bnb <address> <amount>\nExample: /send_bnb 0x1234... 0.1');
+                    await handleAllowlistRemove(chain, address);
                 }
                 return;
             }
@@ -346,6 +478,12 @@ async function handleCallback(query, chatId, username) {
         case 'pnl':
             await handlePnL();
             break;
+        case 'paper_reset':
+            await handlePaperReset();
+            break;
+        case 'paper_reset_confirm':
+            await executePaperReset();
+            break;
         case 'help':
             await handleHelp();
             break;
@@ -363,6 +501,10 @@ async function handleCallback(query, chatId, username) {
         case 'settings_sl':
             await handleSLSettings();
             break;
+        case 'settings_risk':
+        case 'settings_trades':
+            await handleRiskSettings();
+            break;
         // TP value changes
         case 'set_tp_2':
             await applyTPSetting(2);
@@ -444,10 +586,12 @@ async function handleCallback(query, chatId, username) {
             await handleWatchlist(chatId);
             break;
         case 'portfolio':
-        case 'portfolio_refresh':
         case 'portfolio_export':
             await handlePortfolio(chatId);
             break;
+        case 'portfolio_refresh':
+            await handlePortfolio(chatId, true);
+            break;
         case 'dca':
         case 'dca_new':
         case 'dca_pause':
@@ -520,10 +664,22 @@ async function handleCallback(query, chatId, username) {
         case 'withdraw_sol':
             await handleWithdrawPrompt('sol');
             break;
+        case 'allowlist':
+            await handleAllowlist();
+            break;
+        case 'allowlist_on':
+            await handleAllowlistToggle(true);
+            break;
+        case 'allowlist_off':
+            await handleAllowlistToggle(false);
+            break;
         // Trade history callback
         case 'history':
             await handleTradeHistory(chatId);
             break;
+        case 'orders':
+            await handleOrders(chatId);
+            break;
         // Copy trading callbacks
         case 'copy_toggle':
             const settings = updateCopySettings(chatId, { enabled: undefined });
@@ -539,6 +695,39 @@ async function handleCallback(query, chatId, username) {
             await skipOnboarding();
             break;
         default:
+            // Check for per-wallet callbacks (wallet_export_<id>, wallet_default_<id>)
+            if (action.startsWith('wallet_export_')) {
+                await handleExportKey(null, action.replace('wallet_export_', ''));
+                return;
+            }
+            if (action.startsWith('wallet_default_')) {
+                await handleSetDefaultWallet(null, action.replace('wallet_default_', ''));
+                return;
+            }
+
+            // Check for withdrawal callbacks (wd_confirm_<id>, wd_cancel_<id>)
+            if (action.startsWith('wd_confirm_')) {
+                await handleWithdrawalConfirm(action.replace('wd_confirm_', ''));
+                return;
+            }
+            if (action.startsWith('wd_cancel_')) {
+                await handleWithdrawalCancel(action.replace('wd_cancel_', ''));
+                return;
+            }
+
+            // Check for risk limit callbacks (set_risk_trades_10, etc.)
+            if (action.startsWith('set_risk_')) {
+                const [key, value] = action.replace('set_risk_', '').split('_');
+                await applyRiskSetting(key, parseFloat(value));
+                return;
+            }
+
+            // Check for autotrade sizing callbacks (autotrade_sizing_percent, etc.)
+            if (action.startsWith('autotrade_sizing_')) {
+                await handleSetAutoTradeSizing(action.replace('autotrade_sizing_', ''));
+                return;
+            }
+
             // Check for autotrade amount callbacks (autotrade_amount_0.1, etc.)
             if (action.startsWith('autotrade_amount_')) {
                 const amount = action.replace('autotrade_amount_', '');
@@ -576,7 +765,7 @@ async function handleCallback(query, chatId, username) {
                     const chain = parts[0];
                     const amount = parts[1];
                     const signalId = parts.slice(2).join('_');
-                    await executeConfirmedBuy(chain, amount, signalId);
+                    await executeConfirmedBuy(chain, amount, signalId, query.message?.message_id);
                     return;
                 }
             }
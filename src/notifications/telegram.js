@@ -4,7 +4,7 @@
  * Full-featured Telegram bot with Maestro-style UI:
  *   - Interactive inline keyboard buttons
  *   - Rich formatted messages
- *   - Commands: /start, /status, /positions, /pnl, /settings, /help
+ *   - Commands: /start, /status, /positions, /orders, /pnl, /settings, /help
  */
 
 import { logInfo, logError } from '../logging/logger.js';
@@ -20,14 +20,43 @@ import {
     toggleTradingMode,
     getUserMode,
     getUserWallet,
+    getUserWallets,
     getWalletForTrading,
     hasCompletedOnboarding,
     markOnboardingComplete,
     getAutoTradeSettings,
     updateAutoTradeSettings,
     toggleAutoTrade,
-    getUserByTelegramId
+    getUserByTelegramId,
+    updateUserSettings,
+    setDefaultWallet,
+    setAutoTradeWallet,
+    renameWallet,
+    getWalletBalanceUsd
 } from '../wallet/userWalletManager.js';
+import {
+    RISK_SETTING_KEYS,
+    getRiskProfile,
+    applyRiskProfile,
+    canTrade,
+    recordEntry,
+    getDailyStats
+} from '../risk/riskManager.js';
+import { getPaperBalance, getPaperAccountSummary, resetPaperAccount } from '../services/paperLedgerService.js';
+import {
+    NATIVE_SYMBOLS,
+    getAssetSymbol,
+    requestWithdrawal,
+    requestTokenWithdrawal,
+    confirmWithdrawal,
+    cancelWithdrawal,
+    getAllowlist,
+    addAllowlistAddress,
+    removeAllowlistAddress,
+    setAllowlistEnabled
+} from '../services/withdrawalService.js';
+import { getPortfolio } from '../services/portfolioService.js';
+import { getNativePriceUsd } from '../data/priceEngine.js';
 import config from '../config/index.js';
 
 // Telegram config
@@ -245,6 +274,7 @@ ${BOT_NAME} <b>Signal Detected</b>
 
 🪙 <b>${signal.token}</b>
 🔗 Chain: <code>${signal.chain.toUpperCase()}</code>
+🧠 Strategy: <code>${signal.strategy || 'VOLUME_SPIKE'}</code>
 
 💰 <b>Entry Price</b>
 <code>$${signal.entryPrice.toFixed(8)}</code>
@@ -301,8 +331,10 @@ ${BOT_NAME} <b>Signal Detected</b>
 
 /**
  * Send trade execution alert
+ * @param {Object} trade - Trade details (optional sizing from sizeAutoTrade)
+ * @param {string} userId - Telegram ID to notify (default: current chat)
  */
-export async function notifyTrade(trade) {
+export async function notifyTrade(trade, userId = null) {
     const isBuy = trade.action === 'BUY';
     const emoji = isBuy ? '🟢' : '🔴';
 
@@ -317,7 +349,10 @@ ${emoji} <b>${trade.token}</b>
 ┌ Price: <code>$${trade.price.toFixed(8)}</code>
 ├ Amount: <code>$${trade.amount.toFixed(2)}</code>
 └ Mode: <code>${trade.mode || 'PAPER'}</code>
-
+${trade.sizing ? `
+📐 <b>Sizing</b> (<code>${trade.sizing.mode}</code>)
+└ <i>${trade.sizing.rationale}</i>
+` : ''}
 ${isBuy ? `🎯 <b>Targets Set</b>
 ┌ Take Profit: <code>$${trade.takeProfit?.toFixed(8) || 'N/A'}</code>
 └ Stop Loss: <code>$${trade.stopLoss?.toFixed(8) || 'N/A'}</code>` : ''}
@@ -325,7 +360,7 @@ ${isBuy ? `🎯 <b>Targets Set</b>
 ━━━━━━━━━━━━━━━━━━━━━
     `.trim();
 
-    return sendMessage(message);
+    return sendMessage(message, null, 'HTML', userId);
 }
 
 /**
@@ -339,9 +374,13 @@ export async function notifyExit(exit, userId = null) {
     const sign = isProfit ? '+' : '';
     const profitPercent = ((exit.exitPrice - exit.entryPrice) / exit.entryPrice * 100).toFixed(1);
 
+    const title = exit.partial
+        ? `Partial Exit${exit.sellPercent ? ` (${exit.sellPercent}%)` : ''}`
+        : 'Trade Complete!';
+
     // Create hype-style PnL card message
     const message = `
-${BOT_NAME} ${emoji} <b>Trade Complete!</b>
+${BOT_NAME} ${emoji} <b>${title}</b>
 ━━━━━━━━━━━━━━━━━━━━━
 
 🪙 <b>${exit.token}</b> on ${exit.chain.toUpperCase()}
@@ -381,6 +420,51 @@ ${pnlColor} <b>${sign}${profitPercent}%</b> ${hypeEmoji}
 }
 
 
+// Order status icons, for /orders and order updates
+const ORDER_STATUS_ICONS = {
+    created: '🆕',
+    quoted: '💬',
+    submitted: '⏳',
+    confirmed: '✅',
+    failed: '❌',
+    expired: '⌛'
+};
+
+/**
+ * Tell a user how an order left in flight by a restart ended
+ * @param {Object} order - Resolved order (from orderStore)
+ * @param {string} userId - Telegram ID to notify
+ * @param {Object} exit - For a confirmed exit applied to its position: { pnl, partial }
+ */
+export async function notifyOrderResolved(order, userId, exit = null) {
+    if (!userId) return false;
+
+    let note = '';
+    if (order.status === 'confirmed' && order.side === 'BUY') {
+        note = order.positionId ? '<i>Position is being monitored...</i>' : '<i>⚠️ Position could not be opened, check your wallet.</i>';
+    } else if (order.status === 'confirmed' && exit) {
+        note = `<i>This exit landed while the bot was restarting. Position ${exit.partial ? 'reduced' : 'closed'}, PnL ${exit.pnl >= 0 ? '+' : ''}$${exit.pnl.toFixed(2)}.</i>`;
+    } else if (order.status === 'confirmed') {
+        note = '<i>⚠️ This exit landed while the bot was restarting. Check the position before selling again.</i>';
+    } else if (order.error) {
+        note = `<i>${order.error}</i>`;
+    }
+
+    const message = `
+${BOT_NAME} <b>Order Update</b>
+━━━━━━━━━━━━━━━━━━━━━
+
+${ORDER_STATUS_ICONS[order.status] || '•'} <b>${order.side} ${order.token}</b> on ${order.chain.toUpperCase()}
+📋 Status: <code>${order.status}</code>
+${order.txHash ? `🔗 TX: <code>${order.txHash}</code>\n` : ''}
+${note}
+
+━━━━━━━━━━━━━━━━━━━━━
+    `.trim();
+
+    return sendMessage(message, [[{ text: '📋 Orders', callback_data: 'orders' }]], 'HTML', userId);
+}
+
 /**
  * Send daily summary
  */
@@ -577,7 +661,7 @@ export async function handleStart() {
         ...status,
         isRunning: true,
         mode: config.mode,
-        balance: getBalance('bsc') + getBalance('base') + getBalance('solana'),
+        balance: await getDisplayBalance(),
         dailyPnl: pnl.todayPnl || 0,
         dailyTrades: pnl.todayTrades || 0,
         winRate: pnl.winRate || 0,
@@ -587,6 +671,21 @@ export async function handleStart() {
     return notifyStatus(fullStatus);
 }
 
+/**
+ * Balance shown on the dashboard: the user's paper account if they have one,
+ * otherwise the bot's own paper balance
+ */
+async function getDisplayBalance() {
+    const user = currentUserChatId ? await getUserByTelegramId(currentUserChatId) : null;
+
+    if (user) {
+        const account = await getPaperAccountSummary(user.id);
+        return account.totalBalance;
+    }
+
+    return getBalance('bsc') + getBalance('base') + getBalance('solana');
+}
+
 /**
  * Handle /start with referral code
  */
@@ -653,7 +752,8 @@ export async function handleStartWithReferral(refCode, chatId) {
  * Handle /positions command with sell buttons
  */
 export async function handlePositions() {
-    const positions = getOpenPositions();
+    const user = await getUserByTelegramId(currentUserChatId);
+    const positions = getOpenPositions(user?.id);
 
     if (positions.length === 0) {
         const message = `
@@ -718,11 +818,20 @@ ${positionsList}
  */
 export async function handlePnL() {
     const summary = getPnLSummary();
+    const user = await getUserByTelegramId(currentUserChatId);
+    const account = user ? await getPaperAccountSummary(user.id) : null;
+
+    const paperSection = account ? `
+🧪 <b>Paper Account</b>
+┌ Balance: <code>$${account.totalBalance.toFixed(2)}</code>
+├ In Positions: <code>$${account.openPositionsUsd.toFixed(2)}</code> (${account.openPositions})
+└ Realized PnL: <code>${account.realizedPnL >= 0 ? '+' : ''}$${account.realizedPnL.toFixed(2)}</code>
+` : '';
 
     const message = `
 ${BOT_NAME} <b>PnL Report</b>
 ━━━━━━━━━━━━━━━━━━━━━
-
+${paperSection}
 💰 <b>All Time</b>
 ┌ Total PnL: <code>${(summary.totalPnl || 0) >= 0 ? '+' : ''}$${(summary.totalPnl || 0).toFixed(2)}</code>
 ├ Total Trades: <code>${summary.totalTrades || 0}</code>
@@ -782,7 +891,10 @@ ${BOT_NAME} <b>📚 Help & Tutorial</b>
 /start - Main menu
 /wallet - View wallets
 /positions - Open positions
+/orders - Live order status
+/portfolio - Wallet holdings and PnL
 /pnl - Profit & Loss
+/paper_reset - Reset paper account
 /token - Analyze any token
 /settings - Bot settings
 /referral - Earn from referrals
@@ -796,30 +908,28 @@ ${BOT_NAME} <b>📚 Help & Tutorial</b>
 
 /**
  * Wallet keyboard
+ * @param {Array} wallets - getWalletSummary().wallets
  */
-function getWalletKeyboard(hasEvm, hasSol) {
-    const keyboard = [];
-
-    if (!hasEvm) {
-        keyboard.push([{ text: '🆕 Create EVM Wallet', callback_data: 'wallet_create_evm' }]);
-    }
-    if (!hasSol) {
-        keyboard.push([{ text: '🆕 Create Solana Wallet', callback_data: 'wallet_create_sol' }]);
-    }
+function getWalletKeyboard(wallets = []) {
+    const keyboard = [[
+        { text: '🆕 New EVM Wallet', callback_data: 'wallet_create_evm' },
+        { text: '🆕 New Solana Wallet', callback_data: 'wallet_create_sol' }
+    ]];
 
     keyboard.push([
         { text: '📥 Import Wallet', callback_data: 'wallet_import_prompt' }
     ]);
 
-    // Export buttons if wallets exist
-    if (hasEvm) {
-        keyboard.push([{ text: '🔑 Export EVM Key', callback_data: 'wallet_export_evm' }]);
-    }
-    if (hasSol) {
-        keyboard.push([{ text: '🔑 Export Solana Key', callback_data: 'wallet_export_sol' }]);
+    // Export (and set default) per wallet
+    for (const wallet of wallets) {
+        const row = [{ text: `🔑 Export ${wallet.label}`, callback_data: `wallet_export_${wallet.id}` }];
+        if (!wallet.isDefault) {
+            row.push({ text: `⭐ Default ${wallet.label}`, callback_data: `wallet_default_${wallet.id}` });
+        }
+        keyboard.push(row);
     }
 
-    if (hasEvm || hasSol) {
+    if (wallets.length > 0) {
         keyboard.push([
             { text: '💰 Refresh Balances', callback_data: 'wallet_balance' }
         ]);
@@ -836,6 +946,20 @@ function getWalletKeyboard(hasEvm, hasSol) {
     return keyboard;
 }
 
+/**
+ * Wallet list entry: label, flags, address and native balances
+ */
+function formatWalletEntry(wallet) {
+    const flags = `${wallet.isDefault ? ' ⭐' : ''}${wallet.isAutoTrade ? ' 🤖' : ''}`;
+    const balances = wallet.chain === 'evm'
+        ? `BNB <code>${wallet.balances.bsc}</code> · ETH (Base) <code>${wallet.balances.base}</code>`
+        : `SOL <code>${wallet.balances.solana}</code>`;
+
+    return `<b>${wallet.label}</b>${flags}
+<code>${wallet.address}</code>
+${balances}`;
+}
+
 /**
  * Handle /wallet command - Per user
  */
@@ -853,24 +977,36 @@ export async function handleWallet() {
 
     let walletList = '';
 
-    if (summary.hasEvm) {
+    const evmWallets = summary.wallets.filter(w => w.chain === 'evm');
+    if (evmWallets.length > 0) {
         walletList += `
 🔷 <b>EVM (BSC/Base)</b>
-Address: <code>${summary.evmAddress}</code>
+${evmWallets.map(formatWalletEntry).join('\n\n')}
 `;
     }
 
-    if (summary.hasSolana) {
+    const solanaWallets = summary.wallets.filter(w => w.chain === 'solana');
+    if (solanaWallets.length > 0) {
         walletList += `
 🟣 <b>Solana</b>
-Address: <code>${summary.solanaAddress}</code>
+${solanaWallets.map(formatWalletEntry).join('\n\n')}
 `;
     }
 
-    if (!summary.hasEvm && !summary.hasSolana) {
+    if (summary.wallets.length === 0) {
         walletList = `
 <i>No wallets configured</i>
 Create or import a wallet to enable live trading.
+`;
+    } else {
+        walletList += `
+⭐ Default (manual trades, DCA, limits) · 🤖 Auto-trades
+
+<b>Manage:</b>
+<code>/wallet_new evm|sol [label]</code>
+<code>/wallet_default evm|sol label</code>
+<code>/wallet_autotrade evm|sol label|default</code>
+<code>/wallet_rename evm|sol label new_label</code>
 `;
     }
 
@@ -886,7 +1022,7 @@ ${walletList}
 ━━━━━━━━━━━━━━━━━━━━━
     `.trim();
 
-    return sendMessage(message, getWalletKeyboard(summary.hasEvm, summary.hasSolana));
+    return sendMessage(message, getWalletKeyboard(summary.wallets));
 }
 
 /**
@@ -1020,6 +1156,9 @@ Balance: <code>${summary.solBalance || '0'} SOL</code>
         ]);
     }
 
+    const limit = config.withdrawals.dailyLimitUsd;
+    const limitInfo = limit > 0 ? `\n📊 Daily limit: $${limit.toFixed(2)} per 24h\n` : '';
+
     const message = `
 ${BOT_NAME} <b>💸 Withdraw Funds</b>
 ━━━━━━━━━━━━━━━━━━━━━
@@ -1029,13 +1168,19 @@ ${withdrawInfo}
 2. Enter destination address when prompted
 3. Confirm the transaction
 
+<b>Tokens:</b> <code>/send chain token address amount|all</code>
+<b>Sell, then withdraw:</b> <code>/sell_send chain token address amount|all</code>
+${limitInfo}
 ⚠️ Double-check addresses!
 Crypto transactions are irreversible.
 
 ━━━━━━━━━━━━━━━━━━━━━
     `.trim();
 
-    keyboard.push([{ text: '💼 View Wallet', callback_data: 'wallet' }]);
+    keyboard.push([
+        { text: '🛡️ Allowlist', callback_data: 'allowlist' },
+        { text: '💼 View Wallet', callback_data: 'wallet' }
+    ]);
     keyboard.push([{ text: '◀️ Back', callback_data: 'menu' }]);
 
     return sendMessage(message, keyboard);
@@ -1089,11 +1234,14 @@ ${BOT_NAME} <b>💸 Withdraw ${chainNames[chain] || chain.toUpperCase()}</b>
 ━━━━━━━━━━━━━━━━━━━━━
 
 To withdraw, send a message with:
-<code>/send_${chain} [address] [amount]</code>
+<code>/send_${chain} [address] [amount] [wallet]</code>
 
 Example:
 <code>/send_${chain} 0x1234... 0.1</code>
 
+Sends from your default wallet unless you name another one.
+You'll see the network fee and confirm before anything is sent.
+
 ⚠️ Make sure the address is correct!
 
 ━━━━━━━━━━━━━━━━━━━━━
@@ -1104,20 +1252,299 @@ Example:
     ]);
 }
 
+/**
+ * Show a checked withdrawal for the user to confirm, or why it was refused
+ * @param {Object} result - From requestWithdrawal / requestTokenWithdrawal
+ */
+async function sendWithdrawalPrompt(result) {
+    if (!result.success) {
+        return sendMessage(`❌ <b>Withdrawal refused</b>\n\n${result.error}`, [
+            [{ text: '💸 Withdraw', callback_data: 'withdraw' }]
+        ]);
+    }
+
+    const request = result.request;
+    const nativeSymbol = NATIVE_SYMBOLS[request.chain];
+    const limit = config.withdrawals.dailyLimitUsd;
+    const limitLine = limit > 0
+        ? `📊 <b>Daily limit:</b> $${(request.dailyUsedUsd + request.amountUsd).toFixed(2)} of $${limit.toFixed(2)} after this\n`
+        : '';
+
+    let notes = '';
+    if (request.sellFirst) {
+        notes += `🔄 Sells to ${nativeSymbol} first, then sends the proceeds (after swap gas and fees)\n`;
+    } else if (request.positionId) {
+        notes += '⚠️ These tokens belong to an open position: it will no longer hold them\n';
+    }
+    if (request.createsAccount) {
+        notes += '🆕 The fee includes rent for the recipient\'s token account\n';
+    }
+
+    const message = `
+${BOT_NAME} <b>💸 Confirm Withdrawal</b>
+━━━━━━━━━━━━━━━━━━━━━
+
+💰 <b>Amount:</b> ${request.amount} ${getAssetSymbol(request)}${request.amountUsd !== null ? ` (~$${request.amountUsd.toFixed(2)})` : ''}
+👛 <b>From:</b> ${request.walletLabel}
+📍 <b>To:</b>
+<code>${request.toAddress}</code>
+⛽ <b>Network fee:</b> up to ${request.feeNative.toFixed(6)} ${nativeSymbol}
+${limitLine}${notes}
+⏱️ Expires in ${config.withdrawals.confirmSeconds}s
+
+⚠️ Check the address: this can't be undone!
+
+━━━━━━━━━━━━━━━━━━━━━
+    `.trim();
+
+    return sendMessage(message, [
+        [
+            { text: '✅ Confirm', callback_data: `wd_confirm_${request.id}` },
+            { text: '❌ Cancel', callback_data: `wd_cancel_${request.id}` }
+        ]
+    ]);
+}
+
+/**
+ * Handle /send_bnb, /send_eth, /send_sol - checks the withdrawal and asks to confirm it
+ * @param {string} chain - bsc | base | solana
+ * @param {string} toAddress - Destination as entered
+ * @param {number} amount - Native amount
+ * @param {string} walletRef - Wallet label to send from (default: the chain's default wallet)
+ */
+export async function handleSendRequest(chain, toAddress, amount, walletRef = null) {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) {
+        return sendMessage('❌ User not identified. Please /start first.');
+    }
+
+    return sendWithdrawalPrompt(await requestWithdrawal(telegramId, chain, toAddress, amount, walletRef));
+}
+
+/**
+ * Handle /send and /sell_send - checks a token withdrawal and asks to confirm it
+ * @param {string} chain - bsc | base | solana
+ * @param {string} tokenAddress - Token contract / mint
+ * @param {string} toAddress - Destination as entered
+ * @param {number|string} amount - Token amount or 'all'
+ * @param {string} walletRef - Wallet label to send from (default: the chain's default wallet)
+ * @param {boolean} sellFirst - Sell to the native token and send the proceeds (/sell_send)
+ */
+export async function handleTokenSendRequest(chain, tokenAddress, toAddress, amount, walletRef = null, sellFirst = false) {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) {
+        return sendMessage('❌ User not identified. Please /start first.');
+    }
+
+    await sendMessage(`🔍 Checking ${sellFirst ? 'sale and ' : ''}withdrawal...`);
+    return sendWithdrawalPrompt(await requestTokenWithdrawal(telegramId, chain, tokenAddress, toAddress, amount, { walletRef, sellFirst }));
+}
+
+/**
+ * Handle withdrawal confirm button - sends the funds
+ * @param {string} requestId - From handleSendRequest / handleTokenSendRequest
+ */
+export async function handleWithdrawalConfirm(requestId) {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) {
+        return sendMessage('❌ User not identified. Please /start first.');
+    }
+
+    await sendMessage('⏳ Processing withdrawal...');
+    const result = await confirmWithdrawal(telegramId, requestId);
+
+    if (!result.success) {
+        return sendMessage(`❌ Withdrawal failed: ${result.error}`, [
+            [{ text: '💸 Withdraw', callback_data: 'withdraw' }]
+        ]);
+    }
+
+    const { request } = result;
+    const sent = request.sellFirst
+        ? `🔄 Sold: ${request.amount} ${getAssetSymbol(request)}\n🔗 Sell TX: <code>${request.sellTxHash}</code>\n💰 Sent: ${request.sentNative} ${NATIVE_SYMBOLS[request.chain]}`
+        : `💰 Sent: ${request.amount} ${getAssetSymbol(request)}`;
+
+    return sendMessage(`✅ <b>Withdrawal Successful!</b>\n\n${sent}\n📍 To: <code>${request.toAddress}</code>\n🔗 TX: <code>${result.txHash}</code>`, [
+        [{ text: '💼 View Wallet', callback_data: 'wallet' }]
+    ]);
+}
+
+/**
+ * Handle withdrawal cancel button
+ * @param {string} requestId - From handleSendRequest / handleTokenSendRequest
+ */
+export async function handleWithdrawalCancel(requestId) {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) {
+        return sendMessage('❌ User not identified. Please /start first.');
+    }
+
+    const result = await cancelWithdrawal(telegramId, requestId);
+    return sendMessage(result.success ? '❌ Withdrawal cancelled' : `⚠️ ${result.error}`, [
+        [{ text: '💸 Withdraw', callback_data: 'withdraw' }]
+    ]);
+}
+
+/**
+ * Handle /allowlist - withdrawal address allowlist
+ */
+export async function handleAllowlist() {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) {
+        return sendMessage('❌ User not identified. Please /start first.');
+    }
+
+    const allowlist = await getAllowlist(telegramId);
+    const cooldown = config.withdrawals.cooldownHours;
+
+    let status = allowlist.enabled ? '🟢 ON: withdrawals only go to the addresses below' : '🔴 OFF: withdrawals can go to any address';
+    if (allowlist.offAt) {
+        status += `\n⏳ Turns off at ${new Date(allowlist.offAt).toUTCString()}`;
+    }
+
+    const entries = allowlist.addresses.map(e => {
+        const name = e.label ? `<b>${e.label}</b> ` : '';
+        const state = e.active ? '✅' : `⏳ usable from ${new Date(e.activeAt).toUTCString()}`;
+        return `${e.chain === 'evm' ? '🔷' : '🟣'} ${name}<code>${e.address}</code>\n   ${state}`;
+    });
+
+    const message = `
+${BOT_NAME} <b>🛡️ Withdrawal Allowlist</b>
+━━━━━━━━━━━━━━━━━━━━━
+
+${status}
+
+${entries.length ? entries.join('\n\n') : '<i>No addresses yet</i>'}
+
+<b>Commands:</b>
+<code>/allowlist_add evm|sol address [label]</code>
+<code>/allowlist_remove evm|sol address</code>
+
+New addresses, and turning the allowlist off, take effect after ${cooldown}h.
+
+━━━━━━━━━━━━━━━━━━━━━
+    `.trim();
+
+    const toggle = allowlist.enabled && !allowlist.offAt
+        ? { text: '🔴 Turn Off', callback_data: 'allowlist_off' }
+        : { text: '🟢 Turn On', callback_data: 'allowlist_on' };
+
+    return sendMessage(message, [
+        [toggle],
+        [{ text: '◀️ Back', callback_data: 'withdraw' }]
+    ]);
+}
+
+/**
+ * Handle /allowlist_add
+ * @param {string} chain - 'evm' or 'solana'
+ * @param {string} address - Address as sent
+ * @param {string} label - Optional name
+ */
+export async function handleAllowlistAdd(chain, address, label = null) {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) {
+        return sendMessage('❌ User not identified. Please /start first.');
+    }
+
+    const result = await addAllowlistAddress(telegramId, chain, address, label);
+    if (!result.success) {
+        return sendMessage(`❌ ${result.error}`);
+    }
+
+    await sendMessage(`🛡️ Added <code>${result.entry.address}</code>\nUsable from ${new Date(result.entry.activeAt).toUTCString()}`);
+    return handleAllowlist();
+}
+
+/**
+ * Handle /allowlist_remove
+ * @param {string} chain - 'evm' or 'solana'
+ * @param {string} address - Address as sent
+ */
+export async function handleAllowlistRemove(chain, address) {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) {
+        return sendMessage('❌ User not identified. Please /start first.');
+    }
+
+    const result = await removeAllowlistAddress(telegramId, chain, address);
+    if (!result.success) {
+        return sendMessage(`❌ ${result.error}`);
+    }
+
+    await sendMessage(`🗑️ Removed <code>${result.entry.address}</code>`);
+    return handleAllowlist();
+}
+
+/**
+ * Handle allowlist on/off
+ * @param {boolean} enabled - On takes effect now, off after the cooldown
+ */
+export async function handleAllowlistToggle(enabled) {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) {
+        return sendMessage('❌ User not identified. Please /start first.');
+    }
+
+    const result = await setAllowlistEnabled(telegramId, enabled);
+    if (!result.success) {
+        return sendMessage(`❌ ${result.error}`);
+    }
+
+    if (result.offAt) {
+        await sendMessage(`⏳ Allowlist turns off at ${new Date(result.offAt).toUTCString()}`);
+    }
+
+    return handleAllowlist();
+}
+
+// Usage of the allowlist commands
+const ALLOWLIST_COMMAND_USAGE = {
+    '/allowlist_add': 'Usage: <code>/allowlist_add evm|sol address [label]</code>\nExample: <code>/allowlist_add evm 0x1234... ledger</code>',
+    '/allowlist_remove': 'Usage: <code>/allowlist_remove evm|sol address</code>'
+};
+
+// Usage of the token withdrawal commands
+const SEND_COMMAND_USAGE = {
+    '/send': 'Usage: <code>/send bsc|base|sol token address amount|all [wallet]</code>\nExample: <code>/send bsc 0xToken... 0x1234... all</code>',
+    '/sell_send': 'Usage: <code>/sell_send bsc|base|sol token address amount|all [wallet]</code>\nSells the tokens for the chain\'s native coin, then sends the proceeds.'
+};
+
+/**
+ * Show how to use /send or /sell_send
+ * @param {string} command - /send | /sell_send
+ */
+export async function handleSendCommandUsage(command) {
+    return sendMessage(SEND_COMMAND_USAGE[command] || SEND_COMMAND_USAGE['/send'], [
+        [{ text: '💸 Withdraw', callback_data: 'withdraw' }]
+    ]);
+}
+
+/**
+ * Show how to use an allowlist command
+ * @param {string} command - e.g. /allowlist_add
+ */
+export async function handleAllowlistCommandUsage(command) {
+    return sendMessage(ALLOWLIST_COMMAND_USAGE[command] || '❓ Unknown allowlist command. See /allowlist.', [
+        [{ text: '🛡️ Allowlist', callback_data: 'allowlist' }]
+    ]);
+}
+
 /**
  * Handle EVM wallet creation - Per user
+ * @param {string} label - Wallet label (default: main, then wallet2, ...)
  */
-export async function handleCreateEvmWallet() {
+export async function handleCreateEvmWallet(label = null) {
     const telegramId = currentUserChatId?.toString();
     if (!telegramId) {
         return sendMessage('❌ User not identified. Please /start first.');
     }
 
-    const result = await createEvmWallet(telegramId);
+    const result = await createEvmWallet(telegramId, label);
 
     if (!result.success) {
         if (result.wallet) {
-            return sendMessage(`⚠️ You already have an EVM wallet:\n<code>${result.wallet.address}</code>`);
+            return sendMessage(`⚠️ You already have an EVM wallet <b>${result.wallet.label}</b>:\n<code>${result.wallet.address}</code>`);
         }
         return sendMessage(`❌ Failed to create wallet: ${result.error}`);
     }
@@ -1126,7 +1553,7 @@ export async function handleCreateEvmWallet() {
 ${BOT_NAME} <b>🔐 New EVM Wallet Created</b>
 ━━━━━━━━━━━━━━━━━━━━━
 
-✅ <b>Wallet Created Successfully!</b>
+✅ <b>Wallet "${result.label}" Created Successfully!</b>
 
 📍 <b>Address:</b>
 <code>${result.address}</code>
@@ -1147,23 +1574,24 @@ Deposit BNB (BSC) or ETH (Base) to your address
     `.trim();
 
     const summary = await getWalletSummary(telegramId);
-    return sendMessage(message, getWalletKeyboard(summary.hasEvm, summary.hasSolana));
+    return sendMessage(message, getWalletKeyboard(summary.wallets));
 }
 
 /**
  * Handle Solana wallet creation - Per user
+ * @param {string} label - Wallet label (default: main, then wallet2, ...)
  */
-export async function handleCreateSolanaWallet() {
+export async function handleCreateSolanaWallet(label = null) {
     const telegramId = currentUserChatId?.toString();
     if (!telegramId) {
         return sendMessage('❌ User not identified. Please /start first.');
     }
 
-    const result = await createSolanaWallet(telegramId);
+    const result = await createSolanaWallet(telegramId, label);
 
     if (!result.success) {
         if (result.wallet) {
-            return sendMessage(`⚠️ You already have a Solana wallet:\n<code>${result.wallet.address}</code>`);
+            return sendMessage(`⚠️ You already have a Solana wallet <b>${result.wallet.label}</b>:\n<code>${result.wallet.address}</code>`);
         }
         return sendMessage(`❌ Failed to create wallet: ${result.error}`);
     }
@@ -1172,7 +1600,7 @@ export async function handleCreateSolanaWallet() {
 ${BOT_NAME} <b>🔐 New Solana Wallet Created</b>
 ━━━━━━━━━━━━━━━━━━━━━
 
-✅ <b>Wallet Created Successfully!</b>
+✅ <b>Wallet "${result.label}" Created Successfully!</b>
 
 📍 <b>Address:</b>
 <code>${result.address}</code>
@@ -1193,7 +1621,7 @@ Deposit SOL to your address
     `.trim();
 
     const summary = await getWalletSummary(telegramId);
-    return sendMessage(message, getWalletKeyboard(summary.hasEvm, summary.hasSolana));
+    return sendMessage(message, getWalletKeyboard(summary.wallets));
 }
 
 /**
@@ -1207,10 +1635,12 @@ ${BOT_NAME} <b>📥 Import Wallet</b>
 To import an existing wallet, send your private key:
 
 <b>For EVM (BSC/Base/ETH):</b>
-<code>/import_evm YOUR_PRIVATE_KEY</code>
+<code>/import_evm YOUR_PRIVATE_KEY [label]</code>
 
 <b>For Solana:</b>
-<code>/import_sol YOUR_PRIVATE_KEY</code>
+<code>/import_sol YOUR_PRIVATE_KEY [label]</code>
+
+The wallet is added next to your other wallets.
 
 ⚠️ <b>Security Warning:</b>
 • Only import wallets you trust
@@ -1223,10 +1653,37 @@ To import an existing wallet, send your private key:
     return sendMessage(message, [[{ text: '◀️ Back', callback_data: 'wallet' }]]);
 }
 
+/**
+ * Handle wallet import
+ * @param {string} chain - 'evm' or 'solana'
+ * @param {string} privateKey - Key as sent (case preserved)
+ * @param {string} label - Wallet label (default: main, then wallet2, ...)
+ */
+export async function handleImportWallet(chain, privateKey, label = null) {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) {
+        return sendMessage('❌ User not identified. Please /start first.');
+    }
+
+    const { importWallet } = await import('../wallet/userWalletManager.js');
+    const result = await importWallet(telegramId, privateKey, chain, label);
+
+    if (!result.success) {
+        return sendMessage(`❌ ${result.error}`, [[{ text: '◀️ Back', callback_data: 'wallet' }]]);
+    }
+
+    const chainName = chain === 'evm' ? 'EVM' : 'Solana';
+    return sendMessage(`✅ ${chainName} wallet <b>${result.label}</b> imported:\n<code>${result.address}</code>\n\n⚠️ Delete the message with your key!`, [
+        [{ text: '💼 View Wallet', callback_data: 'wallet' }]
+    ]);
+}
+
 /**
  * Handle export private key - shows the key with spoiler
+ * @param {string} chain - 'evm' or 'solana', null with walletRef
+ * @param {string} walletRef - Wallet ID or label (default: the chain's default wallet)
  */
-export async function handleExportKey(chain) {
+export async function handleExportKey(chain, walletRef = null) {
     const telegramId = currentUserChatId?.toString();
     if (!telegramId) {
         return sendMessage('❌ User not identified. Please /start first.');
@@ -1234,17 +1691,19 @@ export async function handleExportKey(chain) {
 
     // Import the export function
     const { exportPrivateKey } = await import('../wallet/userWalletManager.js');
-    const result = await exportPrivateKey(telegramId, chain);
+    const result = await exportPrivateKey(telegramId, chain, walletRef);
 
     if (!result.success) {
         return sendMessage(`❌ ${result.error}`, [[{ text: '◀️ Back', callback_data: 'wallet' }]]);
     }
 
-    const chainName = chain === 'evm' ? 'EVM (BSC/Base/ETH)' : 'Solana';
+    const chainName = result.chain === 'evm' ? 'EVM (BSC/Base/ETH)' : 'Solana';
     const message = `
 ${BOT_NAME} <b>🔑 Export ${chainName} Private Key</b>
 ━━━━━━━━━━━━━━━━━━━━━
 
+🏷️ <b>Wallet:</b> ${result.label}
+
 📍 <b>Address:</b>
 <code>${result.address}</code>
 
@@ -1263,6 +1722,95 @@ ${BOT_NAME} <b>🔑 Export ${chainName} Private Key</b>
     return sendMessage(message, [[{ text: '◀️ Back', callback_data: 'wallet' }]]);
 }
 
+/**
+ * Handle default wallet change
+ * @param {string} chain - 'evm' or 'solana', null with a wallet ID
+ * @param {string} walletRef - Wallet ID or label
+ */
+export async function handleSetDefaultWallet(chain, walletRef) {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) {
+        return sendMessage('❌ User not identified. Please /start first.');
+    }
+
+    // A wallet ID (from the wallet buttons) carries its chain
+    const wallet = await getUserWallet(telegramId, chain, walletRef);
+    if (!wallet) {
+        return sendMessage(`❌ No wallet "${walletRef}". See /wallet for your labels.`);
+    }
+
+    const result = await setDefaultWallet(telegramId, wallet.chain, wallet.id);
+    if (!result.success) {
+        return sendMessage(`❌ ${result.error}`);
+    }
+
+    await sendMessage(`⭐ <b>${wallet.label}</b> is now your default ${wallet.chain === 'evm' ? 'EVM' : 'Solana'} wallet`);
+    return handleWallet();
+}
+
+/**
+ * Handle auto-trade wallet change
+ * @param {string} chain - 'evm' or 'solana'
+ * @param {string} walletRef - Wallet label, or 'default' to follow the default wallet
+ */
+export async function handleSetAutoTradeWallet(chain, walletRef) {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) {
+        return sendMessage('❌ User not identified. Please /start first.');
+    }
+
+    const result = await setAutoTradeWallet(telegramId, chain, walletRef === 'default' ? null : walletRef);
+    if (!result.success) {
+        return sendMessage(`❌ ${result.error}`);
+    }
+
+    const chainName = chain === 'evm' ? 'EVM' : 'Solana';
+    return sendMessage(result.wallet
+        ? `🤖 ${chainName} auto-trades now buy from <b>${result.wallet.label}</b>`
+        : `🤖 ${chainName} auto-trades now buy from your default wallet`, [
+        [{ text: '💼 View Wallet', callback_data: 'wallet' }]
+    ]);
+}
+
+/**
+ * Handle wallet rename
+ * @param {string} chain - 'evm' or 'solana'
+ * @param {string} walletRef - Current label
+ * @param {string} label - New label
+ */
+export async function handleRenameWallet(chain, walletRef, label) {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) {
+        return sendMessage('❌ User not identified. Please /start first.');
+    }
+
+    const result = await renameWallet(telegramId, chain, walletRef, label);
+    if (!result.success) {
+        return sendMessage(`❌ ${result.error}`);
+    }
+
+    await sendMessage(`✏️ Wallet renamed to <b>${result.wallet.label}</b>`);
+    return handleWallet();
+}
+
+// Usage of the wallet management commands
+const WALLET_COMMAND_USAGE = {
+    '/wallet_new': 'Usage: <code>/wallet_new evm|sol [label]</code>\nExample: <code>/wallet_new evm sniper</code>',
+    '/wallet_default': 'Usage: <code>/wallet_default evm|sol label</code>\nExample: <code>/wallet_default sol long-term</code>',
+    '/wallet_autotrade': 'Usage: <code>/wallet_autotrade evm|sol label|default</code>\nExample: <code>/wallet_autotrade evm sniper</code>',
+    '/wallet_rename': 'Usage: <code>/wallet_rename evm|sol label new_label</code>\nExample: <code>/wallet_rename evm main sniper</code>'
+};
+
+/**
+ * Show how to use a wallet management command
+ * @param {string} command - e.g. /wallet_new
+ */
+export async function handleWalletCommandUsage(command) {
+    return sendMessage(WALLET_COMMAND_USAGE[command] || '❓ Unknown wallet command. See /wallet.', [
+        [{ text: '💼 View Wallet', callback_data: 'wallet' }]
+    ]);
+}
+
 /**
  * Handle mode toggle - Per user
  */
@@ -1287,7 +1835,7 @@ Please create or import a wallet first before switching to LIVE mode.
 
 ━━━━━━━━━━━━━━━━━━━━━
         `.trim();
-        return sendMessage(message, getWalletKeyboard(false, false));
+        return sendMessage(message, getWalletKeyboard());
     }
 
     // Toggle mode
@@ -1376,26 +1924,51 @@ ${config.mode === 'LIVE' ? '🔴 This will use REAL funds!' : '📝 Paper trade
 
 /**
  * Execute confirmed buy
+ * @param {number} messageId - Confirmation message, so a double tap places one order
  */
-export async function executeConfirmedBuy(chain, amount, signalData) {
+export async function executeConfirmedBuy(chain, amount, signalData, messageId = null) {
     try {
         const signal = JSON.parse(Buffer.from(signalData, 'base64').toString());
         const nativeSymbol = chain === 'bsc' ? 'BNB' : chain === 'base' ? 'ETH' : 'SOL';
         const amountNum = parseFloat(amount);
 
+        // Enforce the user's own daily limits and exit levels
+        const user = await getUserByTelegramId(currentUserChatId);
+        const accountId = user?.id || currentUserChatId;
+        const profile = getRiskProfile(user?.settings);
+        const balance = config.mode === 'PAPER'
+            ? (user ? await getPaperBalance(user.id, chain) : getBalance(chain))
+            : await getWalletBalanceUsd(currentUserChatId, chain, await getNativePriceUsd(chain));
+        const tradingCheck = canTrade(accountId, profile, balance);
+
+        if (!tradingCheck.allowed) {
+            return sendMessage(`🛑 Trade blocked: ${tradingCheck.reason}`, [
+                [{ text: '🛡️ Risk Limits', callback_data: 'settings_risk' }],
+                [{ text: '◀️ Back', callback_data: 'menu' }]
+            ]);
+        }
+
+        const userSignal = applyRiskProfile({
+            ...signal,
+            chain,
+            entryPrice: signal.price,
+            pairAddress: signal.pair,
+            userId: user?.id
+        }, profile);
+
         // Send "processing" message
         await sendMessage(`⏳ Processing ${amountNum} ${nativeSymbol} buy for ${signal.token}...`);
 
         if (config.mode === 'PAPER') {
             // Paper trade
             const { executePaperBuy } = await import('../execution/paperTrader.js');
-            const result = await executePaperBuy({
-                ...signal,
-                chain,
-                entryPrice: signal.price
-            }, amountNum * (chain === 'bsc' ? 300 : chain === 'base' ? 2400 : 100)); // Convert to USD
+            const result = await executePaperBuy(userSignal, {
+                positionSizeUsd: amountNum * (chain === 'bsc' ? 300 : chain === 'base' ? 2400 : 100) // Convert to USD
+            });
 
             if (result.success) {
+                recordEntry(accountId);
+
                 const successMsg = `
 ${BOT_NAME} <b>Paper Trade Executed!</b>
 ━━━━━━━━━━━━━━━━━━━━━
@@ -1404,8 +1977,8 @@ ${BOT_NAME} <b>Paper Trade Executed!</b>
 
 💰 Amount: ${amountNum} ${nativeSymbol} (~$${result.result?.amount?.toFixed(2) || (amountNum * 300).toFixed(2)})
 📈 Entry: $${signal.price?.toFixed(8) || 'Market'}
-🎯 Take Profit: Set
-🛑 Stop Loss: Set
+🎯 Take Profit: ${profile.takeProfitMultiplier}x
+🛑 Stop Loss: ${profile.stopLossPercent}%
 
 <i>Position is being monitored...</i>
 
@@ -1427,14 +2000,27 @@ ${BOT_NAME} <b>Paper Trade Executed!</b>
                 return sendMessage('❌ Solana live trading not yet implemented. Use BSC or Base.');
             }
 
-            const result = await executeLiveBuy({
-                ...signal,
-                chain,
-                entryPrice: signal.price,
-                pairAddress: signal.pair
-            }, amountNum);
+            // Buy from the user's own wallet so the position can be exited from it
+            const userWallet = await getWalletForTrading(currentUserChatId, chain);
+            if (!userWallet) {
+                return sendMessage('❌ No wallet found for this chain. Create or import one first.');
+            }
+
+            const { runOrder, buyOrderSpec } = await import('../execution/orderStore.js');
+            const orderKey = `manual:${currentUserChatId}:${messageId || Date.now()}`;
+            const spec = buyOrderSpec('manual', orderKey, userSignal, { telegramId: currentUserChatId, amountNative: amountNum });
+            const result = await runOrder(spec, order => executeLiveBuy(userSignal, { nativeAmount: amountNum }, userWallet, order));
+
+            if (result.duplicate) {
+                return sendMessage(`⏳ This buy was already placed (${result.order.status}). See /orders.`);
+            }
 
             if (result.success) {
+                recordEntry(accountId);
+
+                const { openLivePosition } = await import('../execution/livePositions.js');
+                await openLivePosition(userSignal, result.result, currentUserChatId);
+
                 const successMsg = `
 ${BOT_NAME} <b>🔴 LIVE Trade Executed!</b>
 ━━━━━━━━━━━━━━━━━━━━━
@@ -1443,7 +2029,7 @@ ${BOT_NAME} <b>🔴 LIVE Trade Executed!</b>
 
 💰 Amount: ${amountNum} ${nativeSymbol}
 📈 Entry: $${signal.price?.toFixed(8) || 'Market'}
-🔗 TX: <code>${result.txHash?.slice(0, 20)}...</code>
+🔗 TX: <code>${result.result?.txHash?.slice(0, 20)}...</code>
 
 <i>Position is being monitored...</i>
 
@@ -1460,6 +2046,23 @@ ${BOT_NAME} <b>🔴 LIVE Trade Executed!</b>
     }
 }
 
+/**
+ * Format on-chain contract scan findings for the token scanner
+ */
+function formatContractScan(scan) {
+    if (!scan) return '';
+
+    const failed = scan.checks.filter(c => !c.passed);
+    const lines = failed.length > 0
+        ? failed.map(c => `${c.severity === 'critical' ? '🚨' : '⚠️'} ${c.reason}`)
+        : ['✅ No owner privileges, proxy or LP risks found'];
+
+    return `
+🔐 <b>Contract Scan</b>
+${lines.join('\n')}
+`;
+}
+
 /**
  * Handle /token command - Get token info and safety check with DANGER warnings
  */
@@ -1563,9 +2166,10 @@ ${safetyEmoji} <b>Safety: ${s.riskLevel || 'UNKNOWN'}</b>
 ┌ Honeypot: <code>${s.isHoneypot === null ? '❓ Unknown' : s.isHoneypot ? '🚨 YES!' : '✅ No'}</code>
 ├ Buy Tax: <code>${s.buyTax || 0}%</code>
 ├ Sell Tax: <code>${s.sellTax || 0}%</code>
-├ Open Source: <code>${s.isOpenSource ? '✅' : '❌'}</code>
+├ Transfer Tax: <code>${s.transferTax || 0}%</code>
+├ Open Source: <code>${s.isOpenSource === undefined ? '❓' : s.isOpenSource ? '✅' : '❌'}</code>
 └ Holders: <code>${s.holderCount || 'N/A'}</code>
-
+${formatContractScan(analysis.contract)}
 ━━━━━━━━━━━━━━━━━━━━━
         `.trim();
 
@@ -1653,20 +2257,99 @@ ${BOT_NAME} <b>Paper Sell Executed</b>
     }
 }
 
+/**
+ * Handle /paper_reset - ask before wiping the user's paper account
+ */
+export async function handlePaperReset() {
+    const user = await getUserByTelegramId(currentUserChatId);
+    if (!user) {
+        return sendMessage('❌ Please /start the bot first.');
+    }
+
+    const account = await getPaperAccountSummary(user.id);
+
+    const message = `
+${BOT_NAME} <b>Reset Paper Account</b>
+━━━━━━━━━━━━━━━━━━━━━
+
+⚠️ This will:
+┌ Drop <b>${account.openPositions}</b> open paper position(s)
+├ Reset each chain to <code>$${config.paper.startingBalance.toFixed(2)}</code>
+└ Zero your realized PnL (<code>${account.realizedPnL >= 0 ? '+' : ''}$${account.realizedPnL.toFixed(2)}</code>)
+
+<i>Live wallets and trades are not affected.</i>
+
+━━━━━━━━━━━━━━━━━━━━━
+    `.trim();
+
+    return sendMessage(message, [
+        [{ text: '✅ Yes, Reset', callback_data: 'paper_reset_confirm' }],
+        [{ text: '◀️ Cancel', callback_data: 'menu' }]
+    ]);
+}
+
+/**
+ * Reset the user's paper account after confirmation
+ */
+export async function executePaperReset() {
+    try {
+        const user = await getUserByTelegramId(currentUserChatId);
+        if (!user) {
+            return sendMessage('❌ Please /start the bot first.');
+        }
+
+        const result = await resetPaperAccount(user.id);
+
+        const message = `
+${BOT_NAME} <b>Paper Account Reset</b>
+━━━━━━━━━━━━━━━━━━━━━
+
+✅ Balance: <code>$${result.startingBalance.toFixed(2)}</code> per chain
+🗑️ Positions dropped: <code>${result.positionsClosed}</code>
+
+━━━━━━━━━━━━━━━━━━━━━
+        `.trim();
+
+        return sendMessage(message, getMainMenuKeyboard());
+    } catch (err) {
+        logError('Paper reset error', err);
+        return sendMessage('❌ Paper reset failed');
+    }
+}
+
+// Risk limit presets: callback key -> profile field and choices
+const RISK_LIMIT_OPTIONS = {
+    trades: { field: 'maxTradesPerDay', label: 'Max Trades/Day', icon: '📊', unit: '', values: [5, 10, 15, 25] },
+    risk: { field: 'riskPerTrade', label: 'Risk/Trade', icon: '🎲', unit: '%', values: [1, 2, 5, 10] },
+    drawdown: { field: 'maxDailyDrawdown', label: 'Daily Drawdown', icon: '📉', unit: '%', values: [5, 10, 15, 25] },
+    hold: { field: 'maxHoldMinutes', label: 'Max Hold', icon: '⏱️', unit: 'm', values: [15, 30, 60, 240] },
+    slippage: { field: 'maxSlippage', label: 'Max Slippage', icon: '💧', unit: '%', values: [2, 3, 5, 10] }
+};
+
+/**
+ * Get the current user and their risk profile
+ */
+async function getCurrentRiskProfile() {
+    const user = await getUserByTelegramId(currentUserChatId);
+    return { user, profile: getRiskProfile(user?.settings) };
+}
+
 /**
  * Handle settings menu
  */
 export async function handleSettings() {
+    const { profile } = await getCurrentRiskProfile();
+
     const message = `
 ${BOT_NAME} <b>Settings</b>
 ━━━━━━━━━━━━━━━━━━━━━
 
 ⚙️ <b>Trading Settings</b>
 ┌ Mode: <code>${config.mode}</code>
-├ Take Profit: <code>${config.takeProfit?.multiplier || 5}x</code>
-├ Stop Loss: <code>${config.risk?.stopLossPercent || 5}%</code>
-├ Max Trades/Day: <code>${config.risk?.maxTradesPerDay || 15}</code>
-└ Slippage: <code>Auto</code>
+├ Take Profit: <code>${profile.takeProfitMultiplier}x</code>
+├ Stop Loss: <code>${profile.stopLossPercent}%</code>
+├ Max Trades/Day: <code>${profile.maxTradesPerDay}</code>
+└ Slippage: <code>Auto (max ${profile.maxSlippage}%)</code>
 
 📢 <b>Notifications</b>
 ┌ Signals: <code>ON</code>
@@ -1684,8 +2367,11 @@ ${BOT_NAME} <b>Settings</b>
             { text: '🤖 Auto-Trade Settings', callback_data: 'autotrade' }
         ],
         [
-            { text: '🎯 TP: ' + (config.takeProfit?.multiplier || 5) + 'x', callback_data: 'settings_tp' },
-            { text: '🛑 SL: ' + (config.risk?.stopLossPercent || 5) + '%', callback_data: 'settings_sl' }
+            { text: '🎯 TP: ' + profile.takeProfitMultiplier + 'x', callback_data: 'settings_tp' },
+            { text: '🛑 SL: ' + profile.stopLossPercent + '%', callback_data: 'settings_sl' }
+        ],
+        [
+            { text: '🛡️ Risk Limits', callback_data: 'settings_risk' }
         ],
         [
             { text: '◀️ Back', callback_data: 'menu' }
@@ -1699,7 +2385,8 @@ ${BOT_NAME} <b>Settings</b>
  * Handle Take Profit settings
  */
 export async function handleTPSettings() {
-    const currentTP = config.takeProfit?.multiplier || 5;
+    const { profile } = await getCurrentRiskProfile();
+    const currentTP = profile.takeProfitMultiplier;
     const message = `
 ${BOT_NAME} <b>🎯 Take Profit Settings</b>
 ━━━━━━━━━━━━━━━━━━━━━
@@ -1730,7 +2417,8 @@ Select your take profit multiplier:
  * Handle Stop Loss settings
  */
 export async function handleSLSettings() {
-    const currentSL = config.risk?.stopLossPercent || 5;
+    const { profile } = await getCurrentRiskProfile();
+    const currentSL = profile.stopLossPercent;
     const message = `
 ${BOT_NAME} <b>🛑 Stop Loss Settings</b>
 ━━━━━━━━━━━━━━━━━━━━━
@@ -1758,18 +2446,79 @@ Select your stop loss percentage:
 }
 
 /**
- * Apply TP/SL setting change
+ * Apply TP/SL setting change (saved to the user's own settings)
  */
 export async function applyTPSetting(value) {
-    config.takeProfit.multiplier = value;
+    const updated = await updateUserSettings(currentUserChatId, { [RISK_SETTING_KEYS.takeProfitMultiplier]: value });
+    if (!updated) {
+        return sendMessage('❌ Could not save setting. Please try again.', [[{ text: '◀️ Back', callback_data: 'settings' }]]);
+    }
     return sendMessage(`✅ Take Profit set to <b>${value}x</b>`, [[{ text: '◀️ Back', callback_data: 'settings' }]]);
 }
 
 export async function applySLSetting(value) {
-    config.risk.stopLossPercent = value;
+    const updated = await updateUserSettings(currentUserChatId, { [RISK_SETTING_KEYS.stopLossPercent]: value });
+    if (!updated) {
+        return sendMessage('❌ Could not save setting. Please try again.', [[{ text: '◀️ Back', callback_data: 'settings' }]]);
+    }
     return sendMessage(`✅ Stop Loss set to <b>${value}%</b>`, [[{ text: '◀️ Back', callback_data: 'settings' }]]);
 }
 
+/**
+ * Handle risk limit settings (per-user daily limits)
+ */
+export async function handleRiskSettings() {
+    const { user, profile } = await getCurrentRiskProfile();
+    const stats = getDailyStats(user?.id || currentUserChatId, profile);
+
+    const message = `
+${BOT_NAME} <b>🛡️ Risk Limits</b>
+━━━━━━━━━━━━━━━━━━━━━
+
+⚙️ <b>Your Limits</b>
+┌ 📊 Max Trades/Day: <code>${profile.maxTradesPerDay}</code>
+├ 🎲 Risk/Trade: <code>${profile.riskPerTrade}%</code>
+├ 📉 Daily Drawdown: <code>${profile.maxDailyDrawdown}%</code>
+├ ⏱️ Max Hold: <code>${profile.maxHoldMinutes}m</code>
+└ 💧 Max Slippage: <code>${profile.maxSlippage}%</code>
+
+📊 <b>Today</b>
+┌ Trades: <code>${stats.tradesExecuted}</code> (${stats.tradesRemaining} left)
+└ PnL: <code>${stats.totalPnL >= 0 ? '+' : ''}$${stats.totalPnL.toFixed(2)}</code> (${stats.drawdownPercent}%)
+
+━━━━━━━━━━━━━━━━━━━━━
+    `.trim();
+
+    const keyboard = Object.entries(RISK_LIMIT_OPTIONS).map(([key, option]) =>
+        option.values.map(value => ({
+            text: `${profile[option.field] === value ? '✅' : option.icon} ${value}${option.unit}`,
+            callback_data: `set_risk_${key}_${value}`
+        }))
+    );
+    keyboard.push([{ text: '◀️ Back', callback_data: 'settings' }]);
+
+    return sendMessage(message, keyboard);
+}
+
+/**
+ * Apply a risk limit change
+ * @param {string} key - Option key (trades, risk, drawdown, hold)
+ * @param {number} value - New value
+ */
+export async function applyRiskSetting(key, value) {
+    const option = RISK_LIMIT_OPTIONS[key];
+    if (!option || !option.values.includes(value)) {
+        return handleRiskSettings();
+    }
+
+    const updated = await updateUserSettings(currentUserChatId, { [RISK_SETTING_KEYS[option.field]]: value });
+    if (!updated) {
+        return sendMessage('❌ Could not save setting. Please try again.', [[{ text: '◀️ Back', callback_data: 'settings_risk' }]]);
+    }
+
+    return sendMessage(`✅ ${option.label} set to <b>${value}${option.unit}</b>`, [[{ text: '◀️ Back', callback_data: 'settings_risk' }]]);
+}
+
 /**
  * Handle referral info with REAL stats
  */
@@ -2045,7 +2794,53 @@ ${tradesDisplay}
     `.trim();
 
     const keyboard = [
-        [{ text: '📊 PnL Summary', callback_data: 'pnl' }],
+        [
+            { text: '📊 PnL Summary', callback_data: 'pnl' },
+            { text: '📋 Orders', callback_data: 'orders' }
+        ],
+        [{ text: '◀️ Back', callback_data: 'menu' }]
+    ];
+
+    return sendMessage(message, keyboard);
+}
+
+/**
+ * Handle /orders - recent live orders and where each one stands
+ */
+export async function handleOrders(userId) {
+    const user = await getUserByTelegramId(userId);
+    let orders = [];
+
+    if (user) {
+        const { getUserOrders } = await import('../execution/orderStore.js');
+        orders = await getUserOrders(user.id, 10);
+    }
+
+    const ordersDisplay = orders.length === 0
+        ? '<i>No live orders yet</i>'
+        : orders.map((o, i) => {
+            const date = new Date(o.createdAt).toLocaleString();
+            const tx = o.txHash ? `\n   🔗 <code>${o.txHash.slice(0, 18)}...</code>` : '';
+            return `${i + 1}. ${ORDER_STATUS_ICONS[o.status] || '•'} <b>${o.side} ${o.token}</b> ${o.chain.toUpperCase()} · ${o.status} (${o.source}, ${date})${tx}`;
+        }).join('\n');
+
+    const message = `
+${BOT_NAME} <b>📋 Orders</b>
+━━━━━━━━━━━━━━━━━━━━━
+
+<b>Last 10 Live Orders:</b>
+${ordersDisplay}
+
+<i>⏳ submitted orders are followed on chain until they land or fail</i>
+
+━━━━━━━━━━━━━━━━━━━━━
+    `.trim();
+
+    const keyboard = [
+        [
+            { text: '🔄 Refresh', callback_data: 'orders' },
+            { text: '📜 History', callback_data: 'history' }
+        ],
         [{ text: '◀️ Back', callback_data: 'menu' }]
     ];
 
@@ -2226,6 +3021,8 @@ ${BOT_NAME} <b>You're All Set! 🎉</b>
 /start - Main menu & status
 /wallet - Manage wallets
 /positions - View open trades
+/orders - Live order status
+/portfolio - Wallet holdings and PnL
 /pnl - Performance report
 /settings - Bot settings
 /token &lt;address&gt; - Analyze any token
@@ -2271,7 +3068,7 @@ export async function skipOnboarding() {
         ...status,
         isRunning: true,
         mode: config.mode,
-        balance: getBalance('bsc') + getBalance('base') + getBalance('solana'),
+        balance: await getDisplayBalance(),
         dailyPnl: pnl.todayPnl || 0,
         dailyTrades: pnl.todayTrades || 0,
         winRate: pnl.winRate || 0,
@@ -2591,6 +3388,14 @@ ${messageText}
 
 // ==================== AUTO-TRADE SYSTEM ====================
 
+// Auto-trade sizing modes: label, amount format and preset amounts
+const AUTO_TRADE_SIZING_OPTIONS = {
+    fixed_native: { label: 'Fixed Native', format: (a) => `${a} native`, presets: [0.05, 0.1, 0.25, 0.5] },
+    fixed_usd: { label: 'Fixed USD', format: (a) => `$${a}`, presets: [10, 25, 50, 100] },
+    percent: { label: '% of Balance', format: (a) => `${a}% of balance`, presets: [1, 2, 5, 10] },
+    risk: { label: 'Risk-Based', format: () => 'risk-per-trade over stop distance', presets: [] }
+};
+
 /**
  * Handle auto-trade settings menu
  */
@@ -2603,6 +3408,13 @@ export async function handleAutoTradeSettings() {
     const settings = await getAutoTradeSettings(telegramId);
     const statusEmoji = settings.enabled ? '🟢' : '🔴';
     const statusText = settings.enabled ? 'ENABLED' : 'DISABLED';
+    const sizing = AUTO_TRADE_SIZING_OPTIONS[settings.sizing] || AUTO_TRADE_SIZING_OPTIONS.fixed_native;
+
+    // Assigned wallets by label, unassigned chains buy from the default wallet
+    const wallets = await getUserWallets(telegramId);
+    const walletLabel = type => settings.wallets[type]
+        ? wallets.find(w => w.id === settings.wallets[type])?.label || 'missing'
+        : 'default';
 
     const message = `
 ${BOT_NAME} <b>🤖 Auto-Trade Settings</b>
@@ -2613,29 +3425,39 @@ ${statusEmoji} <b>Auto-Trade:</b> ${statusText}
 When enabled, the bot will automatically execute trades when signals are detected.
 
 <b>Current Settings:</b>
-┌ Trade Amount: <code>${settings.amount}</code> (per trade)
+┌ Sizing: <code>${sizing.label}</code>
+├ Trade Amount: <code>${sizing.format(settings.amount)}</code> (per trade)
 ├ Mode: <code>${settings.mode}</code>
+├ Wallets: EVM <code>${walletLabel('evm')}</code> · SOL <code>${walletLabel('solana')}</code>
 └ Profit Alerts: <code>${settings.thresholds.join('%, ')}%</code>
 
+Change wallets with <code>/wallet_autotrade evm|sol label|default</code>
+
 ⚠️ <b>WARNING:</b>
 Auto-trading uses REAL funds in LIVE mode!
 Start with small amounts to test.
+Sizes are capped by your balance and 5% of pool liquidity.
 
 ━━━━━━━━━━━━━━━━━━━━━
     `.trim();
 
     const toggleText = settings.enabled ? '🔴 Disable Auto-Trade' : '🟢 Enable Auto-Trade';
 
+    const modeButtons = Object.entries(AUTO_TRADE_SIZING_OPTIONS).map(([mode, option]) => ({
+        text: `${settings.sizing === mode ? '✅ ' : ''}${option.label}`,
+        callback_data: `autotrade_sizing_${mode}`
+    }));
+
+    const amountButtons = sizing.presets.map(amount => ({
+        text: `💰 ${sizing.format(amount)}`,
+        callback_data: `autotrade_amount_${amount}`
+    }));
+
     const keyboard = [
         [{ text: toggleText, callback_data: 'autotrade_toggle' }],
-        [
-            { text: '💰 Set Amount: 0.05', callback_data: 'autotrade_amount_0.05' },
-            { text: '💰 Set Amount: 0.1', callback_data: 'autotrade_amount_0.1' }
-        ],
-        [
-            { text: '💰 Set Amount: 0.25', callback_data: 'autotrade_amount_0.25' },
-            { text: '💰 Set Amount: 0.5', callback_data: 'autotrade_amount_0.5' }
-        ],
+        modeButtons.slice(0, 2),
+        modeButtons.slice(2),
+        ...(amountButtons.length > 0 ? [amountButtons.slice(0, 2), amountButtons.slice(2)] : []),
         [{ text: '◀️ Back', callback_data: 'settings' }]
     ];
 
@@ -2671,6 +3493,27 @@ export async function handleSetAutoTradeAmount(amount) {
     return handleAutoTradeSettings();
 }
 
+/**
+ * Set auto-trade sizing mode (amount resets to the mode's first preset)
+ */
+export async function handleSetAutoTradeSizing(mode) {
+    const telegramId = currentUserChatId?.toString();
+    if (!telegramId) return;
+
+    const option = AUTO_TRADE_SIZING_OPTIONS[mode];
+    if (!option) return handleAutoTradeSettings();
+
+    const updates = { sizing: mode };
+    if (option.presets.length > 0) {
+        updates.amount = option.presets[1] ?? option.presets[0];
+    }
+
+    await updateAutoTradeSettings(telegramId, updates);
+    await sendMessage(`✅ Auto-trade sizing set to <code>${option.label}</code>`);
+
+    return handleAutoTradeSettings();
+}
+
 /**
  * Notify user of a detected signal with Trade/Skip buttons
  */
@@ -2691,6 +3534,7 @@ ${BOT_NAME} <b>🚨 New Signal!</b>
 ━━━━━━━━━━━━━━━━━━━━━
 
 🪙 <b>${signal.token}</b> on ${signal.chain.toUpperCase()}
+🧠 Strategy: <code>${signal.strategy || 'VOLUME_SPIKE'}</code>
 
 💰 Entry: <code>$${signal.entryPrice.toFixed(8)}</code>
 📊 Volume: <code>${signal.volumeRatio}x spike</code>
@@ -2708,9 +3552,10 @@ ${settings.enabled ? '🤖 <b>Auto-Trade:</b> Will execute automatically!' : '
     const keyboard = [];
 
     if (!settings.enabled) {
-        // Manual mode - show trade buttons
+        // Manual mode - show trade buttons (amount is only native in fixed-native sizing)
+        const manualAmount = settings.sizing === 'fixed_native' ? settings.amount : 0.1;
         keyboard.push([
-            { text: `🟢 Trade ${settings.amount} ${nativeSymbol}`, callback_data: `signal_trade_${signalId}` },
+            { text: `🟢 Trade ${manualAmount} ${nativeSymbol}`, callback_data: `signal_trade_${signalId}` },
             { text: '⏭️ Skip', callback_data: 'signal_skip' }
         ]);
         keyboard.push([
@@ -2783,17 +3628,26 @@ export default {
     handleDeposit,
     handleCreateEvmWallet,
     handleImportPrompt,
+    handleImportWallet,
     handleExportKey,
+    handleSetDefaultWallet,
+    handleSetAutoTradeWallet,
+    handleRenameWallet,
+    handleWalletCommandUsage,
     handleToggleMode,
     handleBuy,
     executeConfirmedBuy,
     handleToken,
     handleSell,
+    handlePaperReset,
+    executePaperReset,
     handleSettings,
     handleTPSettings,
     handleSLSettings,
     applyTPSetting,
     applySLSetting,
+    handleRiskSettings,
+    applyRiskSetting,
     handleReferral,
     handleLeaderboard,
     handleCopyTrading,
@@ -2822,13 +3676,27 @@ export default {
     handleAutoTradeSettings,
     handleAutoTradeToggle,
     handleSetAutoTradeAmount,
+    handleSetAutoTradeSizing,
     notifySignalToUser,
     notifyProfitAlert,
     // Withdraw functions
     handleWithdraw,
     handleWithdrawPrompt,
+    handleSendRequest,
+    handleTokenSendRequest,
+    handleSendCommandUsage,
+    handleWithdrawalConfirm,
+    handleWithdrawalCancel,
+    handleAllowlist,
+    handleAllowlistAdd,
+    handleAllowlistRemove,
+    handleAllowlistToggle,
+    handleAllowlistCommandUsage,
     // Trade history
-    handleTradeHistory
+    handleTradeHistory,
+    // Orders
+    handleOrders,
+    notifyOrderResolved
 };
 
 /**
@@ -2908,34 +3776,79 @@ ${tokensList}
     return sendMessage(message, keyboard);
 }
 
+// Most holdings listed in /portfolio (Telegram messages are capped at 4096 characters)
+const PORTFOLIO_MAX_LISTED = 15;
+
 /**
- * Handle portfolio view
+ * Handle portfolio view - every token in the user's wallets, valued, with PnL
+ * against the cost of the bot's buys
+ * @param {string} userId - Telegram ID
+ * @param {boolean} refresh - Scan the wallets again
  */
-export async function handlePortfolio(userId) {
-    const { getPortfolio } = await import('../services/userTools.js');
-    const portfolio = getPortfolio(userId);
+export async function handlePortfolio(userId, refresh = false) {
+    await sendMessage('🔍 Scanning your wallets...');
 
-    let totalValue = 0;
-    let holdingsList = '';
+    let portfolio;
+    try {
+        portfolio = await getPortfolio(userId, { refresh });
+    } catch (err) {
+        logError(`Portfolio failed for ${userId}`, err);
+        return sendMessage('❌ Could not load your portfolio. Try again shortly.', [
+            [{ text: '◀️ Back', callback_data: 'tools' }]
+        ]);
+    }
+
+    const usd = value => `$${value.toFixed(2)}`;
+    const signed = value => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
 
-    if (portfolio.length === 0) {
-        holdingsList = '<i>No holdings tracked</i>';
+    let holdingsList = '';
+    if (portfolio.holdings.length === 0) {
+        holdingsList = '<i>No holdings found</i>';
     } else {
-        holdingsList = portfolio.map((h, i) => {
-            const value = h.amount * h.avgPrice;
-            totalValue += value;
-            return `${i + 1}. <b>${h.symbol}</b>: ${h.amount.toFixed(4)} (~$${value.toFixed(2)})`;
+        holdingsList = portfolio.holdings.slice(0, PORTFOLIO_MAX_LISTED).map((h, i) => {
+            const value = h.valueUsd !== null ? `~${usd(h.valueUsd)}` : 'no price';
+            let line = `${i + 1}. <b>${h.symbol}</b> (${h.chain.toUpperCase()}): ${h.amount.toFixed(4)} (${value})`;
+
+            if (h.costBasisUsd !== null) {
+                line += `\n   Cost ${usd(h.costBasisUsd)}`;
+                if (h.unrealizedPnlPercent !== null) {
+                    const emoji = h.unrealizedPnlUsd >= 0 ? '🟢' : '🔴';
+                    line += ` · ${emoji} <code>${signed(h.unrealizedPnlUsd)}</code> (${h.unrealizedPnlPercent >= 0 ? '+' : ''}${h.unrealizedPnlPercent.toFixed(1)}%)`;
+                }
+                if (h.untrackedAmount > 0) {
+                    line += `\n   <i>${h.untrackedAmount.toFixed(4)} not bought by the bot, no cost basis</i>`;
+                }
+            }
+
+            return line;
         }).join('\n');
     }
 
+    const notes = [];
+    if (portfolio.holdings.length > PORTFOLIO_MAX_LISTED) {
+        notes.push(`${portfolio.holdings.length - PORTFOLIO_MAX_LISTED} smaller holdings not listed`);
+    }
+    if (portfolio.hidden > 0) {
+        notes.push(`${portfolio.hidden} unpriced or under $${config.portfolio.minValueUsd} hidden`);
+    }
+    if (portfolio.failed.length > 0) {
+        notes.push(`⚠️ Could not read: ${portfolio.failed.join(', ')}`);
+    }
+
+    const pnlLine = portfolio.unrealizedPnlPercent !== null
+        ? `${portfolio.unrealizedPnlUsd >= 0 ? '🟢' : '🔴'} <b>Unrealized PnL:</b> <code>${signed(portfolio.unrealizedPnlUsd)}</code> (${portfolio.unrealizedPnlPercent >= 0 ? '+' : ''}${portfolio.unrealizedPnlPercent.toFixed(1)}%)\n`
+        : '';
+
     const message = `
 ${BOT_NAME} <b>📊 Portfolio</b>
 ━━━━━━━━━━━━━━━━━━━━━
 
-💰 <b>Total Value:</b> <code>$${totalValue.toFixed(2)}</code>
-
+💰 <b>Total Value:</b> <code>${usd(portfolio.totalValueUsd)}</code>
+${pnlLine}
 📋 <b>Holdings</b>
 ${holdingsList}
+${notes.length > 0 ? `\n<i>${notes.join('\n')}</i>\n` : ''}
+🕐 Updated ${new Date(portfolio.updatedAt).toUTCString()}
 
 ━━━━━━━━━━━━━━━━━━━━━
     `.trim();
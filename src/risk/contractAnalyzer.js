@@ -7,13 +7,19 @@
  *   - Owner/mint functions
  *   - Tax rates
  *   - Holder distribution
+ *   - On-chain contract scan: privileges, proxy, ownership, LP lock, holders (see contractScanner)
+ *   - Solana mint scan: authorities, Token-2022 extensions, LP burn, holders (see solanaScanner)
+ *   - Simulated buy/sell taxes and honeypots (see swapSimulator)
  */
 
 import { logInfo, logWarn, logError } from '../logging/logger.js';
-import { getChainConfig } from '../config/index.js';
+import config, { getChainConfig } from '../config/index.js';
+import { scanContract } from './contractScanner.js';
+import { scanSolanaToken } from './solanaScanner.js';
+import { simulateSwap } from './swapSimulator.js';
 
 // Minimum requirements for safe trading
-const SAFETY_THRESHOLDS = {
+export const SAFETY_THRESHOLDS = {
     minLiquidityUsd: 5000,         // Minimum $5k liquidity
     minLiquidityRatio: 0.05,       // Min 5% of market cap in liquidity
     maxBuyTax: 10,                 // Max 10% buy tax
@@ -83,6 +89,35 @@ export async function analyzeTokenSafety(pairData) {
         analysis.score -= 10;
     }
 
+    // 6. On-chain contract scan (EVM and Solana), reused from the snapshot when attached
+    const scan = pairData.contractScan !== undefined ? pairData.contractScan : await scanTokenContract(pairData);
+    if (scan) {
+        for (const check of scan.checks) {
+            analysis.checks.push(check);
+            if (check.passed) continue;
+
+            if (check.severity === 'critical') {
+                analysis.isSafe = false;
+                analysis.errors.push(check.reason);
+            } else {
+                analysis.warnings.push(check.reason);
+            }
+            analysis.score -= check.penalty;
+        }
+    }
+
+    // 7. Simulated taxes (EVM), reused from the snapshot when attached
+    const simulation = pairData.swapSimulation !== undefined ? pairData.swapSimulation : await simulateTokenSwap(pairData);
+    if (simulation && !simulation.buyReverted) {
+        const taxCheck = checkSimulatedTaxes(simulation);
+        analysis.checks.push(taxCheck);
+        if (!taxCheck.passed) {
+            analysis.isSafe = false;
+            analysis.errors.push(taxCheck.reason);
+            analysis.score -= simulation.isHoneypot ? 100 : 30;
+        }
+    }
+
     // Normalize score
     analysis.score = Math.max(0, Math.min(100, analysis.score));
 
@@ -96,6 +131,52 @@ export async function analyzeTokenSafety(pairData) {
     return analysis;
 }
 
+/**
+ * Scan a pair's token contract (EVM) or mint (Solana) on-chain (cached by the scanner)
+ * @param {Object} pairData - Pair data from DexScreener
+ * @returns {Promise<Object|null>} Scan with checks, or null if disabled or not scannable
+ */
+export async function scanTokenContract(pairData) {
+    if (!config.scanner.enabled || !pairData?.baseToken?.address) return null;
+
+    if (pairData.chain === 'solana') {
+        return scanSolanaToken(pairData.baseToken.address, pairData.pairAddress, SAFETY_THRESHOLDS);
+    }
+
+    return scanContract(pairData.chain, pairData.baseToken.address, pairData.pairAddress, SAFETY_THRESHOLDS);
+}
+
+/**
+ * Simulate buying and selling a pair's token (cached by the simulator)
+ * @param {Object} pairData - Pair data from DexScreener
+ * @returns {Promise<Object|null>} Simulated taxes, or null if disabled or not simulable
+ */
+export async function simulateTokenSwap(pairData) {
+    if (!config.scanner.simulateSwaps || !pairData?.baseToken?.address) return null;
+
+    return simulateSwap(pairData.chain, pairData.baseToken.address, pairData.quoteToken?.address);
+}
+
+/**
+ * Check simulated taxes against the thresholds
+ */
+function checkSimulatedTaxes(simulation) {
+    const { buyTax, sellTax, isHoneypot } = simulation;
+    const passed = !isHoneypot &&
+        buyTax <= SAFETY_THRESHOLDS.maxBuyTax &&
+        sellTax <= SAFETY_THRESHOLDS.maxSellTax;
+
+    return {
+        name: 'Tax Simulation',
+        passed,
+        value: isHoneypot && sellTax === null ? 'Sell reverts' : `${buyTax}% buy / ${sellTax}% sell`,
+        threshold: `${SAFETY_THRESHOLDS.maxBuyTax}% / ${SAFETY_THRESHOLDS.maxSellTax}%`,
+        reason: isHoneypot
+            ? `HONEYPOT: ${simulation.reason}`
+            : passed ? 'Taxes within limits' : `High tax: ${buyTax}% buy / ${sellTax}% sell`
+    };
+}
+
 /**
  * Check liquidity requirements
  */
@@ -229,6 +310,9 @@ export function isTokenSafe(pairData) {
     if (liquidity < SAFETY_THRESHOLDS.minLiquidityUsd) return false;
     if (buys > 10 && sells === 0) return false; // Potential honeypot
 
+    // Critical on-chain findings (mint/freeze authority, LP in wallets, whale holder)
+    if (pairData.contractScan && !pairData.contractScan.isSafe) return false;
+
     return true;
 }
 
@@ -299,6 +383,8 @@ export function displaySafetyAnalysis(analysis) {
 
 export default {
     analyzeTokenSafety,
+    scanTokenContract,
+    simulateTokenSwap,
     isTokenSafe,
     analyzeLiquidityForTrade,
     displaySafetyAnalysis,
@@ -0,0 +1,475 @@
+/**
+ * DEX Trading Bot - Contract Scanner
+ *
+ * Reads EVM token contracts through the configured RPCs (no external API):
+ *   - Owner privileges: mint, pause, blacklist, fee and trading controls
+ *     found as function selectors in the bytecode (implementation included)
+ *   - Proxy upgradeability (EIP-1967, beacon, minimal proxies)
+ *   - Ownership renounced
+ *   - LP tokens burned, locked in a known locker, or held by wallets
+ *   - Top-holder concentration (recipients of recent transfers)
+ *
+ * Findings come back as checks in the contractAnalyzer shape, with a
+ * severity and score penalty; scans are cached per token.
+ */
+
+import { ethers } from 'ethers';
+import { logDebug, logWarn } from '../logging/logger.js';
+import config, { getChainConfig } from '../config/index.js';
+import { getProvider } from '../services/rpcManager.js';
+
+// Rescan a token after 10 minutes (holders and LP move, bytecode does not)
+const SCAN_TTL = 10 * 60 * 1000;
+
+// Blocks per eth_getLogs request (public RPCs cap the range)
+const LOG_CHUNK_BLOCKS = 1000;
+
+// Most holders checked with balanceOf per token
+const MAX_HOLDER_CANDIDATES = 60;
+
+// Share of LP that may sit in wallets before it counts as a rug risk
+const MAX_WALLET_LP_PERCENT = 50;
+
+const BURN_ADDRESSES = [
+    ethers.ZeroAddress,
+    '0x000000000000000000000000000000000000dEaD'
+];
+
+// EIP-1967 storage slots
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+const BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+
+// EIP-1167 minimal proxy: 363d3d373d3d3d363d73<implementation>5af43d82803e903d91602b57fd5bf3
+const MINIMAL_PROXY_PREFIX = '363d3d373d3d3d363d73';
+
+// Privileged functions by category, matched on their selectors
+const PRIVILEGED_FUNCTIONS = {
+    MINT: ['mint(address,uint256)', 'mint(uint256)', 'mintTo(address,uint256)', 'issue(uint256)'],
+    PAUSE: ['pause()', 'setPaused(bool)', 'setPause(bool)'],
+    BLACKLIST: [
+        'blacklist(address)', 'addToBlacklist(address)', 'setBlacklist(address,bool)',
+        'blacklistAddress(address,bool)', 'setIsBlacklisted(address,bool)', 'addBots(address[])',
+        'setBots(address[])', 'setBot(address,bool)', 'blockBots(address[])'
+    ],
+    FEE: [
+        'setFee(uint256)', 'setFees(uint256,uint256)', 'setTaxFee(uint256)', 'setTaxFeePercent(uint256)',
+        'setBuyFee(uint256)', 'setSellFee(uint256)', 'setBuyTax(uint256)', 'setSellTax(uint256)',
+        'updateFees(uint256,uint256)', 'setTaxes(uint256,uint256)'
+    ],
+    TRADING: [
+        'enableTrading()', 'setTradingEnabled(bool)', 'setTrading(bool)',
+        'setMaxTxAmount(uint256)', 'setMaxWalletSize(uint256)'
+    ],
+    UPGRADE: ['upgradeTo(address)', 'upgradeToAndCall(address,bytes)']
+};
+
+// Selector -> { category, signature }
+const SELECTORS = new Map(
+    Object.entries(PRIVILEGED_FUNCTIONS).flatMap(([category, signatures]) =>
+        signatures.map(signature => [ethers.id(signature).slice(0, 10), { category, signature }])
+    )
+);
+
+// Explanation and penalty of each privilege while the owner is active
+const PRIVILEGE_RISKS = {
+    MINT: { severity: 'critical', penalty: 30, reason: 'Owner can mint new tokens' },
+    PAUSE: { severity: 'warning', penalty: 15, reason: 'Owner can pause transfers' },
+    BLACKLIST: { severity: 'warning', penalty: 20, reason: 'Owner can blacklist wallets (block sells)' },
+    FEE: { severity: 'warning', penalty: 15, reason: 'Owner can change buy/sell fees' },
+    TRADING: { severity: 'warning', penalty: 10, reason: 'Owner can toggle trading and transaction limits' }
+};
+
+const TOKEN_ABI = [
+    'function owner() view returns (address)',
+    'function getOwner() view returns (address)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address account) view returns (uint256)'
+];
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+// Scan cache: { chainId:token -> { scan, timestamp } }
+const scanCache = new Map();
+
+/**
+ * Function selectors pushed in bytecode (PUSH4 operands, push data skipped)
+ */
+function extractSelectors(bytecode) {
+    const code = ethers.getBytes(bytecode);
+    const selectors = new Set();
+
+    for (let i = 0; i < code.length; i++) {
+        const op = code[i];
+
+        if (op === 0x63 && i + 4 < code.length) {
+            selectors.add(ethers.hexlify(code.slice(i + 1, i + 5)));
+        }
+
+        // PUSH1..PUSH32 carry 1..32 bytes of data
+        if (op >= 0x60 && op <= 0x7f) {
+            i += op - 0x5f;
+        }
+    }
+
+    return selectors;
+}
+
+/**
+ * Address stored in the low 20 bytes of a storage slot (null if empty)
+ */
+async function readAddressSlot(provider, address, slot) {
+    const value = await provider.getStorage(address, slot);
+    const stored = ethers.getAddress(ethers.dataSlice(value, 12));
+    return stored === ethers.ZeroAddress ? null : stored;
+}
+
+/**
+ * Detect proxies and where their logic lives
+ * @returns {Promise<Object>} { isProxy, type, implementation, admin, upgradeable }
+ */
+async function detectProxy(provider, address, bytecode) {
+    if (bytecode.toLowerCase().startsWith('0x' + MINIMAL_PROXY_PREFIX)) {
+        const start = 2 + MINIMAL_PROXY_PREFIX.length;
+        return {
+            isProxy: true,
+            type: 'EIP-1167',
+            implementation: ethers.getAddress('0x' + bytecode.slice(start, start + 40)),
+            admin: null,
+            upgradeable: false
+        };
+    }
+
+    const [implementation, admin, beacon] = await Promise.all([
+        readAddressSlot(provider, address, IMPLEMENTATION_SLOT),
+        readAddressSlot(provider, address, ADMIN_SLOT),
+        readAddressSlot(provider, address, BEACON_SLOT)
+    ]);
+
+    if (beacon) {
+        const beaconContract = new ethers.Contract(beacon, ['function implementation() view returns (address)'], provider);
+        const beaconImplementation = await beaconContract.implementation().catch(() => null);
+        return { isProxy: true, type: 'BEACON', implementation: beaconImplementation, admin: beacon, upgradeable: true };
+    }
+
+    if (implementation) {
+        // Transparent proxies have an admin; UUPS logic carries upgradeTo itself (checked by the caller)
+        return { isProxy: true, type: 'EIP-1967', implementation, admin, upgradeable: Boolean(admin) };
+    }
+
+    return { isProxy: false, type: null, implementation: null, admin: null, upgradeable: false };
+}
+
+/**
+ * Read the owner via owner() or getOwner()
+ * @returns {Promise<Object>} { address, renounced, hasOwner }
+ */
+async function readOwner(token) {
+    for (const method of ['owner', 'getOwner']) {
+        try {
+            const owner = await token[method]();
+            return {
+                address: owner,
+                renounced: BURN_ADDRESSES.some(a => a.toLowerCase() === owner.toLowerCase()),
+                hasOwner: true
+            };
+        } catch (err) {
+            // Not implemented, try the next one
+        }
+    }
+
+    return { address: null, renounced: true, hasOwner: false };
+}
+
+/**
+ * Recipients of recent Transfer events, most recent first
+ */
+async function getRecentRecipients(provider, address) {
+    const latest = await provider.getBlockNumber();
+    const oldest = Math.max(0, latest - config.scanner.holderScanBlocks);
+    const recipients = [];
+
+    for (let toBlock = latest; toBlock > oldest; toBlock -= LOG_CHUNK_BLOCKS) {
+        const fromBlock = Math.max(oldest, toBlock - LOG_CHUNK_BLOCKS + 1);
+
+        try {
+            const logs = await provider.getLogs({ address, topics: [TRANSFER_TOPIC], fromBlock, toBlock });
+            for (const log of logs.reverse()) {
+                recipients.push(ethers.getAddress(ethers.dataSlice(log.topics[2], 12)));
+            }
+        } catch (err) {
+            logDebug(`Transfer logs unavailable for ${address} (${fromBlock}-${toBlock}): ${err.message}`);
+            break;
+        }
+
+        if (new Set(recipients).size >= MAX_HOLDER_CANDIDATES) break;
+    }
+
+    return [...new Set(recipients)].slice(0, MAX_HOLDER_CANDIDATES);
+}
+
+/**
+ * Balances of candidate holders as a percent of supply, largest first
+ */
+async function getHolderShares(contract, candidates, totalSupply) {
+    const balances = await Promise.all(
+        candidates.map(holder => contract.balanceOf(holder).then(balance => ({ holder, balance })).catch(() => null))
+    );
+
+    return balances
+        .filter(b => b && b.balance > 0n)
+        .map(({ holder, balance }) => ({
+            holder,
+            percent: Number((balance * 1000000n) / totalSupply) / 10000
+        }))
+        .sort((a, b) => b.percent - a.percent);
+}
+
+/**
+ * Where the pair's LP tokens sit: burned, known lockers, contracts or wallets
+ * @returns {Promise<Object|null>} Percentages of LP supply, or null if the pool has no LP token
+ */
+async function analyzeLiquidityTokens(provider, chainId, pairAddress) {
+    const lp = new ethers.Contract(pairAddress, TOKEN_ABI, provider);
+
+    let totalSupply;
+    try {
+        totalSupply = await lp.totalSupply();
+    } catch (err) {
+        // Concentrated liquidity pools (V3) hold positions as NFTs
+        return null;
+    }
+    if (totalSupply === 0n) return null;
+
+    const lockers = (getChainConfig(chainId).lpLockers || []).map(a => a.toLowerCase());
+    const candidates = [...new Set([
+        ...BURN_ADDRESSES,
+        ...(getChainConfig(chainId).lpLockers || []),
+        ...await getRecentRecipients(provider, pairAddress)
+    ])];
+
+    const shares = await getHolderShares(lp, candidates, totalSupply);
+    const result = { burnedPercent: 0, lockedPercent: 0, contractPercent: 0, walletPercent: 0 };
+
+    for (const { holder, percent } of shares) {
+        const lower = holder.toLowerCase();
+
+        if (BURN_ADDRESSES.some(a => a.toLowerCase() === lower)) {
+            result.burnedPercent += percent;
+        } else if (lockers.includes(lower)) {
+            result.lockedPercent += percent;
+        } else if (lower === pairAddress.toLowerCase()) {
+            // LP sent to the pair is burned on the next mint/burn
+            result.burnedPercent += percent;
+        } else if ((await provider.getCode(holder)) !== '0x') {
+            result.contractPercent += percent;
+        } else {
+            result.walletPercent += percent;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Scan an EVM token contract
+ * @param {string} chainId - Chain ID (bsc, base, ethereum)
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} pairAddress - Main pair, for LP analysis (optional)
+ * @param {Object} thresholds - { maxTopHolderPercent, maxOwnerBalance } (contractAnalyzer SAFETY_THRESHOLDS)
+ * @returns {Promise<Object|null>} Scan result, or null if the chain can't be scanned
+ */
+export async function scanContract(chainId, tokenAddress, pairAddress, thresholds) {
+    const chainConfig = getChainConfig(chainId);
+    if (!chainConfig?.chainId || !ethers.isAddress(tokenAddress)) return null;
+
+    const cacheKey = `${chainId}:${tokenAddress.toLowerCase()}`;
+    const cached = scanCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < SCAN_TTL) {
+        return cached.scan;
+    }
+
+    try {
+        const scan = await runScan(chainId, ethers.getAddress(tokenAddress), pairAddress, thresholds);
+        scanCache.set(cacheKey, { scan, timestamp: Date.now() });
+        return scan;
+    } catch (err) {
+        logWarn(`Contract scan failed for ${tokenAddress} on ${chainId}: ${err.message}`);
+        return cached?.scan || null;
+    }
+}
+
+/**
+ * Read the contract and build the findings
+ */
+async function runScan(chainId, address, pairAddress, thresholds) {
+    const provider = getProvider(chainId);
+    const token = new ethers.Contract(address, TOKEN_ABI, provider);
+    const scan = {
+        chain: chainId,
+        address,
+        scannedAt: Date.now(),
+        isSafe: true,
+        penalty: 0,
+        privileges: [],
+        proxy: null,
+        owner: null,
+        liquidity: null,
+        holders: null,
+        checks: []
+    };
+
+    const addCheck = (check) => {
+        scan.checks.push(check);
+        if (!check.passed) {
+            scan.penalty += check.penalty;
+            if (check.severity === 'critical') scan.isSafe = false;
+        }
+    };
+
+    const bytecode = await provider.getCode(address);
+    if (bytecode === '0x') {
+        addCheck({
+            name: 'Contract Code',
+            passed: false,
+            severity: 'critical',
+            penalty: 100,
+            value: 'None',
+            reason: 'No contract deployed at token address'
+        });
+        return scan;
+    }
+
+    // Proxy logic lives in the implementation, scan both
+    scan.proxy = await detectProxy(provider, address, bytecode);
+    const selectors = extractSelectors(bytecode);
+    if (scan.proxy.implementation) {
+        const implementationCode = await provider.getCode(scan.proxy.implementation);
+        for (const selector of extractSelectors(implementationCode)) {
+            selectors.add(selector);
+        }
+    }
+
+    const found = [...selectors].map(s => SELECTORS.get(s)).filter(Boolean);
+    scan.privileges = [...new Set(found.map(f => f.category))];
+
+    // UUPS: the implementation can upgrade itself
+    if (scan.proxy.isProxy && scan.privileges.includes('UPGRADE')) {
+        scan.proxy.upgradeable = true;
+    }
+
+    scan.owner = await readOwner(token);
+    const ownerActive = scan.owner.hasOwner && !scan.owner.renounced;
+
+    addCheck({
+        name: 'Ownership',
+        passed: !ownerActive,
+        severity: 'warning',
+        penalty: 5,
+        value: !scan.owner.hasOwner ? 'No owner' : scan.owner.renounced ? 'Renounced' : scan.owner.address,
+        reason: ownerActive ? 'Ownership not renounced' : 'No active owner'
+    });
+
+    for (const [category, risk] of Object.entries(PRIVILEGE_RISKS)) {
+        if (!scan.privileges.includes(category)) continue;
+
+        const functions = found.filter(f => f.category === category).map(f => f.signature.split('(')[0]);
+        addCheck({
+            name: `Privilege: ${category}`,
+            passed: !ownerActive,
+            severity: risk.severity,
+            penalty: risk.penalty,
+            value: [...new Set(functions)].join(', '),
+            reason: ownerActive ? risk.reason : `${risk.reason.replace('Owner can', 'Could')} (no active owner)`
+        });
+    }
+
+    if (scan.proxy.isProxy) {
+        addCheck({
+            name: 'Proxy',
+            passed: !scan.proxy.upgradeable,
+            severity: 'warning',
+            penalty: 20,
+            value: scan.proxy.type,
+            reason: scan.proxy.upgradeable
+                ? 'Upgradeable proxy: contract logic can be replaced'
+                : 'Non-upgradeable proxy'
+        });
+    }
+
+    // Holder concentration among recent recipients (pair, burn and lockers excluded)
+    const totalSupply = await token.totalSupply();
+    if (totalSupply > 0n) {
+        const excluded = new Set([
+            address, pairAddress, ...BURN_ADDRESSES, ...(getChainConfig(chainId).lpLockers || [])
+        ].filter(Boolean).map(a => a.toLowerCase()));
+
+        const candidates = (await getRecentRecipients(provider, address))
+            .concat(ownerActive ? [scan.owner.address] : [])
+            .filter(holder => !excluded.has(holder.toLowerCase()));
+
+        const shares = await getHolderShares(token, [...new Set(candidates)], totalSupply);
+        const ownerShare = ownerActive
+            ? shares.find(s => s.holder.toLowerCase() === scan.owner.address.toLowerCase())?.percent || 0
+            : 0;
+
+        scan.holders = {
+            sampled: shares.length,
+            topHolder: shares[0]?.holder || null,
+            topHolderPercent: shares[0]?.percent || 0,
+            top10Percent: shares.slice(0, 10).reduce((sum, s) => sum + s.percent, 0),
+            ownerPercent: ownerShare
+        };
+
+        const { maxTopHolderPercent, maxOwnerBalance } = thresholds;
+
+        addCheck({
+            name: 'Top Holder',
+            passed: scan.holders.topHolderPercent <= maxTopHolderPercent,
+            severity: 'critical',
+            penalty: 25,
+            value: `${scan.holders.topHolderPercent.toFixed(1)}%`,
+            reason: scan.holders.topHolderPercent <= maxTopHolderPercent
+                ? `Largest holder owns ${scan.holders.topHolderPercent.toFixed(1)}% (top 10: ${scan.holders.top10Percent.toFixed(1)}%)`
+                : `Largest holder owns ${scan.holders.topHolderPercent.toFixed(1)}% of supply`
+        });
+
+        if (ownerActive) {
+            addCheck({
+                name: 'Owner Balance',
+                passed: ownerShare <= maxOwnerBalance,
+                severity: 'warning',
+                penalty: 15,
+                value: `${ownerShare.toFixed(1)}%`,
+                reason: ownerShare <= maxOwnerBalance
+                    ? 'Owner holds a small share'
+                    : `Owner holds ${ownerShare.toFixed(1)}% of supply`
+            });
+        }
+    }
+
+    if (pairAddress && ethers.isAddress(pairAddress)) {
+        scan.liquidity = await analyzeLiquidityTokens(provider, chainId, pairAddress);
+
+        if (scan.liquidity) {
+            const { burnedPercent, lockedPercent, walletPercent } = scan.liquidity;
+            addCheck({
+                name: 'LP Lock',
+                passed: walletPercent <= MAX_WALLET_LP_PERCENT,
+                severity: 'critical',
+                penalty: 30,
+                value: `${burnedPercent.toFixed(0)}% burned, ${lockedPercent.toFixed(0)}% locked`,
+                reason: walletPercent <= MAX_WALLET_LP_PERCENT
+                    ? `LP ${burnedPercent.toFixed(0)}% burned, ${lockedPercent.toFixed(0)}% locked`
+                    : `${walletPercent.toFixed(0)}% of LP held by wallets (can pull liquidity)`
+            });
+        }
+    }
+
+    logDebug(`Contract scan ${address} on ${chainId}: penalty ${scan.penalty}, ${scan.isSafe ? 'safe' : 'unsafe'}`);
+    return scan;
+}
+
+export default {
+    scanContract
+};
@@ -6,67 +6,261 @@
  *   - Risk per trade
  *   - Max daily drawdown
  *   - Position sizing
+ *
+ * Limits are tracked per account (users.id); each user's risk profile lives
+ * in their users.settings and falls back to the config defaults. Daily
+ * counters are written through to the risk_daily_states table and loaded on
+ * startup, so a restart doesn't reset them mid-day.
  */
 
 import { logInfo, logWarn, logError } from '../logging/logger.js';
 import config from '../config/index.js';
+import { getSupabase } from '../database/supabase.js';
 
-// Daily state (resets at midnight UTC)
-let dailyState = {
-    tradeCount: 0,
-    totalPnL: 0,
-    startBalance: 0,
-    date: new Date().toDateString()
+// Account for bot-wide stats and positions without an owner
+export const DEFAULT_ACCOUNT = 'default';
+
+// Risk profile fields -> users.settings keys
+export const RISK_SETTING_KEYS = {
+    maxTradesPerDay: 'max_trades_per_day',
+    riskPerTrade: 'risk_per_trade',
+    maxDailyDrawdown: 'max_daily_drawdown',
+    takeProfitMultiplier: 'take_profit',
+    stopLossPercent: 'stop_loss',
+    maxHoldMinutes: 'max_hold_minutes',
+    maxSlippage: 'max_slippage'
 };
 
+// Max position size as share of pool liquidity
+export const MAX_LIQUIDITY_SHARE = 0.05;
+
+// Smallest position worth opening
+const MIN_POSITION_USD = 10;
+
+// Auto-trade sizing modes (users.settings.auto_trade_sizing)
+export const SIZING_MODES = {
+    FIXED_NATIVE: 'fixed_native', // amount in BNB/ETH/SOL
+    FIXED_USD: 'fixed_usd',       // amount in USD
+    PERCENT: 'percent',           // amount as % of balance
+    RISK: 'risk'                  // risk-per-trade over the stop distance
+};
+
+// Daily state per account (resets at midnight): accountId -> state
+const dailyStates = new Map();
+
+// Pending row writes per account, so an older state never lands after a newer one
+const saving = new Map();
+
+/**
+ * Create a fresh daily state
+ */
+function createDailyState(startBalance = 0) {
+    return {
+        tradeCount: 0,
+        totalPnL: 0,
+        startBalance,
+        date: new Date().toDateString()
+    };
+}
+
+/**
+ * Get an account's daily state, resetting it if the day changed
+ */
+function getDailyState(accountId = DEFAULT_ACCOUNT) {
+    const today = new Date().toDateString();
+    let state = dailyStates.get(accountId);
+
+    if (!state) {
+        state = createDailyState();
+        dailyStates.set(accountId, state);
+    } else if (state.date !== today) {
+        logInfo(`🌅 Daily reset triggered${accountId === DEFAULT_ACCOUNT ? '' : ` for ${accountId}`}`);
+        state = createDailyState(state.startBalance + state.totalPnL);
+        dailyStates.set(accountId, state);
+        persistDailyState(accountId);
+    }
+
+    return state;
+}
+
+/**
+ * Write an account's daily state (queued behind earlier writes)
+ * Persistence errors are logged, never thrown: a trade is not stopped by them
+ */
+function persistDailyState(accountId) {
+    const supabase = getSupabase();
+    if (!supabase) return;
+
+    const previous = saving.get(accountId) || Promise.resolve();
+    const current = previous.then(async () => {
+        // The latest counters, not the ones of the change that queued the write
+        const state = dailyStates.get(accountId);
+
+        try {
+            const { error } = await supabase
+                .from('risk_daily_states')
+                .upsert({
+                    account_id: accountId,
+                    day: state.date,
+                    trade_count: state.tradeCount,
+                    total_pnl: state.totalPnL,
+                    start_balance: state.startBalance,
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'account_id' });
+
+            if (error) throw error;
+        } catch (err) {
+            logError(`Failed to persist daily risk state for ${accountId}`, err);
+        }
+    });
+
+    saving.set(accountId, current);
+    current.then(() => {
+        if (saving.get(accountId) === current) {
+            saving.delete(accountId);
+        }
+    });
+}
+
+/**
+ * Load every account's daily state from the database
+ * Called on startup, before any trade is checked; states of an earlier day
+ * roll over on first use like in-memory ones
+ * @returns {Promise<number>} States loaded
+ */
+export async function loadDailyStates() {
+    const supabase = getSupabase();
+    if (!supabase) return 0;
+
+    try {
+        const { data, error } = await supabase
+            .from('risk_daily_states')
+            .select('*');
+
+        if (error) throw error;
+
+        for (const row of data || []) {
+            dailyStates.set(row.account_id, {
+                tradeCount: row.trade_count || 0,
+                totalPnL: parseFloat(row.total_pnl) || 0,
+                startBalance: parseFloat(row.start_balance) || 0,
+                date: row.day
+            });
+        }
+
+        logInfo(`Loaded daily risk state for ${data?.length || 0} account(s)`);
+        return data?.length || 0;
+    } catch (err) {
+        logError('Failed to load daily risk states', err);
+        return 0;
+    }
+}
+
 /**
  * Initialize risk manager with starting balance
+ * A starting balance already loaded for today is kept
  */
 export function initRiskManager(startingBalance) {
-    dailyState.startBalance = startingBalance;
-    dailyState.date = new Date().toDateString();
-    logInfo(`Risk manager initialized. Balance: $${startingBalance}`);
+    const state = getDailyState(DEFAULT_ACCOUNT);
+
+    if (!(state.startBalance > 0)) {
+        state.startBalance = startingBalance;
+        persistDailyState(DEFAULT_ACCOUNT);
+    }
+
+    logInfo(`Risk manager initialized. Balance: $${state.startBalance}`);
 }
 
 /**
- * Check if daily reset needed
+ * Get the default risk profile from config
  */
-function checkDailyReset() {
-    const today = new Date().toDateString();
+export function getDefaultRiskProfile() {
+    return {
+        maxTradesPerDay: config.risk.maxTradesPerDay,
+        riskPerTrade: config.risk.riskPerTrade,
+        maxDailyDrawdown: config.risk.maxDailyDrawdown,
+        takeProfitMultiplier: config.takeProfit.multiplier,
+        stopLossPercent: config.risk.stopLossPercent,
+        maxHoldMinutes: config.risk.maxHoldMinutes,
+        maxSlippage: config.execution.slippageTolerance
+    };
+}
 
-    if (dailyState.date !== today) {
-        logInfo('🌅 Daily reset triggered');
-        dailyState = {
-            tradeCount: 0,
-            totalPnL: 0,
-            startBalance: dailyState.startBalance + dailyState.totalPnL,
-            date: today
-        };
+/**
+ * Build a user's risk profile from their settings
+ * @param {Object} settings - users.settings
+ * @returns {Object} Risk profile (config defaults for anything unset)
+ */
+export function getRiskProfile(settings = {}) {
+    const profile = getDefaultRiskProfile();
+
+    for (const [field, key] of Object.entries(RISK_SETTING_KEYS)) {
+        const value = parseFloat(settings?.[key]);
+        if (Number.isFinite(value) && value > 0) {
+            profile[field] = value;
+        }
     }
+
+    return profile;
+}
+
+/**
+ * Apply a risk profile's TP/SL/max hold and slippage cap to a signal
+ * @param {Object} signal - Trading signal
+ * @param {Object} profile - Risk profile
+ * @returns {Object} Signal copy with the profile's exit levels
+ */
+export function applyRiskProfile(signal, profile) {
+    const openedAt = signal.timestamp || Date.now();
+
+    return {
+        ...signal,
+        takeProfit: signal.entryPrice * profile.takeProfitMultiplier,
+        stopLoss: signal.entryPrice * (1 - profile.stopLossPercent / 100),
+        maxHoldUntil: openedAt + profile.maxHoldMinutes * 60 * 1000,
+        maxSlippage: profile.maxSlippage
+    };
 }
 
 /**
  * Check if a new trade is allowed
+ * Refused while the day's starting balance is unknown: the drawdown limit
+ * can't be checked without it
+ * @param {string} accountId - Account (users.id), default for bot-wide
+ * @param {Object} profile - Risk profile to enforce
+ * @param {number} balance - Current balance, used as the day's starting balance on first check
  * @returns {Object} { allowed: boolean, reason: string }
  */
-export function canTrade() {
-    checkDailyReset();
+export function canTrade(accountId = DEFAULT_ACCOUNT, profile = getDefaultRiskProfile(), balance = null) {
+    const state = getDailyState(accountId);
+
+    if (!state.startBalance && balance > 0) {
+        state.startBalance = balance;
+        persistDailyState(accountId);
+    }
 
     // Check trade count limit
-    if (dailyState.tradeCount >= config.risk.maxTradesPerDay) {
+    if (state.tradeCount >= profile.maxTradesPerDay) {
         return {
             allowed: false,
-            reason: `Max daily trades reached (${config.risk.maxTradesPerDay})`
+            reason: `Max daily trades reached (${profile.maxTradesPerDay})`
         };
     }
 
     // Check daily drawdown
-    const currentDrawdown = (dailyState.totalPnL / dailyState.startBalance) * 100;
+    if (!(state.startBalance > 0)) {
+        return {
+            allowed: false,
+            reason: 'Balance unavailable, daily drawdown cannot be checked'
+        };
+    }
+
+    const currentDrawdown = (state.totalPnL / state.startBalance) * 100;
 
-    if (currentDrawdown <= -config.risk.maxDailyDrawdown) {
+    if (currentDrawdown <= -profile.maxDailyDrawdown) {
         return {
             allowed: false,
-            reason: `Max daily drawdown reached (${config.risk.maxDailyDrawdown}%)`
+            reason: `Max daily drawdown reached (${profile.maxDailyDrawdown}%)`
         };
     }
 
@@ -78,11 +272,12 @@ export function canTrade() {
  * @param {number} balance - Current balance
  * @param {number} entryPrice - Entry price
  * @param {number} stopLoss - Stop loss price
+ * @param {number} riskPerTrade - Percent of balance to risk (default: config)
  * @returns {Object} Position sizing
  */
-export function calculatePositionSize(balance, entryPrice, stopLoss) {
+export function calculatePositionSize(balance, entryPrice, stopLoss, riskPerTrade = config.risk.riskPerTrade) {
     // Risk amount in dollars
-    const riskAmount = balance * (config.risk.riskPerTrade / 100);
+    const riskAmount = balance * (riskPerTrade / 100);
 
     // Price distance to stop loss
     const stopDistance = Math.abs(entryPrice - stopLoss);
@@ -103,34 +298,128 @@ export function calculatePositionSize(balance, entryPrice, stopLoss) {
 }
 
 /**
- * Record a completed trade
+ * Size an auto-trade for a user
+ * @param {Object} signal - Signal with entryPrice, stopLoss and liquidity
+ * @param {Object} options - { mode, amount, balanceUsd, nativePriceUsd, profile }
+ * @returns {Object} { positionSizeUsd, nativeAmount, mode, rationale } - positionSizeUsd is 0 when the trade should be skipped
+ */
+export function sizeAutoTrade(signal, options = {}) {
+    const {
+        mode = SIZING_MODES.FIXED_NATIVE,
+        amount = 0,
+        balanceUsd = null,
+        nativePriceUsd = null,
+        profile = getDefaultRiskProfile()
+    } = options;
+
+    const steps = [];
+    const skip = (reason) => ({ positionSizeUsd: 0, nativeAmount: 0, mode, rationale: [...steps, reason].join(' → ') });
+    let size;
+
+    switch (mode) {
+        case SIZING_MODES.FIXED_USD:
+            size = amount;
+            steps.push(`Fixed $${amount}`);
+            break;
+
+        case SIZING_MODES.PERCENT:
+            if (!(balanceUsd > 0)) return skip('Balance unavailable');
+            size = balanceUsd * (amount / 100);
+            steps.push(`${amount}% of $${balanceUsd.toFixed(2)} balance`);
+            break;
+
+        case SIZING_MODES.RISK: {
+            if (!(balanceUsd > 0)) return skip('Balance unavailable');
+            const sized = calculatePositionSize(balanceUsd, signal.entryPrice, signal.stopLoss, profile.riskPerTrade);
+            const uncapped = sized.riskAmount / (parseFloat(sized.stopPercent) / 100);
+            size = sized.positionSizeUsd;
+            steps.push(`Risk ${profile.riskPerTrade}% ($${sized.riskAmount.toFixed(2)}) over ${sized.stopPercent}% stop`);
+            if (size < uncapped) {
+                steps.push(`capped to 25% of balance $${size.toFixed(2)}`);
+            }
+            break;
+        }
+
+        default:
+            if (!(nativePriceUsd > 0)) return skip('Native price unavailable');
+            size = amount * nativePriceUsd;
+            steps.push(`Fixed ${amount} native @ $${nativePriceUsd.toFixed(2)}`);
+    }
+
+    if (balanceUsd !== null && size > balanceUsd) {
+        size = balanceUsd;
+        steps.push(`capped to balance $${size.toFixed(2)}`);
+    }
+
+    const liquidityCap = (signal.liquidity || 0) * MAX_LIQUIDITY_SHARE;
+    if (signal.liquidity > 0 && size > liquidityCap) {
+        size = liquidityCap;
+        steps.push(`capped to ${MAX_LIQUIDITY_SHARE * 100}% of liquidity $${size.toFixed(2)}`);
+    }
+
+    if (!(size >= MIN_POSITION_USD)) {
+        return skip(`$${(size || 0).toFixed(2)} is below the $${MIN_POSITION_USD} minimum`);
+    }
+
+    return {
+        positionSizeUsd: size,
+        nativeAmount: nativePriceUsd > 0 ? size / nativePriceUsd : null,
+        mode,
+        rationale: steps.join(' → ')
+    };
+}
+
+/**
+ * Record an opened trade against the daily trade limit
+ * @param {string} accountId - Account (users.id); bot-wide stats are always updated
+ */
+export function recordEntry(accountId = DEFAULT_ACCOUNT) {
+    getDailyState(accountId).tradeCount++;
+    persistDailyState(accountId);
+
+    if (accountId !== DEFAULT_ACCOUNT) {
+        getDailyState(DEFAULT_ACCOUNT).tradeCount++;
+        persistDailyState(DEFAULT_ACCOUNT);
+    }
+}
+
+/**
+ * Record realized PnL from a closed or partially closed trade
  * @param {number} pnl - Profit/loss in dollars
+ * @param {string} accountId - Account (users.id); bot-wide stats are always updated
  */
-export function recordTrade(pnl) {
-    checkDailyReset();
+export function recordTrade(pnl, accountId = DEFAULT_ACCOUNT) {
+    const state = getDailyState(accountId);
+    state.totalPnL += pnl;
+    persistDailyState(accountId);
 
-    dailyState.tradeCount++;
-    dailyState.totalPnL += pnl;
+    if (accountId !== DEFAULT_ACCOUNT) {
+        getDailyState(DEFAULT_ACCOUNT).totalPnL += pnl;
+        persistDailyState(DEFAULT_ACCOUNT);
+    }
 
-    const pnlPercent = (pnl / dailyState.startBalance) * 100;
+    const pnlPercent = state.startBalance > 0 ? (pnl / state.startBalance) * 100 : 0;
+    const label = accountId === DEFAULT_ACCOUNT ? 'Daily stats' : `Daily stats (${accountId})`;
 
     logInfo(`Trade recorded: ${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)`);
-    logInfo(`Daily stats: ${dailyState.tradeCount} trades, ${dailyState.totalPnL >= 0 ? '+' : ''}$${dailyState.totalPnL.toFixed(2)} total PnL`);
+    logInfo(`${label}: ${state.tradeCount} trades, ${state.totalPnL >= 0 ? '+' : ''}$${state.totalPnL.toFixed(2)} total PnL`);
 }
 
 /**
  * Get current daily stats
+ * @param {string} accountId - Account (users.id), default for bot-wide
+ * @param {Object} profile - Risk profile for the remaining-trades count
  */
-export function getDailyStats() {
-    checkDailyReset();
+export function getDailyStats(accountId = DEFAULT_ACCOUNT, profile = getDefaultRiskProfile()) {
+    const state = getDailyState(accountId);
 
     return {
-        date: dailyState.date,
-        tradesExecuted: dailyState.tradeCount,
-        tradesRemaining: config.risk.maxTradesPerDay - dailyState.tradeCount,
-        totalPnL: dailyState.totalPnL,
-        drawdownPercent: ((dailyState.totalPnL / dailyState.startBalance) * 100).toFixed(2),
-        startBalance: dailyState.startBalance
+        date: state.date,
+        tradesExecuted: state.tradeCount,
+        tradesRemaining: Math.max(0, profile.maxTradesPerDay - state.tradeCount),
+        totalPnL: state.totalPnL,
+        drawdownPercent: (state.startBalance > 0 ? (state.totalPnL / state.startBalance) * 100 : 0).toFixed(2),
+        startBalance: state.startBalance
     };
 }
 
@@ -138,11 +427,13 @@ export function getDailyStats() {
  * Validate signal before execution
  * @param {Object} signal - Trading signal
  * @param {number} balance - Current balance
+ * @param {string} accountId - Account (users.id), default for bot-wide
+ * @param {Object} profile - Risk profile to enforce
  * @returns {Object} { valid: boolean, reason: string, position: Object }
  */
-export function validateSignal(signal, balance) {
+export function validateSignal(signal, balance, accountId = DEFAULT_ACCOUNT, profile = getDefaultRiskProfile()) {
     // Check if trading is allowed
-    const tradingCheck = canTrade();
+    const tradingCheck = canTrade(accountId, profile, balance);
     if (!tradingCheck.allowed) {
         return { valid: false, reason: tradingCheck.reason };
     }
@@ -153,15 +444,15 @@ export function validateSignal(signal, balance) {
     }
 
     // Calculate position size
-    const position = calculatePositionSize(balance, signal.entryPrice, signal.stopLoss);
+    const position = calculatePositionSize(balance, signal.entryPrice, signal.stopLoss, profile.riskPerTrade);
 
     // Check minimum position size ($10)
-    if (position.positionSizeUsd < 10) {
-        return { valid: false, reason: 'Position size too small ($10 minimum)' };
+    if (position.positionSizeUsd < MIN_POSITION_USD) {
+        return { valid: false, reason: `Position size too small ($${MIN_POSITION_USD} minimum)` };
     }
 
     // Check liquidity (position should be < 5% of liquidity)
-    if (position.positionSizeUsd > signal.liquidity * 0.05) {
+    if (position.positionSizeUsd > signal.liquidity * MAX_LIQUIDITY_SHARE) {
         return { valid: false, reason: 'Position too large for liquidity' };
     }
 
@@ -170,20 +461,24 @@ export function validateSignal(signal, balance) {
 
 /**
  * Force daily reset (for testing)
+ * @param {string} accountId - Account to reset (default: bot-wide)
  */
-export function forceDailyReset() {
-    dailyState = {
-        tradeCount: 0,
-        totalPnL: 0,
-        startBalance: dailyState.startBalance,
-        date: new Date().toDateString()
-    };
+export function forceDailyReset(accountId = DEFAULT_ACCOUNT) {
+    const state = getDailyState(accountId);
+    dailyStates.set(accountId, createDailyState(state.startBalance));
+    persistDailyState(accountId);
 }
 
 export default {
+    loadDailyStates,
     initRiskManager,
+    getDefaultRiskProfile,
+    getRiskProfile,
+    applyRiskProfile,
     canTrade,
     calculatePositionSize,
+    sizeAutoTrade,
+    recordEntry,
     recordTrade,
     getDailyStats,
     validateSignal,
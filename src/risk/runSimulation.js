@@ -0,0 +1,40 @@
+/**
+ * DEX Trading Bot - Swap Simulation CLI
+ *
+ * Simulates a buy/sell of a token against the configured RPC, e.g. a local fork:
+ *   anvil --fork-url https://bsc-dataseed.binance.org
+ *   BSC_RPC_URL=http://127.0.0.1:8545 RPC_USE_BACKUPS=false npm run simulate -- bsc <token> [quoteToken] [--scan]
+ *
+ * --scan also runs the contract scanner (privileges, proxy, LP lock, holders)
+ */
+
+import { simulateSwap } from './swapSimulator.js';
+import { scanContract } from './contractScanner.js';
+import { SAFETY_THRESHOLDS } from './contractAnalyzer.js';
+
+async function main() {
+    const args = process.argv.slice(2);
+    const [chain, token, quoteToken] = args.filter(a => !a.startsWith('--'));
+
+    if (!chain || !token) {
+        console.error('Usage: npm run simulate -- <chain> <token> [quoteToken] [--scan]');
+        process.exit(1);
+    }
+
+    const simulation = await simulateSwap(chain, token, quoteToken);
+    if (!simulation) {
+        console.error(`Cannot simulate on ${chain} (EVM chains with a router only)`);
+        process.exit(1);
+    }
+
+    const report = { simulation };
+
+    if (args.includes('--scan')) {
+        report.scan = await scanContract(chain, token, null, SAFETY_THRESHOLDS);
+    }
+
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(0);
+}
+
+main();
@@ -0,0 +1,394 @@
+/**
+ * DEX Trading Bot - Solana Token Scanner
+ *
+ * Reads SPL / Token-2022 mints through the Solana RPC (no external API):
+ *   - Mint and freeze authority
+ *   - Token-2022 extensions: transfer fees, permanent delegate, transfer
+ *     hooks, non-transferable and pausable mints
+ *   - Top-holder concentration (largest token accounts, program-owned
+ *     accounts such as pool vaults and bonding curves excluded)
+ *   - Raydium LP tokens burned, held by programs or held by wallets
+ *
+ * Findings come back in the contractScanner shape (checks with a severity
+ * and score penalty), so contractAnalyzer treats both chains the same.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { logDebug, logWarn } from '../logging/logger.js';
+import { getSolanaConnection } from '../services/rpcManager.js';
+
+// Rescan a token after 10 minutes (holders and LP move, authorities rarely do)
+const SCAN_TTL = 10 * 60 * 1000;
+
+// Share of LP that may sit in wallets before it counts as a rug risk
+const MAX_WALLET_LP_PERCENT = 50;
+
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const BURN_ADDRESS = '1nc1nerator11111111111111111111111111111111';
+
+// Raydium pool layouts: where the LP mint and the LP issued by the pool live
+// (SPL burns lower the mint supply but not the pool's own count)
+const RAYDIUM_POOLS = {
+    '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': { name: 'AMM v4', lpMintOffset: 464, lpReserveOffset: 720 },
+    'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1w': { name: 'CPMM', lpMintOffset: 136, lpReserveOffset: 333 }
+};
+
+// Authorities that matter while set
+const AUTHORITY_RISKS = {
+    MINT: { severity: 'critical', penalty: 30, reason: 'Mint authority can mint new tokens', revoked: 'Mint authority revoked' },
+    FREEZE: { severity: 'critical', penalty: 30, reason: 'Freeze authority can freeze holder accounts (block sells)', revoked: 'Freeze authority revoked' }
+};
+
+// Token-2022 extensions that hand someone control over holders' tokens
+const EXTENSION_RISKS = {
+    permanentDelegate: {
+        privilege: 'DELEGATE',
+        severity: 'critical',
+        penalty: 40,
+        active: state => Boolean(state?.delegate),
+        reason: 'Permanent delegate can move or burn any holder\'s tokens'
+    },
+    transferHook: {
+        privilege: 'TRANSFER_HOOK',
+        severity: 'warning',
+        penalty: 20,
+        active: state => Boolean(state?.programId),
+        reason: 'Transfer hook program runs on every transfer (can block sells)'
+    },
+    pausableConfig: {
+        privilege: 'PAUSE',
+        severity: 'warning',
+        penalty: 15,
+        active: state => Boolean(state?.authority),
+        reason: 'Pause authority can pause transfers'
+    },
+    nonTransferable: {
+        privilege: 'NON_TRANSFERABLE',
+        severity: 'critical',
+        penalty: 100,
+        active: () => true,
+        reason: 'Token is non-transferable (cannot be sold)'
+    }
+};
+
+// Scan cache: { mint -> { scan, timestamp } }
+const scanCache = new Map();
+
+/**
+ * Percent of a raw amount against a supply (both raw integer strings or bigints)
+ */
+function percentOf(amount, supply) {
+    const total = BigInt(supply);
+    if (total === 0n) return 0;
+    return Number((BigInt(amount) * 1000000n) / total) / 10000;
+}
+
+/**
+ * Whether an account is a wallet (ed25519 key) rather than a program address
+ */
+function isWallet(address) {
+    try {
+        return PublicKey.isOnCurve(new PublicKey(address).toBytes());
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Highest transfer fee the mint charges now or from the next scheduled epoch
+ * @returns {Object|null} { percent, authority } or null without the extension
+ */
+function readTransferFee(extensions) {
+    const state = extensions.find(e => e.extension === 'transferFeeConfig')?.state;
+    if (!state) return null;
+
+    const basisPoints = Math.max(
+        state.olderTransferFee?.transferFeeBasisPoints || 0,
+        state.newerTransferFee?.transferFeeBasisPoints || 0
+    );
+
+    return { percent: basisPoints / 100, authority: state.transferFeeConfigAuthority || null };
+}
+
+/**
+ * Largest token accounts of a mint with their owners, largest first
+ * @returns {Promise<Array<Object>>} [{ account, owner, percent }]
+ */
+async function getLargestHolders(conn, mint, supply) {
+    const largest = await conn.getTokenLargestAccounts(mint);
+    const accounts = largest.value.filter(a => BigInt(a.amount) > 0n);
+    if (accounts.length === 0) return [];
+
+    const infos = await conn.getMultipleParsedAccounts(accounts.map(a => a.address));
+
+    return accounts.map((a, i) => ({
+        account: a.address.toBase58(),
+        owner: infos.value[i]?.data?.parsed?.info?.owner || null,
+        percent: percentOf(a.amount, supply)
+    }));
+}
+
+/**
+ * Where a Raydium pool's LP went: burned, held by programs (lockers) or wallets
+ * @returns {Promise<Object|null>} Percentages of LP issued, or null for other pools
+ */
+async function analyzeLiquidityTokens(conn, pairAddress) {
+    const pool = await conn.getAccountInfo(new PublicKey(pairAddress));
+    const layout = pool && RAYDIUM_POOLS[pool.owner.toBase58()];
+    if (!layout || pool.data.length < layout.lpReserveOffset + 8) return null;
+
+    const lpMint = new PublicKey(pool.data.subarray(layout.lpMintOffset, layout.lpMintOffset + 32));
+    const issued = pool.data.readBigUInt64LE(layout.lpReserveOffset);
+    if (issued === 0n) return null;
+
+    const supply = BigInt((await conn.getTokenSupply(lpMint)).value.amount);
+    const result = {
+        pool: layout.name,
+        lpMint: lpMint.toBase58(),
+        burnedPercent: supply < issued ? percentOf(issued - supply, issued) : 0,
+        lockedPercent: 0,
+        contractPercent: 0,
+        walletPercent: 0
+    };
+
+    if (supply === 0n) return result;
+
+    for (const { owner, percent } of await getLargestHolders(conn, lpMint, issued)) {
+        if (owner === BURN_ADDRESS) {
+            result.burnedPercent += percent;
+        } else if (owner && isWallet(owner)) {
+            result.walletPercent += percent;
+        } else {
+            // Lockers, farms and vaults hold LP under program addresses
+            result.contractPercent += percent;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Scan a Solana token mint
+ * @param {string} mintAddress - Token mint
+ * @param {string} pairAddress - Main pool, for LP analysis (optional)
+ * @param {Object} thresholds - { maxTopHolderPercent, maxOwnerBalance, maxSellTax } (contractAnalyzer SAFETY_THRESHOLDS)
+ * @returns {Promise<Object|null>} Scan result, or null if the mint can't be read
+ */
+export async function scanSolanaToken(mintAddress, pairAddress, thresholds) {
+    let mint;
+    try {
+        mint = new PublicKey(mintAddress);
+    } catch (err) {
+        return null;
+    }
+
+    const cacheKey = mint.toBase58();
+    const cached = scanCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < SCAN_TTL) {
+        return cached.scan;
+    }
+
+    try {
+        const scan = await runScan(mint, pairAddress, thresholds);
+        scanCache.set(cacheKey, { scan, timestamp: Date.now() });
+        return scan;
+    } catch (err) {
+        logWarn(`Solana token scan failed for ${mintAddress}: ${err.message}`);
+        return cached?.scan || null;
+    }
+}
+
+/**
+ * Read the mint and build the findings
+ */
+async function runScan(mint, pairAddress, thresholds) {
+    const conn = getSolanaConnection();
+    const address = mint.toBase58();
+    const scan = {
+        chain: 'solana',
+        address,
+        scannedAt: Date.now(),
+        isSafe: true,
+        penalty: 0,
+        program: null,
+        privileges: [],
+        extensions: [],
+        transferFee: null,
+        proxy: null,
+        owner: null,
+        liquidity: null,
+        holders: null,
+        checks: []
+    };
+
+    const addCheck = (check) => {
+        scan.checks.push(check);
+        if (!check.passed) {
+            scan.penalty += check.penalty;
+            if (check.severity === 'critical') scan.isSafe = false;
+        }
+    };
+
+    const account = (await conn.getParsedAccountInfo(mint)).value;
+    const info = account?.data?.parsed?.type === 'mint' ? account.data.parsed.info : null;
+    if (!info) {
+        addCheck({
+            name: 'Mint Account',
+            passed: false,
+            severity: 'critical',
+            penalty: 100,
+            value: 'None',
+            reason: 'No SPL mint at token address'
+        });
+        return scan;
+    }
+
+    scan.program = account.owner.toBase58() === TOKEN_2022_PROGRAM ? 'spl-token-2022' : 'spl-token';
+    const extensions = info.extensions || [];
+    scan.extensions = extensions.map(e => e.extension);
+
+    // The mint authority is the closest thing to a contract owner
+    scan.owner = {
+        address: info.mintAuthority || null,
+        renounced: !info.mintAuthority,
+        hasOwner: Boolean(info.mintAuthority)
+    };
+
+    const authorities = { MINT: info.mintAuthority, FREEZE: info.freezeAuthority };
+    for (const [privilege, risk] of Object.entries(AUTHORITY_RISKS)) {
+        const authority = authorities[privilege];
+        if (authority) scan.privileges.push(privilege);
+
+        addCheck({
+            name: `Privilege: ${privilege}`,
+            passed: !authority,
+            severity: risk.severity,
+            penalty: risk.penalty,
+            value: authority || 'Revoked',
+            reason: authority ? risk.reason : risk.revoked
+        });
+    }
+
+    for (const { extension, state } of extensions) {
+        const risk = EXTENSION_RISKS[extension];
+        if (!risk) continue;
+
+        const active = risk.active(state);
+        if (active) scan.privileges.push(risk.privilege);
+
+        addCheck({
+            name: `Privilege: ${risk.privilege}`,
+            passed: !active,
+            severity: risk.severity,
+            penalty: risk.penalty,
+            value: state?.delegate || state?.programId || state?.authority || extension,
+            reason: active ? risk.reason : `${extension} extension without an authority`
+        });
+    }
+
+    // Transfer fees are taxes on every buy, sell and transfer
+    scan.transferFee = readTransferFee(extensions);
+    if (scan.transferFee) {
+        const { percent, authority } = scan.transferFee;
+        const passed = percent <= thresholds.maxSellTax;
+
+        addCheck({
+            name: 'Transfer Fee',
+            passed,
+            severity: 'critical',
+            penalty: 30,
+            value: `${percent}%`,
+            reason: passed ? `Transfer fee ${percent}%` : `High transfer fee: ${percent}%`
+        });
+
+        if (authority) {
+            scan.privileges.push('FEE');
+            addCheck({
+                name: 'Privilege: FEE',
+                passed: false,
+                severity: 'warning',
+                penalty: 15,
+                value: authority,
+                reason: 'Fee authority can change the transfer fee'
+            });
+        }
+    }
+
+    // Holder concentration among the largest accounts (pools, curves and lockers excluded)
+    if (BigInt(info.supply) > 0n) {
+        // A wallet can hold several token accounts of the same mint
+        const byOwner = new Map();
+        for (const { owner, percent } of await getLargestHolders(conn, mint, info.supply)) {
+            if (!owner || owner === pairAddress || owner === BURN_ADDRESS || !isWallet(owner)) continue;
+            byOwner.set(owner, (byOwner.get(owner) || 0) + percent);
+        }
+
+        const shares = [...byOwner]
+            .map(([owner, percent]) => ({ owner, percent }))
+            .sort((a, b) => b.percent - a.percent);
+
+        const ownerShare = scan.owner.hasOwner ? byOwner.get(scan.owner.address) || 0 : 0;
+
+        scan.holders = {
+            sampled: shares.length,
+            topHolder: shares[0]?.owner || null,
+            topHolderPercent: shares[0]?.percent || 0,
+            top10Percent: shares.slice(0, 10).reduce((sum, s) => sum + s.percent, 0),
+            ownerPercent: ownerShare
+        };
+
+        const { maxTopHolderPercent, maxOwnerBalance } = thresholds;
+
+        addCheck({
+            name: 'Top Holder',
+            passed: scan.holders.topHolderPercent <= maxTopHolderPercent,
+            severity: 'critical',
+            penalty: 25,
+            value: `${scan.holders.topHolderPercent.toFixed(1)}%`,
+            reason: scan.holders.topHolderPercent <= maxTopHolderPercent
+                ? `Largest holder owns ${scan.holders.topHolderPercent.toFixed(1)}% (top 10: ${scan.holders.top10Percent.toFixed(1)}%)`
+                : `Largest holder owns ${scan.holders.topHolderPercent.toFixed(1)}% of supply`
+        });
+
+        if (scan.owner.hasOwner) {
+            addCheck({
+                name: 'Owner Balance',
+                passed: ownerShare <= maxOwnerBalance,
+                severity: 'warning',
+                penalty: 15,
+                value: `${ownerShare.toFixed(1)}%`,
+                reason: ownerShare <= maxOwnerBalance
+                    ? 'Mint authority holds a small share'
+                    : `Mint authority holds ${ownerShare.toFixed(1)}% of supply`
+            });
+        }
+    }
+
+    if (pairAddress) {
+        scan.liquidity = await analyzeLiquidityTokens(conn, pairAddress).catch(err => {
+            logDebug(`LP analysis unavailable for ${pairAddress}: ${err.message}`);
+            return null;
+        });
+
+        if (scan.liquidity) {
+            const { burnedPercent, contractPercent, walletPercent } = scan.liquidity;
+            addCheck({
+                name: 'LP Lock',
+                passed: walletPercent <= MAX_WALLET_LP_PERCENT,
+                severity: 'critical',
+                penalty: 30,
+                value: `${burnedPercent.toFixed(0)}% burned, ${contractPercent.toFixed(0)}% in programs`,
+                reason: walletPercent <= MAX_WALLET_LP_PERCENT
+                    ? `LP ${burnedPercent.toFixed(0)}% burned, ${contractPercent.toFixed(0)}% held by programs`
+                    : `${walletPercent.toFixed(0)}% of LP held by wallets (can pull liquidity)`
+            });
+        }
+    }
+
+    logDebug(`Solana token scan ${address}: penalty ${scan.penalty}, ${scan.isSafe ? 'safe' : 'unsafe'}`);
+    return scan;
+}
+
+export default {
+    scanSolanaToken
+};
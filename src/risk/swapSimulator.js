@@ -0,0 +1,286 @@
+/**
+ * DEX Trading Bot - Swap Simulator
+ *
+ * Simulates a buy then sell through the chain's router with eth_call and
+ * state overrides, against the configured RPC (no honeypot.is):
+ *   - Buy tax: tokens received vs the router quote
+ *   - Transfer tax: tokens arriving at a second address
+ *   - Sell tax: WETH received vs the router quote
+ *   - Honeypot: sells that revert (or lose nearly everything)
+ *
+ * Multicall3's runtime code is placed at a throwaway address with a native
+ * balance, so the buy, transfer and sell run in one call and share state.
+ * Works against any node that supports eth_call state overrides
+ * (geth, BSC, Base, Anvil/Hardhat forks: point BSC_RPC_URL/BASE_RPC_URL at the fork
+ * with RPC_USE_BACKUPS=false).
+ */
+
+import { ethers } from 'ethers';
+import { logDebug, logWarn } from '../logging/logger.js';
+import { getChainConfig } from '../config/index.js';
+import { getProvider } from '../services/rpcManager.js';
+
+// Multicall3 is deployed at the same address on every EVM chain
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Throwaway addresses: simulator (Multicall3 code), transfer recipient, caller
+const SIMULATOR_ADDRESS = '0x5151515151515151515151515151515151515151';
+const RECIPIENT_ADDRESS = '0x5252525252525252525252525252525252525252';
+const CALLER_ADDRESS = '0x5353535353535353535353535353535353535353';
+
+// Native amount bought in the simulation (small enough for max-tx limits)
+const SIMULATION_AMOUNT = ethers.parseEther('0.01');
+
+// Share of the bought tokens sent to the recipient to measure transfer tax
+const TRANSFER_TEST_DIVISOR = 10n;
+
+// Gas for the simulation call: the per-transaction cap of EIP-7825 (Osaka),
+// which nodes and forks on that hardfork also apply to eth_call
+const SIMULATION_GAS = 2 ** 24;
+
+// Sells losing more than this are honeypots even if they don't revert
+const HONEYPOT_SELL_TAX = 90;
+
+// Re-simulate after 10 minutes (owners can change taxes)
+const SIMULATION_TTL = 10 * 60 * 1000;
+
+const MULTICALL3_ABI = [
+    'function aggregate3Value((address target, bool allowFailure, uint256 value, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+const ERC20 = new ethers.Interface([
+    'function balanceOf(address account) view returns (uint256)',
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+]);
+
+// UniswapV2-style routers (PancakeSwap, Uniswap V2)
+const V2_ROUTER = new ethers.Interface([
+    'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+    'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+    'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+]);
+
+// Aerodrome router (routes instead of paths)
+const AERODROME_ROUTER = new ethers.Interface([
+    'function getAmountsOut(uint256 amountIn, (address from, address to, bool stable, address factory)[] routes) view returns (uint256[] amounts)',
+    'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) payable',
+    'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline)'
+]);
+
+// Simulation cache: { chainId:token -> { result, timestamp } }
+const simulationCache = new Map();
+
+// Multicall3 runtime code per chain
+const multicallCode = new Map();
+
+/**
+ * Router interface and route encoding for the chain's DEX
+ */
+function getRouter(dex) {
+    if (dex.type === 'aerodrome') {
+        return {
+            iface: AERODROME_ROUTER,
+            route: tokens => tokens.slice(1).map((to, i) => ({ from: tokens[i], to, stable: false, factory: dex.factory }))
+        };
+    }
+
+    return { iface: V2_ROUTER, route: tokens => tokens };
+}
+
+/**
+ * Decode a revert reason from failed call data
+ */
+function decodeRevert(data) {
+    if (!data || data === '0x') return 'reverted without reason';
+
+    try {
+        if (data.startsWith('0x08c379a0')) {
+            return ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4))[0];
+        }
+    } catch (err) {
+        // Fall through to the raw selector
+    }
+
+    return `reverted (${data.slice(0, 10)})`;
+}
+
+/**
+ * Percent lost between expected and actual amounts
+ */
+function lossPercent(expected, actual) {
+    if (expected === 0n) return 0;
+    if (actual >= expected) return 0;
+    return Number(((expected - actual) * 10000n) / expected) / 100;
+}
+
+/**
+ * Run calls from the simulator in a single eth_call
+ * @returns {Promise<Array<Object>>} [{ success, returnData }]
+ */
+async function simulateCalls(provider, chainId, calls, blockTag) {
+    if (!multicallCode.has(chainId)) {
+        multicallCode.set(chainId, await provider.getCode(MULTICALL3_ADDRESS));
+    }
+
+    const code = multicallCode.get(chainId);
+    if (code === '0x') {
+        throw new Error('Multicall3 not deployed on this chain');
+    }
+
+    const multicall = new ethers.Interface(MULTICALL3_ABI);
+    const value = calls.reduce((sum, call) => sum + call.value, 0n);
+    const data = multicall.encodeFunctionData('aggregate3Value', [calls.map(c => ({ ...c, allowFailure: true }))]);
+
+    const raw = await provider.send('eth_call', [
+        {
+            from: CALLER_ADDRESS,
+            to: SIMULATOR_ADDRESS,
+            data,
+            value: ethers.toQuantity(value),
+            gas: ethers.toQuantity(SIMULATION_GAS)
+        },
+        blockTag,
+        {
+            [SIMULATOR_ADDRESS]: { code },
+            [CALLER_ADDRESS]: { balance: ethers.toQuantity(ethers.parseEther('1000')) }
+        }
+    ]);
+
+    return multicall.decodeFunctionResult('aggregate3Value', raw)[0];
+}
+
+/**
+ * Simulate a buy and sell of a token
+ * @param {string} chainId - Chain ID (bsc, base, ethereum)
+ * @param {string} tokenAddress - Token to simulate
+ * @param {string} quoteTokenAddress - Pair quote token if not the wrapped native token (optional)
+ * @returns {Promise<Object|null>} { buyTax, sellTax, transferTax, isHoneypot, buyReverted, sellReverted, reason }
+ *   or null if the chain can't be simulated
+ */
+export async function simulateSwap(chainId, tokenAddress, quoteTokenAddress = null) {
+    const chainConfig = getChainConfig(chainId);
+    if (!chainConfig?.chainId || !chainConfig.dex?.router || !ethers.isAddress(tokenAddress)) {
+        return null;
+    }
+
+    const cacheKey = `${chainId}:${tokenAddress.toLowerCase()}`;
+    const cached = simulationCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < SIMULATION_TTL) {
+        return cached.result;
+    }
+
+    try {
+        const result = await runSimulation(chainId, chainConfig, ethers.getAddress(tokenAddress), quoteTokenAddress);
+        simulationCache.set(cacheKey, { result, timestamp: Date.now() });
+        return result;
+    } catch (err) {
+        logWarn(`Swap simulation failed for ${tokenAddress} on ${chainId}: ${err.message}`);
+        return cached?.result || null;
+    }
+}
+
+/**
+ * Buy, then (from the same block) buy again, transfer a slice and sell the rest
+ * The second pass needs the amount bought, which the first pass measures
+ */
+async function runSimulation(chainId, chainConfig, token, quoteTokenAddress) {
+    const provider = getProvider(chainId);
+    const { iface, route } = getRouter(chainConfig.dex);
+    const router = chainConfig.dex.router;
+    const weth = chainConfig.nativeToken.wrapped;
+
+    const hops = quoteTokenAddress && quoteTokenAddress.toLowerCase() !== weth.toLowerCase()
+        ? [weth, ethers.getAddress(quoteTokenAddress), token]
+        : [weth, token];
+    const buyRoute = route(hops);
+    const sellRoute = route([...hops].reverse());
+
+    const blockTag = ethers.toQuantity(await provider.getBlockNumber());
+    const deadline = Math.floor(Date.now() / 1000) + 3600;
+
+    const call = (target, callData, value = 0n) => ({ target, callData, value });
+    const buy = call(
+        router,
+        iface.encodeFunctionData('swapExactETHForTokensSupportingFeeOnTransferTokens', [0, buyRoute, SIMULATOR_ADDRESS, deadline]),
+        SIMULATION_AMOUNT
+    );
+
+    const result = {
+        chain: chainId,
+        token,
+        simulatedAt: Date.now(),
+        buyTax: null,
+        sellTax: null,
+        transferTax: null,
+        isHoneypot: null,
+        buyReverted: false,
+        sellReverted: false,
+        reason: null
+    };
+
+    // Pass 1: quote, buy, measure
+    const [quote, bought, balance] = await simulateCalls(provider, chainId, [
+        call(router, iface.encodeFunctionData('getAmountsOut', [SIMULATION_AMOUNT, buyRoute])),
+        buy,
+        call(token, ERC20.encodeFunctionData('balanceOf', [SIMULATOR_ADDRESS]))
+    ], blockTag);
+
+    if (!quote.success || !bought.success) {
+        result.buyReverted = true;
+        result.reason = `Buy failed: ${decodeRevert((bought.success ? quote : bought).returnData)}`;
+        return result;
+    }
+
+    const expectedTokens = iface.decodeFunctionResult('getAmountsOut', quote.returnData)[0].at(-1);
+    const received = ERC20.decodeFunctionResult('balanceOf', balance.returnData)[0];
+    result.buyTax = lossPercent(expectedTokens, received);
+
+    if (received === 0n) {
+        result.isHoneypot = true;
+        result.reason = 'Buy delivered no tokens';
+        return result;
+    }
+
+    // Pass 2: buy again, transfer a slice, sell the rest
+    const transferAmount = received / TRANSFER_TEST_DIVISOR;
+    const sellAmount = ((received - transferAmount) * 999n) / 1000n;
+
+    const [, transferred, recipientBalance, approved, sellQuote, sold, wethBalance] = await simulateCalls(provider, chainId, [
+        buy,
+        call(token, ERC20.encodeFunctionData('transfer', [RECIPIENT_ADDRESS, transferAmount])),
+        call(token, ERC20.encodeFunctionData('balanceOf', [RECIPIENT_ADDRESS])),
+        call(token, ERC20.encodeFunctionData('approve', [router, ethers.MaxUint256])),
+        call(router, iface.encodeFunctionData('getAmountsOut', [sellAmount, sellRoute])),
+        call(router, iface.encodeFunctionData('swapExactTokensForTokensSupportingFeeOnTransferTokens', [sellAmount, 0, sellRoute, SIMULATOR_ADDRESS, deadline])),
+        call(weth, ERC20.encodeFunctionData('balanceOf', [SIMULATOR_ADDRESS]))
+    ], blockTag);
+
+    if (transferred.success && transferAmount > 0n) {
+        const arrived = ERC20.decodeFunctionResult('balanceOf', recipientBalance.returnData)[0];
+        result.transferTax = lossPercent(transferAmount, arrived);
+    }
+
+    if (!approved.success || !sellQuote.success || !sold.success) {
+        const failed = [approved, sellQuote, sold].find(r => !r.success);
+        result.sellReverted = true;
+        result.isHoneypot = true;
+        result.reason = `Sell failed: ${decodeRevert(failed.returnData)}`;
+        return result;
+    }
+
+    const expectedOut = iface.decodeFunctionResult('getAmountsOut', sellQuote.returnData)[0].at(-1);
+    const actualOut = ERC20.decodeFunctionResult('balanceOf', wethBalance.returnData)[0];
+    result.sellTax = lossPercent(expectedOut, actualOut);
+    result.isHoneypot = result.sellTax >= HONEYPOT_SELL_TAX;
+    result.reason = result.isHoneypot
+        ? `Sell loses ${result.sellTax.toFixed(1)}% to tax`
+        : 'Buy and sell succeeded';
+
+    logDebug(`Simulated ${token} on ${chainId}: buy ${result.buyTax}% / sell ${result.sellTax}% / transfer ${result.transferTax}%`);
+    return result;
+}
+
+export default {
+    simulateSwap
+};
@@ -0,0 +1,217 @@
+/**
+ * Swap simulator against a local Anvil/Hardhat fork of a V2-router chain
+ * (BSC, Ethereum). Skipped unless FORK_RPC_URL is set:
+ *
+ *   anvil --fork-url https://bsc-dataseed.binance.org
+ *   FORK_RPC_URL=http://127.0.0.1:8545 npm test
+ *
+ * Each test deploys a token with known taxes, pairs it with the wrapped
+ * native token on the chain's router and checks what the simulator measures.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import config, { getChainConfig } from '../config/index.js';
+import { simulateSwap } from './swapSimulator.js';
+
+const FORK_RPC_URL = process.env.FORK_RPC_URL;
+
+/*
+ * TestToken, compiled with solc 0.8.24 (optimizer 200 runs, evmVersion paris).
+ * Transfers from the pair pay buyTax %, transfers to it sellTax % (to the
+ * owner, who is exempt); sellBlocked makes every sell revert.
+ *
+ *   contract TestToken {
+ *       mapping(address => uint256) public balanceOf;
+ *       mapping(address => mapping(address => uint256)) public allowance;
+ *       uint256 public totalSupply = 1e27;
+ *       uint8 public constant decimals = 18;
+ *       address public immutable owner = msg.sender;
+ *       address public pair;
+ *       uint256 public immutable buyTax;
+ *       uint256 public immutable sellTax;
+ *       bool public immutable sellBlocked;
+ *
+ *       constructor(uint256 buyTax_, uint256 sellTax_, bool sellBlocked_) {
+ *           buyTax = buyTax_;
+ *           sellTax = sellTax_;
+ *           sellBlocked = sellBlocked_;
+ *           balanceOf[msg.sender] = totalSupply;
+ *       }
+ *
+ *       function setPair(address pair_) external { require(msg.sender == owner); pair = pair_; }
+ *       // approve, transfer and transferFrom as usual, moving tokens with _transfer
+ *
+ *       function _transfer(address from, address to, uint256 amount) internal {
+ *           balanceOf[from] -= amount;
+ *           if (from != owner && to != owner) {
+ *               require(!(sellBlocked && to == pair), "Trading disabled");
+ *               uint256 fee = amount * (from == pair ? buyTax : to == pair ? sellTax : 0) / 100;
+ *               balanceOf[owner] += fee;
+ *               amount -= fee;
+ *           }
+ *           balanceOf[to] += amount;
+ *           emit Transfer(from, to, amount);
+ *       }
+ *   }
+ */
+const TEST_TOKEN_BYTECODE = '0x' + [
+    '6101006040526b033b2e3c9fd0803ce80000006002553360805234801561002557600080fd5b506040516109063803806109',
+    '068339810160408190526100449161006a565b60a09290925260c052151560e0526002543360009081526020819052604090',
+    '20556100a8565b60008060006060848603121561007f57600080fd5b83519250602084015191506040840151801515811461',
+    '009d57600080fd5b809150509250925092565b60805160a05160c05160e0516107f461011260003960008181610101015261',
+    '047801526000818161022d015261052d01526000818161016c01526105530152600081816101c80152818161036c01528181',
+    '6103ff0152818161043c015261058f01526107f46000f3fe608060405234801561001057600080fd5b50600436106100cf57',
+    '60003560e01c806370a082311161008c578063a8aa1b3111610066578063a8aa1b3114610202578063a9059cbb1461021557',
+    '8063cc1776d314610228578063dd62ed3e1461024f57600080fd5b806370a082311461018e5780638187f516146101ae5780',
+    '638da5cb5b146101c357600080fd5b8063095ea7b3146100d45780630a5ca5a9146100fc57806318160ddd14610123578063',
+    '23b872dd1461013a578063313ce5671461014d5780634f7041a514610167575b600080fd5b6100e76100e236600461068e56',
+    '5b61027a565b60405190151581526020015b60405180910390f35b6100e77f00000000000000000000000000000000000000',
+    '0000000000000000000000000081565b61012c60025481565b6040519081526020016100f3565b6100e76101483660046106',
+    'b8565b6102e7565b610155601281565b60405160ff90911681526020016100f3565b61012c7f000000000000000000000000',
+    '000000000000000000000000000000000000000081565b61012c61019c3660046106f4565b60006020819052908152604090',
+    '205481565b6101c16101bc3660046106f4565b610361565b005b6101ea7f0000000000000000000000000000000000000000',
+    '00000000000000000000000081565b6040516001600160a01b0390911681526020016100f3565b6003546101ea9060016001',
+    '60a01b031681565b6100e761022336600461068e565b6103b8565b61012c7f00000000000000000000000000000000000000',
+    '0000000000000000000000000081565b61012c61025d366004610716565b6001602090815260009283526040808420909152',
+    '90825290205481565b3360008181526001602090815260408083206001600160a01b03871680855292528083208590555191',
+    '9290917f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925906102d59086815260200190565b',
+    '60405180910390a35060015b92915050565b6001600160a01b03831660009081526001602090815260408083203384529091',
+    '528120546000191461034c576001600160a01b03841660009081526001602090815260408083203384529091528120805484',
+    '929061034690849061075f565b90915550505b6103578484846103ce565b5060019392505050565b336001600160a01b037f',
+    '0000000000000000000000000000000000000000000000000000000000000000161461039657600080fd5b60038054600160',
+    '0160a01b0319166001600160a01b0392909216919091179055565b60006103c53384846103ce565b50600192915050565b60',
+    '01600160a01b038316600090815260208190526040812080548392906103f690849061075f565b925050819055507f000000',
+    '00000000000000000000000000000000000000000000000000000000006001600160a01b0316836001600160a01b03161415',
+    '801561047157507f00000000000000000000000000000000000000000000000000000000000000006001600160a01b031682',
+    '6001600160a01b031614155b156105f1577f0000000000000000000000000000000000000000000000000000000000000000',
+    '80156104b057506003546001600160a01b038381169116145b156104f45760405162461bcd60e51b81526020600482015260',
+    '1060248201526f151c98591a5b99c8191a5cd8589b195960821b604482015260640160405180910390fd5b60035460009060',
+    '64906001600160a01b03868116911614610551576003546001600160a01b0385811691161461052b576000610573565b7f00',
+    '00000000000000000000000000000000000000000000000000000000000000610573565b7f00000000000000000000000000',
+    '000000000000000000000000000000000000005b61057d9084610772565b6105879190610789565b9050806000807f000000',
+    '00000000000000000000000000000000000000000000000000000000006001600160a01b03166001600160a01b0316815260',
+    '200190815260200160002060008282546105dd91906107ab565b909155506105ed9050818361075f565b9150505b60016001',
+    '60a01b038216600090815260208190526040812080548392906106199084906107ab565b92505081905550816001600160a0',
+    '1b0316836001600160a01b03167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef83604051',
+    '61066591815260200190565b60405180910390a3505050565b80356001600160a01b038116811461068957600080fd5b9190',
+    '50565b600080604083850312156106a157600080fd5b6106aa83610672565b946020939093013593505050565b6000806000',
+    '606084860312156106cd57600080fd5b6106d684610672565b92506106e460208501610672565b9150604084013590509250',
+    '925092565b60006020828403121561070657600080fd5b61070f82610672565b9392505050565b6000806040838503121561',
+    '072957600080fd5b61073283610672565b915061074060208401610672565b90509250929050565b634e487b7160e01b6000',
+    '52601160045260246000fd5b818103818111156102e1576102e1610749565b80820281158282048414176102e1576102e161',
+    '0749565b6000826107a657634e487b7160e01b600052601260045260246000fd5b500490565b808201808211156102e15761',
+    '02e161074956fea2646970667358221220e8c3133b0b50b5a0a79ded3c33860b369e052fc24cd2916ece6b2647165cf83c64',
+    '736f6c63430008180033'
+].join('');
+
+const TEST_TOKEN_ABI = [
+    'constructor(uint256 buyTax, uint256 sellTax, bool sellBlocked)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function setPair(address pair)'
+];
+
+const V2_ROUTER_ABI = [
+    'function addLiquidityETH(address token, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline) payable returns (uint256, uint256, uint256)'
+];
+
+const V2_FACTORY_ABI = ['function getPair(address tokenA, address tokenB) view returns (address)'];
+
+// Liquidity of each test pair: deep enough that the simulated swap barely moves the price
+const LIQUIDITY_NATIVE = ethers.parseEther('100');
+const LIQUIDITY_TOKENS = ethers.parseEther('1000000');
+
+let chain = null;
+let deployer;
+let provider;
+
+before(async () => {
+    if (!FORK_RPC_URL) return;
+
+    // Uncached: the deployer's nonce is read again right after each transaction
+    provider = new ethers.JsonRpcProvider(FORK_RPC_URL, undefined, { cacheTimeout: -1 });
+    const { chainId } = await provider.getNetwork();
+    chain = Object.keys(config.chains).find(id => BigInt(config.chains[id].chainId || 0) === chainId) || null;
+
+    if (!chain || getChainConfig(chain).dex?.type !== 'v2') {
+        chain = null;
+        return;
+    }
+
+    // The simulator reads through the RPC pool: only the fork
+    config.rpc.endpoints[chain] = [FORK_RPC_URL];
+
+    deployer = ethers.Wallet.createRandom().connect(provider);
+    const balance = ethers.toQuantity(ethers.parseEther('10000'));
+    await provider.send('anvil_setBalance', [deployer.address, balance])
+        .catch(() => provider.send('hardhat_setBalance', [deployer.address, balance]));
+});
+
+after(() => provider?.destroy());
+
+/**
+ * Deploy a test token and add liquidity for it on the chain's router
+ * @returns {Promise<string>} Token address
+ */
+async function deployPairedToken(buyTax, sellTax, sellBlocked = false) {
+    const { dex, nativeToken } = getChainConfig(chain);
+
+    const factory = new ethers.ContractFactory(TEST_TOKEN_ABI, TEST_TOKEN_BYTECODE, deployer);
+    const token = await factory.deploy(buyTax, sellTax, sellBlocked);
+    await token.waitForDeployment();
+    const tokenAddress = await token.getAddress();
+
+    await (await token.approve(dex.router, ethers.MaxUint256)).wait();
+
+    const router = new ethers.Contract(dex.router, V2_ROUTER_ABI, deployer);
+    const deadline = Math.floor(Date.now() / 1000) + 3600;
+    await (await router.addLiquidityETH(tokenAddress, LIQUIDITY_TOKENS, 0, 0, deployer.address, deadline, { value: LIQUIDITY_NATIVE })).wait();
+
+    const pair = await new ethers.Contract(dex.factory, V2_FACTORY_ABI, provider).getPair(tokenAddress, nativeToken.wrapped);
+    await (await token.setPair(pair)).wait();
+
+    return tokenAddress;
+}
+
+test('measures no tax on a plain token', { skip: !FORK_RPC_URL && 'FORK_RPC_URL not set' }, async (t) => {
+    if (!chain) return t.skip('fork is not of a V2-router chain');
+
+    const result = await simulateSwap(chain, await deployPairedToken(0, 0));
+
+    assert.equal(result.isHoneypot, false);
+    assert.equal(result.buyTax, 0);
+    assert.ok(result.sellTax < 0.5, `sell tax ${result.sellTax}`);
+    assert.equal(result.transferTax, 0);
+});
+
+test('measures buy and sell tax', { skip: !FORK_RPC_URL && 'FORK_RPC_URL not set' }, async (t) => {
+    if (!chain) return t.skip('fork is not of a V2-router chain');
+
+    const result = await simulateSwap(chain, await deployPairedToken(5, 10));
+
+    assert.equal(result.isHoneypot, false);
+    assert.ok(Math.abs(result.buyTax - 5) < 0.5, `buy tax ${result.buyTax}`);
+    assert.ok(Math.abs(result.sellTax - 10) < 0.5, `sell tax ${result.sellTax}`);
+    assert.equal(result.transferTax, 0);
+});
+
+test('flags a token whose sells revert as a honeypot', { skip: !FORK_RPC_URL && 'FORK_RPC_URL not set' }, async (t) => {
+    if (!chain) return t.skip('fork is not of a V2-router chain');
+
+    const result = await simulateSwap(chain, await deployPairedToken(0, 0, true));
+
+    assert.equal(result.isHoneypot, true);
+    assert.equal(result.sellReverted, true);
+    assert.match(result.reason, /^Sell failed/);
+});
+
+test('flags a token whose sell tax takes nearly everything as a honeypot', { skip: !FORK_RPC_URL && 'FORK_RPC_URL not set' }, async (t) => {
+    if (!chain) return t.skip('fork is not of a V2-router chain');
+
+    const result = await simulateSwap(chain, await deployPairedToken(0, 95));
+
+    assert.equal(result.isHoneypot, true);
+    assert.equal(result.sellReverted, false);
+    assert.ok(result.sellTax >= 90, `sell tax ${result.sellTax}`);
+});
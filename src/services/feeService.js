@@ -6,6 +6,8 @@
  */
 
 import { logInfo, logError } from '../logging/logger.js';
+import { getProvider, getSolanaConnection } from './rpcManager.js';
+import { sendAndConfirm } from '../execution/txManager.js';
 
 // Fee configuration
 export const TRADING_FEE_PERCENT = 0.5; // 0.5% per trade
@@ -163,8 +165,8 @@ export async function transferFeeToDevWallet(chain, amountNative, wallet) {
     try {
         if (chain === 'solana') {
             // Solana transfer
-            const { Connection, PublicKey, SystemProgram, Transaction } = await import('@solana/web3.js');
-            const connection = new Connection(process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com');
+            const { PublicKey, SystemProgram, Transaction } = await import('@solana/web3.js');
+            const connection = getSolanaConnection();
 
             const lamports = Math.floor(amountNative * 1e9); // SOL to lamports
 
@@ -186,24 +188,24 @@ export async function transferFeeToDevWallet(chain, amountNative, wallet) {
             return { success: true, txHash, chain: 'solana' };
 
         } else {
-            // EVM transfer (BSC, Base)
+            // EVM transfer (BSC, Base), through txManager: the trade that owes
+            // the fee and later ones from the wallet share its nonces
             const { ethers } = await import('ethers');
-            const rpcUrl = chain === 'base'
-                ? (process.env.BASE_RPC_URL || 'https://mainnet.base.org')
-                : (process.env.BSC_RPC_URL || 'https://bsc-dataseed.binance.org');
-
-            const provider = new ethers.JsonRpcProvider(rpcUrl);
+            const provider = getProvider(chain === 'base' ? 'base' : 'bsc');
             const signer = new ethers.Wallet(wallet.privateKey, provider);
 
-            const tx = await signer.sendTransaction({
+            const { hash, receipt } = await sendAndConfirm(signer, chain, {
                 to: feeWallet,
-                value: ethers.parseEther(amountNative.toString())
+                value: ethers.parseEther(amountNative.toString()),
+                data: '0x'
             });
 
-            await tx.wait();
+            if (receipt.status !== 1) {
+                throw new Error(`Fee transfer reverted: ${hash}`);
+            }
 
-            logInfo(`💰 Fee transferred to dev wallet (${chain.toUpperCase()}): ${amountNative} native, tx: ${tx.hash}`);
-            return { success: true, txHash: tx.hash, chain };
+            logInfo(`💰 Fee transferred to dev wallet (${chain.toUpperCase()}): ${amountNative} native, tx: ${hash}`);
+            return { success: true, txHash: hash, chain };
         }
     } catch (err) {
         logError(`Failed to transfer fee on ${chain}`, err);
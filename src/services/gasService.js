@@ -1,15 +1,12 @@
 /**
  * RedFace Trading Bot - Gas Service
  * 
- * Monitors network gas prices for BSC, Base, and Solana
+ * Monitors network gas prices for BSC, Base, and Solana, and estimates
+ * EIP-1559 fees for live transactions
  */
 
 import { logError } from '../logging/logger.js';
-
-// Default RPCs (should be env vars in production)
-const BSC_RPC = process.env.BSC_RPC_URL || 'https://bsc-dataseed1.binance.org';
-const BASE_RPC = process.env.BASE_RPC_URL || 'https://mainnet.base.org';
-const SOLANA_RPC = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+import { getProvider, getSolanaConnection } from './rpcManager.js';
 
 /**
  * Get BSC Gas Price (Gwei)
@@ -17,7 +14,7 @@ const SOLANA_RPC = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solan
 export async function getBscGasPrice() {
     try {
         const { ethers } = await import('ethers');
-        const provider = new ethers.JsonRpcProvider(BSC_RPC);
+        const provider = getProvider('bsc');
         const feeData = await provider.getFeeData();
         return {
             gasPrice: ethers.formatUnits(feeData.gasPrice, 'gwei'),
@@ -35,7 +32,7 @@ export async function getBscGasPrice() {
 export async function getBaseGasPrice() {
     try {
         const { ethers } = await import('ethers');
-        const provider = new ethers.JsonRpcProvider(BASE_RPC);
+        const provider = getProvider('base');
         const feeData = await provider.getFeeData();
 
         // EIP-1559 support
@@ -53,13 +50,48 @@ export async function getBaseGasPrice() {
     }
 }
 
+/**
+ * Fees for an EVM transaction: next block's base fee (doubled, so the tx
+ * survives a few full blocks) plus the median priority fee of recent blocks.
+ * Chains without a base fee get a legacy gas price
+ * @param {Object} provider - ethers provider for the chain
+ * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice } (wei, bigint)
+ */
+export async function getEvmFees(provider) {
+    const feeData = await provider.getFeeData();
+
+    let history = null;
+    try {
+        history = await provider.send('eth_feeHistory', ['0xa', 'latest', [50]]);
+    } catch (err) {
+        // Pre-London chain or RPC without fee history
+    }
+
+    const baseFees = history?.baseFeePerGas;
+    if (!baseFees?.length) {
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    const nextBaseFee = BigInt(baseFees[baseFees.length - 1]);
+    const rewards = (history.reward || []).map(r => BigInt(r[0])).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    let priorityFee = rewards.length ? rewards[Math.floor(rewards.length / 2)] : 0n;
+
+    if (priorityFee === 0n) {
+        priorityFee = feeData.maxPriorityFeePerGas ?? feeData.gasPrice ?? 0n;
+    }
+
+    return {
+        maxFeePerGas: nextBaseFee * 2n + priorityFee,
+        maxPriorityFeePerGas: priorityFee
+    };
+}
+
 /**
  * Get Solana Fee / Performance
  */
 export async function getSolanaStatus() {
     try {
-        const { Connection } = await import('@solana/web3.js');
-        const connection = new Connection(SOLANA_RPC);
+        const connection = getSolanaConnection();
 
         const perf = await connection.getRecentPerformanceSamples(1);
         const tps = perf && perf[0] ? (perf[0].numTransactions / perf[0].samplePeriodSecs).toFixed(0) : 'Unknown';
@@ -94,6 +126,7 @@ export async function getNetworkStats() {
 export default {
     getBscGasPrice,
     getBaseGasPrice,
+    getEvmFees,
     getSolanaStatus,
     getNetworkStats
 };
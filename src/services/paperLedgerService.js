@@ -0,0 +1,356 @@
+/**
+ * RedFace Trading Bot - Paper Ledger Service
+ *
+ * Per-user paper trading accounts persisted in Supabase, so paper
+ * balances and open positions survive redeploys on hosts with an
+ * ephemeral filesystem (Render, Koyeb):
+ *   - Starting balance and per-chain balances
+ *   - Open positions (restored into the bot state on startup)
+ *   - Fills and realized PnL
+ *   - Account reset (/paper_reset)
+ *
+ * Accounts are keyed by users.id and cached in memory; every change is
+ * written through. Without Supabase the ledger runs memory-only.
+ */
+
+import { logInfo, logError, logWarn } from '../logging/logger.js';
+import { getSupabase } from '../database/supabase.js';
+import config from '../config/index.js';
+import { getOpenPositions, restorePosition, removePosition } from '../automation/state.js';
+
+// Chains every paper account holds a balance on
+const PAPER_CHAINS = ['bsc', 'base', 'solana'];
+
+// In-memory cache: userId -> account
+const accounts = new Map();
+
+// Accounts being loaded: userId -> Promise<account>
+const loading = new Map();
+
+let warnedMemoryOnly = false;
+
+/**
+ * Get Supabase, warning once when the ledger has to run memory-only
+ */
+function getLedgerDb() {
+    const supabase = getSupabase();
+
+    if (!supabase && !warnedMemoryOnly) {
+        logWarn('Supabase not configured, paper ledger will use memory-only mode');
+        warnedMemoryOnly = true;
+    }
+
+    return supabase;
+}
+
+/**
+ * Fresh account with the starting balance on every chain
+ */
+function createAccount(userId) {
+    const startingBalance = config.paper.startingBalance;
+
+    return {
+        userId,
+        startingBalance,
+        balances: Object.fromEntries(PAPER_CHAINS.map(chain => [chain, startingBalance])),
+        realizedPnL: 0,
+        resetAt: null,
+        // Serializes writes so an older snapshot never lands after a newer one
+        saving: Promise.resolve()
+    };
+}
+
+/**
+ * Write the account row (queued behind earlier writes)
+ */
+function persistAccount(account) {
+    const supabase = getLedgerDb();
+    if (!supabase) return Promise.resolve();
+
+    account.saving = account.saving.then(async () => {
+        try {
+            const { error } = await supabase
+                .from('paper_accounts')
+                .upsert({
+                    user_id: account.userId,
+                    starting_balance: account.startingBalance,
+                    balances: account.balances,
+                    realized_pnl: account.realizedPnL,
+                    reset_at: account.resetAt,
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'user_id' });
+
+            if (error) throw error;
+        } catch (err) {
+            logError(`Failed to persist paper account for ${account.userId}`, err);
+        }
+    });
+
+    return account.saving;
+}
+
+/**
+ * Load an account from the database, creating it on first use
+ * @throws {Error} If the account can't be read: a default account must never
+ *   stand in for (and then overwrite) the stored one
+ */
+async function loadAccount(userId) {
+    const supabase = getLedgerDb();
+    const account = createAccount(userId);
+
+    if (!supabase) return account;
+
+    const { data, error } = await supabase
+        .from('paper_accounts')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        logError(`Failed to load paper account for ${userId}`, error);
+        throw new Error('Paper account unavailable, try again shortly');
+    }
+
+    if (data) {
+        account.startingBalance = parseFloat(data.starting_balance);
+        account.balances = { ...account.balances, ...data.balances };
+        account.realizedPnL = parseFloat(data.realized_pnl) || 0;
+        account.resetAt = data.reset_at;
+    } else {
+        await persistAccount(account);
+        logInfo(`Paper account created for user ${userId}`);
+    }
+
+    return account;
+}
+
+/**
+ * Get a user's paper account
+ * @param {string} userId - users.id
+ * @returns {Promise<Object>} { userId, startingBalance, balances, realizedPnL, resetAt }
+ * @throws {Error} If the account can't be loaded (nothing is cached, the next call retries)
+ */
+export async function getPaperAccount(userId) {
+    if (accounts.has(userId)) {
+        return accounts.get(userId);
+    }
+
+    if (!loading.has(userId)) {
+        loading.set(userId, loadAccount(userId).then(account => {
+            accounts.set(userId, account);
+            return account;
+        }).finally(() => {
+            loading.delete(userId);
+        }));
+    }
+
+    return loading.get(userId);
+}
+
+/**
+ * Get a user's paper balance on a chain (USD)
+ */
+export async function getPaperBalance(userId, chainId) {
+    const account = await getPaperAccount(userId);
+    return account.balances[chainId] || 0;
+}
+
+/**
+ * Add to (or with a negative amount, deduct from) a user's paper balance
+ * @returns {Promise<number>} New balance
+ */
+export async function adjustPaperBalance(userId, chainId, amount) {
+    const account = await getPaperAccount(userId);
+
+    account.balances[chainId] = (account.balances[chainId] || 0) + amount;
+    persistAccount(account);
+
+    return account.balances[chainId];
+}
+
+/**
+ * Save an open paper position (no-op for positions without an owner)
+ * @param {Object} position - Position from the bot state
+ */
+export async function savePaperPosition(position) {
+    if (!position?.userId || position.mode !== 'PAPER') return;
+
+    const supabase = getLedgerDb();
+    if (!supabase) return;
+
+    // The originating signal carries the whole market snapshot, not worth storing
+    const { signal, ...data } = position;
+
+    try {
+        const { error } = await supabase
+            .from('paper_positions')
+            .upsert({
+                id: position.id,
+                user_id: position.userId,
+                chain: position.chain,
+                token: position.token,
+                token_address: position.tokenAddress,
+                pair_address: position.pairAddress,
+                entry_price: position.entryPrice,
+                token_amount: position.tokenAmount,
+                position_size_usd: position.positionSizeUsd,
+                data,
+                status: 'OPEN',
+                opened_at: new Date(position.openedAt).toISOString()
+            }, { onConflict: 'id' });
+
+        if (error) throw error;
+    } catch (err) {
+        logError(`Failed to persist paper position ${position.id}`, err);
+    }
+}
+
+/**
+ * Mark a paper position as no longer open
+ * @param {string} positionId - Position ID
+ * @param {string} status - 'CLOSED' or 'RESET'
+ */
+export async function closePaperPosition(positionId, status = 'CLOSED') {
+    const supabase = getLedgerDb();
+    if (!supabase) return;
+
+    try {
+        const { error } = await supabase
+            .from('paper_positions')
+            .update({ status, closed_at: new Date().toISOString() })
+            .eq('id', positionId);
+
+        if (error) throw error;
+    } catch (err) {
+        logError(`Failed to close paper position ${positionId}`, err);
+    }
+}
+
+/**
+ * Record a paper fill; sells add their PnL to the account's realized PnL
+ * @param {string} userId - users.id
+ * @param {Object} fill - { positionId, chain, token, side, price, tokenAmount, amountUsd, pnl, partial, reason }
+ */
+export async function recordPaperFill(userId, fill) {
+    if (fill.side === 'SELL') {
+        const account = await getPaperAccount(userId);
+        account.realizedPnL += fill.pnl || 0;
+        persistAccount(account);
+    }
+
+    const supabase = getLedgerDb();
+    if (!supabase) return;
+
+    try {
+        const { error } = await supabase
+            .from('paper_fills')
+            .insert({
+                user_id: userId,
+                position_id: fill.positionId,
+                chain: fill.chain,
+                token: fill.token,
+                side: fill.side,
+                price: fill.price,
+                token_amount: fill.tokenAmount,
+                amount_usd: fill.amountUsd,
+                pnl: fill.pnl || 0,
+                partial: fill.partial || false,
+                reason: fill.reason || null
+            });
+
+        if (error) throw error;
+    } catch (err) {
+        logError(`Failed to record paper fill for ${userId}`, err);
+    }
+}
+
+/**
+ * Restore every user's open paper positions into the bot state
+ * Called on startup, before the position monitor runs
+ * @returns {Promise<number>} Positions restored
+ */
+export async function restorePaperPositions() {
+    const supabase = getLedgerDb();
+    if (!supabase) return 0;
+
+    try {
+        const { data, error } = await supabase
+            .from('paper_positions')
+            .select('id, user_id, data')
+            .eq('status', 'OPEN');
+
+        if (error) throw error;
+
+        let restored = 0;
+        for (const row of data || []) {
+            if (restorePosition({ ...row.data, id: row.id, userId: row.user_id, mode: 'PAPER' })) {
+                restored++;
+            }
+        }
+
+        if (restored > 0) {
+            logInfo(`Restored ${restored} paper position(s) from the ledger`);
+        }
+
+        return restored;
+    } catch (err) {
+        logError('Failed to restore paper positions', err);
+        return 0;
+    }
+}
+
+/**
+ * Reset a user's paper account: drop open positions, restore the
+ * starting balance on every chain and zero the realized PnL
+ * @returns {Promise<Object>} { positionsClosed, startingBalance }
+ */
+export async function resetPaperAccount(userId) {
+    const account = await getPaperAccount(userId);
+    const positions = getOpenPositions(userId).filter(p => p.mode === 'PAPER');
+
+    for (const position of positions) {
+        removePosition(position.id);
+        await closePaperPosition(position.id, 'RESET');
+    }
+
+    account.startingBalance = config.paper.startingBalance;
+    account.balances = Object.fromEntries(PAPER_CHAINS.map(chain => [chain, account.startingBalance]));
+    account.realizedPnL = 0;
+    account.resetAt = new Date().toISOString();
+    await persistAccount(account);
+
+    logInfo(`Paper account reset for user ${userId} (${positions.length} position(s) dropped)`);
+
+    return { positionsClosed: positions.length, startingBalance: account.startingBalance };
+}
+
+/**
+ * Summarize a user's paper account for display
+ */
+export async function getPaperAccountSummary(userId) {
+    const account = await getPaperAccount(userId);
+    const positions = getOpenPositions(userId).filter(p => p.mode === 'PAPER');
+    const totalBalance = Object.values(account.balances).reduce((sum, b) => sum + b, 0);
+
+    return {
+        startingBalance: account.startingBalance,
+        balances: { ...account.balances },
+        totalBalance,
+        realizedPnL: account.realizedPnL,
+        openPositions: positions.length,
+        openPositionsUsd: positions.reduce((sum, p) => sum + (p.positionSizeUsd || 0), 0),
+        resetAt: account.resetAt
+    };
+}
+
+export default {
+    getPaperAccount,
+    getPaperBalance,
+    adjustPaperBalance,
+    savePaperPosition,
+    closePaperPosition,
+    recordPaperFill,
+    restorePaperPositions,
+    resetPaperAccount,
+    getPaperAccountSummary
+};
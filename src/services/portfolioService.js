@@ -0,0 +1,485 @@
+/**
+ * RedFace Trading Bot - Portfolio Service
+ *
+ * Finds every token a user's wallets hold and values it:
+ *   - EVM (BSC/Base): tokens received in ERC-20 Transfer logs, read on from
+ *     the last block scanned (at most PORTFOLIO_SCAN_BLOCKS per scan), plus
+ *     every token the user traded through the bot
+ *   - Solana: every SPL and Token-2022 token account of the wallet
+ * Holdings are priced from their deepest DexScreener pair, or else an on-chain
+ * sell quote (EVM) or Jupiter (Solana). EVM holdings worth more than their
+ * pool's liquidity are valued at the sell quote instead.
+ *
+ * Cost basis is the average native cost of the user's confirmed orders, gas
+ * included; sells take their share of it out. PnL compares the value with
+ * that cost at today's native price (the gain in BNB/ETH/SOL terms). Tokens
+ * held beyond what the bot bought have no cost basis.
+ *
+ * Tokens found and scan cursors are kept in wallet_tokens and
+ * wallet_token_scans (in memory only without Supabase).
+ */
+
+import { ethers } from 'ethers';
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { logWarn, logError, logDebug } from '../logging/logger.js';
+import { getSupabase } from '../database/supabase.js';
+import config, { getChainConfig } from '../config/index.js';
+import { getProvider, getSolanaConnection } from './rpcManager.js';
+import { getTokenInfo, getTokenBalance, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from './tokenService.js';
+import { getTokenMarket, getNativePriceUsd } from '../data/priceEngine.js';
+import { jupiterPriceSource } from '../data/priceSources.js';
+import { resolveRoute, quoteSwap } from '../execution/dexRouter.js';
+import { getConfirmedOrders } from '../execution/orderStore.js';
+import { getUserByTelegramId, getUserWallets } from '../wallet/userWalletManager.js';
+
+// Chains an EVM wallet is scanned on
+const EVM_CHAINS = ['bsc', 'base'];
+
+// Blocks per eth_getLogs request (public RPCs cap the range)
+const LOG_CHUNK_BLOCKS = 1000;
+
+// Token balances read at once
+const BALANCE_BATCH_SIZE = 20;
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+// Scan state per chain and wallet: { lastBlock, tokens (Set of checksummed addresses) }
+const scanStates = new Map();
+
+// Scans running per chain and wallet, so a double tap reads the logs once
+const runningScans = new Map();
+
+// Token info by holding key (decimals and symbols don't change)
+const tokenInfoCache = new Map();
+
+// Portfolios by Telegram ID: { portfolio, at }
+const portfolioCache = new Map();
+
+/**
+ * Key of a token on a chain (Solana mints are case-sensitive)
+ */
+function holdingKey(chain, tokenAddress) {
+    return `${chain}:${chain === 'solana' ? tokenAddress : tokenAddress.toLowerCase()}`;
+}
+
+function shortAddress(address) {
+    return `${address.slice(0, 6)}...`;
+}
+
+/**
+ * Tokens found so far for a wallet and the last block scanned
+ */
+async function loadScanState(chain, walletAddress) {
+    const key = holdingKey(chain, walletAddress);
+    if (scanStates.has(key)) return scanStates.get(key);
+
+    const state = { lastBlock: null, tokens: new Set() };
+    const supabase = getSupabase();
+
+    if (supabase) {
+        const address = walletAddress.toLowerCase();
+        const [scan, tokens] = await Promise.all([
+            supabase.from('wallet_token_scans').select('last_block').eq('chain', chain).eq('wallet_address', address).maybeSingle(),
+            supabase.from('wallet_tokens').select('token_address').eq('chain', chain).eq('wallet_address', address)
+        ]);
+
+        if (scan.error) throw scan.error;
+        if (tokens.error) throw tokens.error;
+
+        state.lastBlock = scan.data ? Number(scan.data.last_block) : null;
+        for (const row of tokens.data || []) {
+            state.tokens.add(row.token_address);
+        }
+    }
+
+    scanStates.set(key, state);
+    return state;
+}
+
+/**
+ * Record tokens found and how far a wallet was scanned
+ * Tokens are written first, so the cursor never moves past a token not saved
+ */
+async function saveScanState(chain, walletAddress, lastBlock, found) {
+    const supabase = getSupabase();
+    if (!supabase) return;
+
+    const address = walletAddress.toLowerCase();
+    try {
+        if (found.length > 0) {
+            const { error } = await supabase
+                .from('wallet_tokens')
+                .upsert(found.map(token => ({ chain, wallet_address: address, token_address: token })), {
+                    onConflict: 'chain,wallet_address,token_address',
+                    ignoreDuplicates: true
+                });
+
+            if (error) throw error;
+        }
+
+        const { error } = await supabase
+            .from('wallet_token_scans')
+            .upsert({ chain, wallet_address: address, last_block: lastBlock, updated_at: new Date().toISOString() }, {
+                onConflict: 'chain,wallet_address'
+            });
+
+        if (error) throw error;
+    } catch (err) {
+        logError(`Failed to save token scan of ${walletAddress} on ${chain}`, err);
+    }
+}
+
+/**
+ * Read the Transfer logs to a wallet since its last scan
+ * A wallet not scanned for longer than PORTFOLIO_SCAN_BLOCKS skips the gap;
+ * a failing request ends the scan there, the next one goes on from it
+ * @returns {Promise<Set<string>>} Every token the wallet was seen receiving
+ */
+async function runEvmScan(chain, walletAddress) {
+    const state = await loadScanState(chain, walletAddress);
+    const provider = getProvider(chain);
+    const latest = await provider.getBlockNumber();
+
+    const oldest = Math.max(0, latest - config.portfolio.scanBlocks + 1);
+    const start = state.lastBlock === null ? oldest : Math.max(state.lastBlock + 1, oldest);
+    const recipient = ethers.zeroPadValue(walletAddress, 32);
+
+    const found = [];
+    let scanned = null;
+
+    for (let fromBlock = start; fromBlock <= latest; fromBlock += LOG_CHUNK_BLOCKS) {
+        const toBlock = Math.min(latest, fromBlock + LOG_CHUNK_BLOCKS - 1);
+
+        try {
+            const logs = await provider.getLogs({ topics: [TRANSFER_TOPIC, null, recipient], fromBlock, toBlock });
+            for (const log of logs) {
+                // ERC-721 transfers index the token ID as a fourth topic
+                if (log.topics.length !== 3) continue;
+
+                const token = ethers.getAddress(log.address);
+                if (!state.tokens.has(token)) {
+                    state.tokens.add(token);
+                    found.push(token);
+                }
+            }
+            scanned = toBlock;
+        } catch (err) {
+            logWarn(`Transfer logs unavailable for ${walletAddress} on ${chain} (${fromBlock}-${toBlock}): ${err.message}`);
+            break;
+        }
+    }
+
+    if (scanned !== null) {
+        state.lastBlock = scanned;
+        await saveScanState(chain, walletAddress, scanned, found);
+    }
+
+    return state.tokens;
+}
+
+/**
+ * Tokens an EVM wallet has received, scanned up to the latest block
+ */
+async function scanEvmWallet(chain, walletAddress) {
+    const key = holdingKey(chain, walletAddress);
+
+    if (!runningScans.has(key)) {
+        runningScans.set(key, runEvmScan(chain, walletAddress).finally(() => runningScans.delete(key)));
+    }
+
+    return runningScans.get(key);
+}
+
+/**
+ * Token info, cached (null if the address is not a token)
+ */
+async function getCachedTokenInfo(chain, tokenAddress) {
+    const key = holdingKey(chain, tokenAddress);
+    if (tokenInfoCache.has(key)) return tokenInfoCache.get(key);
+
+    try {
+        const info = await getTokenInfo(chain, tokenAddress);
+        tokenInfoCache.set(key, info);
+        return info;
+    } catch (err) {
+        logDebug(`Skipping ${tokenAddress} on ${chain}: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Tokens an EVM wallet holds
+ * @param {string} chain - bsc | base
+ * @param {string} walletAddress - Wallet address
+ * @param {Array<string>} traded - Tokens the user traded on the chain, checked even if not found in the logs
+ * @returns {Promise<Array<Object>>} [{ tokenAddress, symbol, decimals, amountRaw }]
+ */
+async function getEvmHoldings(chain, walletAddress, traded) {
+    const received = await scanEvmWallet(chain, walletAddress);
+    const tokens = [...new Set([...received, ...traded.map(t => ethers.getAddress(t))])];
+    const holdings = [];
+
+    for (let i = 0; i < tokens.length; i += BALANCE_BATCH_SIZE) {
+        const batch = tokens.slice(i, i + BALANCE_BATCH_SIZE);
+        const balances = await Promise.all(batch.map(token => getTokenBalance(chain, token, walletAddress).catch(() => 0n)));
+
+        for (let j = 0; j < batch.length; j++) {
+            if (balances[j] === 0n) continue;
+
+            const info = await getCachedTokenInfo(chain, batch[j]);
+            if (!info) continue;
+
+            holdings.push({ tokenAddress: info.address, symbol: info.symbol, decimals: info.decimals, amountRaw: balances[j] });
+        }
+    }
+
+    return holdings;
+}
+
+/**
+ * Tokens a Solana wallet holds, from all its token accounts
+ * @returns {Promise<Array<Object>>} [{ tokenAddress, symbol (null), decimals, amountRaw }]
+ */
+async function getSolanaHoldings(walletAddress) {
+    const connection = getSolanaConnection();
+    const owner = new PublicKey(walletAddress);
+
+    const results = await Promise.all([TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]
+        .map(programId => connection.getParsedTokenAccountsByOwner(owner, { programId })));
+
+    const holdings = new Map();
+    for (const { value } of results) {
+        for (const account of value) {
+            const info = account.account.data.parsed.info;
+            const amount = BigInt(info.tokenAmount.amount);
+            if (amount === 0n) continue;
+
+            const holding = holdings.get(info.mint)
+                || { tokenAddress: info.mint, symbol: null, decimals: info.tokenAmount.decimals, amountRaw: 0n };
+            holding.amountRaw += amount;
+            holdings.set(info.mint, holding);
+        }
+    }
+
+    return [...holdings.values()];
+}
+
+/**
+ * Native balance of a wallet on a chain
+ */
+async function getNativeBalance(chain, walletAddress) {
+    if (chain === 'solana') {
+        return (await getSolanaConnection().getBalance(new PublicKey(walletAddress))) / LAMPORTS_PER_SOL;
+    }
+
+    return Number(ethers.formatEther(await getProvider(chain).getBalance(walletAddress)));
+}
+
+/**
+ * USD value of selling a whole EVM holding, from an on-chain quote
+ */
+async function quoteHoldingUsd(holding, pairAddress, nativePriceUsd) {
+    const provider = getProvider(holding.chain);
+    const route = await resolveRoute(holding.chain, holding.tokenAddress, pairAddress, provider);
+    const nativeOut = await quoteSwap(route, 'SELL', holding.amountRaw, provider);
+
+    return Number(ethers.formatEther(nativeOut)) * nativePriceUsd;
+}
+
+/**
+ * Price a token holding
+ * @returns {Promise<Object|null>} { priceUsd, symbol, source }, null if it has no price
+ */
+async function priceHolding(holding, nativePriceUsd) {
+    const market = await getTokenMarket(holding.chain, holding.tokenAddress);
+    const isEvm = holding.chain !== 'solana';
+
+    try {
+        // More than the pool holds can't be sold at the pool price
+        if (market && !(isEvm && nativePriceUsd && holding.amount * market.priceUsd > market.liquidityUsd)) {
+            return { priceUsd: market.priceUsd, symbol: market.symbol, source: 'DEXSCREENER' };
+        }
+
+        if (isEvm && nativePriceUsd) {
+            const valueUsd = await quoteHoldingUsd(holding, market?.pairAddress || null, nativePriceUsd);
+            return valueUsd > 0 ? { priceUsd: valueUsd / holding.amount, symbol: market?.symbol, source: 'QUOTE' } : null;
+        }
+
+        if (!isEvm) {
+            const price = await jupiterPriceSource.fetchPrice('solana', null, { baseToken: { address: holding.tokenAddress } });
+            return price ? { priceUsd: price.usd, symbol: null, source: 'JUPITER' } : null;
+        }
+    } catch (err) {
+        logDebug(`No quote for ${holding.tokenAddress} on ${holding.chain}: ${err.message}`);
+    }
+
+    return market ? { priceUsd: market.priceUsd, symbol: market.symbol, source: 'DEXSCREENER' } : null;
+}
+
+/**
+ * Native cost of the tokens a user's confirmed orders left them holding
+ * @param {string} userId - users.id
+ * @returns {Promise<Map>} By holding key: { chain, tokenAddress, token, tokens, costNative }
+ */
+async function getCostBasis(userId) {
+    const basis = new Map();
+
+    for (const order of await getConfirmedOrders(userId)) {
+        const fill = order.data?.fill;
+        if (!fill || !order.tokenAddress) continue;
+
+        const key = holdingKey(order.chain, order.tokenAddress);
+        const entry = basis.get(key)
+            || { chain: order.chain, tokenAddress: order.tokenAddress, token: order.token, tokens: 0, costNative: 0 };
+
+        if (order.side === 'BUY') {
+            // A buy resolved without the tokens it received can't be averaged in
+            const tokens = parseFloat(fill.tokensReceived);
+            if (!(tokens > 0)) continue;
+
+            entry.tokens += tokens;
+            entry.costNative += (parseFloat(fill.nativeSpent) || 0) + (parseFloat(fill.gasCostNative) || 0);
+        } else if (entry.tokens > 0) {
+            // Sells resolved from the chain only know what was ordered (null: all of it)
+            const sold = Math.min(parseFloat(fill.tokensSold ?? order.tokenAmount ?? entry.tokens) || 0, entry.tokens);
+            entry.costNative -= entry.costNative * (sold / entry.tokens);
+            entry.tokens -= sold;
+        }
+
+        basis.set(key, entry);
+    }
+
+    return basis;
+}
+
+/**
+ * Value a token holding against its cost basis
+ */
+function valueHolding(holding, price, entry, nativePriceUsd) {
+    const { amountRaw, decimals, ...fields } = holding;
+    const priceUsd = price?.priceUsd ?? null;
+    const valued = {
+        ...fields,
+        symbol: holding.symbol || price?.symbol || entry?.token || shortAddress(holding.tokenAddress),
+        priceUsd,
+        valueUsd: priceUsd !== null ? holding.amount * priceUsd : null,
+        priceSource: price?.source || null,
+        costBasisUsd: null,
+        unrealizedPnlUsd: null,
+        unrealizedPnlPercent: null,
+        untrackedAmount: holding.amount
+    };
+
+    if (!entry || !(entry.tokens > 0) || !nativePriceUsd) return valued;
+
+    // Only what the bot bought has a cost; tokens sent away leave the average as is
+    const covered = Math.min(holding.amount, entry.tokens);
+    valued.costBasisUsd = entry.costNative * (covered / entry.tokens) * nativePriceUsd;
+    valued.untrackedAmount = holding.amount - covered;
+
+    if (priceUsd !== null) {
+        valued.unrealizedPnlUsd = covered * priceUsd - valued.costBasisUsd;
+        valued.unrealizedPnlPercent = valued.costBasisUsd > 0 ? (valued.unrealizedPnlUsd / valued.costBasisUsd) * 100 : null;
+    }
+
+    return valued;
+}
+
+/**
+ * Find, price and value every holding of a user's wallets
+ * @param {string} telegramId - User's Telegram ID
+ * @param {Object} options - { refresh: scan again rather than reuse a recent portfolio }
+ * @returns {Promise<Object>} { holdings (largest value first), hidden (dust and unpriced tokens),
+ *   failed (wallets that couldn't be read), totalValueUsd, costBasisUsd, unrealizedPnlUsd,
+ *   unrealizedPnlPercent, updatedAt }
+ *   Holdings: { chain, tokenAddress (null: native), symbol, amount, priceUsd, valueUsd, priceSource,
+ *   costBasisUsd, unrealizedPnlUsd, unrealizedPnlPercent, untrackedAmount, wallets (labels) }
+ */
+export async function getPortfolio(telegramId, { refresh = false } = {}) {
+    const cacheKey = telegramId.toString();
+    const cached = portfolioCache.get(cacheKey);
+    if (!refresh && cached && Date.now() - cached.at < config.portfolio.cacheSeconds * 1000) {
+        return cached.portfolio;
+    }
+
+    const [user, wallets] = await Promise.all([getUserByTelegramId(cacheKey), getUserWallets(cacheKey)]);
+    const basis = user ? await getCostBasis(user.id) : new Map();
+
+    const held = new Map();
+    const failed = [];
+
+    const addHolding = (chain, wallet, holding) => {
+        const key = holding.tokenAddress ? holdingKey(chain, holding.tokenAddress) : `${chain}:native`;
+        const entry = held.get(key) || { ...holding, chain, amountRaw: 0n, amount: 0, wallets: [] };
+
+        entry.amountRaw += holding.amountRaw ?? 0n;
+        entry.amount += holding.amount ?? Number(ethers.formatUnits(holding.amountRaw, holding.decimals));
+        entry.wallets.push(wallet.label);
+        held.set(key, entry);
+    };
+
+    await Promise.all(wallets.map(async wallet => {
+        const chains = wallet.chain === 'solana' ? ['solana'] : EVM_CHAINS;
+
+        for (const chain of chains) {
+            try {
+                const traded = [...basis.values()].filter(e => e.chain === chain).map(e => e.tokenAddress);
+                const [native, tokens] = await Promise.all([
+                    getNativeBalance(chain, wallet.address),
+                    chain === 'solana' ? getSolanaHoldings(wallet.address) : getEvmHoldings(chain, wallet.address, traded)
+                ]);
+
+                if (native > 0) {
+                    addHolding(chain, wallet, { tokenAddress: null, symbol: getChainConfig(chain).nativeToken.symbol, amount: native });
+                }
+                for (const token of tokens) {
+                    addHolding(chain, wallet, token);
+                }
+            } catch (err) {
+                logError(`Portfolio scan of ${wallet.address} on ${chain} failed`, err);
+                failed.push(`${wallet.label} (${chain})`);
+            }
+        }
+    }));
+
+    const chains = [...new Set([...held.values()].map(h => h.chain))];
+    const nativePrices = Object.fromEntries(await Promise.all(chains.map(async c => [c, await getNativePriceUsd(c)])));
+
+    const holdings = await Promise.all([...held.values()].map(async holding => {
+        const nativePriceUsd = nativePrices[holding.chain];
+
+        if (!holding.tokenAddress) {
+            return valueHolding(holding, nativePriceUsd ? { priceUsd: nativePriceUsd, source: 'NATIVE' } : null, null, nativePriceUsd);
+        }
+
+        const price = await priceHolding(holding, nativePriceUsd);
+        return valueHolding(holding, price, basis.get(holdingKey(holding.chain, holding.tokenAddress)), nativePriceUsd);
+    }));
+
+    // Airdropped dust and unpriced spam stay out of sight, anything the bot bought is shown
+    const visible = holdings
+        .filter(h => !h.tokenAddress || h.costBasisUsd !== null || (h.valueUsd ?? 0) >= config.portfolio.minValueUsd)
+        .sort((a, b) => (b.valueUsd ?? -1) - (a.valueUsd ?? -1));
+
+    const withPnl = visible.filter(h => h.unrealizedPnlUsd !== null);
+    const pnlCost = withPnl.reduce((sum, h) => sum + h.costBasisUsd, 0);
+    const unrealizedPnlUsd = withPnl.reduce((sum, h) => sum + h.unrealizedPnlUsd, 0);
+
+    const portfolio = {
+        holdings: visible,
+        hidden: holdings.length - visible.length,
+        failed,
+        totalValueUsd: visible.reduce((sum, h) => sum + (h.valueUsd ?? 0), 0),
+        costBasisUsd: visible.reduce((sum, h) => sum + (h.costBasisUsd ?? 0), 0),
+        unrealizedPnlUsd,
+        unrealizedPnlPercent: pnlCost > 0 ? (unrealizedPnlUsd / pnlCost) * 100 : null,
+        updatedAt: new Date().toISOString()
+    };
+
+    portfolioCache.set(cacheKey, { portfolio, at: Date.now() });
+    return portfolio;
+}
+
+export default {
+    getPortfolio
+};
@@ -0,0 +1,352 @@
+/**
+ * RedFace Trading Bot - RPC Manager
+ *
+ * One endpoint pool per chain, shared by every module that talks to a node:
+ *   - Endpoints from config.rpc: the env list (BSC_RPC_URL, ...), then the
+ *     chain's rpcDefault and rpcBackups from chains.json
+ *   - Requests go round-robin over healthy endpoints; a request that fails
+ *     (network error, timeout, HTTP error) is sent to the next endpoint
+ *   - Every RPC_HEALTH_CHECK_SECONDS each endpoint's block height (slot on
+ *     Solana) and latency are checked. Endpoints behind the best one, slower
+ *     than RPC_MAX_LATENCY_MS or failing more than RPC_MAX_ERROR_RATE of recent
+ *     requests are skipped until they recover
+ *   - getRpcMetrics() reports each endpoint's state (health check server)
+ *
+ * A JSON-RPC batch goes to a single endpoint, so reads ethers batches together
+ * (issued in the same tick) see the same chain state.
+ */
+
+import { ethers } from 'ethers';
+import { Connection } from '@solana/web3.js';
+import { logInfo, logWarn } from '../logging/logger.js';
+import config, { getChainConfig } from '../config/index.js';
+
+// Recent requests kept per endpoint for its error rate
+const ERROR_WINDOW = 10;
+
+// Fewest recent requests before the error rate counts
+const MIN_ERROR_SAMPLES = 4;
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
+// Endpoint pools: { chainId -> { chainId, endpoints, next, maxLag } }
+const pools = new Map();
+
+// Shared clients built on the pools
+const providers = new Map();
+let solanaConnection = null;
+
+let healthTimer = null;
+
+/**
+ * Endpoint host for logs and metrics (paths and queries often carry API keys)
+ */
+function label(url) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return 'invalid-url';
+    }
+}
+
+/**
+ * Error message without the request details ethers appends (they include the URL)
+ */
+function errorMessage(err) {
+    return err?.shortMessage || err?.message || 'Unknown error';
+}
+
+function getPool(chainId) {
+    if (!pools.has(chainId)) {
+        const urls = config.rpc.endpoints[chainId];
+        if (!urls?.length) {
+            throw new Error(`Unknown chain: ${chainId}`);
+        }
+
+        const pool = {
+            chainId,
+            endpoints: urls.map(url => ({
+                url,
+                status: 'healthy',
+                blockHeight: null,
+                lag: null,
+                latencyMs: null,
+                outcomes: [],
+                requests: 0,
+                errors: 0,
+                lastError: null,
+                downUntil: 0,
+                checkedAt: null
+            })),
+            next: 0,
+            maxLag: chainId === 'solana' ? config.rpc.maxSlotLag : config.rpc.maxBlockLag
+        };
+
+        pools.set(chainId, pool);
+        logInfo(`RPC pool for ${chainId}: ${urls.map(label).join(', ')}`);
+
+        startHealthChecks();
+        checkPool(pool).catch(err => logWarn(`RPC health check failed for ${chainId}: ${err.message}`));
+    }
+
+    return pools.get(chainId);
+}
+
+function errorRate(endpoint) {
+    if (endpoint.outcomes.length < MIN_ERROR_SAMPLES) return 0;
+    return endpoint.outcomes.filter(ok => !ok).length / endpoint.outcomes.length;
+}
+
+/**
+ * Why an endpoint is skipped, or 'healthy'
+ */
+function endpointStatus(pool, endpoint, now = Date.now()) {
+    if (endpoint.downUntil > now) return 'down';
+    if (endpoint.lag !== null && endpoint.lag > pool.maxLag) return 'lagging';
+    if (endpoint.latencyMs !== null && endpoint.latencyMs > config.rpc.maxLatencyMs) return 'slow';
+    if (errorRate(endpoint) > config.rpc.maxErrorRate) return 'erroring';
+    return 'healthy';
+}
+
+/**
+ * Record a request (or health check) outcome
+ * A failed endpoint is skipped until its next successful health check
+ */
+function record(endpoint, ok, latencyMs = null, err = null) {
+    endpoint.requests++;
+    endpoint.outcomes.push(ok);
+    if (endpoint.outcomes.length > ERROR_WINDOW) {
+        endpoint.outcomes.shift();
+    }
+
+    if (ok) {
+        endpoint.latencyMs = endpoint.latencyMs === null
+            ? latencyMs
+            : Math.round(endpoint.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+    } else {
+        endpoint.errors++;
+        endpoint.lastError = errorMessage(err);
+        endpoint.downUntil = Date.now() + config.rpc.healthCheckSeconds * 1000;
+    }
+}
+
+/**
+ * Endpoints to try for one request: healthy ones in round-robin order, then
+ * the rest (a request is never refused while any endpoint might answer)
+ */
+function endpointOrder(pool) {
+    const now = Date.now();
+    const start = pool.next++ % pool.endpoints.length;
+    const rotated = [...pool.endpoints.slice(start), ...pool.endpoints.slice(0, start)];
+    const healthy = rotated.filter(e => endpointStatus(pool, e, now) === 'healthy');
+
+    return [...healthy, ...rotated.filter(e => !healthy.includes(e))];
+}
+
+/**
+ * Run a request against the pool, failing over to the next endpoint on error
+ * @param {Object} pool - Chain pool
+ * @param {Function} send - url => Promise, throws on transport or HTTP errors
+ */
+async function sendWithFailover(pool, send) {
+    let lastError = null;
+
+    for (const endpoint of endpointOrder(pool)) {
+        const started = Date.now();
+        try {
+            const result = await send(endpoint.url);
+            record(endpoint, true, Date.now() - started);
+            return result;
+        } catch (err) {
+            record(endpoint, false, null, err);
+            lastError = err;
+            logWarn(`RPC ${label(endpoint.url)} (${pool.chainId}) failed: ${errorMessage(err)}`);
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * ethers provider whose requests go through the chain's pool
+ */
+class PooledJsonRpcProvider extends ethers.JsonRpcProvider {
+    #pool;
+
+    constructor(pool, chainId) {
+        super(pool.endpoints[0].url, chainId, { staticNetwork: true });
+        this.#pool = pool;
+    }
+
+    async _send(payload) {
+        return sendWithFailover(this.#pool, async url => {
+            const request = new ethers.FetchRequest(url);
+            request.timeout = config.rpc.timeoutMs;
+            // Rate limits fail over instead of backing off on the same endpoint
+            request.setThrottleParams({ maxAttempts: 1 });
+            request.body = JSON.stringify(payload);
+            request.setHeader('content-type', 'application/json');
+
+            const response = await request.send();
+            response.assertOk();
+
+            const body = response.bodyJson;
+            return Array.isArray(body) ? body : [body];
+        });
+    }
+}
+
+/**
+ * Shared provider for an EVM chain
+ * @param {string} chainId - bsc | base | ethereum
+ * @returns {ethers.JsonRpcProvider}
+ */
+export function getProvider(chainId) {
+    if (!providers.has(chainId)) {
+        const chainConfig = getChainConfig(chainId);
+        if (!chainConfig?.chainId) {
+            throw new Error(`Unknown chain: ${chainId}`);
+        }
+
+        providers.set(chainId, new PooledJsonRpcProvider(getPool(chainId), chainConfig.chainId));
+    }
+
+    return providers.get(chainId);
+}
+
+/**
+ * Shared Solana connection ('confirmed' commitment)
+ * HTTP requests go through the pool; subscriptions use the first endpoint
+ * @returns {Connection}
+ */
+export function getSolanaConnection() {
+    if (!solanaConnection) {
+        const pool = getPool('solana');
+
+        solanaConnection = new Connection(pool.endpoints[0].url, {
+            commitment: 'confirmed',
+            disableRetryOnRateLimit: true,
+            fetch: (input, init) => sendWithFailover(pool, async url => {
+                const response = await fetch(url, {
+                    method: init.method,
+                    headers: init.headers,
+                    body: init.body,
+                    signal: AbortSignal.timeout(config.rpc.timeoutMs)
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                return response;
+            })
+        });
+    }
+
+    return solanaConnection;
+}
+
+/**
+ * Check one endpoint's height and latency
+ */
+async function checkEndpoint(pool, endpoint) {
+    const method = pool.chainId === 'solana' ? 'getSlot' : 'eth_blockNumber';
+    const started = Date.now();
+
+    try {
+        const response = await fetch(endpoint.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params: [] }),
+            signal: AbortSignal.timeout(config.rpc.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const body = await response.json();
+        if (body.error) {
+            throw new Error(body.error.message || JSON.stringify(body.error));
+        }
+
+        endpoint.blockHeight = Number(body.result);
+        endpoint.downUntil = 0;
+        record(endpoint, true, Date.now() - started);
+    } catch (err) {
+        endpoint.blockHeight = null;
+        record(endpoint, false, null, err);
+    }
+
+    endpoint.checkedAt = new Date().toISOString();
+}
+
+/**
+ * Check every endpoint of a pool and measure lag against the best height
+ */
+async function checkPool(pool) {
+    await Promise.all(pool.endpoints.map(endpoint => checkEndpoint(pool, endpoint)));
+
+    const heights = pool.endpoints.map(e => e.blockHeight).filter(h => h !== null);
+    const best = heights.length ? Math.max(...heights) : null;
+
+    for (const endpoint of pool.endpoints) {
+        endpoint.lag = best !== null && endpoint.blockHeight !== null ? best - endpoint.blockHeight : null;
+
+        const status = endpointStatus(pool, endpoint);
+        if (status !== endpoint.status) {
+            if (status === 'healthy') {
+                logInfo(`RPC ${label(endpoint.url)} (${pool.chainId}) recovered`);
+            } else {
+                logWarn(`RPC ${label(endpoint.url)} (${pool.chainId}) is ${status}, skipping it`);
+            }
+            endpoint.status = status;
+        }
+    }
+}
+
+function startHealthChecks() {
+    if (healthTimer) return;
+
+    healthTimer = setInterval(() => {
+        for (const pool of pools.values()) {
+            checkPool(pool).catch(err => logWarn(`RPC health check failed for ${pool.chainId}: ${err.message}`));
+        }
+    }, config.rpc.healthCheckSeconds * 1000);
+
+    // Health checks alone don't keep the process running
+    healthTimer.unref();
+}
+
+/**
+ * State of every endpoint in use
+ * @returns {Object} { chainId: [{ endpoint, status, blockHeight, lag, latencyMs, errorRate, requests, errors, lastError, checkedAt }] }
+ */
+export function getRpcMetrics() {
+    const now = Date.now();
+    const metrics = {};
+
+    for (const pool of pools.values()) {
+        metrics[pool.chainId] = pool.endpoints.map(endpoint => ({
+            endpoint: label(endpoint.url),
+            status: endpointStatus(pool, endpoint, now),
+            blockHeight: endpoint.blockHeight,
+            lag: endpoint.lag,
+            latencyMs: endpoint.latencyMs,
+            errorRate: Math.round(errorRate(endpoint) * 100) / 100,
+            requests: endpoint.requests,
+            errors: endpoint.errors,
+            lastError: endpoint.lastError,
+            checkedAt: endpoint.checkedAt
+        }));
+    }
+
+    return metrics;
+}
+
+export default {
+    getProvider,
+    getSolanaConnection,
+    getRpcMetrics
+};
@@ -0,0 +1,186 @@
+/**
+ * RedFace Trading Bot - Token Service
+ *
+ * Reads ERC-20 tokens and SPL mints held by user wallets, and builds token
+ * transfers:
+ *   - EVM: ERC-20 transfer(to, amount)
+ *   - Solana: transferChecked from the wallet's token account to the
+ *     recipient's associated token account, created first when it doesn't
+ *     exist yet (the sender pays its rent). Token-2022 mints are supported.
+ */
+
+import { ethers } from 'ethers';
+import { PublicKey, SystemProgram, TransactionInstruction } from '@solana/web3.js';
+import { getProvider, getSolanaConnection } from './rpcManager.js';
+
+const ERC20_ABI = [
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)'
+];
+
+const ERC20 = new ethers.Interface(ERC20_ABI);
+
+export const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+export const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+
+// Size of a plain SPL token account, for its rent
+const TOKEN_ACCOUNT_SIZE = 165;
+
+// Token program instruction tags
+const TRANSFER_CHECKED = 12;
+const CREATE_IDEMPOTENT = 1;
+
+/**
+ * Read a token's symbol and decimals
+ * @param {string} chain - bsc | base | solana
+ * @param {string} tokenAddress - Token contract / mint
+ * @returns {Promise<Object>} { address, symbol (null if unknown), decimals, programId (Solana) }
+ * @throws {Error} If the address is not a token
+ */
+export async function getTokenInfo(chain, tokenAddress) {
+    if (chain === 'solana') {
+        const { value } = await getSolanaConnection().getParsedAccountInfo(new PublicKey(tokenAddress));
+        const programId = value?.owner;
+
+        if (!programId || !(programId.equals(TOKEN_PROGRAM_ID) || programId.equals(TOKEN_2022_PROGRAM_ID))
+            || value.data?.parsed?.type !== 'mint') {
+            throw new Error('Not a token mint');
+        }
+
+        // Symbols live in metadata accounts, not the mint
+        return { address: tokenAddress, symbol: null, decimals: value.data.parsed.info.decimals, programId };
+    }
+
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, getProvider(chain));
+
+    let decimals;
+    try {
+        decimals = Number(await token.decimals());
+    } catch {
+        throw new Error('Not an ERC-20 token');
+    }
+
+    const symbol = await token.symbol().catch(() => null);
+    return { address: ethers.getAddress(tokenAddress), symbol, decimals, programId: null };
+}
+
+/**
+ * Token account a Solana wallet sends from: the one holding the most
+ * @returns {Promise<Object|null>} { pubkey, amount (base units, bigint) }
+ */
+async function getSplSource(owner, mint) {
+    const { value } = await getSolanaConnection().getParsedTokenAccountsByOwner(new PublicKey(owner), { mint: new PublicKey(mint) });
+
+    return value
+        .map(a => ({ pubkey: a.pubkey, amount: BigInt(a.account.data.parsed.info.tokenAmount.amount) }))
+        .sort((a, b) => (a.amount < b.amount ? 1 : a.amount > b.amount ? -1 : 0))[0] || null;
+}
+
+/**
+ * Balance of a token held by a wallet, in base units
+ * On Solana: the balance of the token account transfers are sent from
+ * @param {string} chain - bsc | base | solana
+ * @param {string} tokenAddress - Token contract / mint
+ * @param {string} owner - Wallet address
+ * @returns {Promise<bigint>}
+ */
+export async function getTokenBalance(chain, tokenAddress, owner) {
+    if (chain === 'solana') {
+        return (await getSplSource(owner, tokenAddress))?.amount ?? 0n;
+    }
+
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, getProvider(chain));
+    return token.balanceOf(owner);
+}
+
+/**
+ * Associated token account of a wallet for a mint
+ */
+export function getAssociatedTokenAddress(owner, mint, programId = TOKEN_PROGRAM_ID) {
+    const [address] = PublicKey.findProgramAddressSync(
+        [new PublicKey(owner).toBuffer(), programId.toBuffer(), new PublicKey(mint).toBuffer()],
+        ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+    return address;
+}
+
+/**
+ * Build a token transfer
+ * @param {string} chain - bsc | base | solana
+ * @param {Object} token - From getTokenInfo
+ * @param {string} from - Sending wallet address
+ * @param {string} to - Recipient wallet address
+ * @param {bigint} amount - Base units
+ * @returns {Promise<Object>} EVM: { request: { to, data, value } }
+ *   Solana: { instructions, createsAccount, rentLamports } (rentLamports: 0 unless createsAccount)
+ * @throws {Error} If the Solana wallet holds none of the token
+ */
+export async function buildTokenTransfer(chain, token, from, to, amount) {
+    if (chain !== 'solana') {
+        return { request: { to: token.address, data: ERC20.encodeFunctionData('transfer', [to, amount]), value: 0n } };
+    }
+
+    const connection = getSolanaConnection();
+    const owner = new PublicKey(from);
+    const mint = new PublicKey(token.address);
+    const recipient = new PublicKey(to);
+
+    const source = await getSplSource(from, token.address);
+    if (!source) {
+        throw new Error('No token account holds this token');
+    }
+
+    const destination = getAssociatedTokenAddress(recipient, mint, token.programId);
+    const instructions = [];
+
+    const createsAccount = !(await connection.getAccountInfo(destination));
+    if (createsAccount) {
+        instructions.push(new TransactionInstruction({
+            programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+            keys: [
+                { pubkey: owner, isSigner: true, isWritable: true },
+                { pubkey: destination, isSigner: false, isWritable: true },
+                { pubkey: recipient, isSigner: false, isWritable: false },
+                { pubkey: mint, isSigner: false, isWritable: false },
+                { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+                { pubkey: token.programId, isSigner: false, isWritable: false }
+            ],
+            // Idempotent: a recipient account created meanwhile doesn't fail the transfer
+            data: Buffer.from([CREATE_IDEMPOTENT])
+        }));
+    }
+
+    const data = Buffer.alloc(10);
+    data.writeUInt8(TRANSFER_CHECKED, 0);
+    data.writeBigUInt64LE(BigInt(amount), 1);
+    data.writeUInt8(token.decimals, 9);
+
+    instructions.push(new TransactionInstruction({
+        programId: token.programId,
+        keys: [
+            { pubkey: source.pubkey, isSigner: false, isWritable: true },
+            { pubkey: mint, isSigner: false, isWritable: false },
+            { pubkey: destination, isSigner: false, isWritable: true },
+            { pubkey: owner, isSigner: true, isWritable: false }
+        ],
+        data
+    }));
+
+    const rentLamports = createsAccount
+        ? await connection.getMinimumBalanceForRentExemption(TOKEN_ACCOUNT_SIZE)
+        : 0;
+
+    return { instructions, createsAccount, rentLamports };
+}
+
+export default {
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+    getTokenInfo,
+    getTokenBalance,
+    getAssociatedTokenAddress,
+    buildTokenTransfer
+};
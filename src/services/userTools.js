@@ -1,7 +1,8 @@
 /**
  * RedFace Trading Bot - User Tools Service
  * 
- * Price Alerts, Watchlist, Portfolio, DCA, Limit Orders
+ * Price Alerts, Watchlist, DCA, Limit Orders
+ * (wallet portfolios: portfolioService)
  */
 
 import { logInfo, logError } from '../logging/logger.js';
@@ -126,45 +127,6 @@ export function getWatchlist(userId) {
     return watchlists.get(userId) || [];
 }
 
-// ==================== PORTFOLIO TRACKER ====================
-
-// Store portfolio: userId -> [{ tokenAddress, chain, amount, avgPrice }]
-const portfolios = new Map();
-
-/**
- * Add/Update portfolio holding
- */
-export function updatePortfolio(userId, holding) {
-    const portfolio = portfolios.get(userId) || [];
-    const existing = portfolio.find(h => h.tokenAddress === holding.tokenAddress);
-
-    if (existing) {
-        // Update average price
-        const totalValue = (existing.amount * existing.avgPrice) + (holding.amount * holding.price);
-        existing.amount += holding.amount;
-        existing.avgPrice = totalValue / existing.amount;
-    } else {
-        portfolio.push({
-            tokenAddress: holding.tokenAddress,
-            chain: holding.chain,
-            name: holding.name || 'Unknown',
-            symbol: holding.symbol || '???',
-            amount: holding.amount,
-            avgPrice: holding.price
-        });
-    }
-
-    portfolios.set(userId, portfolio);
-    return portfolio;
-}
-
-/**
- * Get user portfolio
- */
-export function getPortfolio(userId) {
-    return portfolios.get(userId) || [];
-}
-
 // ==================== LIMIT ORDERS ====================
 
 // Store limit orders: userId -> [{ type, tokenAddress, chain, price, amount, status }]
@@ -184,6 +146,7 @@ export function createLimitOrder(userId, order) {
         chain: order.chain,
         targetPrice: order.targetPrice,
         amount: order.amount,
+        walletId: order.walletId || null, // null: the default wallet
         status: 'pending',
         createdAt: new Date()
     };
@@ -232,6 +195,7 @@ export function createDCAPlan(userId, plan) {
         chain: plan.chain,
         amountUsd: plan.amountUsd,
         interval: plan.interval, // 'daily', 'weekly', 'monthly'
+        walletId: plan.walletId || null, // null: the default wallet
         active: true,
         nextBuy: calculateNextBuy(plan.interval),
         totalInvested: 0,
@@ -342,9 +306,6 @@ export default {
     addToWatchlist,
     removeFromWatchlist,
     getWatchlist,
-    // Portfolio
-    updatePortfolio,
-    getPortfolio,
     // Limit Orders
     createLimitOrder,
     getLimitOrders,
@@ -0,0 +1,1046 @@
+/**
+ * RedFace Trading Bot - Withdrawal Service
+ *
+ * Safeguards in front of executeWithdrawal and executeTokenWithdrawal
+ * (/send_bnb, /send_eth, /send_sol, /send, /sell_send):
+ *   - The destination must be a valid address for the chain (EVM checksums
+ *     are checked) and not the sending wallet
+ *   - Destinations on the wallet blacklist are refused
+ *   - Optional per-user allowlist: only listed addresses can receive funds, and
+ *     a newly listed address (or turning the allowlist off) only takes effect
+ *     after WITHDRAWAL_COOLDOWN_HOURS
+ *   - Each user can withdraw WITHDRAWAL_DAILY_LIMIT_USD per rolling 24 hours
+ *     (tokens are valued at their DexScreener price); a user's confirmations
+ *     are checked one at a time, each reserving its amount before the next
+ *   - Nothing is sent until the user confirms the request, shown with the
+ *     network fee; unconfirmed requests expire after WITHDRAWAL_CONFIRM_SECONDS
+ *
+ * Token withdrawals send ERC-20 / SPL tokens (see tokenService). With
+ * sellFirst the tokens are sold to the native token by the chain's executor,
+ * through the user's open live position in the token when there is one, and
+ * the proceeds are sent.
+ *
+ * Every request, refused ones included, is recorded in the withdrawals table:
+ *   pending → sending → completed | failed | unresolved, or rejected | cancelled | expired
+ * A send that may still land is left unresolved with its transaction hash: it
+ * keeps counting against the daily limit, only a send known to have moved
+ * nothing is failed
+ *
+ * Withdrawals need Supabase: users and their wallets are stored there.
+ */
+
+import { randomUUID } from 'crypto';
+import { ethers } from 'ethers';
+import { PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { logInfo, logWarn, logError } from '../logging/logger.js';
+import { getSupabase } from '../database/supabase.js';
+import config from '../config/index.js';
+import { getProvider, getSolanaConnection } from './rpcManager.js';
+import { getEvmFees } from './gasService.js';
+import { isWalletBlacklisted } from './blacklistService.js';
+import { getTokenInfo, getTokenBalance, buildTokenTransfer } from './tokenService.js';
+import { getNativePriceUsd, getTokenMarket } from '../data/priceEngine.js';
+import { getOpenPositions } from '../automation/state.js';
+import { executeLivePositionSell } from '../execution/livePositions.js';
+import { executeLiveSell } from '../execution/evmExecutor.js';
+import { executeSolanaSell } from '../execution/solanaExecutor.js';
+import { runOrder, sellOrderSpec } from '../execution/orderStore.js';
+import {
+    getUserByTelegramId,
+    getUserWallet,
+    getWalletForTrading,
+    getWalletType,
+    updateUserSettings,
+    executeWithdrawal,
+    executeTokenWithdrawal
+} from '../wallet/userWalletManager.js';
+
+export const WITHDRAWAL_STATUS = {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    UNRESOLVED: 'unresolved',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired'
+};
+
+// Statuses that count against the daily limit
+const COUNTED_STATUSES = [WITHDRAWAL_STATUS.SENDING, WITHDRAWAL_STATUS.COMPLETED, WITHDRAWAL_STATUS.UNRESOLVED];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Exit reason of positions sold for a withdrawal
+const WITHDRAW_REASON = 'WITHDRAW';
+
+export const NATIVE_SYMBOLS = { bsc: 'BNB', base: 'ETH', solana: 'SOL' };
+
+// Pending requests by ID
+const requests = new Map();
+
+// Per-user tail of the confirmations being checked against the daily limit
+const limitLocks = new Map();
+
+/**
+ * Check a destination address for a chain
+ * @param {string} chain - bsc | base | solana
+ * @param {string} address - Address as entered
+ * @returns {Object} { valid, address (checksummed on EVM) } or { valid: false, error }
+ */
+export function validateAddress(chain, address) {
+    const value = address?.trim();
+    if (!value) {
+        return { valid: false, error: 'No destination address' };
+    }
+
+    if (chain === 'solana') {
+        try {
+            // Round-trip so padded or non-canonical input is refused
+            if (new PublicKey(value).toBase58() === value) {
+                return { valid: true, address: value };
+            }
+        } catch {
+            // Not base58 or not 32 bytes
+        }
+        return { valid: false, error: 'Not a valid Solana address' };
+    }
+
+    // Mixed-case EVM addresses must match their checksum
+    if (!ethers.isAddress(value)) {
+        return { valid: false, error: 'Not a valid EVM address (check for typos)' };
+    }
+
+    const checksummed = ethers.getAddress(value);
+    if (checksummed === ethers.ZeroAddress) {
+        return { valid: false, error: 'Cannot send to the zero address' };
+    }
+
+    return { valid: true, address: checksummed };
+}
+
+/**
+ * Symbol of what a request sends (the token for token withdrawals)
+ */
+export function getAssetSymbol(request) {
+    return request.tokenSymbol || NATIVE_SYMBOLS[request.chain];
+}
+
+function sameAddress(a, b) {
+    return a?.toLowerCase() === b?.toLowerCase();
+}
+
+/**
+ * Human amount to base units without float exponent issues
+ */
+function toUnits(amount, decimals) {
+    const fixed = Number(amount).toLocaleString('en-US', {
+        useGrouping: false,
+        maximumFractionDigits: Math.min(decimals, 18)
+    });
+    return ethers.parseUnits(fixed, decimals);
+}
+
+function toRow(request) {
+    return {
+        id: request.id,
+        user_id: request.userId,
+        telegram_id: request.telegramId,
+        chain: request.chain,
+        wallet_address: request.fromAddress,
+        to_address: request.toAddress,
+        token_address: request.tokenAddress,
+        token_symbol: request.tokenSymbol,
+        amount: request.amount,
+        amount_usd: request.amountUsd,
+        fee_native: request.feeNative,
+        sell_first: request.sellFirst,
+        sell_tx_hash: request.sellTxHash,
+        sent_native: request.sentNative,
+        status: request.status,
+        reason: request.reason,
+        tx_hash: request.txHash,
+        updated_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Write a request's audit row (errors are logged, never thrown)
+ * @returns {Promise<boolean>} Whether the row was written
+ */
+async function saveRequest(request) {
+    try {
+        const { error } = await getSupabase()
+            .from('withdrawals')
+            .upsert({ ...toRow(request), created_at: request.createdAt });
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        logError(`Failed to record withdrawal ${request.id}`, err);
+        return false;
+    }
+}
+
+/**
+ * Move a request to a new status and record it
+ */
+async function updateRequest(request, changes) {
+    Object.assign(request, changes);
+    await saveRequest(request);
+
+    // The row is the record from here on
+    if (request.status !== WITHDRAWAL_STATUS.PENDING) {
+        requests.delete(request.id);
+    }
+}
+
+/**
+ * Refuse a request: recorded with the reason, nothing is sent
+ */
+async function reject(request, reason) {
+    logWarn(`Withdrawal ${request.id} of ${request.telegramId} rejected: ${reason}`);
+    await updateRequest(request, { status: WITHDRAWAL_STATUS.REJECTED, reason });
+    return { success: false, error: reason, request };
+}
+
+/**
+ * Expire pending requests past their confirmation window
+ */
+async function expireStale() {
+    const now = Date.now();
+    for (const request of [...requests.values()]) {
+        if (request.status === WITHDRAWAL_STATUS.PENDING && Date.parse(request.expiresAt) <= now) {
+            await updateRequest(request, { status: WITHDRAWAL_STATUS.EXPIRED, reason: 'Not confirmed in time' });
+        }
+    }
+}
+
+/**
+ * USD a user withdrew (or is withdrawing) in the last 24 hours
+ * @param {string} userId - users.id
+ * @param {string} excludeId - Request not to count (the one being checked)
+ */
+async function getWithdrawnUsd(userId, excludeId = null) {
+    const { data, error } = await getSupabase()
+        .from('withdrawals')
+        .select('id, amount_usd')
+        .eq('user_id', userId)
+        .in('status', COUNTED_STATUSES)
+        .gte('created_at', new Date(Date.now() - DAY_MS).toISOString());
+
+    if (error) throw error;
+
+    return (data || [])
+        .filter(r => r.id !== excludeId)
+        .reduce((sum, r) => sum + (parseFloat(r.amount_usd) || 0), 0);
+}
+
+/**
+ * Check a request against the daily limit
+ * @returns {Promise<string|null>} Why it is over the limit, null if within it
+ */
+async function checkDailyLimit(request) {
+    const limit = config.withdrawals.dailyLimitUsd;
+    if (!(limit > 0)) return null;
+
+    if (request.amountUsd === null) {
+        return `${getAssetSymbol(request)} price unavailable, can't check the daily limit. Try again shortly.`;
+    }
+
+    const used = await getWithdrawnUsd(request.userId, request.id);
+    request.dailyUsedUsd = used;
+
+    if (used + request.amountUsd > limit) {
+        return `Daily limit reached: $${used.toFixed(2)} of $${limit.toFixed(2)} used in the last 24h`;
+    }
+
+    return null;
+}
+
+/**
+ * Run fn once the user's earlier confirmations have been checked
+ * Serializes the daily limit check and the reservation that follows it
+ */
+async function withLimitLock(userId, fn) {
+    const previous = limitLocks.get(userId) || Promise.resolve();
+
+    let release;
+    const current = previous.then(() => new Promise(resolve => { release = resolve; }));
+    limitLocks.set(userId, current);
+
+    await previous;
+    try {
+        return await fn();
+    } finally {
+        release();
+        if (limitLocks.get(userId) === current) {
+            limitLocks.delete(userId);
+        }
+    }
+}
+
+/**
+ * Check a request against the daily limit and reserve its amount
+ * The request is recorded as sending before the next confirmation is checked,
+ * so it counts against the limit from then on (and if the process dies)
+ * @returns {Promise<string|null>} Why it can't be sent, null once reserved
+ */
+function reserveDailyLimit(request) {
+    return withLimitLock(request.userId, async () => {
+        try {
+            const overLimit = await checkDailyLimit(request);
+            if (overLimit) return overLimit;
+        } catch (err) {
+            logError(`Withdrawal limit check failed for ${request.telegramId}`, err);
+            return 'Could not check the daily limit, try again shortly';
+        }
+
+        if (!await saveRequest(request)) {
+            return 'Could not record the withdrawal, try again shortly';
+        }
+
+        return null;
+    });
+}
+
+/**
+ * Whether a user's allowlist is in force (turning it off waits out the cooldown)
+ */
+function isAllowlistEnabled(settings, now = Date.now()) {
+    if (!settings?.withdrawal_allowlist) return false;
+
+    const offAt = settings.withdrawal_allowlist_off_at;
+    return !(offAt && Date.parse(offAt) <= now);
+}
+
+/**
+ * A user's allowlisted addresses
+ * @returns {Promise<Array<Object>>} [{ chain, address, label, activeAt }]
+ */
+async function loadAllowlist(userId) {
+    const { data, error } = await getSupabase()
+        .from('withdrawal_addresses')
+        .select('chain, address, label, active_at')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return (data || []).map(row => ({ chain: row.chain, address: row.address, label: row.label, activeAt: row.active_at }));
+}
+
+/**
+ * Network fee of a Solana transaction, in lamports
+ */
+async function estimateSolanaFee(connection, feePayer, instructions) {
+    const { blockhash } = await connection.getLatestBlockhash();
+
+    const transaction = new Transaction().add(...instructions);
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = feePayer;
+
+    const { value: fee } = await connection.getFeeForMessage(transaction.compileMessage());
+    return fee ?? 5000;
+}
+
+/**
+ * Network fee of an EVM transaction at the fee cap, in wei
+ */
+async function estimateEvmFee(provider, request, fallbackGas = null) {
+    const [fees, gasLimit] = await Promise.all([
+        getEvmFees(provider),
+        fallbackGas ? provider.estimateGas(request).catch(() => fallbackGas) : provider.estimateGas(request)
+    ]);
+
+    return gasLimit * (fees.maxFeePerGas ?? fees.gasPrice ?? 0n);
+}
+
+/**
+ * Network fee of a native transfer, and the sending wallet's balance
+ * @returns {Promise<Object>} { feeNative, balance } in native units
+ */
+async function estimateTransfer(chain, fromAddress, toAddress, amount) {
+    if (chain === 'solana') {
+        const connection = getSolanaConnection();
+        const fromPubkey = new PublicKey(fromAddress);
+
+        const [fee, lamports] = await Promise.all([
+            estimateSolanaFee(connection, fromPubkey, [SystemProgram.transfer({
+                fromPubkey,
+                toPubkey: new PublicKey(toAddress),
+                lamports: Math.floor(amount * LAMPORTS_PER_SOL)
+            })]),
+            connection.getBalance(fromPubkey)
+        ]);
+
+        return { feeNative: fee / LAMPORTS_PER_SOL, balance: lamports / LAMPORTS_PER_SOL };
+    }
+
+    const provider = getProvider(chain);
+    const value = ethers.parseEther(amount.toString());
+
+    // Contract destinations can need more than a plain transfer
+    const [feeWei, balance] = await Promise.all([
+        estimateEvmFee(provider, { from: fromAddress, to: toAddress, value }, 21000n),
+        provider.getBalance(fromAddress)
+    ]);
+
+    return { feeNative: Number(ethers.formatEther(feeWei)), balance: Number(ethers.formatEther(balance)) };
+}
+
+/**
+ * Network fee of a token transfer (on Solana including the recipient's token
+ * account rent), and the sending wallet's native balance
+ * @returns {Promise<Object>} { feeNative, balance, createsAccount } in native units
+ * @throws {Error} If the transfer would revert (EVM)
+ */
+async function estimateTokenTransfer(chain, token, fromAddress, toAddress, amount) {
+    const transfer = await buildTokenTransfer(chain, token, fromAddress, toAddress, amount);
+
+    if (chain === 'solana') {
+        const connection = getSolanaConnection();
+        const fromPubkey = new PublicKey(fromAddress);
+
+        const [fee, lamports] = await Promise.all([
+            estimateSolanaFee(connection, fromPubkey, transfer.instructions),
+            connection.getBalance(fromPubkey)
+        ]);
+
+        return {
+            feeNative: (fee + transfer.rentLamports) / LAMPORTS_PER_SOL,
+            balance: lamports / LAMPORTS_PER_SOL,
+            createsAccount: transfer.createsAccount
+        };
+    }
+
+    const provider = getProvider(chain);
+
+    // No fallback gas: a transfer the token refuses fails its estimate
+    const [feeWei, balance] = await Promise.all([
+        estimateEvmFee(provider, { ...transfer.request, from: fromAddress }),
+        provider.getBalance(fromAddress)
+    ]);
+
+    return { feeNative: Number(ethers.formatEther(feeWei)), balance: Number(ethers.formatEther(balance)), createsAccount: false };
+}
+
+/**
+ * A user's open live position in a token, held in the given wallet
+ */
+function findLivePosition(userId, chain, tokenAddress, walletAddress) {
+    return getOpenPositions(userId).find(p => p.mode === 'LIVE'
+        && p.chain === chain
+        && sameAddress(p.tokenAddress, tokenAddress)
+        && (!p.walletAddress || sameAddress(p.walletAddress, walletAddress))) || null;
+}
+
+/**
+ * Start a request (recorded as pending) for a user
+ */
+function createRequest(user, telegramId, chain, toAddress, amount) {
+    const now = Date.now();
+    const request = {
+        id: randomUUID(),
+        userId: user.id,
+        telegramId: telegramId.toString(),
+        chain,
+        walletId: null,
+        walletLabel: null,
+        fromAddress: null,
+        toAddress: toAddress?.trim() || '',
+        tokenAddress: null,
+        tokenSymbol: null,
+        token: null,
+        amountRaw: null,
+        amount,
+        amountUsd: null,
+        priceUsd: null,
+        pairAddress: null,
+        liquidityUsd: null,
+        positionId: null,
+        feeNative: null,
+        createsAccount: false,
+        dailyUsedUsd: null,
+        sellFirst: false,
+        sellTxHash: null,
+        sentNative: null,
+        status: WITHDRAWAL_STATUS.PENDING,
+        reason: null,
+        txHash: null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + config.withdrawals.confirmSeconds * 1000).toISOString()
+    };
+    requests.set(request.id, request);
+
+    return request;
+}
+
+/**
+ * Check the destination and the sending wallet of a request
+ * @returns {Promise<string|null>} Why the request is refused, null if it may go on
+ */
+async function checkDestination(request, user, walletRef) {
+    const destination = validateAddress(request.chain, request.toAddress);
+    if (!destination.valid) {
+        return destination.error;
+    }
+    request.toAddress = destination.address;
+
+    const wallet = await getUserWallet(request.telegramId, request.chain, walletRef);
+    if (!wallet) {
+        return walletRef ? `No wallet "${walletRef}"` : 'No wallet found';
+    }
+    Object.assign(request, { walletId: wallet.id, walletLabel: wallet.label, fromAddress: wallet.address });
+
+    if (sameAddress(wallet.address, request.toAddress)) {
+        return 'Destination is the sending wallet';
+    }
+
+    if (isWalletBlacklisted(request.toAddress)) {
+        return 'Destination address is blocked';
+    }
+
+    if (isAllowlistEnabled(user.settings)) {
+        const now = Date.now();
+        const entry = (await loadAllowlist(user.id))
+            .find(e => e.chain === getWalletType(request.chain) && sameAddress(e.address, request.toAddress));
+
+        if (!entry) {
+            return 'Destination is not on your withdrawal allowlist (/allowlist)';
+        }
+        if (Date.parse(entry.activeAt) > now) {
+            return `Allowlisted address is in its cooling-off period until ${new Date(entry.activeAt).toUTCString()}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Record a request that passed every check, for the user to confirm
+ */
+async function openRequest(request) {
+    await saveRequest(request);
+    logInfo(`Withdrawal ${request.id} requested by ${request.telegramId}: ${request.amount} ${getAssetSymbol(request)}${request.sellFirst ? ' (sold first)' : ''} to ${request.toAddress}`);
+
+    return { success: true, request };
+}
+
+/**
+ * Request a withdrawal: every safeguard is checked, nothing is sent until
+ * confirmWithdrawal
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} chain - bsc | base | solana
+ * @param {string} toAddress - Destination as entered
+ * @param {number} amount - Native amount
+ * @param {string} walletRef - Wallet ID or label to send from (default: the chain's default wallet)
+ * @returns {Promise<Object>} { success, request } or { success: false, error, request (when recorded) }
+ */
+export async function requestWithdrawal(telegramId, chain, toAddress, amount, walletRef = null) {
+    await expireStale();
+
+    const user = await getUserByTelegramId(telegramId);
+    if (!user) {
+        return { success: false, error: 'User not found. Please /start first.' };
+    }
+
+    const request = createRequest(user, telegramId, chain, toAddress, amount);
+
+    if (!NATIVE_SYMBOLS[chain]) {
+        return reject(request, `Unknown chain: ${chain}`);
+    }
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+        return reject(request, 'Invalid amount');
+    }
+
+    try {
+        const refused = await checkDestination(request, user, walletRef);
+        if (refused) {
+            return reject(request, refused);
+        }
+
+        const nativePriceUsd = await getNativePriceUsd(chain);
+        request.amountUsd = nativePriceUsd ? amount * nativePriceUsd : null;
+
+        const overLimit = await checkDailyLimit(request);
+        if (overLimit) {
+            return reject(request, overLimit);
+        }
+
+        const { feeNative, balance } = await estimateTransfer(chain, request.fromAddress, request.toAddress, amount);
+        request.feeNative = feeNative;
+
+        if (amount + feeNative > balance) {
+            return reject(request, `Insufficient balance: ${balance} ${NATIVE_SYMBOLS[chain]} for ${amount} plus ~${feeNative.toFixed(6)} fee`);
+        }
+    } catch (err) {
+        logError(`Withdrawal checks failed for ${telegramId}`, err);
+        return reject(request, 'Could not check the withdrawal, try again shortly');
+    }
+
+    return openRequest(request);
+}
+
+/**
+ * Request a token withdrawal: the same safeguards as requestWithdrawal
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} chain - bsc | base | solana
+ * @param {string} tokenAddress - Token contract / mint
+ * @param {string} toAddress - Destination as entered
+ * @param {number|string} amount - Token amount, or 'all' for the whole balance
+ *   (with sellFirst and an open live position: the position's tokens)
+ * @param {Object} options - { walletRef, sellFirst (sell to native and send the proceeds) }
+ * @returns {Promise<Object>} { success, request } or { success: false, error, request (when recorded) }
+ */
+export async function requestTokenWithdrawal(telegramId, chain, tokenAddress, toAddress, amount, { walletRef = null, sellFirst = false } = {}) {
+    await expireStale();
+
+    const user = await getUserByTelegramId(telegramId);
+    if (!user) {
+        return { success: false, error: 'User not found. Please /start first.' };
+    }
+
+    const request = createRequest(user, telegramId, chain, toAddress, amount === 'all' ? 0 : amount);
+    request.sellFirst = sellFirst;
+
+    if (!NATIVE_SYMBOLS[chain]) {
+        return reject(request, `Unknown chain: ${chain}`);
+    }
+
+    if (amount !== 'all' && (!Number.isFinite(amount) || amount <= 0)) {
+        return reject(request, 'Invalid amount');
+    }
+
+    const tokenCheck = validateAddress(chain, tokenAddress);
+    if (!tokenCheck.valid) {
+        return reject(request, 'Not a valid token address');
+    }
+    request.tokenAddress = tokenCheck.address;
+
+    try {
+        const refused = await checkDestination(request, user, walletRef);
+        if (refused) {
+            return reject(request, refused);
+        }
+
+        let token;
+        try {
+            token = await getTokenInfo(chain, request.tokenAddress);
+        } catch (err) {
+            logWarn(`Token ${request.tokenAddress} on ${chain}: ${err.message}`);
+            return reject(request, `${err.message}: ${request.tokenAddress}`);
+        }
+
+        const [market, balance] = await Promise.all([
+            getTokenMarket(chain, token.address),
+            getTokenBalance(chain, token.address, request.fromAddress)
+        ]);
+        const position = findLivePosition(user.id, chain, token.address, request.fromAddress);
+
+        Object.assign(request, {
+            token,
+            tokenSymbol: token.symbol || market?.symbol || `${token.address.slice(0, 6)}...`,
+            priceUsd: market?.priceUsd ?? null,
+            pairAddress: market?.pairAddress ?? null,
+            liquidityUsd: market?.liquidityUsd ?? null,
+            positionId: position?.id || null
+        });
+
+        // Sold through the position, so it closes (or shrinks) with its PnL
+        const held = sellFirst && position
+            ? [balance, toUnits(position.tokenAmount, token.decimals)].reduce((a, b) => (a < b ? a : b))
+            : balance;
+        const amountRaw = amount === 'all' ? held : toUnits(amount, token.decimals);
+
+        if (held === 0n) {
+            return reject(request, `No ${request.tokenSymbol} in wallet ${request.walletLabel}`);
+        }
+        if (amountRaw <= 0n || amountRaw > held) {
+            const what = sellFirst && position ? 'Your open position holds' : 'Balance:';
+            return reject(request, `${what} ${ethers.formatUnits(held, token.decimals)} ${request.tokenSymbol}`);
+        }
+
+        request.amountRaw = amountRaw;
+        request.amount = Number(ethers.formatUnits(amountRaw, token.decimals));
+        request.amountUsd = market ? request.amount * market.priceUsd : null;
+
+        if (sellFirst && !market) {
+            return reject(request, `No market found to sell ${request.tokenSymbol}`);
+        }
+
+        const overLimit = await checkDailyLimit(request);
+        if (overLimit) {
+            return reject(request, overLimit);
+        }
+
+        // Sold first: what is sent is native, the swap's gas comes out of its proceeds
+        let estimate;
+        try {
+            estimate = sellFirst
+                ? await estimateTransfer(chain, request.fromAddress, request.toAddress, 0)
+                : await estimateTokenTransfer(chain, token, request.fromAddress, request.toAddress, amountRaw);
+        } catch (err) {
+            logWarn(`Token transfer estimate failed for ${request.id}: ${err.shortMessage || err.message}`);
+            return reject(request, `${request.tokenSymbol} transfer would fail (the token may restrict transfers)`);
+        }
+
+        request.feeNative = estimate.feeNative;
+        request.createsAccount = estimate.createsAccount || false;
+
+        if (!sellFirst && estimate.feeNative > estimate.balance) {
+            return reject(request, `Not enough ${NATIVE_SYMBOLS[chain]} for the network fee: ${estimate.balance} for ~${estimate.feeNative.toFixed(6)}`);
+        }
+    } catch (err) {
+        logError(`Withdrawal checks failed for ${telegramId}`, err);
+        return reject(request, 'Could not check the withdrawal, try again shortly');
+    }
+
+    return openRequest(request);
+}
+
+/**
+ * Get a user's pending request
+ */
+function getPendingRequest(telegramId, requestId) {
+    const request = requests.get(requestId);
+    return request && request.telegramId === telegramId?.toString() ? request : null;
+}
+
+/**
+ * Sell a request's tokens to the native token with the chain's executor
+ * @returns {Promise<Object>} { success, txHash, proceedsNative (net of the swap's gas, null if unknown) } or { success: false, error }
+ */
+async function sellToNative(request) {
+    const position = findLivePosition(request.userId, request.chain, request.tokenAddress, request.fromAddress);
+
+    if (position) {
+        const sellAmount = request.amount < position.tokenAmount * 0.999999 ? request.amount : null;
+        const result = await executeLivePositionSell(position, request.priceUsd, WITHDRAW_REASON, sellAmount);
+        if (!result.success) return result;
+
+        return { success: true, txHash: result.result.txHash, proceedsNative: result.result.proceedsNative };
+    }
+
+    const wallet = await getWalletForTrading(request.telegramId, request.chain, request.walletId);
+    if (!wallet) {
+        return { success: false, error: 'Wallet not available' };
+    }
+
+    // What the executors need to know of a position
+    const holding = {
+        chain: request.chain,
+        token: request.tokenSymbol,
+        tokenAddress: request.tokenAddress,
+        pairAddress: request.pairAddress,
+        userId: request.userId,
+        telegramId: request.telegramId,
+        signal: { liquidity: request.liquidityUsd }
+    };
+
+    const sell = request.chain === 'solana' ? executeSolanaSell : executeLiveSell;
+    const spec = sellOrderSpec('withdraw', `withdraw:${request.id}`, holding, request.amount);
+    const result = await runOrder(spec, order => sell(holding, request.priceUsd, WITHDRAW_REASON, wallet, request.amount, order));
+    if (!result.success) return result;
+
+    const fill = result.result;
+    return { success: true, txHash: fill.txHash, proceedsNative: parseFloat(fill.proceeds) - (fill.gasCostNative || 0) };
+}
+
+/**
+ * Sell a request's tokens and send the proceeds (less the transfer fee, when
+ * the rest of the wallet can't cover it)
+ * At most the USD value reserved against the daily limit is sent: proceeds
+ * above the estimate stay in the wallet
+ * @returns {Promise<Object>} { success, txHash } or { success: false, error, unresolved, txHash }
+ */
+async function sellAndSend(request) {
+    const reservedUsd = request.amountUsd;
+    const sold = await sellToNative(request);
+    if (!sold.success) {
+        return { success: false, error: `Sell failed: ${sold.error || 'Unknown error'}` };
+    }
+
+    request.sellTxHash = sold.txHash;
+    await saveRequest(request);
+
+    const { chain, toAddress } = request;
+    const symbol = NATIVE_SYMBOLS[chain];
+
+    // An exit recovered from the chain may not tell what it got
+    if (sold.proceedsNative === null) {
+        return { success: false, error: `Sold (${sold.txHash}), but the proceeds could not be read: the ${symbol} stayed in your wallet` };
+    }
+
+    let amount;
+    try {
+        const { feeNative, balance } = await estimateTransfer(chain, request.fromAddress, toAddress, 0);
+        amount = Math.floor(Math.min(sold.proceedsNative, balance - feeNative) * 1e9) / 1e9;
+    } catch (err) {
+        logError(`Withdrawal ${request.id}: sold but could not estimate the transfer`, err);
+        return { success: false, error: `Sold (${sold.txHash}), the ${symbol} stayed in your wallet: ${err.message}` };
+    }
+
+    const nativePriceUsd = await getNativePriceUsd(chain);
+    if (config.withdrawals.dailyLimitUsd > 0) {
+        if (!nativePriceUsd) {
+            return { success: false, error: `Sold (${sold.txHash}), but the ${symbol} price is unavailable to check the daily limit: the ${symbol} stayed in your wallet` };
+        }
+        amount = Math.min(amount, Math.floor(reservedUsd / nativePriceUsd * 1e9) / 1e9);
+    }
+
+    if (!(amount > 0)) {
+        return { success: false, error: `Sold (${sold.txHash}), but the proceeds don't cover the ${symbol} network fee` };
+    }
+
+    request.sentNative = amount;
+    if (nativePriceUsd) {
+        request.amountUsd = amount * nativePriceUsd;
+    }
+
+    const sent = await executeWithdrawal(request.telegramId, chain, toAddress, amount, request.walletId);
+    if (!sent.success) {
+        return sent.unresolved
+            ? { ...sent, error: `Sold (${sold.txHash}), the ${symbol} transfer is unresolved: ${sent.error}` }
+            : { success: false, error: `Sold (${sold.txHash}), the ${symbol} stayed in your wallet: ${sent.error}` };
+    }
+
+    return sent;
+}
+
+/**
+ * Send a confirmed withdrawal
+ * The daily limit and blacklist are checked again: other withdrawals may have
+ * been confirmed, or the address blocked, since the request
+ * @param {string} telegramId - User's Telegram ID (must own the request)
+ * @param {string} requestId - From requestWithdrawal / requestTokenWithdrawal
+ * @returns {Promise<Object>} { success, txHash, request } or { success: false, error, request }
+ */
+export async function confirmWithdrawal(telegramId, requestId) {
+    const request = getPendingRequest(telegramId, requestId);
+    if (!request) {
+        return { success: false, error: 'Withdrawal request not found or expired' };
+    }
+
+    if (request.status !== WITHDRAWAL_STATUS.PENDING) {
+        return { success: false, error: `Withdrawal already ${request.status}`, request };
+    }
+
+    if (Date.parse(request.expiresAt) <= Date.now()) {
+        await updateRequest(request, { status: WITHDRAWAL_STATUS.EXPIRED, reason: 'Not confirmed in time' });
+        return { success: false, error: 'Withdrawal request expired, send it again', request };
+    }
+
+    // Claimed before anything is awaited, so a double tap sends once
+    request.status = WITHDRAWAL_STATUS.SENDING;
+
+    if (isWalletBlacklisted(request.toAddress)) {
+        return reject(request, 'Destination address is blocked');
+    }
+
+    const refused = await reserveDailyLimit(request);
+    if (refused) {
+        return reject(request, refused);
+    }
+
+    let result;
+    if (request.sellFirst) {
+        result = await sellAndSend(request);
+    } else if (request.token) {
+        result = await executeTokenWithdrawal(telegramId, request.chain, request.token, request.toAddress, request.amountRaw, request.walletId);
+    } else {
+        result = await executeWithdrawal(telegramId, request.chain, request.toAddress, request.amount, request.walletId);
+    }
+
+    // Still counted while the transfer may land
+    if (!result.success && result.unresolved) {
+        await updateRequest(request, { status: WITHDRAWAL_STATUS.UNRESOLVED, reason: result.error || 'Unknown error', txHash: result.txHash });
+        logWarn(`Withdrawal ${request.id} unresolved: ${result.txHash}`);
+        return { success: false, error: `${result.error} (transaction ${result.txHash} may still land, check it before sending again)`, request };
+    }
+
+    if (!result.success) {
+        await updateRequest(request, { status: WITHDRAWAL_STATUS.FAILED, reason: result.error || 'Unknown error' });
+        return { success: false, error: result.error, request };
+    }
+
+    await updateRequest(request, { status: WITHDRAWAL_STATUS.COMPLETED, txHash: result.txHash });
+    logInfo(`Withdrawal ${request.id} completed: ${result.txHash}`);
+
+    return { success: true, txHash: result.txHash, request };
+}
+
+/**
+ * Cancel a pending withdrawal
+ * @returns {Promise<Object>} { success, request } or { success: false, error }
+ */
+export async function cancelWithdrawal(telegramId, requestId) {
+    const request = getPendingRequest(telegramId, requestId);
+    if (!request || request.status !== WITHDRAWAL_STATUS.PENDING) {
+        return { success: false, error: 'Nothing to cancel' };
+    }
+
+    await updateRequest(request, { status: WITHDRAWAL_STATUS.CANCELLED });
+    return { success: true, request };
+}
+
+/**
+ * A user's allowlist and its state
+ * @returns {Promise<Object>} { enabled, offAt, addresses: [{ chain, address, label, activeAt, active }] }
+ */
+export async function getAllowlist(telegramId) {
+    const user = await getUserByTelegramId(telegramId);
+    if (!user) {
+        return { enabled: false, offAt: null, addresses: [] };
+    }
+
+    const now = Date.now();
+    let addresses = [];
+    try {
+        addresses = await loadAllowlist(user.id);
+    } catch (err) {
+        logError(`Failed to load allowlist of ${telegramId}`, err);
+    }
+
+    const enabled = isAllowlistEnabled(user.settings, now);
+    return {
+        enabled,
+        offAt: enabled ? user.settings.withdrawal_allowlist_off_at || null : null,
+        addresses: addresses.map(e => ({ ...e, active: Date.parse(e.activeAt) <= now }))
+    };
+}
+
+/**
+ * Add an address to a user's allowlist, usable after the cooldown
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} chain - bsc | base | solana | evm
+ * @param {string} address - Address to allow
+ * @param {string} label - Optional name
+ * @returns {Promise<Object>} { success, entry } or { success: false, error }
+ */
+export async function addAllowlistAddress(telegramId, chain, address, label = null) {
+    const user = await getUserByTelegramId(telegramId);
+    if (!user) {
+        return { success: false, error: 'User not found. Please /start first.' };
+    }
+
+    const type = getWalletType(chain);
+    const checked = validateAddress(type === 'solana' ? 'solana' : 'bsc', address);
+    if (!checked.valid) {
+        return { success: false, error: checked.error };
+    }
+
+    if (isWalletBlacklisted(checked.address)) {
+        return { success: false, error: 'Address is blocked' };
+    }
+
+    const entry = {
+        chain: type,
+        address: checked.address,
+        label: label?.slice(0, 32) || null,
+        activeAt: new Date(Date.now() + config.withdrawals.cooldownHours * 60 * 60 * 1000).toISOString()
+    };
+
+    // Re-adding an address restarts its cooldown
+    const { error } = await getSupabase()
+        .from('withdrawal_addresses')
+        .upsert({
+            user_id: user.id,
+            chain: entry.chain,
+            address: entry.address,
+            label: entry.label,
+            active_at: entry.activeAt
+        }, { onConflict: 'user_id,chain,address' });
+
+    if (error) {
+        logError('Failed to save allowlist address', error);
+        return { success: false, error: 'Failed to save address' };
+    }
+
+    logInfo(`Allowlist address added for ${telegramId}: ${entry.address} (active ${entry.activeAt})`);
+    return { success: true, entry };
+}
+
+/**
+ * Remove an address from a user's allowlist (immediately)
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export async function removeAllowlistAddress(telegramId, chain, address) {
+    const user = await getUserByTelegramId(telegramId);
+    if (!user) {
+        return { success: false, error: 'User not found. Please /start first.' };
+    }
+
+    const type = getWalletType(chain);
+    let entries;
+    try {
+        entries = await loadAllowlist(user.id);
+    } catch (err) {
+        logError(`Failed to load allowlist of ${telegramId}`, err);
+        return { success: false, error: 'Failed to remove address' };
+    }
+
+    const entry = entries.find(e => e.chain === type && sameAddress(e.address, address?.trim()));
+    if (!entry) {
+        return { success: false, error: 'Address is not on your allowlist' };
+    }
+
+    const { error } = await getSupabase()
+        .from('withdrawal_addresses')
+        .delete()
+        .eq('user_id', user.id)
+        .eq('chain', type)
+        .eq('address', entry.address);
+
+    if (error) {
+        logError('Failed to remove allowlist address', error);
+        return { success: false, error: 'Failed to remove address' };
+    }
+
+    return { success: true, entry };
+}
+
+/**
+ * Turn a user's allowlist on (immediately) or off (after the cooldown)
+ * @returns {Promise<Object>} { success, enabled, offAt }
+ */
+export async function setAllowlistEnabled(telegramId, enabled) {
+    const user = await getUserByTelegramId(telegramId);
+    if (!user) {
+        return { success: false, error: 'User not found. Please /start first.' };
+    }
+
+    if (enabled) {
+        await updateUserSettings(telegramId, { withdrawal_allowlist: true, withdrawal_allowlist_off_at: null });
+        return { success: true, enabled: true, offAt: null };
+    }
+
+    if (!isAllowlistEnabled(user.settings)) {
+        return { success: true, enabled: false, offAt: null };
+    }
+
+    // A hijacked session can't lift the allowlist and withdraw straight away
+    const offAt = user.settings.withdrawal_allowlist_off_at
+        || new Date(Date.now() + config.withdrawals.cooldownHours * 60 * 60 * 1000).toISOString();
+
+    await updateUserSettings(telegramId, { withdrawal_allowlist_off_at: offAt });
+    logInfo(`Withdrawal allowlist of ${telegramId} turns off at ${offAt}`);
+
+    return { success: true, enabled: true, offAt };
+}
+
+export default {
+    WITHDRAWAL_STATUS,
+    NATIVE_SYMBOLS,
+    validateAddress,
+    getAssetSymbol,
+    requestWithdrawal,
+    requestTokenWithdrawal,
+    confirmWithdrawal,
+    cancelWithdrawal,
+    getAllowlist,
+    addAllowlistAddress,
+    removeAllowlistAddress,
+    setAllowlistEnabled
+};
@@ -0,0 +1,135 @@
+/**
+ * DEX Trading Bot - Exit Rules
+ *
+ * Position exit management shared by strategies:
+ *   - Trailing stop (percent or ATR-based from priceEngine candles)
+ *   - Breakeven stop after a profit threshold
+ *   - Tiered partial take-profits (e.g. 30% at 2x, 30% at 5x, trail the rest)
+ *
+ * The exit plan is copied onto each position when it opens, so later
+ * config changes do not move the goalposts of open trades.
+ */
+
+import config from '../config/index.js';
+import { atr } from './indicators.js';
+
+/**
+ * Build an exit plan from config
+ * @param {Object} overrides - Per-position overrides
+ */
+export function getExitPlan(overrides = {}) {
+    const exits = config.exits;
+
+    return {
+        trailingMode: exits.trailingMode,
+        trailingPercent: exits.trailingPercent,
+        trailingActivatePercent: exits.trailingActivatePercent,
+        atrMultiplier: exits.atrMultiplier,
+        atrPeriods: exits.atrPeriods,
+        breakevenTriggerPercent: exits.breakevenTriggerPercent,
+        takeProfitTiers: exits.takeProfitTiers.map(t => ({ ...t })),
+        ...overrides
+    };
+}
+
+/**
+ * ATR of a candle list, with the indicator library's step function
+ * @param {Array} candles - Candles with high/low/close, oldest first
+ * @returns {number|null} ATR in price units (null until periods + 1 candles)
+ */
+function candleATR(candles, periods) {
+    const indicator = atr(periods);
+    const state = (candles || []).reduce(indicator.step, indicator.init());
+    return indicator.value(state);
+}
+
+/**
+ * Compute trailing/breakeven state changes for a position
+ * @param {Object} position - Open position (with optional exitPlan)
+ * @param {number} currentPrice - Current price
+ * @param {Array} candles - Recent candles for ATR mode
+ * @returns {Object} Fields to update on the position (empty if nothing changed)
+ */
+export function updateTrailingState(position, currentPrice, candles = []) {
+    const plan = position.exitPlan || getExitPlan();
+    const updates = {};
+
+    const highWaterMark = Math.max(position.highWaterMark || position.entryPrice, currentPrice);
+    if (highWaterMark !== position.highWaterMark) {
+        updates.highWaterMark = highWaterMark;
+    }
+
+    const peakProfitPercent = ((highWaterMark - position.entryPrice) / position.entryPrice) * 100;
+
+    // Breakeven: lift the stop to entry once the trigger is reached
+    if (plan.breakevenTriggerPercent > 0 && !position.breakevenMoved &&
+        peakProfitPercent >= plan.breakevenTriggerPercent) {
+        updates.stopLoss = Math.max(position.stopLoss, position.entryPrice);
+        updates.breakevenMoved = true;
+    }
+
+    // Trailing stop: only ratchets up, and only after activation
+    if (plan.trailingMode !== 'off' && peakProfitPercent >= plan.trailingActivatePercent) {
+        let distance = highWaterMark * (plan.trailingPercent / 100);
+
+        if (plan.trailingMode === 'atr') {
+            const range = candleATR(candles, plan.atrPeriods);
+            // Fall back to percent until enough candles exist
+            if (range > 0) {
+                distance = range * plan.atrMultiplier;
+            }
+        }
+
+        const trailingStop = highWaterMark - distance;
+        if (trailingStop > (position.trailingStop || 0)) {
+            updates.trailingStop = trailingStop;
+        }
+    }
+
+    return updates;
+}
+
+/**
+ * Get the next unfilled take-profit tier reached at the current price
+ * @returns {Object|null} { index, multiplier, sellPercent }
+ */
+export function getReachedTier(position, currentPrice) {
+    const plan = position.exitPlan || getExitPlan();
+    const filled = position.tiersFilled || [];
+
+    for (let i = 0; i < plan.takeProfitTiers.length; i++) {
+        if (filled.includes(i)) continue;
+
+        const tier = plan.takeProfitTiers[i];
+        if (currentPrice >= position.entryPrice * tier.multiplier) {
+            return { index: i, ...tier };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check if a position uses tiered take-profits
+ */
+export function hasTakeProfitTiers(position) {
+    const plan = position.exitPlan || getExitPlan();
+    return plan.takeProfitTiers.length > 0;
+}
+
+/**
+ * Token amount to sell for a partial exit
+ * Tier percentages refer to the original position size
+ */
+export function getPartialSellAmount(position, sellPercent) {
+    const initial = position.initialTokenAmount || position.tokenAmount;
+    return Math.min(position.tokenAmount, initial * (sellPercent / 100));
+}
+
+export default {
+    getExitPlan,
+    updateTrailingState,
+    getReachedTier,
+    hasTakeProfitTiers,
+    getPartialSellAmount
+};
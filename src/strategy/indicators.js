@@ -0,0 +1,342 @@
+/**
+ * DEX Trading Bot - Indicators
+ *
+ * Technical indicators over priceEngine candles, for strategy confirmations:
+ *   - SMA / EMA of close
+ *   - RSI (Wilder)
+ *   - VWAP (anchored at UTC midnight)
+ *   - ATR (average true range)
+ *   - Bollinger bands
+ *   - OBV (on-balance volume)
+ *   - Volume z-score (current candle against the previous N)
+ *
+ * Each indicator is a pure step function over candles, so a tracker keeps
+ * the state of closed candles and only previews the candle in progress:
+ * a poll costs one step per indicator instead of a pass over the history.
+ */
+
+import { getCandles, getCandleRevision, TIMEFRAMES } from '../data/candleStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Push a value onto a fixed-length window (returns a new array)
+ */
+function pushWindow(window, value, length) {
+    const next = window.length >= length ? window.slice(1) : window.slice();
+    next.push(value);
+    return next;
+}
+
+/**
+ * Mean and standard deviation of a window
+ */
+function meanAndStdDev(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+    return { mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Simple moving average of close
+ */
+export function sma(period = 20) {
+    return {
+        init: () => ({ closes: [] }),
+        step: (state, candle) => ({ closes: pushWindow(state.closes, candle.close, period) }),
+        value: state => state.closes.length < period
+            ? null
+            : state.closes.reduce((sum, c) => sum + c, 0) / period
+    };
+}
+
+/**
+ * Exponential moving average of close (seeded with the SMA of the first N closes)
+ */
+export function ema(period = 20) {
+    const k = 2 / (period + 1);
+
+    return {
+        init: () => ({ count: 0, seedSum: 0, ema: null }),
+        step: (state, candle) => {
+            const count = state.count + 1;
+
+            if (count < period) {
+                return { count, seedSum: state.seedSum + candle.close, ema: null };
+            }
+            if (count === period) {
+                return { count, seedSum: 0, ema: (state.seedSum + candle.close) / period };
+            }
+            return { count, seedSum: 0, ema: state.ema + k * (candle.close - state.ema) };
+        },
+        value: state => state.ema
+    };
+}
+
+/**
+ * Relative strength index with Wilder smoothing
+ */
+export function rsi(period = 14) {
+    return {
+        init: () => ({ count: 0, prevClose: null, avgGain: 0, avgLoss: 0 }),
+        step: (state, candle) => {
+            if (state.prevClose === null) {
+                return { ...state, prevClose: candle.close };
+            }
+
+            const change = candle.close - state.prevClose;
+            const gain = Math.max(change, 0);
+            const loss = Math.max(-change, 0);
+            const count = state.count + 1;
+
+            // Plain average for the first N changes, then Wilder smoothing
+            const weight = Math.min(count, period);
+
+            return {
+                count,
+                prevClose: candle.close,
+                avgGain: state.avgGain + (gain - state.avgGain) / weight,
+                avgLoss: state.avgLoss + (loss - state.avgLoss) / weight
+            };
+        },
+        value: state => {
+            if (state.count < period) return null;
+            if (state.avgLoss === 0) return state.avgGain === 0 ? 50 : 100;
+            return 100 - 100 / (1 + state.avgGain / state.avgLoss);
+        }
+    };
+}
+
+/**
+ * Volume-weighted average price of the typical price, reset at UTC midnight
+ */
+export function vwap() {
+    return {
+        init: () => ({ day: null, priceVolume: 0, volume: 0 }),
+        step: (state, candle) => {
+            const day = Math.floor(candle.periodStart / DAY_MS);
+            const base = day === state.day ? state : { day, priceVolume: 0, volume: 0 };
+            const typical = (candle.high + candle.low + candle.close) / 3;
+            const volume = candle.volume || 0;
+
+            return {
+                day,
+                priceVolume: base.priceVolume + typical * volume,
+                volume: base.volume + volume
+            };
+        },
+        value: state => state.volume > 0 ? state.priceVolume / state.volume : null
+    };
+}
+
+/**
+ * Average true range over the last N candles
+ */
+export function atr(period = 14) {
+    return {
+        init: () => ({ prevClose: null, ranges: [] }),
+        step: (state, candle) => {
+            if (state.prevClose === null) {
+                return { prevClose: candle.close, ranges: [] };
+            }
+
+            const { high, low } = candle;
+            const range = Math.max(high - low, Math.abs(high - state.prevClose), Math.abs(low - state.prevClose));
+
+            return { prevClose: candle.close, ranges: pushWindow(state.ranges, range, period) };
+        },
+        value: state => state.ranges.length < period
+            ? null
+            : state.ranges.reduce((sum, r) => sum + r, 0) / period
+    };
+}
+
+/**
+ * Bollinger bands: SMA of close +/- N standard deviations
+ * @returns value { middle, upper, lower, bandwidth } (bandwidth in % of middle)
+ */
+export function bollinger(period = 20, multiplier = 2) {
+    return {
+        init: () => ({ closes: [] }),
+        step: (state, candle) => ({ closes: pushWindow(state.closes, candle.close, period) }),
+        value: state => {
+            if (state.closes.length < period) return null;
+
+            const { mean, stdDev } = meanAndStdDev(state.closes);
+            return {
+                middle: mean,
+                upper: mean + multiplier * stdDev,
+                lower: mean - multiplier * stdDev,
+                bandwidth: mean > 0 ? (2 * multiplier * stdDev / mean) * 100 : 0
+            };
+        }
+    };
+}
+
+/**
+ * On-balance volume
+ */
+export function obv() {
+    return {
+        init: () => ({ prevClose: null, obv: 0 }),
+        step: (state, candle) => {
+            if (state.prevClose === null) {
+                return { prevClose: candle.close, obv: 0 };
+            }
+
+            const direction = Math.sign(candle.close - state.prevClose);
+            return { prevClose: candle.close, obv: state.obv + direction * (candle.volume || 0) };
+        },
+        value: state => state.prevClose === null ? null : state.obv
+    };
+}
+
+/**
+ * Z-score of the current candle's volume against the previous N candles
+ */
+export function volumeZScore(period = 20) {
+    return {
+        init: () => ({ previous: [], current: null }),
+        step: (state, candle) => ({
+            previous: state.current === null
+                ? state.previous
+                : pushWindow(state.previous, state.current, period),
+            current: candle.volume || 0
+        }),
+        value: state => {
+            if (state.previous.length < period) return null;
+
+            const { mean, stdDev } = meanAndStdDev(state.previous);
+            return stdDev > 0 ? (state.current - mean) / stdDev : 0;
+        }
+    };
+}
+
+// Indicators computed for every tracked pair
+export const DEFAULT_INDICATORS = {
+    sma20: sma(20),
+    ema9: ema(9),
+    ema21: ema(21),
+    rsi14: rsi(14),
+    vwap: vwap(),
+    atr14: atr(14),
+    bollinger: bollinger(20, 2),
+    obv: obv(),
+    volumeZScore: volumeZScore(20)
+};
+
+/**
+ * Create a tracker that updates indicators candle by candle
+ * Feed it candles oldest first; a candle with the same periodStart as the
+ * last one replaces it (the candle in progress), a newer one closes it
+ * @param {Object} indicators - { name: indicator } (default: DEFAULT_INDICATORS)
+ * @returns {Object} { update(candle) -> values, values() }
+ */
+export function createIndicatorTracker(indicators = DEFAULT_INDICATORS) {
+    const entries = Object.entries(indicators);
+
+    // State over closed candles, and the candle in progress
+    let closed = Object.fromEntries(entries.map(([name, indicator]) => [name, indicator.init()]));
+    let pending = null;
+    let current = {};
+
+    const preview = () => {
+        current = Object.fromEntries(entries.map(([name, indicator]) => {
+            const state = pending ? indicator.step(closed[name], pending) : closed[name];
+            return [name, indicator.value(state)];
+        }));
+        return current;
+    };
+
+    return {
+        update(candle) {
+            if (pending && candle.periodStart < pending.periodStart) {
+                return current;
+            }
+
+            if (pending && candle.periodStart > pending.periodStart) {
+                const done = pending;
+                closed = Object.fromEntries(entries.map(([name, indicator]) => [name, indicator.step(closed[name], done)]));
+            }
+
+            pending = { ...candle };
+            return preview();
+        },
+
+        values() {
+            return current;
+        },
+
+        get lastPeriodStart() {
+            return pending?.periodStart ?? null;
+        }
+    };
+}
+
+/**
+ * Compute indicators over a list of candles in one pass
+ * @returns {Object} Latest indicator values
+ */
+export function computeIndicators(candles, indicators = DEFAULT_INDICATORS) {
+    const tracker = createIndicatorTracker(indicators);
+    for (const candle of candles) {
+        tracker.update(candle);
+    }
+    return tracker.values();
+}
+
+// Trackers per candle series: { chainId:pairAddress:timeframe -> { tracker, revision } }
+const trackers = new Map();
+
+/**
+ * Get current indicator values for a pair
+ * Only candles since the last call are stepped; the history is replayed
+ * only when the candle store rewrote it (backfill or load)
+ * @param {string} chainId - Chain ID
+ * @param {string} pairAddress - Pair address
+ * @param {string} timeframe - 1m | 5m | 15m | 1h
+ * @returns {Object} { sma20, ema9, ema21, rsi14, vwap, atr14, bollinger, obv, volumeZScore } (null until warmed up)
+ */
+export function getIndicators(chainId, pairAddress, timeframe = '5m') {
+    const key = `${chainId}:${pairAddress}:${timeframe}`;
+    const revision = getCandleRevision(chainId, pairAddress);
+
+    // Series dropped by the candle store (or never polled)
+    if (revision === null) {
+        trackers.delete(key);
+        return {};
+    }
+
+    let entry = trackers.get(key);
+
+    if (!entry || entry.revision !== revision) {
+        entry = { tracker: createIndicatorTracker(), revision };
+        trackers.set(key, entry);
+    }
+
+    const candles = getCandles(chainId, pairAddress, timeframe, TIMEFRAMES[timeframe].maxCandles);
+    const since = entry.tracker.lastPeriodStart;
+
+    for (const candle of candles) {
+        if (since === null || candle.periodStart >= since) {
+            entry.tracker.update(candle);
+        }
+    }
+
+    return entry.tracker.values();
+}
+
+export default {
+    sma,
+    ema,
+    rsi,
+    vwap,
+    atr,
+    bollinger,
+    obv,
+    volumeZScore,
+    DEFAULT_INDICATORS,
+    createIndicatorTracker,
+    computeIndicators,
+    getIndicators
+};
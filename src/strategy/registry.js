@@ -0,0 +1,122 @@
+/**
+ * DEX Trading Bot - Strategy Registry
+ *
+ * Strategies register under a unique name and implement:
+ *   - analyzeForSignal(snapshot, overrides)  -> signal | null
+ *   - checkExitConditions(position, snapshot, overrides) -> exit | null
+ *   - getStrategyDescription() -> { name, entry, takeProfit, stopLoss, maxHold }
+ *   - getStrategyParams(overrides) -> params (own section of config.strategies)
+ *
+ * Enabled strategies (config.strategy.enabled) all run on the same watchlist.
+ */
+
+import { logWarn, logError } from '../logging/logger.js';
+import config from '../config/index.js';
+import volumeSpike from './volumeSpike.js';
+
+// Default strategy for positions opened before signals were tagged
+export const DEFAULT_STRATEGY = volumeSpike.name;
+
+const REQUIRED_METHODS = ['analyzeForSignal', 'checkExitConditions', 'getStrategyDescription', 'getStrategyParams'];
+
+// Registered strategies: name -> strategy
+const strategies = new Map();
+
+// Enabled strategies, resolved from config on first use
+let enabledStrategies = null;
+
+/**
+ * Register a strategy
+ * @param {Object} strategy - Strategy implementing the interface above
+ */
+export function registerStrategy(strategy) {
+    if (!strategy?.name) {
+        throw new Error('Strategy must have a name');
+    }
+
+    const missing = REQUIRED_METHODS.filter(m => typeof strategy[m] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Strategy ${strategy.name} is missing: ${missing.join(', ')}`);
+    }
+
+    strategies.set(strategy.name, strategy);
+
+    // Resolved again on next use: the new strategy may be one of them
+    enabledStrategies = null;
+}
+
+/**
+ * Get a strategy by name
+ */
+export function getStrategy(name) {
+    return strategies.get(name) || null;
+}
+
+/**
+ * Get names of all registered strategies
+ */
+export function getRegisteredStrategies() {
+    return Array.from(strategies.keys());
+}
+
+/**
+ * Get strategies enabled in config
+ * Names are resolved (and unknown ones reported) once, not on every call
+ */
+export function getEnabledStrategies() {
+    if (!enabledStrategies) {
+        enabledStrategies = [];
+
+        for (const name of config.strategy.enabled) {
+            const strategy = strategies.get(name);
+            if (strategy) {
+                enabledStrategies.push(strategy);
+            } else {
+                logWarn(`Unknown strategy in config: ${name} (registered: ${getRegisteredStrategies().join(', ')})`);
+            }
+        }
+    }
+
+    return [...enabledStrategies];
+}
+
+/**
+ * Get the strategy that owns a position (falls back to the default)
+ */
+export function getStrategyForPosition(position) {
+    return strategies.get(position?.strategy) || strategies.get(DEFAULT_STRATEGY);
+}
+
+/**
+ * Run every enabled strategy against a snapshot
+ * @param {Object} snapshot - Market snapshot from priceEngine
+ * @returns {Array<Object>} Signals, each tagged with the strategy that produced it
+ */
+export function runStrategies(snapshot) {
+    const signals = [];
+
+    for (const strategy of getEnabledStrategies()) {
+        try {
+            const signal = strategy.analyzeForSignal(snapshot);
+            if (signal) {
+                signals.push({ ...signal, strategy: strategy.name });
+            }
+        } catch (err) {
+            logError(`Strategy ${strategy.name} failed on ${snapshot?.baseToken?.symbol}`, err);
+        }
+    }
+
+    return signals;
+}
+
+// Built-in strategies
+registerStrategy(volumeSpike);
+
+export default {
+    registerStrategy,
+    getStrategy,
+    getRegisteredStrategies,
+    getEnabledStrategies,
+    getStrategyForPosition,
+    runStrategies
+};
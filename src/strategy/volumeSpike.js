@@ -4,16 +4,21 @@
  * Entry Condition:
  *   - 5m volume > 3x average hourly volume
  *   - Price change > 2% in last 5m
+ *   - Optional confirmations: RSI not overbought, price above VWAP
  * 
  * Exit Conditions:
- *   - Take profit: Price reaches Xx multiplier
- *   - Stop loss: Price drops 5% from entry
+ *   - Take profit: Price reaches Xx multiplier (or tiered partial exits, see exitRules)
+ *   - Stop loss: Price drops 5% from entry (lifted by breakeven/trailing stops)
  *   - Time exit: Position held > 30 minutes
  */
 
 import { logSignal, logDebug, logWarn } from '../logging/logger.js';
 import config from '../config/index.js';
-import { isTokenSafe, analyzeTokenSafety } from '../risk/contractAnalyzer.js';
+import { isTokenSafe, analyzeTokenSafety, SAFETY_THRESHOLDS } from '../risk/contractAnalyzer.js';
+import { getExitPlan, getReachedTier, hasTakeProfitTiers } from './exitRules.js';
+
+// Registry name (also used to tag signals and positions)
+export const STRATEGY_NAME = 'VOLUME_SPIKE';
 
 // Minimum liquidity for safety (avoid illiquid traps)
 const MIN_LIQUIDITY_USD = 5000;
@@ -21,16 +26,39 @@ const MIN_LIQUIDITY_USD = 5000;
 // Minimum 24h volume
 const MIN_VOLUME_24H = 10000;
 
+/**
+ * Get strategy parameters from config
+ * Backtests pass overrides on top of these to tune values without touching config
+ */
+export function getStrategyParams(overrides = {}) {
+    const strategyConfig = config.strategies[STRATEGY_NAME] || {};
+
+    return {
+        volumeMultiplier: strategyConfig.volumeMultiplier ?? 3,
+        minPriceChange: strategyConfig.minPriceChange ?? 2,
+        maxRsi: strategyConfig.maxRsi ?? 0,
+        requireAboveVwap: strategyConfig.requireAboveVwap ?? false,
+        takeProfitMultiplier: config.takeProfit.multiplier,
+        stopLossPercent: config.risk.stopLossPercent,
+        maxHoldMinutes: config.risk.maxHoldMinutes,
+        ...overrides
+    };
+}
+
 /**
  * Analyze market data and generate signals
  * @param {Object} snapshot - Market snapshot from priceEngine
+ * @param {Object} overrides - Optional parameter overrides (see getStrategyParams)
  * @returns {Object|null} Signal if detected, null otherwise
  */
-export function analyzeForSignal(snapshot) {
+export function analyzeForSignal(snapshot, overrides = {}) {
     if (!snapshot || !snapshot.price) {
         return null;
     }
 
+    // Replayed snapshots carry their own timestamp, live ones use the wall clock
+    const now = snapshot.timestamp || Date.now();
+
     const {
         chain,
         pairAddress,
@@ -39,7 +67,8 @@ export function analyzeForSignal(snapshot) {
         volume,
         liquidity,
         avgVolume1h,
-        volumeRatio
+        volumeRatio,
+        indicators = {}
     } = snapshot;
 
     // Safety checks
@@ -53,14 +82,28 @@ export function analyzeForSignal(snapshot) {
         return null;
     }
 
+    // Don't enter on a stale or disputed price (replayed snapshots have no oracle fields)
+    if (price.stale || price.disputed) {
+        logDebug(`Skip ${baseToken.symbol}: ${price.stale ? 'Stale' : 'Disputed'} price from ${price.source}`);
+        return null;
+    }
+
     // Contract safety check (honeypot detection, liquidity analysis)
     if (!isTokenSafe(snapshot)) {
         logWarn(`Skip ${baseToken.symbol}: Failed contract safety check`);
         return null;
     }
 
+    // Simulated sell (attached by the scheduler for EVM tokens): reverts or taxes too high to exit
+    const simulation = snapshot.swapSimulation;
+    if (simulation?.isHoneypot || simulation?.sellTax > SAFETY_THRESHOLDS.maxSellTax) {
+        logWarn(`Skip ${baseToken.symbol}: ${simulation.isHoneypot ? simulation.reason : `Sell tax ${simulation.sellTax}%`}`);
+        return null;
+    }
+
     // Strategy parameters
-    const { volumeMultiplier, minPriceChange } = config.strategy;
+    const params = getStrategyParams(overrides);
+    const { volumeMultiplier, minPriceChange } = params;
 
     // Check volume spike
     const hasVolumeSpike = volumeRatio >= volumeMultiplier;
@@ -68,10 +111,11 @@ export function analyzeForSignal(snapshot) {
     // Check price increase (5m change from DexScreener)
     const hasPriceIncrease = price.change5m >= minPriceChange;
 
-    // Generate signal if both conditions met
-    if (hasVolumeSpike && hasPriceIncrease) {
+    // Generate signal if both conditions met and the indicators confirm
+    if (hasVolumeSpike && hasPriceIncrease && isConfirmed(baseToken.symbol, price.usd, indicators, params)) {
         const signal = {
             type: 'VOLUME_SPIKE_ENTRY',
+            strategy: STRATEGY_NAME,
             chain,
             pairAddress,
             token: baseToken.symbol,
@@ -81,16 +125,19 @@ export function analyzeForSignal(snapshot) {
             entryPrice: price.usd,
             volumeRatio: volumeRatio.toFixed(2),
             priceChange5m: price.change5m.toFixed(2),
+            rsi: indicators.rsi14 ?? null,
+            vwap: indicators.vwap ?? null,
 
             // Calculated targets
-            takeProfit: price.usd * config.takeProfit.multiplier,
-            stopLoss: price.usd * (1 - config.risk.stopLossPercent / 100),
-            maxHoldUntil: Date.now() + (config.risk.maxHoldMinutes * 60 * 1000),
+            takeProfit: price.usd * params.takeProfitMultiplier,
+            stopLoss: price.usd * (1 - params.stopLossPercent / 100),
+            maxHoldUntil: now + (params.maxHoldMinutes * 60 * 1000),
+            exitPlan: getExitPlan(params.exitPlan),
 
             // Metadata
             liquidity: liquidity.usd,
             volume24h: volume.h24,
-            timestamp: Date.now(),
+            timestamp: now,
 
             // Signal strength (0-100)
             strength: calculateSignalStrength(volumeRatio, price.change5m, liquidity.usd)
@@ -103,6 +150,26 @@ export function analyzeForSignal(snapshot) {
     return null;
 }
 
+/**
+ * Check the optional indicator confirmations
+ * A confirmation is skipped until its indicator has enough candles
+ */
+function isConfirmed(symbol, priceUsd, indicators, params) {
+    const { rsi14, vwap } = indicators;
+
+    if (params.maxRsi > 0 && rsi14 != null && rsi14 > params.maxRsi) {
+        logDebug(`Skip ${symbol}: RSI ${rsi14.toFixed(1)} above ${params.maxRsi}`);
+        return false;
+    }
+
+    if (params.requireAboveVwap && vwap != null && priceUsd < vwap) {
+        logDebug(`Skip ${symbol}: Price below VWAP ($${vwap.toPrecision(6)})`);
+        return false;
+    }
+
+    return true;
+}
+
 /**
  * Calculate signal strength score (0-100)
  */
@@ -131,22 +198,50 @@ function calculateSignalStrength(volumeRatio, priceChange, liquidity) {
  * Check if an open position should be exited
  * @param {Object} position - Open position
  * @param {Object} currentSnapshot - Current market snapshot
+ * @param {Object} overrides - Optional parameter overrides (see getStrategyParams)
  * @returns {Object|null} Exit signal if should exit
  */
-export function checkExitConditions(position, currentSnapshot) {
+export function checkExitConditions(position, currentSnapshot, overrides = {}) {
     if (!position || !currentSnapshot) return null;
 
+    const params = getStrategyParams(overrides);
+    const now = currentSnapshot.timestamp || Date.now();
     const currentPrice = currentSnapshot.price.usd;
-    const { entryPrice, takeProfit, stopLoss, maxHoldUntil } = position;
+    const { entryPrice, takeProfit, stopLoss, trailingStop, maxHoldUntil } = position;
 
-    // Check take profit
-    if (currentPrice >= takeProfit) {
+    // Check tiered partial take-profits
+    const tier = getReachedTier(position, currentPrice);
+    if (tier) {
+        return {
+            type: 'EXIT_PARTIAL_TP',
+            reason: `Tier ${tier.index + 1}: ${tier.multiplier}x reached, selling ${tier.sellPercent}%`,
+            exitPrice: currentPrice,
+            sellPercent: tier.sellPercent,
+            tierIndex: tier.index,
+            profitPercent: ((currentPrice - entryPrice) / entryPrice * 100).toFixed(2),
+            timestamp: now
+        };
+    }
+
+    // Check take profit (tiered positions trail the remainder instead)
+    if (!hasTakeProfitTiers(position) && currentPrice >= takeProfit) {
         return {
             type: 'EXIT_TAKE_PROFIT',
-            reason: `Price reached ${config.takeProfit.multiplier}x target`,
+            reason: `Price reached ${params.takeProfitMultiplier}x target`,
             exitPrice: currentPrice,
             profitPercent: ((currentPrice - entryPrice) / entryPrice * 100).toFixed(2),
-            timestamp: Date.now()
+            timestamp: now
+        };
+    }
+
+    // Check trailing stop (only when it sits above the fixed stop)
+    if (trailingStop && trailingStop > stopLoss && currentPrice <= trailingStop) {
+        return {
+            type: 'EXIT_TRAILING_STOP',
+            reason: `Trailing stop hit at $${trailingStop.toPrecision(6)}`,
+            exitPrice: currentPrice,
+            profitPercent: ((currentPrice - entryPrice) / entryPrice * 100).toFixed(2),
+            timestamp: now
         };
     }
 
@@ -154,21 +249,23 @@ export function checkExitConditions(position, currentSnapshot) {
     if (currentPrice <= stopLoss) {
         return {
             type: 'EXIT_STOP_LOSS',
-            reason: `Price dropped below ${config.risk.stopLossPercent}% stop loss`,
+            reason: position.breakevenMoved
+                ? 'Price returned to breakeven stop'
+                : `Price dropped below ${params.stopLossPercent}% stop loss`,
             exitPrice: currentPrice,
             profitPercent: ((currentPrice - entryPrice) / entryPrice * 100).toFixed(2),
-            timestamp: Date.now()
+            timestamp: now
         };
     }
 
     // Check max hold time
-    if (Date.now() >= maxHoldUntil) {
+    if (now >= maxHoldUntil) {
         return {
             type: 'EXIT_TIME_LIMIT',
-            reason: `Max hold time (${config.risk.maxHoldMinutes}m) exceeded`,
+            reason: `Max hold time (${params.maxHoldMinutes}m) exceeded`,
             exitPrice: currentPrice,
             profitPercent: ((currentPrice - entryPrice) / entryPrice * 100).toFixed(2),
-            timestamp: Date.now()
+            timestamp: now
         };
     }
 
@@ -179,16 +276,26 @@ export function checkExitConditions(position, currentSnapshot) {
  * Get strategy description for logging
  */
 export function getStrategyDescription() {
+    const params = getStrategyParams();
+
+    const confirmations = [
+        params.maxRsi > 0 ? `RSI <= ${params.maxRsi}` : null,
+        params.requireAboveVwap ? 'Price > VWAP' : null
+    ].filter(Boolean);
+
     return {
         name: 'Volume Spike Scalping',
-        entry: `Volume > ${config.strategy.volumeMultiplier}x avg AND Price +${config.strategy.minPriceChange}%`,
-        takeProfit: `${config.takeProfit.multiplier}x entry price`,
-        stopLoss: `${config.risk.stopLossPercent}% below entry`,
-        maxHold: `${config.risk.maxHoldMinutes} minutes`
+        entry: `Volume > ${params.volumeMultiplier}x avg AND Price +${params.minPriceChange}%` +
+            confirmations.map(c => ` AND ${c}`).join(''),
+        takeProfit: `${params.takeProfitMultiplier}x entry price`,
+        stopLoss: `${params.stopLossPercent}% below entry`,
+        maxHold: `${params.maxHoldMinutes} minutes`
     };
 }
 
 export default {
+    name: STRATEGY_NAME,
+    getStrategyParams,
     analyzeForSignal,
     checkExitConditions,
     getStrategyDescription
@@ -0,0 +1,186 @@
+/**
+ * RedFace Trading Bot - Key Vault
+ *
+ * Envelope encryption for stored wallet private keys:
+ *   - Each private key is encrypted with its own random data key (AES-256-GCM)
+ *   - The data key is wrapped with the master key (AES-256-GCM)
+ *   - Both are bound to the format version and the master key's ID, stored as
+ *     v2:<keyId>:<wrapIv>.<wrappedDataKey>:<iv>.<ciphertext> (base64url, GCM tags appended)
+ *
+ * The master key is WALLET_ENCRYPTION_KEY: 32 random bytes as 64 hex characters
+ * (openssl rand -hex 32), or a passphrase stretched with scrypt. Keys listed in
+ * WALLET_ENCRYPTION_PREVIOUS_KEYS still decrypt, so the bot keeps running while
+ * runKeyRotation.js re-encrypts every row under the current key. Rows in the
+ * old format (AES-256-CBC, ivHex:cipherHex) are read until they are rotated.
+ *
+ * Without WALLET_ENCRYPTION_KEY a built-in fallback key is used. It is in the
+ * source, so LIVE mode refuses to start on it (config).
+ */
+
+import crypto from 'crypto';
+import { logWarn, logError } from '../logging/logger.js';
+
+const VERSION = 'v2';
+
+// Used only when WALLET_ENCRYPTION_KEY is unset (was the key of the old format)
+const FALLBACK_KEY = 'redface-bot-encryption-key-32ch';
+
+// Domain separation for passphrase master keys; records get random data keys
+const MASTER_KEY_SALT = 'redface-wallet-master-key-v2';
+
+// Old format: scrypt with a constant salt, unauthenticated CBC
+const LEGACY_SALT = 'salt';
+
+// A decrypted old-format record must look like a key (CBC has no tag to check)
+const PRIVATE_KEY_FORMAT = /^(0x)?[0-9a-fA-F]{64}$|^[1-9A-HJ-NP-Za-km-z]{80,90}$/;
+
+// { current, keys: Map(keyId -> { id, kek, secret, legacyKey }) }
+let keyring = null;
+
+function deriveMasterKey(secret) {
+    const kek = /^[0-9a-fA-F]{64}$/.test(secret)
+        ? Buffer.from(secret, 'hex')
+        : crypto.scryptSync(secret, MASTER_KEY_SALT, 32);
+
+    // ID from the derived key, so it can't be used to test passphrase guesses cheaply
+    const id = crypto.createHmac('sha256', kek).update('wallet-key-id').digest('hex').slice(0, 16);
+
+    return { id, kek, secret, legacyKey: null };
+}
+
+function getKeyring() {
+    if (!keyring) {
+        if (!process.env.WALLET_ENCRYPTION_KEY) {
+            logWarn('WALLET_ENCRYPTION_KEY not set: wallet keys are encrypted with the built-in fallback key');
+        }
+
+        const current = deriveMasterKey(process.env.WALLET_ENCRYPTION_KEY || FALLBACK_KEY);
+        const keys = new Map([[current.id, current]]);
+
+        const previous = (process.env.WALLET_ENCRYPTION_PREVIOUS_KEYS || '')
+            .split(',')
+            .map(secret => secret.trim())
+            .filter(Boolean);
+
+        for (const secret of previous) {
+            const key = deriveMasterKey(secret);
+            if (!keys.has(key.id)) keys.set(key.id, key);
+        }
+
+        keyring = { current, keys };
+    }
+
+    return keyring;
+}
+
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad));
+
+    const sealed = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    return `${iv.toString('base64url')}.${sealed.toString('base64url')}`;
+}
+
+function open(key, sealed, aad) {
+    const [iv, data] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(data.subarray(data.length - 16));
+
+    return Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+}
+
+function decryptEnvelope(envelope) {
+    const [version, keyId, wrappedKey, sealed] = envelope.split(':');
+    const masterKey = getKeyring().keys.get(keyId);
+
+    if (!masterKey) {
+        throw new Error(`No wallet encryption key with ID ${keyId}`);
+    }
+
+    const header = `${version}:${keyId}`;
+    const dataKey = open(masterKey.kek, wrappedKey, header);
+    return open(dataKey, sealed, header).toString('utf8');
+}
+
+/**
+ * Old-format record: tried with every configured key
+ */
+function decryptLegacy(encryptedData) {
+    const [ivHex, encrypted] = encryptedData.split(':');
+
+    for (const masterKey of getKeyring().keys.values()) {
+        try {
+            masterKey.legacyKey ??= crypto.scryptSync(masterKey.secret, LEGACY_SALT, 32);
+            const decipher = crypto.createDecipheriv('aes-256-cbc', masterKey.legacyKey, Buffer.from(ivHex, 'hex'));
+            const decrypted = decipher.update(encrypted, 'hex', 'utf8') + decipher.final('utf8');
+
+            if (PRIVATE_KEY_FORMAT.test(decrypted)) {
+                return decrypted;
+            }
+        } catch {
+            // Not this key
+        }
+    }
+
+    throw new Error('No wallet encryption key decrypts this record');
+}
+
+/**
+ * Encrypt a private key under the current master key
+ * @param {string} privateKey - Private key (hex or base58)
+ * @returns {string} Envelope
+ */
+export function encryptKey(privateKey) {
+    try {
+        const { current } = getKeyring();
+        const header = `${VERSION}:${current.id}`;
+        const dataKey = crypto.randomBytes(32);
+
+        const wrappedKey = seal(current.kek, dataKey, header);
+        const sealed = seal(dataKey, Buffer.from(privateKey, 'utf8'), header);
+
+        return `${header}:${wrappedKey}:${sealed}`;
+    } catch (err) {
+        logError('Encryption failed', err);
+        throw new Error('Failed to encrypt key');
+    }
+}
+
+/**
+ * Decrypt a stored private key (envelope or old format)
+ * @param {string} encryptedData - wallets.encrypted_key
+ * @returns {string} Private key
+ */
+export function decryptKey(encryptedData) {
+    try {
+        return encryptedData.startsWith(`${VERSION}:`)
+            ? decryptEnvelope(encryptedData)
+            : decryptLegacy(encryptedData);
+    } catch (err) {
+        logError('Decryption failed', err);
+        throw new Error('Failed to decrypt key');
+    }
+}
+
+/**
+ * Whether a stored key isn't an envelope under the current master key
+ */
+export function needsRotation(encryptedData) {
+    return !encryptedData.startsWith(`${VERSION}:${getKeyring().current.id}:`);
+}
+
+/**
+ * ID of the master key new records are encrypted with
+ */
+export function getCurrentKeyId() {
+    return getKeyring().current.id;
+}
+
+export default {
+    encryptKey,
+    decryptKey,
+    needsRotation,
+    getCurrentKeyId
+};
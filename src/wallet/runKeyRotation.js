@@ -0,0 +1,108 @@
+/**
+ * DEX Trading Bot - Wallet Key Rotation CLI
+ *
+ * Re-encrypts every row in wallets under the current WALLET_ENCRYPTION_KEY
+ * (old-format rows are upgraded to envelopes on the way):
+ *   1. Deploy the bot with the new WALLET_ENCRYPTION_KEY and the old key in
+ *      WALLET_ENCRYPTION_PREVIOUS_KEYS: both decrypt, new wallets use the new key
+ *   2. npm run rotate-keys [-- --dry-run], with the same env
+ *   3. Once no row is left to rotate, drop the old key from WALLET_ENCRYPTION_PREVIOUS_KEYS
+ *
+ * A row is only written if it is unchanged since it was read, so a wallet
+ * imported meanwhile is never overwritten. Safe to run again.
+ */
+
+import { getSupabase } from '../database/supabase.js';
+import { encryptKey, decryptKey, needsRotation, getCurrentKeyId } from './keyVault.js';
+
+// Rows read per page
+const PAGE_SIZE = 500;
+
+/**
+ * Re-encrypt one row
+ * @returns {Promise<string>} 'rotated' | 'current' | 'changed' | 'failed'
+ */
+async function rotateRow(supabase, row, dryRun) {
+    if (!row.encrypted_key || !needsRotation(row.encrypted_key)) {
+        return 'current';
+    }
+
+    let privateKey;
+    let encryptedKey;
+    try {
+        privateKey = decryptKey(row.encrypted_key);
+        encryptedKey = encryptKey(privateKey);
+
+        if (decryptKey(encryptedKey) !== privateKey) {
+            throw new Error('Re-encrypted key does not round-trip');
+        }
+    } catch (err) {
+        console.error(`  Wallet ${row.id} (${row.address}): ${err.message}`);
+        return 'failed';
+    }
+
+    if (dryRun) return 'rotated';
+
+    const { data, error } = await supabase
+        .from('wallets')
+        .update({ encrypted_key: encryptedKey })
+        .eq('id', row.id)
+        .eq('encrypted_key', row.encrypted_key)
+        .select('id');
+
+    if (error) {
+        console.error(`  Wallet ${row.id} (${row.address}): ${error.message}`);
+        return 'failed';
+    }
+
+    return data?.length ? 'rotated' : 'changed';
+}
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const supabase = getSupabase();
+
+    if (!supabase) {
+        console.error('Supabase is not configured (SUPABASE_URL, SUPABASE_ANON_KEY)');
+        process.exit(1);
+    }
+
+    console.log(`Rotating wallet keys to key ${getCurrentKeyId()}${dryRun ? ' (dry run)' : ''}`);
+
+    const counts = { rotated: 0, current: 0, changed: 0, failed: 0 };
+    let lastId = null;
+
+    // Keyset pages: rows deleted or added meanwhile don't shift the next page
+    while (true) {
+        let query = supabase
+            .from('wallets')
+            .select('id, address, encrypted_key')
+            .order('id')
+            .limit(PAGE_SIZE);
+
+        if (lastId) query = query.gt('id', lastId);
+
+        const { data: rows, error } = await query;
+        if (error) {
+            console.error(`Failed to read wallets: ${error.message}`);
+            process.exit(1);
+        }
+
+        for (const row of rows) {
+            counts[await rotateRow(supabase, row, dryRun)]++;
+        }
+
+        if (rows.length < PAGE_SIZE) break;
+        lastId = rows[rows.length - 1].id;
+    }
+
+    console.log(JSON.stringify(counts, null, 2));
+
+    if (counts.changed > 0) {
+        console.log('Some wallets changed while rotating: run again to check them');
+    }
+
+    process.exit(counts.failed > 0 ? 1 : 0);
+}
+
+main();
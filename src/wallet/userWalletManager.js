@@ -3,59 +3,24 @@
  * 
  * Handles wallet creation, import, and storage per user
  * Each user (by Telegram ID) has their own wallets
- * Keys are encrypted before storing in database
+ * Users can hold several labelled wallets per chain ("sniper", "long-term"):
+ *   - The default wallet (users.settings.default_wallets) is traded from
+ *     unless something names another one
+ *   - Auto-trades buy from users.settings.auto_trade_wallets, DCA plans and
+ *     limit orders from their wallet_id; live positions exit from the wallet
+ *     that bought them
+ * Keys are encrypted before storing in database (keyVault)
  */
 
 import { ethers } from 'ethers';
 import { Keypair } from '@solana/web3.js';
 import bs58 from 'bs58';
-import crypto from 'crypto';
 import { logInfo, logError, logWarn } from '../logging/logger.js';
 import { getSupabase } from '../database/supabase.js';
-
-// Encryption key from environment (generate a random one if needed)
-const ENCRYPTION_KEY = process.env.WALLET_ENCRYPTION_KEY || 'redface-bot-encryption-key-32ch'; // Must be 32 chars
-
-// ==================== ENCRYPTION ====================
-
-/**
- * Encrypt a private key
- */
-function encryptKey(privateKey) {
-    try {
-        const iv = crypto.randomBytes(16);
-        const key = crypto.scryptSync(ENCRYPTION_KEY, 'salt', 32);
-        const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-
-        let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-
-        return iv.toString('hex') + ':' + encrypted;
-    } catch (err) {
-        logError('Encryption failed', err);
-        throw new Error('Failed to encrypt key');
-    }
-}
-
-/**
- * Decrypt a private key
- */
-function decryptKey(encryptedData) {
-    try {
-        const [ivHex, encrypted] = encryptedData.split(':');
-        const iv = Buffer.from(ivHex, 'hex');
-        const key = crypto.scryptSync(ENCRYPTION_KEY, 'salt', 32);
-        const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-
-        return decrypted;
-    } catch (err) {
-        logError('Decryption failed', err);
-        throw new Error('Failed to decrypt key');
-    }
-}
+import { getProvider, getSolanaConnection } from '../services/rpcManager.js';
+import { encryptKey, decryptKey } from './keyVault.js';
+import { buildTokenTransfer } from '../services/tokenService.js';
+import { sendAndConfirm } from '../execution/txManager.js';
 
 // ==================== USER MANAGEMENT ====================
 
@@ -104,6 +69,7 @@ export async function getOrCreateUser(telegramId, username = null) {
                     onboarding_completed: false,
                     auto_trade_enabled: false,
                     auto_trade_amount: 0.1,
+                    auto_trade_sizing: 'fixed_native',
                     profit_alert_thresholds: [25, 50, 100]
                 }
             })
@@ -163,54 +129,167 @@ export async function updateUserSettings(telegramId, settings) {
 
 // ==================== WALLET MANAGEMENT ====================
 
+// Wallet labels: short, lowercase (Telegram commands are lowercased)
+const WALLET_LABEL_FORMAT = /^[a-z0-9_-]{1,20}$/;
+
+// Label of a user's first wallet on a chain
+const FIRST_WALLET_LABEL = 'main';
+
 /**
- * Create new EVM wallet for user
+ * Wallet type a chain trades from ('evm' covers BSC and Base)
+ * @param {string} chain - bsc | base | solana, or a wallet type
+ * @returns {string} 'evm' | 'solana'
  */
-export async function createEvmWallet(telegramId) {
-    try {
-        // Get or create user
-        const user = await getOrCreateUser(telegramId);
-        if (!user) {
-            return { success: false, error: 'User not found' };
+export function getWalletType(chain) {
+    return chain === 'solana' ? 'solana' : 'evm';
+}
+
+/**
+ * Validate a wallet label
+ * @returns {string|null} Normalized label, null if invalid
+ */
+export function normalizeWalletLabel(label) {
+    const normalized = label?.toString().trim().toLowerCase();
+    return normalized && WALLET_LABEL_FORMAT.test(normalized) ? normalized : null;
+}
+
+/**
+ * Load a user and their wallets, oldest first
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} type - 'evm' | 'solana', null for all
+ */
+async function loadWallets(telegramId, type = null) {
+    const supabase = getSupabase();
+    if (!supabase) return { user: null, wallets: [] };
+
+    const user = await getUserByTelegramId(telegramId);
+    if (!user) return { user: null, wallets: [] };
+
+    let query = supabase
+        .from('wallets')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: true });
+
+    if (type) query = query.eq('chain', type);
+
+    const { data, error } = await query;
+    if (error) {
+        logError('Failed to load wallets', error);
+    }
+
+    return { user, wallets: data || [] };
+}
+
+/**
+ * Find a wallet by ID, label or address
+ */
+function findWallet(wallets, walletRef) {
+    const ref = walletRef.toString().trim();
+    return wallets.find(w => w.id === ref || w.label === ref.toLowerCase() || w.address === ref)
+        || wallets.find(w => w.chain === 'evm' && w.address.toLowerCase() === ref.toLowerCase());
+}
+
+/**
+ * The user's default wallet of a type: the one they chose, else their first
+ */
+function defaultWallet(user, wallets, type) {
+    const ofType = wallets.filter(w => w.chain === type);
+    return ofType.find(w => w.id === user?.settings?.default_wallets?.[type]) || ofType[0] || null;
+}
+
+/**
+ * Wallet auto-trades on a type buy from: the assigned one, else the default
+ * An assigned wallet that no longer exists is not replaced by another one
+ */
+function autoTradeWallet(user, wallets, type) {
+    const assigned = user?.settings?.auto_trade_wallets?.[type];
+    return assigned
+        ? wallets.find(w => w.id === assigned && w.chain === type) || null
+        : defaultWallet(user, wallets, type);
+}
+
+/**
+ * Encrypt and store a new wallet under a label
+ * @returns {Promise<Object>} { success, wallet } or { success: false, error, wallet (the existing one) }
+ */
+async function storeWallet(telegramId, type, address, privateKey, label) {
+    const user = await getOrCreateUser(telegramId);
+    if (!user) {
+        return { success: false, error: 'User not found' };
+    }
+
+    const { wallets } = await loadWallets(telegramId, type);
+    const chainName = type === 'evm' ? 'EVM' : 'Solana';
+
+    const sameAddress = wallets.find(w => w.address.toLowerCase() === address.toLowerCase());
+    if (sameAddress) {
+        return { success: false, error: `This ${chainName} wallet is already added as "${sameAddress.label}"`, wallet: sameAddress };
+    }
+
+    let walletLabel;
+    if (label) {
+        walletLabel = normalizeWalletLabel(label);
+        if (!walletLabel) {
+            return { success: false, error: 'Labels are 1-20 characters: a-z, 0-9, _ and -' };
         }
+    } else {
+        // main, then wallet2, wallet3, ...
+        walletLabel = wallets.length === 0 ? FIRST_WALLET_LABEL : `wallet${wallets.length + 1}`;
+        for (let n = wallets.length + 2; wallets.some(w => w.label === walletLabel); n++) {
+            walletLabel = `wallet${n}`;
+        }
+    }
+
+    const existing = wallets.find(w => w.label === walletLabel);
+    if (existing) {
+        return { success: false, error: `${chainName} wallet "${walletLabel}" already exists`, wallet: existing };
+    }
+
+    const wallet = { user_id: user.id, chain: type, label: walletLabel, address, encrypted_key: encryptKey(privateKey) };
+
+    const supabase = getSupabase();
+    if (supabase) {
+        const { data, error } = await supabase
+            .from('wallets')
+            .insert(wallet)
+            .select()
+            .single();
 
-        // Check if wallet already exists
-        const existingWallet = await getUserWallet(telegramId, 'evm');
-        if (existingWallet) {
-            return { success: false, error: 'EVM wallet already exists', wallet: existingWallet };
+        if (error) {
+            logError('Failed to save wallet', error);
+            return { success: false, error: 'Failed to save wallet' };
         }
 
+        return { success: true, wallet: data };
+    }
+
+    return { success: true, wallet };
+}
+
+/**
+ * Create new EVM wallet for user
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} label - Wallet label (default: main, then wallet2, ...)
+ */
+export async function createEvmWallet(telegramId, label = null) {
+    try {
         // Generate new wallet
         const wallet = ethers.Wallet.createRandom();
-        const address = wallet.address;
-        const privateKey = wallet.privateKey;
 
-        // Encrypt private key
-        const encryptedKey = encryptKey(privateKey);
-
-        // Save to database
-        const supabase = getSupabase();
-        if (supabase) {
-            const { error } = await supabase.from('wallets').insert({
-                user_id: user.id,
-                chain: 'evm',
-                address: address,
-                encrypted_key: encryptedKey
-            });
-
-            if (error) {
-                logError('Failed to save wallet', error);
-                return { success: false, error: 'Failed to save wallet' };
-            }
+        const stored = await storeWallet(telegramId, 'evm', wallet.address, wallet.privateKey, label);
+        if (!stored.success) {
+            return stored;
         }
 
-        logInfo(`EVM wallet created for ${telegramId}: ${address.slice(0, 10)}...`);
+        logInfo(`EVM wallet "${stored.wallet.label}" created for ${telegramId}: ${wallet.address.slice(0, 10)}...`);
 
         return {
             success: true,
-            address: address,
-            privateKey: privateKey, // Return for user to backup - shown once
-            chain: 'evm'
+            address: wallet.address,
+            privateKey: wallet.privateKey, // Return for user to backup - shown once
+            chain: 'evm',
+            label: stored.wallet.label
         };
     } catch (err) {
         logError('createEvmWallet error', err);
@@ -220,52 +299,29 @@ export async function createEvmWallet(telegramId) {
 
 /**
  * Create new Solana wallet for user
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} label - Wallet label (default: main, then wallet2, ...)
  */
-export async function createSolanaWallet(telegramId) {
+export async function createSolanaWallet(telegramId, label = null) {
     try {
-        // Get or create user
-        const user = await getOrCreateUser(telegramId);
-        if (!user) {
-            return { success: false, error: 'User not found' };
-        }
-
-        // Check if wallet already exists
-        const existingWallet = await getUserWallet(telegramId, 'solana');
-        if (existingWallet) {
-            return { success: false, error: 'Solana wallet already exists', wallet: existingWallet };
-        }
-
         // Generate new wallet
         const keypair = Keypair.generate();
         const address = keypair.publicKey.toBase58();
         const privateKey = bs58.encode(keypair.secretKey);
 
-        // Encrypt private key
-        const encryptedKey = encryptKey(privateKey);
-
-        // Save to database
-        const supabase = getSupabase();
-        if (supabase) {
-            const { error } = await supabase.from('wallets').insert({
-                user_id: user.id,
-                chain: 'solana',
-                address: address,
-                encrypted_key: encryptedKey
-            });
-
-            if (error) {
-                logError('Failed to save wallet', error);
-                return { success: false, error: 'Failed to save wallet' };
-            }
+        const stored = await storeWallet(telegramId, 'solana', address, privateKey, label);
+        if (!stored.success) {
+            return stored;
         }
 
-        logInfo(`Solana wallet created for ${telegramId}: ${address.slice(0, 10)}...`);
+        logInfo(`Solana wallet "${stored.wallet.label}" created for ${telegramId}: ${address.slice(0, 10)}...`);
 
         return {
             success: true,
             address: address,
             privateKey: privateKey, // Return for user to backup - shown once
-            chain: 'solana'
+            chain: 'solana',
+            label: stored.wallet.label
         };
     } catch (err) {
         logError('createSolanaWallet error', err);
@@ -274,15 +330,14 @@ export async function createSolanaWallet(telegramId) {
 }
 
 /**
- * Import existing wallet for user
+ * Import existing wallet for user (added next to their other wallets)
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} privateKey - Private key (hex for EVM, base58 for Solana)
+ * @param {string} chain - 'evm' or 'solana'
+ * @param {string} label - Wallet label (default: main, then wallet2, ...)
  */
-export async function importWallet(telegramId, privateKey, chain = 'evm') {
+export async function importWallet(telegramId, privateKey, chain = 'evm', label = null) {
     try {
-        const user = await getOrCreateUser(telegramId);
-        if (!user) {
-            return { success: false, error: 'User not found' };
-        }
-
         let address;
 
         if (chain === 'evm') {
@@ -306,39 +361,18 @@ export async function importWallet(telegramId, privateKey, chain = 'evm') {
             return { success: false, error: 'Invalid chain' };
         }
 
-        // Encrypt private key
-        const encryptedKey = encryptKey(privateKey);
-
-        // Save or update wallet
-        const supabase = getSupabase();
-        if (supabase) {
-            // Delete existing wallet for this chain if any
-            await supabase
-                .from('wallets')
-                .delete()
-                .eq('user_id', user.id)
-                .eq('chain', chain);
-
-            // Insert new wallet
-            const { error } = await supabase.from('wallets').insert({
-                user_id: user.id,
-                chain: chain,
-                address: address,
-                encrypted_key: encryptedKey
-            });
-
-            if (error) {
-                logError('Failed to import wallet', error);
-                return { success: false, error: 'Failed to import wallet' };
-            }
+        const stored = await storeWallet(telegramId, chain, address, privateKey, label);
+        if (!stored.success) {
+            return stored;
         }
 
-        logInfo(`Wallet imported for ${telegramId}: ${address.slice(0, 10)}...`);
+        logInfo(`Wallet "${stored.wallet.label}" imported for ${telegramId}: ${address.slice(0, 10)}...`);
 
         return {
             success: true,
             address: address,
-            chain: chain
+            chain: chain,
+            label: stored.wallet.label
         };
     } catch (err) {
         logError('importWallet error', err);
@@ -347,46 +381,36 @@ export async function importWallet(telegramId, privateKey, chain = 'evm') {
 }
 
 /**
- * Get user's wallet by chain
+ * Get one of a user's wallets
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} chain - bsc | base | solana | evm, null to search every wallet by walletRef
+ * @param {string} walletRef - Wallet ID, label or address (default: the chain's default wallet)
+ * @returns {Promise<Object|null>} Wallet row, null if there is none (or walletRef matches none)
  */
-export async function getUserWallet(telegramId, chain) {
+export async function getUserWallet(telegramId, chain, walletRef = null) {
     try {
-        const supabase = getSupabase();
-        if (!supabase) return null;
+        const type = chain ? getWalletType(chain) : null;
+        const { user, wallets } = await loadWallets(telegramId, type);
 
-        const user = await getUserByTelegramId(telegramId);
-        if (!user) return null;
-
-        const { data, error } = await supabase
-            .from('wallets')
-            .select('*')
-            .eq('user_id', user.id)
-            .eq('chain', chain)
-            .single();
+        if (walletRef) {
+            return findWallet(wallets, walletRef) || null;
+        }
 
-        return data;
+        return type ? defaultWallet(user, wallets, type) : null;
     } catch (err) {
         return null;
     }
 }
 
 /**
- * Get all wallets for a user
+ * Get all wallets for a user, oldest first
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} chain - Only wallets for this chain (bsc | base | solana | evm)
  */
-export async function getUserWallets(telegramId) {
+export async function getUserWallets(telegramId, chain = null) {
     try {
-        const supabase = getSupabase();
-        if (!supabase) return [];
-
-        const user = await getUserByTelegramId(telegramId);
-        if (!user) return [];
-
-        const { data, error } = await supabase
-            .from('wallets')
-            .select('*')
-            .eq('user_id', user.id);
-
-        return data || [];
+        const { wallets } = await loadWallets(telegramId, chain ? getWalletType(chain) : null);
+        return wallets;
     } catch (err) {
         return [];
     }
@@ -394,10 +418,15 @@ export async function getUserWallets(telegramId) {
 
 /**
  * Get decrypted wallet for trading
+ * A walletRef that matches none of the user's wallets returns null rather than
+ * another wallet (exits must sell from the wallet that bought)
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} chain - bsc | base | solana
+ * @param {string} walletRef - Wallet ID, label or address (default: the chain's default wallet)
  */
-export async function getWalletForTrading(telegramId, chain) {
+export async function getWalletForTrading(telegramId, chain, walletRef = null) {
     try {
-        const wallet = await getUserWallet(telegramId, chain === 'bsc' || chain === 'base' ? 'evm' : chain);
+        const wallet = await getUserWallet(telegramId, chain, walletRef);
         if (!wallet || !wallet.encrypted_key) {
             return null;
         }
@@ -417,21 +446,116 @@ export async function getWalletForTrading(telegramId, chain) {
     }
 }
 
+/**
+ * Point one of the user's per-type wallet settings at a wallet
+ * @param {string} settingKey - 'default_wallets' | 'auto_trade_wallets'
+ * @param {string} walletRef - Wallet ID, label or address; null clears the setting
+ */
+async function assignWallet(telegramId, chain, walletRef, settingKey) {
+    const type = getWalletType(chain);
+    const { user, wallets } = await loadWallets(telegramId, type);
+    if (!user) {
+        return { success: false, error: 'User not found' };
+    }
+
+    const wallet = walletRef ? findWallet(wallets, walletRef) : null;
+    if (walletRef && !wallet) {
+        return { success: false, error: `No ${type === 'evm' ? 'EVM' : 'Solana'} wallet "${walletRef}"` };
+    }
+
+    const assigned = { ...user.settings?.[settingKey] };
+    if (wallet) {
+        assigned[type] = wallet.id;
+    } else {
+        delete assigned[type];
+    }
+
+    await updateUserSettings(telegramId, { [settingKey]: assigned });
+    return { success: true, wallet };
+}
+
+/**
+ * Set the wallet a chain trades from by default (manual buys, DCA plans and
+ * limit orders without a wallet, auto-trades without an assigned wallet)
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} chain - bsc | base | solana | evm
+ * @param {string} walletRef - Wallet ID, label or address
+ */
+export async function setDefaultWallet(telegramId, chain, walletRef) {
+    const result = await assignWallet(telegramId, chain, walletRef, 'default_wallets');
+    if (result.success) {
+        logInfo(`Default ${getWalletType(chain)} wallet of ${telegramId}: ${result.wallet.label}`);
+    }
+    return result;
+}
+
+/**
+ * Set the wallet auto-trades on a chain buy from
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} chain - bsc | base | solana | evm
+ * @param {string} walletRef - Wallet ID, label or address; null to use the default wallet
+ */
+export async function setAutoTradeWallet(telegramId, chain, walletRef) {
+    const result = await assignWallet(telegramId, chain, walletRef, 'auto_trade_wallets');
+    if (result.success) {
+        logInfo(`Auto-trade ${getWalletType(chain)} wallet of ${telegramId}: ${result.wallet?.label || 'default'}`);
+    }
+    return result;
+}
+
+/**
+ * Rename one of a user's wallets
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} chain - bsc | base | solana | evm
+ * @param {string} walletRef - Wallet ID, label or address
+ * @param {string} label - New label
+ */
+export async function renameWallet(telegramId, chain, walletRef, label) {
+    const type = getWalletType(chain);
+    const newLabel = normalizeWalletLabel(label);
+    if (!newLabel) {
+        return { success: false, error: 'Labels are 1-20 characters: a-z, 0-9, _ and -' };
+    }
+
+    const { wallets } = await loadWallets(telegramId, type);
+    const wallet = findWallet(wallets, walletRef);
+    if (!wallet) {
+        return { success: false, error: `No ${type === 'evm' ? 'EVM' : 'Solana'} wallet "${walletRef}"` };
+    }
+
+    if (wallets.some(w => w.label === newLabel && w.id !== wallet.id)) {
+        return { success: false, error: `Label "${newLabel}" is already used` };
+    }
+
+    const { error } = await getSupabase()
+        .from('wallets')
+        .update({ label: newLabel })
+        .eq('id', wallet.id);
+
+    if (error) {
+        logError('Failed to rename wallet', error);
+        return { success: false, error: 'Failed to rename wallet' };
+    }
+
+    return { success: true, wallet: { ...wallet, label: newLabel } };
+}
+
 /**
  * Export private key for user backup
  * @param {string} telegramId - User's Telegram ID
- * @param {string} chain - 'evm' or 'solana'
- * @returns {Promise<{success: boolean, privateKey?: string, error?: string}>}
+ * @param {string} chain - 'evm' or 'solana', null to find walletRef among every wallet
+ * @param {string} walletRef - Wallet ID, label or address (default: the chain's default wallet)
+ * @returns {Promise<{success: boolean, privateKey?: string, address?: string, chain?: string, label?: string, error?: string}>}
  */
-export async function exportPrivateKey(telegramId, chain = 'evm') {
+export async function exportPrivateKey(telegramId, chain = 'evm', walletRef = null) {
     try {
-        const wallet = await getUserWallet(telegramId, chain);
+        const wallet = await getUserWallet(telegramId, chain, walletRef);
         if (!wallet || !wallet.encrypted_key) {
             return { success: false, error: 'No wallet found for this chain' };
         }
 
         const privateKey = decryptKey(wallet.encrypted_key);
-        return { success: true, privateKey, address: wallet.address };
+        return { success: true, privateKey, address: wallet.address, chain: wallet.chain, label: wallet.label };
     } catch (err) {
         logError('exportPrivateKey error', err);
         return { success: false, error: 'Failed to decrypt key' };
@@ -439,67 +563,102 @@ export async function exportPrivateKey(telegramId, chain = 'evm') {
 }
 
 /**
- * Get user wallet summary for display with REAL balances
+ * Native balances of a wallet
+ * @returns {Promise<Object>} { bsc, base } for EVM wallets, { solana } for Solana wallets
  */
-export async function getWalletSummary(telegramId) {
-    const wallets = await getUserWallets(telegramId);
-    const user = await getUserByTelegramId(telegramId);
-
-    const evmWallet = wallets.find(w => w.chain === 'evm');
-    const solWallet = wallets.find(w => w.chain === 'solana');
-
-    let evmBalance = '0';
-    let baseBalance = '0';
-    let solBalance = '0';
-
-    // Fetch real EVM balances (BSC and Base)
-    if (evmWallet?.address) {
+async function getWalletBalances(wallet) {
+    if (wallet.chain === 'evm') {
         try {
-            const { ethers } = await import('ethers');
-
-            // BSC Balance
-            const bscRpc = process.env.BSC_RPC_URL || 'https://bsc-dataseed1.binance.org';
-            const bscProvider = new ethers.JsonRpcProvider(bscRpc);
-            const bscBal = await bscProvider.getBalance(evmWallet.address);
-            evmBalance = ethers.formatEther(bscBal);
-
-            // Base Balance
-            const baseRpc = process.env.BASE_RPC_URL || 'https://mainnet.base.org';
-            const baseProvider = new ethers.JsonRpcProvider(baseRpc);
-            const baseBal = await baseProvider.getBalance(evmWallet.address);
-            baseBalance = ethers.formatEther(baseBal);
+            // Same address on BSC and Base
+            const [bscBal, baseBal] = await Promise.all([
+                getProvider('bsc').getBalance(wallet.address),
+                getProvider('base').getBalance(wallet.address)
+            ]);
+            return { bsc: ethers.formatEther(bscBal), base: ethers.formatEther(baseBal) };
         } catch (err) {
             logError('Failed to fetch EVM balances', err);
+            return { bsc: '0', base: '0' };
         }
     }
 
-    // Fetch real Solana balance
-    if (solWallet?.address) {
-        try {
-            const { Connection, PublicKey, LAMPORTS_PER_SOL } = await import('@solana/web3.js');
-            const solRpc = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
-            const connection = new Connection(solRpc);
-            const pubkey = new PublicKey(solWallet.address);
-            const balance = await connection.getBalance(pubkey);
-            solBalance = (balance / LAMPORTS_PER_SOL).toFixed(6);
-        } catch (err) {
-            logError('Failed to fetch Solana balance', err);
-        }
+    try {
+        const { PublicKey, LAMPORTS_PER_SOL } = await import('@solana/web3.js');
+        const balance = await getSolanaConnection().getBalance(new PublicKey(wallet.address));
+        return { solana: (balance / LAMPORTS_PER_SOL).toFixed(6) };
+    } catch (err) {
+        logError('Failed to fetch Solana balance', err);
+        return { solana: '0' };
     }
+}
+
+/**
+ * Get user wallet summary for display with REAL balances
+ * Top-level addresses and balances are the default wallets'; wallets lists every
+ * wallet: { id, label, chain, address, isDefault, isAutoTrade, balances }
+ */
+export async function getWalletSummary(telegramId) {
+    const { user, wallets } = await loadWallets(telegramId);
+
+    const defaults = { evm: defaultWallet(user, wallets, 'evm'), solana: defaultWallet(user, wallets, 'solana') };
+    const autoTrade = { evm: autoTradeWallet(user, wallets, 'evm'), solana: autoTradeWallet(user, wallets, 'solana') };
+
+    const balances = await Promise.all(wallets.map(getWalletBalances));
+    const list = wallets.map((w, i) => ({
+        id: w.id,
+        label: w.label,
+        chain: w.chain,
+        address: w.address,
+        isDefault: defaults[w.chain]?.id === w.id,
+        isAutoTrade: autoTrade[w.chain]?.id === w.id,
+        balances: balances[i]
+    }));
+
+    const evmWallet = list.find(w => w.isDefault && w.chain === 'evm');
+    const solWallet = list.find(w => w.isDefault && w.chain === 'solana');
 
     return {
         hasEvm: !!evmWallet,
         hasSolana: !!solWallet,
         evmAddress: evmWallet?.address || null, // Same address for BSC and Base
         solanaAddress: solWallet?.address || null,
-        evmBalance, // BSC (BNB)
-        baseBalance, // Base (ETH)
-        solBalance, // Solana (SOL)
+        evmBalance: evmWallet?.balances.bsc || '0', // BSC (BNB)
+        baseBalance: evmWallet?.balances.base || '0', // Base (ETH)
+        solBalance: solWallet?.balances.solana || '0', // Solana (SOL)
+        wallets: list,
         mode: user?.settings?.mode || 'PAPER',
         username: user?.username || null
     };
 }
 
+/**
+ * Get one wallet's native balance on a chain in USD
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} chain - bsc | base | solana
+ * @param {number} nativePriceUsd - Chain's native token price
+ * @param {string} walletRef - Wallet ID, label or address (default: the chain's default wallet)
+ * @returns {Promise<number|null>} Balance in USD, null if the wallet, price or balance is unknown
+ */
+export async function getWalletBalanceUsd(telegramId, chain, nativePriceUsd, walletRef = null) {
+    if (!nativePriceUsd) return null;
+
+    const wallet = await getUserWallet(telegramId, chain, walletRef);
+    if (!wallet) return null;
+
+    try {
+        if (chain === 'solana') {
+            const { PublicKey, LAMPORTS_PER_SOL } = await import('@solana/web3.js');
+            const balance = await getSolanaConnection().getBalance(new PublicKey(wallet.address));
+            return (balance / LAMPORTS_PER_SOL) * nativePriceUsd;
+        }
+
+        const balance = await getProvider(chain).getBalance(wallet.address);
+        return parseFloat(ethers.formatEther(balance)) * nativePriceUsd;
+    } catch (err) {
+        logError(`Failed to fetch ${chain} balance for ${wallet.address}`, err);
+        return null;
+    }
+}
+
 /**
  * Toggle trading mode for user
  */
@@ -543,12 +702,14 @@ export async function markOnboardingComplete(telegramId) {
  */
 export async function getAutoTradeSettings(telegramId) {
     const user = await getUserByTelegramId(telegramId);
-    if (!user) return { enabled: false, amount: 0.1, thresholds: [25, 50, 100] };
+    if (!user) return { enabled: false, amount: 0.1, sizing: 'fixed_native', thresholds: [25, 50, 100], wallets: {} };
 
     return {
         enabled: user.settings?.auto_trade_enabled || false,
         amount: user.settings?.auto_trade_amount || 0.1,
+        sizing: user.settings?.auto_trade_sizing || 'fixed_native',
         thresholds: user.settings?.profit_alert_thresholds || [25, 50, 100],
+        wallets: user.settings?.auto_trade_wallets || {},
         mode: user.settings?.mode || 'PAPER'
     };
 }
@@ -560,6 +721,7 @@ export async function updateAutoTradeSettings(telegramId, settings) {
     const updates = {};
     if (typeof settings.enabled !== 'undefined') updates.auto_trade_enabled = settings.enabled;
     if (typeof settings.amount !== 'undefined') updates.auto_trade_amount = settings.amount;
+    if (typeof settings.sizing !== 'undefined') updates.auto_trade_sizing = settings.sizing;
     if (Array.isArray(settings.thresholds)) updates.profit_alert_thresholds = settings.thresholds;
 
     return updateUserSettings(telegramId, updates);
@@ -584,7 +746,13 @@ export default {
     getUserWallet,
     getUserWallets,
     getWalletForTrading,
+    getWalletType,
+    normalizeWalletLabel,
+    setDefaultWallet,
+    setAutoTradeWallet,
+    renameWallet,
     getWalletSummary,
+    getWalletBalanceUsd,
     toggleTradingMode,
     getUserMode,
     hasCompletedOnboarding,
@@ -592,37 +760,43 @@ export default {
     getAutoTradeSettings,
     updateAutoTradeSettings,
     toggleAutoTrade,
-    executeWithdrawal
+    executeWithdrawal,
+    executeTokenWithdrawal
 };
 
 /**
  * Execute withdrawal - send funds to external address
+ * Sends without checks: user withdrawals go through withdrawalService
  * @param {string} telegramId - User's Telegram ID
  * @param {string} chain - 'bsc', 'base', or 'solana'
  * @param {string} toAddress - Destination address
  * @param {number} amount - Amount to send (in native token)
+ * @param {string} walletRef - Wallet ID, label or address to send from (default: the chain's default wallet)
+ * @returns {Promise<Object>} { success, txHash, chain } or { success: false, error, unresolved, txHash }
+ *   (unresolved: the transfer was broadcast and may still land)
  */
-export async function executeWithdrawal(telegramId, chain, toAddress, amount) {
+export async function executeWithdrawal(telegramId, chain, toAddress, amount, walletRef = null) {
+    // Broadcast transfer whose outcome isn't known yet
+    let unresolved = null;
+
     try {
         logInfo(`Withdrawal request: ${amount} on ${chain} to ${toAddress}`);
 
         // Get user's wallet
-        const walletType = chain === 'solana' ? 'solana' : 'evm';
-        const wallet = await getUserWallet(telegramId, walletType);
+        const wallet = await getUserWallet(telegramId, chain, walletRef);
 
         if (!wallet || !wallet.encrypted_key) {
-            return { success: false, error: 'No wallet found' };
+            return { success: false, error: walletRef ? `No wallet "${walletRef}"` : 'No wallet found' };
         }
 
         const privateKey = decryptKey(wallet.encrypted_key);
 
         if (chain === 'solana') {
             // Solana withdrawal
-            const { Connection, PublicKey, Transaction, SystemProgram, Keypair, LAMPORTS_PER_SOL } = await import('@solana/web3.js');
+            const { PublicKey, Transaction, SystemProgram, Keypair, LAMPORTS_PER_SOL } = await import('@solana/web3.js');
             const bs58Module = await import('bs58');
 
-            const solRpc = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
-            const connection = new Connection(solRpc, 'confirmed');
+            const connection = getSolanaConnection();
 
             const secretKey = bs58Module.default.decode(privateKey);
             const keypair = Keypair.fromSecretKey(secretKey);
@@ -639,35 +813,118 @@ export async function executeWithdrawal(telegramId, chain, toAddress, amount) {
             );
 
             const signature = await connection.sendTransaction(transaction, [keypair]);
-            await connection.confirmTransaction(signature, 'confirmed');
+            unresolved = signature;
+            const { value } = await connection.confirmTransaction(signature, 'confirmed');
+
+            if (value.err) {
+                unresolved = null;
+                throw new Error(`Transfer failed on chain: ${JSON.stringify(value.err)}`);
+            }
 
             logInfo(`Solana withdrawal complete: ${signature}`);
             return { success: true, txHash: signature, chain: 'solana' };
 
         } else {
-            // EVM withdrawal (BSC or Base)
-            const { ethers } = await import('ethers');
+            // EVM withdrawal (BSC or Base), through txManager: trades from the
+            // same wallet share its nonces
+            const signer = new ethers.Wallet(privateKey, getProvider(chain === 'base' ? 'base' : 'bsc'));
+            const { hash, receipt } = await sendEvmTransfer(signer, chain, {
+                to: toAddress,
+                value: ethers.parseEther(amount.toString()),
+                data: '0x'
+            }, sent => { unresolved = sent; });
 
-            const rpcUrls = {
-                bsc: process.env.BSC_RPC_URL || 'https://bsc-dataseed1.binance.org',
-                base: process.env.BASE_RPC_URL || 'https://mainnet.base.org'
-            };
+            if (receipt.status !== 1) {
+                throw new Error(`Transfer reverted: ${hash}`);
+            }
+
+            logInfo(`EVM withdrawal complete: ${hash}`);
+            return { success: true, txHash: hash, chain };
+        }
+    } catch (err) {
+        logError('Withdrawal failed', err);
+        return { success: false, error: err.message, unresolved: !!unresolved, txHash: unresolved };
+    }
+}
 
-            const provider = new ethers.JsonRpcProvider(rpcUrls[chain] || rpcUrls.bsc);
-            const signer = new ethers.Wallet(privateKey, provider);
+/**
+ * Send a transfer through txManager, reporting the hash of the first
+ * broadcast while its outcome is unknown (null again once it is known)
+ * sendAndConfirm only throws with retryable = false when the transaction
+ * may still be mined
+ */
+async function sendEvmTransfer(signer, chain, request, onUnresolved) {
+    let first = null;
 
-            const tx = await signer.sendTransaction({
-                to: toAddress,
-                value: ethers.parseEther(amount.toString())
-            });
+    try {
+        return await sendAndConfirm(signer, chain, request, async ({ hash }) => {
+            first = first || hash;
+            onUnresolved(first);
+        });
+    } catch (err) {
+        if (err.retryable !== false) onUnresolved(null);
+        throw err;
+    }
+}
 
-            const receipt = await tx.wait();
+/**
+ * Execute token withdrawal - send ERC-20 / SPL tokens to external address
+ * Sends without checks: user withdrawals go through withdrawalService
+ * @param {string} telegramId - User's Telegram ID
+ * @param {string} chain - 'bsc', 'base', or 'solana'
+ * @param {Object} token - From tokenService.getTokenInfo
+ * @param {string} toAddress - Destination wallet address
+ * @param {bigint} amount - Amount to send (base units)
+ * @param {string} walletRef - Wallet ID, label or address to send from (default: the chain's default wallet)
+ * @returns {Promise<Object>} As executeWithdrawal
+ */
+export async function executeTokenWithdrawal(telegramId, chain, token, toAddress, amount, walletRef = null) {
+    // Broadcast transfer whose outcome isn't known yet
+    let unresolved = null;
 
-            logInfo(`EVM withdrawal complete: ${tx.hash}`);
-            return { success: true, txHash: tx.hash, chain };
+    try {
+        logInfo(`Token withdrawal request: ${amount} of ${token.address} on ${chain} to ${toAddress}`);
+
+        const wallet = await getUserWallet(telegramId, chain, walletRef);
+
+        if (!wallet || !wallet.encrypted_key) {
+            return { success: false, error: walletRef ? `No wallet "${walletRef}"` : 'No wallet found' };
         }
+
+        const privateKey = decryptKey(wallet.encrypted_key);
+        const transfer = await buildTokenTransfer(chain, token, wallet.address, toAddress, amount);
+
+        if (chain === 'solana') {
+            const { Transaction } = await import('@solana/web3.js');
+            const connection = getSolanaConnection();
+            const keypair = Keypair.fromSecretKey(bs58.decode(privateKey));
+
+            const transaction = new Transaction().add(...transfer.instructions);
+            const signature = await connection.sendTransaction(transaction, [keypair]);
+            unresolved = signature;
+            const { value } = await connection.confirmTransaction(signature, 'confirmed');
+
+            if (value.err) {
+                unresolved = null;
+                throw new Error(`Transfer failed on chain: ${JSON.stringify(value.err)}`);
+            }
+
+            logInfo(`Solana token withdrawal complete: ${signature}`);
+            return { success: true, txHash: signature, chain: 'solana' };
+        }
+
+        // Through txManager: trades from the same wallet share its nonces
+        const signer = new ethers.Wallet(privateKey, getProvider(chain));
+        const { hash, receipt } = await sendEvmTransfer(signer, chain, transfer.request, sent => { unresolved = sent; });
+
+        if (receipt.status !== 1) {
+            throw new Error(`Transfer reverted: ${hash}`);
+        }
+
+        logInfo(`EVM token withdrawal complete: ${hash}`);
+        return { success: true, txHash: hash, chain };
     } catch (err) {
-        logError('Withdrawal failed', err);
-        return { success: false, error: err.message };
+        logError('Token withdrawal failed', err);
+        return { success: false, error: err.message, unresolved: !!unresolved, txHash: unresolved };
     }
 }
@@ -8,6 +8,7 @@
 import { ethers } from 'ethers';
 import { logInfo, logError } from '../logging/logger.js';
 import config from '../config/index.js';
+import { getProvider, getSolanaConnection } from '../services/rpcManager.js';
 
 // In-memory wallet storage (for current session)
 // In production, these should come from encrypted env vars
@@ -16,12 +17,6 @@ let wallets = {
     solana: null    // { publicKey, secretKey }
 };
 
-// RPC endpoints
-const RPC_URLS = {
-    bsc: process.env.BSC_RPC || 'https://bsc-dataseed.binance.org',
-    base: process.env.BASE_RPC || 'https://mainnet.base.org'
-};
-
 /**
  * Check if EVM wallet is configured
  */
@@ -122,7 +117,7 @@ export async function getEvmBalance(chain = 'bsc') {
     }
 
     try {
-        const provider = new ethers.JsonRpcProvider(RPC_URLS[chain]);
+        const provider = getProvider(chain);
         const balance = await provider.getBalance(address);
         const balanceEth = parseFloat(ethers.formatEther(balance));
 
@@ -217,8 +212,8 @@ export async function getSolanaBalance() {
     }
 
     try {
-        const { Connection, PublicKey, LAMPORTS_PER_SOL } = await import('@solana/web3.js');
-        const connection = new Connection(process.env.SOLANA_RPC || 'https://api.mainnet-beta.solana.com');
+        const { PublicKey, LAMPORTS_PER_SOL } = await import('@solana/web3.js');
+        const connection = getSolanaConnection();
         const pubkey = new PublicKey(address);
 
         const balance = await connection.getBalance(pubkey);